@@ -8,9 +8,10 @@
  *   (adverse extreme resolved before that bar's favourable tighten; SL wins same-bar TP ties).
  *
  * Config knobs come from process.env (Config statics). Extra knobs via env BT_* :
- *   BT_SP=<scratchdir>  BT_FROM / BT_TO (ISO, filter H1 entries)
+ *   BT_SP=<scratchdir> (unset = read the shared candle store)  BT_FROM / BT_TO (ISO, filter H1 entries)
  *   BT_EXIT = live | tp_only | trail_only | partial1R   (default live)
- *   BT_SPREAD = per-unit cost $ applied to every entry (default 0.30)
+ *   BT_SPREAD = per-unit cost $ for candles without bid/ask (default 0.30); candles from the
+ *     store carry the real spread at each entry bar's close, which is used instead
  *   BT_COOLDOWN_H (default 2)   BT_MAXHOLD_H (default 120)
  *   BT_NOHTF=1  -> ignore HTF filter (pass null)
  *   BT_VOLMIN / BT_VOLMAX  -> only enter if ATR in [min,max]
@@ -20,12 +21,14 @@
  */
 import fs from 'fs';
 import Config from './src/config.js';
+import CandleStore from './src/candle_store.js';
 import TechnicalAnalysis from './src/technical_analysis.js';
 import EmaTrendStrategy from './src/ema_trend_strategy.js';
 
 const SP = process.env.BT_SP;
 const EXIT = process.env.BT_EXIT || 'live';
 const SPREAD = parseFloat(process.env.BT_SPREAD || '0.30');
+const spreadAt = bar => (typeof bar.spread === 'number' ? bar.spread : SPREAD);
 const COOLDOWN_MS = parseFloat(process.env.BT_COOLDOWN_H || '2') * 3600e3;
 const MAXHOLD_MS = parseFloat(process.env.BT_MAXHOLD_H || '120') * 3600e3;
 const NOHTF = process.env.BT_NOHTF === '1';
@@ -39,9 +42,14 @@ const LABEL = process.env.BT_LABEL || 'run';
 const WIN = 250;
 
 const silent = { info(){}, error(){}, warn(){}, debug(){} };
-const H1 = JSON.parse(fs.readFileSync(`${SP}/H1.json`));
-const H4 = JSON.parse(fs.readFileSync(`${SP}/H4.json`));
-const M5 = JSON.parse(fs.readFileSync(`${SP}/M5.json`));
+// Candles: a BT_SP export dir, else the shared candle store (backtest_fetch_candles.js fills it)
+const store = new CandleStore(silent);
+const load = g => SP
+  ? JSON.parse(fs.readFileSync(`${SP}/${g}.json`))
+  : store.getStored('XAU_USD', g).map(c => ({ ...c, time: c.time.toISOString() }));
+const H1 = load('H1');
+const H4 = load('H4');
+const M5 = load('M5');
 const M5t = M5.map(c => Date.parse(c.time));
 
 const ta = new TechnicalAnalysis(silent);
@@ -113,7 +121,7 @@ function run() {
     if (bt < cooldownUntil) {
       if (process.env.BT_DEBUG) { // still evaluate to see if a signal was skipped by cooldown
         const win2 = H1.slice(i-WIN+1, i+1); let a2; try{a2={indicators:ta.getLatestIndicators(win2)};}catch{continue;}
-        strat.lastSignalCandleTime=null; const r2=strat.evaluateSetup(a2, win2, NOHTF?null:H4.filter(c=>Date.parse(c.time)+4*3600e3<=bt).slice(-140));
+        strat.lastSignalCandleTime=null; const r2=strat.evaluateSetup(a2, win2, NOHTF?{}:{ [Config.EMA_TREND_HTF]: H4.filter(c=>Date.parse(c.time)+4*3600e3<=bt).slice(-140) });
         if (r2.signal) dbg.cdSkip++;
       }
       continue;
@@ -127,7 +135,7 @@ function run() {
     try { analysis = {indicators: ta.getLatestIndicators(win)}; } catch { continue; }
     // reset per-bar dedup so evaluateSetup never short-circuits on stale candle time
     strat.lastSignalCandleTime = null;
-    const res = strat.evaluateSetup(analysis, win, htf);
+    const res = strat.evaluateSetup(analysis, win, { [Config.EMA_TREND_HTF]: htf });
     if (process.env.BT_DEBUG) { const r=res.reason||''; let k='sig:'+res.signal; if(!res.signal){ k = r.includes('not aligned')?'not-aligned': r.includes('RSI')?'RSI': r.includes('filtered')?'ADX': r.includes('pullback')||r.includes('bounce')?'pullback': r.includes('HTF')?'HTF': r.includes('Leg')?'leg': r.includes('not confirming')?'wrong-side': r.includes('disabled')?'short-disabled':'other'; } dbg.fn=dbg.fn||{}; dbg.fn[k]=(dbg.fn[k]||0)+1; }
     if (!res.signal) continue;
     if (res.signal==='LONG') dbg.sigL++; else dbg.sigS++;
@@ -140,9 +148,10 @@ function run() {
     const tpRR = Config.EMA_TREND_TP_RR;
     const entryMs = bt + 3600e3;   // H1 close = candle start + 1h (fill moment)
     const m = manage(isLong, bar.close, slDist, atr, entryMs, tpRR);
-    // apply spread as a flat per-unit cost => reduce R by SPREAD/slDist
-    m.R -= SPREAD / slDist;
-    trades.push({ time: bar.time, signal: res.signal, atr, slDist, R: m.R, exit: m.exit, holdH: m.holdMs/3600e3, adx: adxOf(analysis, win), rsi: analysis.indicators.rsi });
+    // apply the entry bar's spread as a per-unit cost => reduce R by spread/slDist
+    const spread = spreadAt(bar);
+    m.R -= spread / slDist;
+    trades.push({ time: bar.time, signal: res.signal, atr, slDist, spread, R: m.R, exit: m.exit, holdH: m.holdMs/3600e3, adx: adxOf(analysis, win), rsi: analysis.indicators.rsi });
     if (res.signal==='LONG') dbg.takenL++; else dbg.takenS++;
     cooldownUntil = entryMs + m.holdMs + COOLDOWN_MS;   // block overlap + cooldown after exit
   }
@@ -12,15 +12,17 @@
  */
 import fs from 'fs';
 import Config from './src/config.js';
+import CandleStore from './src/candle_store.js';
 import TechnicalAnalysis from './src/technical_analysis.js';
 import EmaTrendStrategy from './src/ema_trend_strategy.js';
-import TripleConfirmationStrategy from './src/strategy.js';
+import TripleConfirmationStrategy from './src/triple_confirmation_strategy.js';
 import BreakoutADXStrategy from './src/breakout_adx_strategy.js';
 
 const SP = process.env.BT_SP;
 const STRAT = process.env.BT_STRAT || 'ema_trend';
 const EXITMODE = process.env.BT_EXITMODE || 'native';
-const SPREAD = parseFloat(process.env.BT_SPREAD || '0.30');
+const SPREAD = parseFloat(process.env.BT_SPREAD || '0.30'); // fallback for candles without bid/ask
+const spreadAt = bar => (typeof bar.spread === 'number' ? bar.spread : SPREAD);
 const COOLDOWN_MS = parseFloat(process.env.BT_COOLDOWN_H || '2') * 3600e3;
 const MAXHOLD_MS = parseFloat(process.env.BT_MAXHOLD_H || '120') * 3600e3;
 const HOURMIN = process.env.BT_HOURMIN ? parseInt(process.env.BT_HOURMIN) : null;
@@ -31,9 +33,14 @@ const LABEL = process.env.BT_LABEL || 'run';
 const WIN = 250;
 
 const silent = { info(){}, error(){}, warn(){}, debug(){}, strategy(){} };
-const H1 = JSON.parse(fs.readFileSync(`${SP}/H1.json`));
-const H4 = JSON.parse(fs.readFileSync(`${SP}/H4.json`));
-const M5 = JSON.parse(fs.readFileSync(`${SP}/M5.json`));
+// Candles: a BT_SP export dir, else the shared candle store (backtest_fetch_candles.js fills it)
+const store = new CandleStore(silent);
+const load = g => SP
+  ? JSON.parse(fs.readFileSync(`${SP}/${g}.json`))
+  : store.getStored('XAU_USD', g).map(c => ({ ...c, time: c.time.toISOString() }));
+const H1 = load('H1');
+const H4 = load('H4');
+const M5 = load('M5');
 const M5t = M5.map(c => Date.parse(c.time));
 const H1D = H1.map(c => ({ ...c, time: new Date(c.time) }));   // breakout needs Date .time
 
@@ -103,7 +110,7 @@ function run() {
     if (STRAT==='breakout') {
       const winD=H1D.slice(i-WIN+1,i+1);
       const analysis={indicators: ta.getLatestIndicators(win)};
-      res=bkStrat.evaluateSetup(analysis, winD, null);   // ENABLE_MTF=false → direct signal
+      res=bkStrat.evaluateSetup(analysis, winD);   // ENABLE_MTF=false → direct signal
     }
     if (bt<fromMs||bt>toMs) continue;
     if (bt<cooldownUntil) continue;
@@ -112,7 +119,7 @@ function run() {
       const htf=H4.filter(c=>Date.parse(c.time)+4*3600e3<=bt).slice(-140);
       const analysis={indicators: ta.getLatestIndicators(win)};
       emaStrat.lastSignalCandleTime=null;
-      res=emaStrat.evaluateSetup(analysis, win, htf);
+      res=emaStrat.evaluateSetup(analysis, win, { [Config.EMA_TREND_HTF]: htf });
       if(res.signal){ atr=emaStrat.lastATR; }
     } else if (STRAT==='triple'){
       let analysis; try{ analysis=ta.analyze(win); }catch{ continue; }
@@ -132,8 +139,9 @@ function run() {
       else if (STRAT==='triple'){ slDist=Math.abs(entry-res._levels.stopLoss); sim=simStaged(isLong,entry,bt+3600e3,slDist,1.5,0.6,2.5); }
       else { slDist=Math.abs(entry-res._levels.stopLoss); sim=simTrailOnly(isLong,entry,bt+3600e3,slDist,bkAct,bkTrail); }
     }
-    sim.R -= SPREAD/slDist;
-    trades.push({time:bar.time,signal:res.signal,atr:+atr.toFixed(2),slDist:+slDist.toFixed(2),R:sim.R,exit:sim.exit,holdH:sim.holdMs/3600e3});
+    const spread=spreadAt(bar);
+    sim.R -= spread/slDist;
+    trades.push({time:bar.time,signal:res.signal,atr:+atr.toFixed(2),slDist:+slDist.toFixed(2),spread,R:sim.R,exit:sim.exit,holdH:sim.holdMs/3600e3});
     cooldownUntil=bt+3600e3+sim.holdMs+COOLDOWN_MS;
   }
   return trades;
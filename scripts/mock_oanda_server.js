@@ -0,0 +1,1039 @@
+/**
+ * Mock Oanda v20 Server
+ *
+ * Local stand-in for api-fxpractice / stream-fxpractice so OandaClient, executeTrade
+ * and monitorPositions can be exercised end-to-end without touching the real API.
+ *
+ * Usage:
+ *   node scripts/mock_oanda_server.js [scenario.json]
+ *   OANDA_API_HOST=http://localhost:8089 OANDA_API_KEY=mock OANDA_ACCOUNT_ID=101-mock npm test
+ *
+ * Serves REST and streaming endpoints on the same port:
+ *   GET  /v3/accounts/:id/summary            GET /v3/accounts/:id/instruments
+ *   GET  /v3/accounts/:id/pricing            GET /v3/accounts/:id/pricing/stream
+ *   GET  /v3/instruments/:instrument/candles (synthetic, deterministic; price=M/B/A/MBA)
+ *   POST /v3/accounts/:id/orders             (MARKET - outcome taken from the scenario queue;
+ *                                             LIMIT - rests until the price reaches it or GTD expiry)
+ *   GET  /v3/accounts/:id/orders/:orderId    PUT /v3/accounts/:id/orders/:orderId/cancel
+ *                                            (:orderId may be @clientOrderId)
+ *   GET  /v3/accounts/:id/openTrades         GET /v3/accounts/:id/trades/:tradeId
+ *   PUT  /v3/accounts/:id/trades/:tradeId/orders   PUT /v3/accounts/:id/trades/:tradeId/close
+ *   GET  /v3/accounts/:id/openPositions      PUT /v3/accounts/:id/positions/:instrument/close
+ *   GET  /v3/accounts/:id/transactions/idrange   GET /v3/accounts/:id/transactions/sinceid
+ *   GET  /v3/accounts/:id/transactions/stream
+ *
+ * Control endpoints (drive a scenario from a test script):
+ *   GET  /mock/state            - account, open trades, queued outcomes, transaction count
+ *   POST /mock/price  {mid}     - jump to and hold a price (SL/TP are evaluated immediately)
+ *   POST /mock/orders {outcome} - queue an order outcome (or an array of them)
+ *   POST /mock/fail   {match, status, times, afterProcessing} - fail matching requests;
+ *                       afterProcessing applies the request first, then loses the response
+ *   POST /mock/reset            - reload the scenario
+ *
+ * Scenario file (all fields optional - see scripts/mock_scenarios/):
+ *   account:  { id, currency, balance, marginRate, homeConversion }
+ *   instrument, price: { start, spread, trendPerHour, path: [mids], stepSeconds }
+ *   instrumentSpec: v20 Instrument fields overriding the gold definition (pipLocation, ...)
+ *   orders:   queue of outcomes consumed one per POST /orders:
+ *             FILL (optionally with slippage), FOK_CANCEL, BOUNDS_VIOLATION,
+ *             STOP_LOSS_ON_FILL_LOSS, REJECT
+ *   failures: [{ match: '/pricing', status: 503, times: 2 }]
+ */
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PORT = parseInt(process.env.MOCK_OANDA_PORT || '8089');
+const SCENARIO_FILE = process.argv[2] || process.env.MOCK_SCENARIO || path.join(__dirname, 'mock_scenarios', 'default.json');
+const HEARTBEAT_MS = 5000;
+
+const GRANULARITY_SECONDS = {
+  S5: 5, S10: 10, S15: 15, S30: 30,
+  M1: 60, M2: 120, M4: 240, M5: 300, M10: 600, M15: 900, M30: 1800,
+  H1: 3600, H2: 7200, H3: 10800, H4: 14400, H6: 21600, H8: 28800, H12: 43200,
+  D: 86400, W: 604800
+};
+
+let scenario;
+let state;
+
+/**
+ * Load the scenario and reset all account/market state
+ */
+function reset() {
+  scenario = fs.existsSync(SCENARIO_FILE) ? JSON.parse(fs.readFileSync(SCENARIO_FILE, 'utf8')) : {};
+  const account = scenario.account || {};
+  const price = scenario.price || {};
+
+  state = {
+    accountId: account.id || process.env.OANDA_ACCOUNT_ID || '101-001-0000000-001',
+    currency: account.currency || 'USD',
+    balance: account.balance ?? 10000,
+    realizedPL: 0,
+    marginRate: account.marginRate ?? 0.05,
+    // Quote (USD) → account currency factor, e.g. 0.79 for a GBP account
+    homeConversion: account.homeConversion ?? 1,
+    instrument: scenario.instrument || 'XAU_USD',
+    spread: price.spread ?? 0.30,
+    trendPerHour: price.trendPerHour ?? 0,
+    path: price.path || null,
+    stepSeconds: price.stepSeconds ?? 1,
+    startPrice: price.start ?? 2000,
+    startTime: Date.now(),
+    mid: price.start ?? 2000,
+    priceHistory: [],
+    orderQueue: [...(scenario.orders || [])],
+    failures: (scenario.failures || []).map(f => ({ ...f, remaining: f.times ?? 1 })),
+    trades: new Map(),
+    orders: new Map(),
+    transactions: [],
+    lastTransactionId: 0
+  };
+  recordPrice();
+}
+
+// ─── Price model ────────────────────────────────────────────────────────────
+
+/**
+ * Deterministic hash noise in [-1, 1] - the same timestamp always gives the same value,
+ * so repeated candle requests for overlapping windows agree with each other.
+ */
+function noise(n) {
+  const x = Math.sin(n * 12.9898) * 43758.5453;
+  return (x - Math.floor(x)) * 2 - 1;
+}
+
+/**
+ * Synthetic price at time t (ms): trend + two cycles + noise, anchored so that
+ * syntheticPrice(startTime) === startPrice
+ */
+function syntheticPrice(t) {
+  const raw = (ts) => {
+    const hours = ts / 3600000;
+    return state.trendPerHour * hours +
+      12 * Math.sin(hours / 9) +
+      4 * Math.sin(hours / 1.7) +
+      0.8 * noise(Math.floor(ts / 60000));
+  };
+  return state.startPrice + raw(t) - raw(state.startTime);
+}
+
+function recordPrice() {
+  state.priceHistory.push({ time: Date.now(), mid: state.mid });
+  if (state.priceHistory.length > 20000) state.priceHistory.shift();
+}
+
+function currentQuote() {
+  const bid = state.mid - state.spread / 2;
+  const ask = state.mid + state.spread / 2;
+  return { bid: round(bid), ask: round(ask), mid: round(state.mid) };
+}
+
+function round(value, decimals = 3) {
+  const f = Math.pow(10, decimals);
+  return Math.round(value * f) / f;
+}
+
+function formatPrice(value) {
+  return value.toFixed(3);
+}
+
+// RFC3339 with nanosecond precision, as Oanda sends it
+function isoTime(ms = Date.now()) {
+  return new Date(ms).toISOString().replace('Z', '000000Z');
+}
+
+/**
+ * Advance the price one step: follow the scripted path if given, otherwise the synthetic model
+ */
+function stepPrice() {
+  if (state.path) {
+    const step = Math.floor((Date.now() - state.startTime) / (state.stepSeconds * 1000));
+    state.mid = state.path[Math.min(step, state.path.length - 1)];
+  } else {
+    state.mid = syntheticPrice(Date.now());
+  }
+  recordPrice();
+  onPriceChange();
+}
+
+// ─── Transactions ───────────────────────────────────────────────────────────
+
+const transactionListeners = new Set();
+const priceListeners = new Set();
+
+function addTransaction(fields) {
+  state.lastTransactionId++;
+  const tx = {
+    id: String(state.lastTransactionId),
+    accountID: state.accountId,
+    time: isoTime(),
+    ...fields
+  };
+  state.transactions.push(tx);
+  for (const send of transactionListeners) send(tx);
+  return tx;
+}
+
+// ─── Trades ─────────────────────────────────────────────────────────────────
+
+function tradeUnrealizedPL(trade) {
+  const quote = currentQuote();
+  const exit = trade.currentUnits > 0 ? quote.bid : quote.ask;
+  return (exit - trade.price) * trade.currentUnits * state.homeConversion;
+}
+
+function serializeTrade(trade) {
+  const out = {
+    id: trade.id,
+    instrument: trade.instrument,
+    price: formatPrice(trade.price),
+    openTime: trade.openTime,
+    initialUnits: String(trade.initialUnits),
+    currentUnits: String(trade.currentUnits),
+    state: trade.state,
+    realizedPL: trade.realizedPL.toFixed(4),
+    unrealizedPL: trade.state === 'OPEN' ? tradeUnrealizedPL(trade).toFixed(4) : '0.0000',
+    marginUsed: trade.state === 'OPEN' ? tradeMargin(trade).toFixed(4) : '0.0000'
+  };
+  if (trade.stopLossOrder) out.stopLossOrder = { ...trade.stopLossOrder, price: formatPrice(trade.stopLossOrder.price) };
+  if (trade.takeProfitOrder) out.takeProfitOrder = { ...trade.takeProfitOrder, price: formatPrice(trade.takeProfitOrder.price) };
+  if (trade.trailingStopLossOrder) {
+    const order = trade.trailingStopLossOrder;
+    out.trailingStopLossOrder = { ...order, distance: formatPrice(order.distance), trailingStopValue: formatPrice(order.trailingStopValue) };
+  }
+  if (trade.clientExtensions) out.clientExtensions = trade.clientExtensions;
+  if (trade.state === 'CLOSED') {
+    out.averageClosePrice = formatPrice(trade.averageClosePrice);
+    out.closeTime = trade.closeTime;
+    out.closingTransactionIDs = trade.closingTransactionIDs;
+  }
+  return out;
+}
+
+function tradeMargin(trade) {
+  return Math.abs(trade.currentUnits) * state.mid * state.marginRate * state.homeConversion;
+}
+
+function setDependentOrder(trade, kind, price) {
+  const key = kind === 'STOP_LOSS' ? 'stopLossOrder' : 'takeProfitOrder';
+  const existing = trade[key];
+  if (existing) {
+    existing.state = 'CANCELLED';
+    addTransaction({ type: 'ORDER_CANCEL', orderID: existing.id, reason: 'CLIENT_REQUEST_REPLACED' });
+  }
+  if (price === null) {
+    trade[key] = null;
+    return null;
+  }
+  const tx = addTransaction({
+    type: `${kind}_ORDER`,
+    tradeID: trade.id,
+    price: formatPrice(price),
+    timeInForce: 'GTC',
+    reason: existing ? 'REPLACEMENT' : 'ON_FILL'
+  });
+  trade[key] = { id: tx.id, type: kind, price, state: 'PENDING', timeInForce: 'GTC' };
+  return tx;
+}
+
+/**
+ * Trailing stop: same replace/cancel semantics as SL/TP, but carries a distance and a
+ * trigger (trailingStopValue) that ratchets behind the best exit price
+ */
+function setTrailingStopOrder(trade, distance) {
+  const existing = trade.trailingStopLossOrder;
+  if (existing) {
+    existing.state = 'CANCELLED';
+    addTransaction({ type: 'ORDER_CANCEL', orderID: existing.id, reason: 'CLIENT_REQUEST_REPLACED' });
+  }
+  if (distance === null) {
+    trade.trailingStopLossOrder = null;
+    return null;
+  }
+  const tx = addTransaction({
+    type: 'TRAILING_STOP_LOSS_ORDER',
+    tradeID: trade.id,
+    distance: formatPrice(distance),
+    timeInForce: 'GTC',
+    reason: existing ? 'REPLACEMENT' : 'ON_FILL'
+  });
+  trade.trailingStopLossOrder = { id: tx.id, type: 'TRAILING_STOP_LOSS', distance, trailingStopValue: null, state: 'PENDING', timeInForce: 'GTC' };
+  ratchetTrailingStop(trade);
+  return tx;
+}
+
+function ratchetTrailingStop(trade) {
+  const order = trade.trailingStopLossOrder;
+  if (!order || order.state !== 'PENDING') return null;
+  const quote = currentQuote();
+  const isLong = trade.currentUnits > 0;
+  const candidate = round(isLong ? quote.bid - order.distance : quote.ask + order.distance);
+  if (order.trailingStopValue === null || (isLong ? candidate > order.trailingStopValue : candidate < order.trailingStopValue)) {
+    order.trailingStopValue = candidate;
+  }
+  return order.trailingStopValue;
+}
+
+/**
+ * Close (part of) a trade at the given price and emit the ORDER_FILL
+ */
+function closeTrade(trade, units, price, reason) {
+  const closeUnits = Math.min(Math.abs(units), Math.abs(trade.currentUnits));
+  const direction = trade.currentUnits > 0 ? 1 : -1;
+  const pl = (price - trade.price) * closeUnits * direction * state.homeConversion;
+  const fullClose = closeUnits === Math.abs(trade.currentUnits);
+
+  const closedEntry = {
+    tradeID: trade.id,
+    units: String(-direction * closeUnits),
+    price: formatPrice(price),
+    realizedPL: pl.toFixed(4),
+    financing: '0.0000'
+  };
+
+  const fill = addTransaction({
+    type: 'ORDER_FILL',
+    orderID: String(state.lastTransactionId + 1),
+    instrument: trade.instrument,
+    units: String(-direction * closeUnits),
+    price: formatPrice(price),
+    pl: pl.toFixed(4),
+    accountBalance: (state.balance + pl).toFixed(4),
+    reason,
+    ...(fullClose ? { tradesClosed: [closedEntry] } : { tradeReduced: closedEntry })
+  });
+
+  state.balance += pl;
+  state.realizedPL += pl;
+  trade.realizedPL += pl;
+  trade.currentUnits -= direction * closeUnits;
+  trade.closingTransactionIDs.push(fill.id);
+
+  if (fullClose) {
+    trade.state = 'CLOSED';
+    trade.averageClosePrice = price;
+    trade.closeTime = fill.time;
+    for (const key of ['stopLossOrder', 'takeProfitOrder', 'trailingStopLossOrder']) {
+      const order = trade[key];
+      if (!order || order.state !== 'PENDING') continue;
+      const filledHere = (reason === 'STOP_LOSS_ORDER' && key === 'stopLossOrder') ||
+        (reason === 'TAKE_PROFIT_ORDER' && key === 'takeProfitOrder') ||
+        (reason === 'TRAILING_STOP_LOSS_ORDER' && key === 'trailingStopLossOrder');
+      order.state = filledHere ? 'FILLED' : 'CANCELLED';
+      if (!filledHere) {
+        addTransaction({ type: 'ORDER_CANCEL', orderID: order.id, reason: 'LINKED_TRADE_CLOSED' });
+      }
+    }
+  }
+
+  console.log(`💰 Trade ${trade.id} ${fullClose ? 'closed' : 'reduced'} ${closeUnits} units @ ${formatPrice(price)} (${reason}) P&L ${pl.toFixed(2)}`);
+  return fill;
+}
+
+/**
+ * Fire any stop loss / trailing stop / take profit the new price has crossed
+ */
+function onPriceChange() {
+  const quote = currentQuote();
+  checkPendingOrders(quote);
+  for (const trade of state.trades.values()) {
+    if (trade.state !== 'OPEN') continue;
+    const isLong = trade.currentUnits > 0;
+    const exitSide = isLong ? quote.bid : quote.ask;
+    const sl = trade.stopLossOrder?.price;
+    const tp = trade.takeProfitOrder?.price;
+    const tsl = ratchetTrailingStop(trade);
+
+    if (sl !== undefined && (isLong ? exitSide <= sl : exitSide >= sl)) {
+      closeTrade(trade, trade.currentUnits, exitSide, 'STOP_LOSS_ORDER');
+    } else if (tsl !== null && (isLong ? exitSide <= tsl : exitSide >= tsl)) {
+      closeTrade(trade, trade.currentUnits, exitSide, 'TRAILING_STOP_LOSS_ORDER');
+    } else if (tp !== undefined && (isLong ? exitSide >= tp : exitSide <= tp)) {
+      closeTrade(trade, trade.currentUnits, exitSide, 'TAKE_PROFIT_ORDER');
+    }
+  }
+
+  const message = pricingMessage();
+  for (const send of priceListeners) send(message);
+}
+
+// ─── Orders ─────────────────────────────────────────────────────────────────
+
+function cancelResponse(createTx, reason) {
+  const cancel = addTransaction({ type: 'ORDER_CANCEL', orderID: createTx.id, reason });
+  console.log(`❌ Order ${createTx.id} cancelled: ${reason}`);
+  return {
+    status: 201,
+    body: { orderCreateTransaction: createTx, orderCancelTransaction: cancel, relatedTransactionIDs: [createTx.id, cancel.id], lastTransactionID: cancel.id }
+  };
+}
+
+function placeOrder(body) {
+  const order = body.order || {};
+  if (order.type === 'LIMIT') return placeLimitOrder(order);
+  if (order.type !== 'MARKET') {
+    const reject = addTransaction({ type: 'MARKET_ORDER_REJECT', rejectReason: 'INVALID_ORDER_TYPE' });
+    return { status: 400, body: { orderRejectTransaction: reject, errorCode: 'INVALID_ORDER_TYPE', errorMessage: `Mock server only supports MARKET and LIMIT orders (got ${order.type})` } };
+  }
+
+  const outcome = state.orderQueue.length ? state.orderQueue.shift() : { outcome: 'FILL' };
+  const spec = typeof outcome === 'string' ? { outcome } : outcome;
+  const units = parseFloat(order.units);
+  const isLong = units > 0;
+
+  if (spec.outcome === 'REJECT') {
+    const reject = addTransaction({ type: 'MARKET_ORDER_REJECT', instrument: order.instrument, units: order.units, rejectReason: spec.rejectReason || 'INSUFFICIENT_MARGIN' });
+    console.log(`⛔ Order rejected: ${reject.rejectReason}`);
+    return { status: 400, body: { orderRejectTransaction: reject, errorCode: reject.rejectReason, errorMessage: `Order rejected: ${reject.rejectReason}` } };
+  }
+
+  const createTx = addTransaction({
+    type: 'MARKET_ORDER',
+    instrument: order.instrument,
+    units: order.units,
+    timeInForce: order.timeInForce || 'FOK',
+    positionFill: order.positionFill || 'DEFAULT',
+    priceBound: order.priceBound,
+    stopLossOnFill: order.stopLossOnFill,
+    takeProfitOnFill: order.takeProfitOnFill,
+    trailingStopLossOnFill: order.trailingStopLossOnFill,
+    clientExtensions: order.clientExtensions,
+    tradeClientExtensions: order.tradeClientExtensions,
+    reason: 'CLIENT_ORDER'
+  });
+
+  if (spec.outcome === 'FOK_CANCEL') return cancelResponse(createTx, spec.reason || 'INSUFFICIENT_LIQUIDITY');
+  if (spec.outcome === 'BOUNDS_VIOLATION') return cancelResponse(createTx, 'BOUNDS_VIOLATION');
+  if (spec.outcome === 'STOP_LOSS_ON_FILL_LOSS') return cancelResponse(createTx, 'STOP_LOSS_ON_FILL_LOSS');
+
+  // FILL - at the current ask (long) / bid (short), optionally slipped against us
+  const quote = currentQuote();
+  const slippage = spec.slippage || 0;
+  const fillPrice = round(isLong ? quote.ask + slippage : quote.bid - slippage);
+
+  // The same checks Oanda applies to a real fill
+  if (order.priceBound) {
+    const bound = parseFloat(order.priceBound);
+    if (isLong ? fillPrice > bound : fillPrice < bound) return cancelResponse(createTx, 'BOUNDS_VIOLATION');
+  }
+  const stopLoss = order.stopLossOnFill ? parseFloat(order.stopLossOnFill.price) : null;
+  const takeProfit = order.takeProfitOnFill ? parseFloat(order.takeProfitOnFill.price) : null;
+  if (stopLoss !== null && (isLong ? stopLoss >= fillPrice : stopLoss <= fillPrice)) {
+    return cancelResponse(createTx, 'STOP_LOSS_ON_FILL_LOSS');
+  }
+  if (takeProfit !== null && (isLong ? takeProfit <= fillPrice : takeProfit >= fillPrice)) {
+    return cancelResponse(createTx, 'TAKE_PROFIT_ON_FILL_LOSS');
+  }
+
+  const response = { orderCreateTransaction: createTx, ...openTrade(createTx, order, fillPrice, 'MARKET_ORDER', quote) };
+  response.relatedTransactionIDs = [createTx.id, response.orderFillTransaction.id];
+  response.lastTransactionID = String(state.lastTransactionId);
+
+  console.log(`✅ Order ${createTx.id} filled: ${order.units} @ ${formatPrice(fillPrice)} → trade ${response.orderFillTransaction.tradeOpened.tradeID}`);
+  return { status: 201, body: response };
+}
+
+/**
+ * Book an entry fill for a MARKET or LIMIT order: ORDER_FILL, the trade and its on-fill orders
+ */
+function openTrade(createTx, order, fillPrice, reason, quote) {
+  const units = parseFloat(order.units);
+  const fill = addTransaction({
+    type: 'ORDER_FILL',
+    orderID: createTx.id,
+    instrument: order.instrument,
+    units: order.units,
+    price: formatPrice(fillPrice),
+    pl: '0.0000',
+    accountBalance: state.balance.toFixed(4),
+    reason,
+    // Oanda numbers the trade after its opening fill
+    tradeOpened: { tradeID: String(state.lastTransactionId + 1), units: order.units, price: formatPrice(fillPrice) },
+    fullPrice: { bids: [{ price: formatPrice(quote.bid) }], asks: [{ price: formatPrice(quote.ask) }] }
+  });
+
+  const trade = {
+    id: fill.id,
+    instrument: order.instrument,
+    price: fillPrice,
+    openTime: fill.time,
+    initialUnits: units,
+    currentUnits: units,
+    state: 'OPEN',
+    realizedPL: 0,
+    stopLossOrder: null,
+    takeProfitOrder: null,
+    trailingStopLossOrder: null,
+    closingTransactionIDs: [],
+    clientExtensions: order.tradeClientExtensions
+  };
+  state.trades.set(trade.id, trade);
+
+  const result = { orderFillTransaction: fill };
+  if (order.stopLossOnFill) result.stopLossOrderTransaction = setDependentOrder(trade, 'STOP_LOSS', parseFloat(order.stopLossOnFill.price));
+  if (order.takeProfitOnFill) result.takeProfitOrderTransaction = setDependentOrder(trade, 'TAKE_PROFIT', parseFloat(order.takeProfitOnFill.price));
+  if (order.trailingStopLossOnFill) {
+    result.trailingStopLossOrderTransaction = setTrailingStopOrder(trade, parseFloat(order.trailingStopLossOnFill.distance));
+  }
+  return result;
+}
+
+/**
+ * LIMIT entry: validated like Oanda (on-fill SL must sit beyond the limit price), then
+ * filled straight away if marketable, otherwise left resting for checkPendingOrders()
+ */
+function placeLimitOrder(order) {
+  const price = parseFloat(order.price);
+  const units = parseFloat(order.units);
+  const isLong = units > 0;
+  const createTx = addTransaction({
+    type: 'LIMIT_ORDER',
+    instrument: order.instrument,
+    units: order.units,
+    price: order.price,
+    timeInForce: order.timeInForce || 'GTC',
+    gtdTime: order.gtdTime,
+    positionFill: order.positionFill || 'DEFAULT',
+    triggerCondition: order.triggerCondition || 'DEFAULT',
+    stopLossOnFill: order.stopLossOnFill,
+    takeProfitOnFill: order.takeProfitOnFill,
+    trailingStopLossOnFill: order.trailingStopLossOnFill,
+    clientExtensions: order.clientExtensions,
+    tradeClientExtensions: order.tradeClientExtensions,
+    reason: 'CLIENT_ORDER'
+  });
+
+  const stopLoss = order.stopLossOnFill ? parseFloat(order.stopLossOnFill.price) : null;
+  if (stopLoss !== null && (isLong ? stopLoss >= price : stopLoss <= price)) {
+    return cancelResponse(createTx, 'STOP_LOSS_ON_FILL_LOSS');
+  }
+
+  state.orders.set(createTx.id, { ...order, id: createTx.id, type: 'LIMIT', state: 'PENDING', createTime: createTx.time });
+  console.log(`📌 Limit order ${createTx.id} resting: ${order.units} @ ${order.price}${order.gtdTime ? ` until ${order.gtdTime}` : ''}`);
+
+  checkPendingOrders(currentQuote());
+  const pending = state.orders.get(createTx.id);
+  const response = { orderCreateTransaction: createTx, relatedTransactionIDs: [createTx.id] };
+  if (pending.state === 'FILLED') {
+    const fill = state.transactions.find(tx => tx.id === pending.fillingTransactionID);
+    response.orderFillTransaction = fill;
+    response.relatedTransactionIDs.push(fill.id);
+  }
+  response.lastTransactionID = String(state.lastTransactionId);
+  return { status: 201, body: response };
+}
+
+/**
+ * Fill resting limits the quote has reached (at the limit or better) and expire GTD ones
+ */
+function checkPendingOrders(quote) {
+  const now = Date.now();
+  for (const order of state.orders.values()) {
+    if (order.state !== 'PENDING') continue;
+
+    if (order.timeInForce === 'GTD' && order.gtdTime && now >= Date.parse(order.gtdTime)) {
+      cancelPendingOrder(order, 'TIME_IN_FORCE_EXPIRED');
+      continue;
+    }
+
+    const limit = parseFloat(order.price);
+    const isLong = parseFloat(order.units) > 0;
+    const entrySide = isLong ? quote.ask : quote.bid;
+    if (isLong ? entrySide > limit : entrySide < limit) continue;
+
+    const fillPrice = round(isLong ? Math.min(limit, entrySide) : Math.max(limit, entrySide));
+    const { orderFillTransaction: fill } = openTrade(order, order, fillPrice, 'LIMIT_ORDER', quote);
+    order.state = 'FILLED';
+    order.fillingTransactionID = fill.id;
+    order.tradeOpenedID = fill.tradeOpened.tradeID;
+    console.log(`✅ Limit order ${order.id} filled: ${order.units} @ ${formatPrice(fillPrice)} → trade ${order.tradeOpenedID}`);
+  }
+}
+
+function cancelPendingOrder(order, reason) {
+  const cancel = addTransaction({ type: 'ORDER_CANCEL', orderID: order.id, reason });
+  order.state = 'CANCELLED';
+  order.cancellingTransactionID = cancel.id;
+  order.cancelledTime = cancel.time;
+  console.log(`❌ Limit order ${order.id} cancelled: ${reason}`);
+  return cancel;
+}
+
+function serializeOrder(order) {
+  return {
+    id: order.id,
+    type: order.type,
+    instrument: order.instrument,
+    units: order.units,
+    price: order.price,
+    timeInForce: order.timeInForce || 'GTC',
+    gtdTime: order.gtdTime,
+    state: order.state,
+    createTime: order.createTime,
+    stopLossOnFill: order.stopLossOnFill,
+    takeProfitOnFill: order.takeProfitOnFill,
+    trailingStopLossOnFill: order.trailingStopLossOnFill,
+    fillingTransactionID: order.fillingTransactionID,
+    tradeOpenedID: order.tradeOpenedID,
+    cancellingTransactionID: order.cancellingTransactionID,
+    cancelledTime: order.cancelledTime,
+    clientExtensions: order.clientExtensions,
+    tradeClientExtensions: order.tradeClientExtensions
+  };
+}
+
+/**
+ * Order by ID or @clientOrderId. Market orders aren't kept in state.orders (they never
+ * rest), so those are rebuilt from their transactions.
+ */
+function findOrder(specifier) {
+  if (!specifier.startsWith('@')) return state.orders.get(specifier) || null;
+
+  const clientId = decodeURIComponent(specifier.slice(1));
+  const createTx = state.transactions.find(tx => tx.type.endsWith('_ORDER') && tx.clientExtensions?.id === clientId);
+  if (!createTx) return null;
+  if (state.orders.has(createTx.id)) return state.orders.get(createTx.id);
+
+  const fill = state.transactions.find(tx => tx.type === 'ORDER_FILL' && tx.orderID === createTx.id);
+  const cancel = state.transactions.find(tx => tx.type === 'ORDER_CANCEL' && tx.orderID === createTx.id);
+  return {
+    ...createTx,
+    type: 'MARKET',
+    state: fill ? 'FILLED' : cancel ? 'CANCELLED' : 'PENDING',
+    createTime: createTx.time,
+    fillingTransactionID: fill?.id,
+    tradeOpenedID: fill?.tradeOpened?.tradeID,
+    cancellingTransactionID: cancel?.id,
+    cancelledTime: cancel?.time
+  };
+}
+
+// ─── Candles ────────────────────────────────────────────────────────────────
+
+function buildCandles(query) {
+  const granularity = query.get('granularity') || 'S5';
+  const seconds = GRANULARITY_SECONDS[granularity];
+  if (!seconds) return null;
+  const stepMs = seconds * 1000;
+  const priceComponents = (query.get('price') || 'M').split('');
+  const now = Date.now();
+
+  let count = parseInt(query.get('count') || '500');
+  let fromMs = query.get('from') ? Date.parse(query.get('from')) : null;
+  const toMs = query.get('to') ? Math.min(Date.parse(query.get('to')), now) : now;
+  if (fromMs !== null && !query.get('count')) {
+    count = Math.min(5000, Math.ceil((toMs - fromMs) / stepMs));
+  }
+  const lastStart = Math.floor(toMs / stepMs) * stepMs;
+  const firstStart = fromMs !== null ? Math.ceil(fromMs / stepMs) * stepMs : lastStart - (count - 1) * stepMs;
+
+  const candles = [];
+  for (let start = firstStart; start <= lastStart && candles.length < count; start += stepMs) {
+    const end = start + stepMs;
+    const complete = end <= now;
+    const ohlc = candleOHLC(start, Math.min(end, now), stepMs);
+    const candle = { time: isoTime(start), volume: 100 + Math.floor(Math.abs(noise(start / stepMs)) * 900), complete };
+    const fmt = (o) => ({ o: formatPrice(o.o), h: formatPrice(o.h), l: formatPrice(o.l), c: formatPrice(o.c) });
+    const offset = (delta) => ({ o: ohlc.o + delta, h: ohlc.h + delta, l: ohlc.l + delta, c: ohlc.c + delta });
+    if (priceComponents.includes('M')) candle.mid = fmt(ohlc);
+    if (priceComponents.includes('B')) candle.bid = fmt(offset(-state.spread / 2));
+    if (priceComponents.includes('A')) candle.ask = fmt(offset(state.spread / 2));
+    candles.push(candle);
+  }
+  return { instrument: state.instrument, granularity, candles };
+}
+
+/**
+ * OHLC for one candle window: recorded live prices where we have them (so the current
+ * candle matches what the pricing endpoints served), the synthetic model before that
+ */
+function candleOHLC(startMs, endMs, stepMs) {
+  const samples = [];
+  const sampleCount = Math.min(30, Math.max(4, Math.round(stepMs / 60000)));
+  for (let i = 0; i <= sampleCount; i++) {
+    const t = startMs + ((endMs - startMs) * i) / sampleCount;
+    if (t >= state.startTime) break;
+    samples.push(syntheticPrice(t));
+  }
+  for (const p of state.priceHistory) {
+    if (p.time >= startMs && p.time < endMs) samples.push(p.mid);
+  }
+  if (!samples.length) samples.push(state.mid);
+  return {
+    o: samples[0],
+    h: Math.max(...samples),
+    l: Math.min(...samples),
+    c: samples[samples.length - 1]
+  };
+}
+
+// ─── Account ────────────────────────────────────────────────────────────────
+
+function accountSummary() {
+  const open = [...state.trades.values()].filter(t => t.state === 'OPEN');
+  const unrealizedPL = open.reduce((sum, t) => sum + tradeUnrealizedPL(t), 0);
+  const marginUsed = open.reduce((sum, t) => sum + tradeMargin(t), 0);
+  const nav = state.balance + unrealizedPL;
+  return {
+    id: state.accountId,
+    alias: 'Mock v20',
+    currency: state.currency,
+    balance: state.balance.toFixed(4),
+    NAV: nav.toFixed(4),
+    pl: state.realizedPL.toFixed(4),
+    unrealizedPL: unrealizedPL.toFixed(4),
+    marginRate: String(state.marginRate),
+    marginUsed: marginUsed.toFixed(4),
+    marginAvailable: (nav - marginUsed).toFixed(4),
+    openTradeCount: open.length,
+    openPositionCount: open.length ? 1 : 0,
+    pendingOrderCount: 0,
+    lastTransactionID: String(state.lastTransactionId)
+  };
+}
+
+/**
+ * v20 Instrument definition for the scenario's instrument (gold-shaped by default)
+ */
+function instrumentDefinition() {
+  return {
+    name: state.instrument,
+    type: 'METAL',
+    displayName: state.instrument.replace('_', '/'),
+    pipLocation: -2,
+    displayPrecision: 3,
+    tradeUnitsPrecision: 0,
+    minimumTradeSize: '1',
+    maximumTrailingStopDistance: '1000.000',
+    minimumTrailingStopDistance: '0.050',
+    maximumPositionSize: '0',
+    maximumOrderUnits: '100000',
+    marginRate: String(state.marginRate),
+    ...(scenario.instrumentSpec || {})
+  };
+}
+
+function pricingMessage() {
+  const quote = currentQuote();
+  return {
+    type: 'PRICE',
+    instrument: state.instrument,
+    time: isoTime(),
+    tradeable: true,
+    bids: [{ price: formatPrice(quote.bid), liquidity: 250 }],
+    asks: [{ price: formatPrice(quote.ask), liquidity: 250 }],
+    closeoutBid: formatPrice(quote.bid),
+    closeoutAsk: formatPrice(quote.ask),
+    quoteHomeConversionFactors: {
+      positiveUnits: String(state.homeConversion),
+      negativeUnits: String(state.homeConversion)
+    }
+  };
+}
+
+function openPositions() {
+  const open = [...state.trades.values()].filter(t => t.state === 'OPEN');
+  if (!open.length) return [];
+  const side = (trades) => {
+    const units = trades.reduce((sum, t) => sum + t.currentUnits, 0);
+    if (!units) return { units: '0', unrealizedPL: '0.0000' };
+    const avg = trades.reduce((sum, t) => sum + t.price * t.currentUnits, 0) / units;
+    return {
+      units: String(units),
+      averagePrice: formatPrice(avg),
+      tradeIDs: trades.map(t => t.id),
+      unrealizedPL: trades.reduce((sum, t) => sum + tradeUnrealizedPL(t), 0).toFixed(4)
+    };
+  };
+  return [{
+    instrument: state.instrument,
+    pl: state.realizedPL.toFixed(4),
+    long: side(open.filter(t => t.currentUnits > 0)),
+    short: side(open.filter(t => t.currentUnits < 0))
+  }];
+}
+
+// ─── HTTP ───────────────────────────────────────────────────────────────────
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch {
+        resolve(null);
+      }
+    });
+  });
+}
+
+/**
+ * Hold the connection open and write newline-delimited JSON, with heartbeats
+ */
+function openStream(req, res, listeners, heartbeat) {
+  res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Transfer-Encoding': 'chunked' });
+  const write = (message) => res.write(JSON.stringify(message) + '\n');
+  listeners.add(write);
+  const timer = setInterval(() => write(heartbeat()), HEARTBEAT_MS);
+  write(heartbeat());
+  req.on('close', () => {
+    clearInterval(timer);
+    listeners.delete(write);
+  });
+  return write;
+}
+
+function injectedFailure(pathname) {
+  const failure = state.failures.find(f => f.remaining > 0 && pathname.includes(f.match));
+  if (!failure) return null;
+  failure.remaining--;
+  return failure;
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const parts = url.pathname.split('/').filter(Boolean);
+
+  // Control endpoints - no auth
+  if (parts[0] === 'mock') {
+    const body = req.method === 'POST' ? await readBody(req) : {};
+    switch (parts[1]) {
+      case 'state':
+        return send(res, 200, {
+          account: accountSummary(),
+          price: currentQuote(),
+          trades: [...state.trades.values()].map(serializeTrade),
+          orderQueue: state.orderQueue,
+          transactions: state.transactions.length
+        });
+      case 'price':
+        // Hold at the new price until the next jump or reset
+        state.path = [parseFloat(body.mid)];
+        state.mid = parseFloat(body.mid);
+        recordPrice();
+        onPriceChange();
+        return send(res, 200, currentQuote());
+      case 'orders':
+        state.orderQueue.push(...(Array.isArray(body) ? body : [body]));
+        return send(res, 200, { orderQueue: state.orderQueue });
+      case 'fail':
+        state.failures.push({ ...body, remaining: body.times ?? 1 });
+        return send(res, 200, { failures: state.failures });
+      case 'reset':
+        reset();
+        return send(res, 200, { reset: true });
+      default:
+        return send(res, 404, { errorMessage: `Unknown control endpoint ${url.pathname}` });
+    }
+  }
+
+  if (!req.headers.authorization?.startsWith('Bearer ')) {
+    return send(res, 401, { errorMessage: 'Insufficient authorization to perform request.' });
+  }
+
+  const failure = injectedFailure(url.pathname);
+  if (failure && !failure.afterProcessing) {
+    console.log(`💥 Injected ${failure.status} for ${req.method} ${url.pathname}`);
+    return send(res, failure.status, { errorMessage: failure.message || `Injected failure (${failure.status})` });
+  }
+  if (failure) {
+    // Let the request take effect but swap its response for the failure - what a client
+    // sees when Oanda accepted the request and the response timed out on the way back
+    console.log(`💥 Injected ${failure.status} after processing ${req.method} ${url.pathname}`);
+    const realRes = res;
+    res = {
+      writeHead() {},
+      end() { send(realRes, failure.status, { errorMessage: failure.message || `Injected failure (${failure.status})` }); }
+    };
+  }
+
+  // /v3/instruments/:instrument/candles
+  if (parts[1] === 'instruments' && parts[3] === 'candles') {
+    const candles = buildCandles(url.searchParams);
+    return candles ? send(res, 200, candles) : send(res, 400, { errorMessage: 'Invalid value specified for \'granularity\'' });
+  }
+
+  if (parts[1] !== 'accounts' || !parts[2]) {
+    return send(res, 404, { errorMessage: `The requested URL ${url.pathname} was not found` });
+  }
+  if (parts[2] !== state.accountId) {
+    return send(res, 400, { errorMessage: 'Invalid value specified for \'accountID\'' });
+  }
+
+  const resource = parts.slice(3);
+  const route = `${req.method} ${resource.map((p, i) => (i === 1 && ['trades', 'positions', 'orders'].includes(resource[0]) ? ':id' : p)).join('/')}`;
+  const body = ['POST', 'PUT'].includes(req.method) ? await readBody(req) : null;
+  if (body === null && ['POST', 'PUT'].includes(req.method)) {
+    return send(res, 400, { errorMessage: 'Invalid JSON body' });
+  }
+
+  switch (route) {
+    case 'GET summary':
+      return send(res, 200, { account: accountSummary(), lastTransactionID: String(state.lastTransactionId) });
+
+    case 'GET instruments':
+      return send(res, 200, { instruments: [instrumentDefinition()], lastTransactionID: String(state.lastTransactionId) });
+
+    case 'GET pricing':
+      return send(res, 200, { prices: [pricingMessage()], time: isoTime() });
+
+    case 'GET pricing/stream':
+      return openStream(req, res, priceListeners, () => ({ type: 'HEARTBEAT', time: isoTime() }));
+
+    case 'GET transactions/stream':
+      return openStream(req, res, transactionListeners, () => ({
+        type: 'HEARTBEAT', time: isoTime(), lastTransactionID: String(state.lastTransactionId)
+      }));
+
+    case 'POST orders': {
+      const result = placeOrder(body);
+      return send(res, result.status, result.body);
+    }
+
+    case 'GET orders/:id': {
+      const order = findOrder(resource[1]);
+      return order
+        ? send(res, 200, { order: serializeOrder(order), lastTransactionID: String(state.lastTransactionId) })
+        : send(res, 404, { errorCode: 'NO_SUCH_ORDER', errorMessage: 'The order ID specified does not exist' });
+    }
+
+    case 'PUT orders/:id/cancel': {
+      const order = state.orders.get(resource[1]);
+      if (!order) return send(res, 404, { errorCode: 'NO_SUCH_ORDER', errorMessage: 'The order ID specified does not exist' });
+      if (order.state !== 'PENDING') {
+        return send(res, 404, { errorCode: 'ORDER_DOESNT_EXIST', errorMessage: `The order is ${order.state}, not pending` });
+      }
+      const cancel = cancelPendingOrder(order, 'CLIENT_REQUEST');
+      return send(res, 200, { orderCancelTransaction: cancel, relatedTransactionIDs: [cancel.id], lastTransactionID: String(state.lastTransactionId) });
+    }
+
+    case 'GET openTrades':
+      return send(res, 200, {
+        trades: [...state.trades.values()].filter(t => t.state === 'OPEN').map(serializeTrade),
+        lastTransactionID: String(state.lastTransactionId)
+      });
+
+    case 'GET openPositions':
+      return send(res, 200, { positions: openPositions(), lastTransactionID: String(state.lastTransactionId) });
+
+    case 'GET trades/:id': {
+      const trade = state.trades.get(resource[1]);
+      return trade
+        ? send(res, 200, { trade: serializeTrade(trade), lastTransactionID: String(state.lastTransactionId) })
+        : send(res, 404, { errorMessage: `The trade ID specified does not exist` });
+    }
+
+    case 'PUT trades/:id/orders': {
+      const trade = state.trades.get(resource[1]);
+      if (!trade || trade.state !== 'OPEN') return send(res, 404, { errorMessage: 'The trade ID specified does not exist' });
+      const response = { lastTransactionID: null };
+      const quote = currentQuote();
+      const exitSide = trade.currentUnits > 0 ? quote.bid : quote.ask;
+      if (body.stopLoss !== undefined) {
+        const price = body.stopLoss === null ? null : parseFloat(body.stopLoss.price);
+        // A stop on the wrong side of the market is rejected just like Oanda does
+        if (price !== null && (trade.currentUnits > 0 ? price >= exitSide : price <= exitSide)) {
+          return send(res, 400, { errorCode: 'STOP_LOSS_ON_FILL_LOSS', errorMessage: 'The Stop Loss price would close the trade at a loss immediately' });
+        }
+        response.stopLossOrderTransaction = setDependentOrder(trade, 'STOP_LOSS', price);
+      }
+      if (body.takeProfit !== undefined) {
+        const price = body.takeProfit === null ? null : parseFloat(body.takeProfit.price);
+        response.takeProfitOrderTransaction = setDependentOrder(trade, 'TAKE_PROFIT', price);
+      }
+      if (body.trailingStopLoss !== undefined) {
+        const distance = body.trailingStopLoss === null ? null : parseFloat(body.trailingStopLoss.distance);
+        response.trailingStopLossOrderTransaction = setTrailingStopOrder(trade, distance);
+      }
+      response.lastTransactionID = String(state.lastTransactionId);
+      onPriceChange();
+      return send(res, 200, response);
+    }
+
+    case 'PUT trades/:id/close': {
+      const trade = state.trades.get(resource[1]);
+      if (!trade || trade.state !== 'OPEN') return send(res, 404, { errorMessage: 'The trade ID specified does not exist' });
+      const units = !body.units || body.units === 'ALL' ? trade.currentUnits : parseFloat(body.units);
+      const quote = currentQuote();
+      const fill = closeTrade(trade, units, trade.currentUnits > 0 ? quote.bid : quote.ask, 'MARKET_ORDER_TRADE_CLOSE');
+      return send(res, 200, { orderFillTransaction: fill, lastTransactionID: String(state.lastTransactionId) });
+    }
+
+    case 'PUT positions/:id/close': {
+      const response = { lastTransactionID: null };
+      const quote = currentQuote();
+      for (const trade of [...state.trades.values()].filter(t => t.state === 'OPEN')) {
+        const isLong = trade.currentUnits > 0;
+        if ((isLong && body.longUnits) || (!isLong && body.shortUnits)) {
+          const fill = closeTrade(trade, trade.currentUnits, isLong ? quote.bid : quote.ask, 'MARKET_ORDER_POSITION_CLOSEOUT');
+          response[isLong ? 'longOrderFillTransaction' : 'shortOrderFillTransaction'] = fill;
+        }
+      }
+      response.lastTransactionID = String(state.lastTransactionId);
+      return send(res, 200, response);
+    }
+
+    case 'GET transactions/idrange': {
+      const from = parseInt(url.searchParams.get('from'));
+      const to = parseInt(url.searchParams.get('to'));
+      return send(res, 200, {
+        transactions: state.transactions.filter(tx => parseInt(tx.id) >= from && parseInt(tx.id) <= to),
+        lastTransactionID: String(state.lastTransactionId)
+      });
+    }
+
+    case 'GET transactions/sinceid': {
+      const since = parseInt(url.searchParams.get('id'));
+      return send(res, 200, {
+        transactions: state.transactions.filter(tx => parseInt(tx.id) > since),
+        lastTransactionID: String(state.lastTransactionId)
+      });
+    }
+
+    default:
+      return send(res, 404, { errorMessage: `Mock server does not implement ${req.method} ${url.pathname}` });
+  }
+}
+
+reset();
+
+const server = http.createServer((req, res) => {
+  handle(req, res).catch(error => {
+    console.error(`Mock server error: ${error.stack}`);
+    send(res, 500, { errorMessage: error.message });
+  });
+});
+
+const priceTimer = setInterval(stepPrice, state.stepSeconds * 1000);
+
+server.listen(PORT, () => {
+  console.log('═'.repeat(60));
+  console.log(`🧪 Mock Oanda v20 server listening on http://localhost:${PORT}`);
+  console.log(`📄 Scenario: ${fs.existsSync(SCENARIO_FILE) ? SCENARIO_FILE : '(built-in defaults)'}`);
+  console.log(`🏦 Account: ${state.accountId} (${state.currency} ${state.balance})`);
+  console.log(`📊 ${state.instrument} @ ${formatPrice(state.mid)}, spread ${state.spread}`);
+  console.log(`📋 Queued order outcomes: ${state.orderQueue.length ? state.orderQueue.map(o => o.outcome || o).join(', ') : 'none (all orders fill)'}`);
+  console.log('═'.repeat(60));
+  console.log(`Point the bot at it: OANDA_API_HOST=http://localhost:${PORT}`);
+});
+
+const shutdown = () => {
+  clearInterval(priceTimer);
+  server.close();
+  server.closeAllConnections?.();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
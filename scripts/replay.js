@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+/**
+ * Replay: run the real GoldTradingBot over recorded candles
+ *
+ * Unlike the backtest engines, nothing here re-implements the bot: scanMarket, the
+ * realtime breakout check, monitorPositions and executeTrade all run unchanged against a
+ * PaperBroker whose market data is the candle store played back in simulated time
+ * (src/replay_market.js, src/clock.js). M5 bars are played as four quotes each; per quote
+ * the paper broker fills stops/targets/limit entries and the realtime check sees it as a
+ * streamed tick. Scans, position monitoring and the daily reset are the bot's own
+ * scheduler jobs, fast-forwarded through replayed time.
+ *
+ * Every file the bot writes goes to the output directory (DATA_DIR), so a replay never
+ * touches the live bot's state:
+ *   tracker_data.json  - StrategyTracker file, same shape as production (the summary
+ *                        splits its trades by market regime too)
+ *   trades.json        - every trade the paper account opened, as v20 Trades (getTrade())
+ *   plus active_positions.json, paper_account.json, trading_stats.json, ...
+ *
+ * Needs H4/H1/M15/M5 in the candle store, with ~200 bars of TIMEFRAME history before
+ * `from` (node backtest_fetch_candles.js). Strategy settings come from .env as usual;
+ * with AVOID_MAJOR_NEWS the news blackouts come from data/news_calendar.csv (or
+ * NEWS_CALENDAR_FILE).
+ *
+ * Usage: node scripts/replay.js <fromISO> [toISO] [outdir]
+ *   toISO  - defaults to the last stored M5 bar
+ *   outdir - defaults to data/replays/<from>_<to>; must be empty or missing
+ * REPLAY_LOG_LEVEL (default warn) sets the bot's log level for the run.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FROM = process.argv[2];
+const TO = process.argv[3];
+const OUT = process.argv[4];
+
+if (!FROM || isNaN(Date.parse(FROM)) || (TO && isNaN(Date.parse(TO)))) {
+  console.error('Usage: node scripts/replay.js <fromISO> [toISO] [outdir]');
+  process.exit(1);
+}
+
+// The recorded candles live in the normal data directory - resolve it before DATA_DIR
+// is pointed at the replay's output
+const LIVE_DATA_DIR = process.env.DATA_DIR || (process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..', 'data'));
+const CANDLE_DIR = path.join(LIVE_DATA_DIR, 'candles');
+
+const from = new Date(FROM);
+const to = TO ? new Date(TO) : null;
+const outDir = path.resolve(OUT || path.join(LIVE_DATA_DIR, 'replays', `${FROM}_${TO || 'latest'}`.replace(/[^A-Za-z0-9_-]+/g, '-')));
+
+if (fs.existsSync(outDir) && fs.readdirSync(outDir).length > 0) {
+  // The bot would load the previous run's positions, cooldown and tracker as its own
+  console.error(`Output directory ${outDir} is not empty - choose another or delete it`);
+  process.exit(1);
+}
+
+// Must be set before src/ is imported: modules resolve DATA_DIR and read Config on load
+process.env.DATA_DIR = outDir;
+// The news calendar is input, like the candles - read the live one unless told otherwise
+process.env.NEWS_CALENDAR_FILE ||= path.join(LIVE_DATA_DIR, 'news_calendar.csv');
+process.env.ENABLE_TELEGRAM = 'false';
+process.env.LOG_LEVEL = process.env.REPLAY_LOG_LEVEL || 'warn';
+// One instrument per replay - the first of INSTRUMENTS, with its overrides
+process.env.INSTRUMENTS = (process.env.INSTRUMENTS || process.env.TRADING_SYMBOL || 'XAU_USD').split(',')[0].trim();
+
+const { default: Config } = await import('../src/config.js');
+const { default: logger } = await import('../src/logger.js');
+const { default: clock } = await import('../src/clock.js');
+const { default: CandleStore } = await import('../src/candle_store.js');
+const { default: ReplayMarket } = await import('../src/replay_market.js');
+const { default: PaperBroker } = await import('../src/paper_broker.js');
+const { default: GoldTradingBot } = await import('../src/index.js');
+
+// Let the fill handlers (finalizeClosedTrade etc.) finish before the next quote - they
+// only await the in-process paper broker, so one macrotask turn drains them
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+async function main() {
+  const instrument = Config.TRADING_SYMBOL;
+  // The paper account books P&L in the quote currency into a USD balance
+  if (!instrument.endsWith('_USD')) {
+    throw new Error(`Replays only run USD-quoted instruments (got ${instrument})`);
+  }
+  const market = new ReplayMarket(logger, new CandleStore(logger, null, CANDLE_DIR));
+  const bars = market.bars(instrument, from, to);
+  if (bars.length === 0) {
+    throw new Error(`No stored ${instrument} ${market.baseGranularity} candles from ${from.toISOString()} in ${CANDLE_DIR}`);
+  }
+  const end = bars[bars.length - 1].time;
+  console.log(`▶️  Replaying ${Config.STRATEGY_TYPE} on ${instrument}: ${bars[0].time.toISOString()} → ${end.toISOString()} (${bars.length} ${market.baseGranularity} bars)`);
+  console.log(`📁 Output: ${outDir}`);
+
+  // The bot is built in replayed time, so nothing it stamps on startup is from today
+  clock.set(bars[0].time);
+  const broker = new PaperBroker(logger, market);
+  const bot = new GoldTradingBot({ broker, candleSource: broker });
+
+  // Wire the bot as start() does, minus Oanda, Telegram, streams and timers
+  await bot.riskManager.syncBalance();
+  bot.subscribeToTransactions(broker);
+  bot.isRunning = true;
+  bot.startTime = clock.now();
+
+  const trades = new Map(); // tradeId → v20 Trade
+  broker.on('transaction', (transaction) => {
+    if (transaction.tradeOpened) trades.set(transaction.tradeOpened.tradeID, null);
+  });
+  broker.on('tradeClosed', async (fill) => {
+    trades.set(fill.tradeId, await broker.getTrade(fill.tradeId));
+  });
+
+  // The bot's own scan, monitor and daily-reset jobs, run on the replay's clock
+  bot.scheduleJobs();
+  let month = null;
+  let first = true;
+
+  for (const bar of bars) {
+    for (const quote of market.quotes(instrument, bar)) {
+      // Jobs that fell due since the last quote run at their own times first
+      await bot.scheduler.advanceTo(quote.time);
+      market.play(quote, bar);
+
+      const today = quote.time.toISOString().slice(0, 10);
+      if (today.slice(0, 7) !== month) {
+        month = today.slice(0, 7);
+        console.log(`📅 ${month}  balance $${broker.balance.toFixed(2)}  trades ${trades.size}`);
+      }
+
+      // Streamed tick: paper stops/targets/limit entries first, then the realtime check
+      broker.onPrice(quote);
+      await settle();
+      await bot.onPriceTick(quote);
+
+      // start() scans once straight away, then on the interval
+      if (first) {
+        await bot.scheduler.runNow('scan');
+        first = false;
+      }
+      await settle();
+    }
+  }
+
+  // Trades still open at the end are reported as they stand
+  for (const [tradeId, trade] of trades) {
+    if (!trade) trades.set(tradeId, await broker.getTrade(tradeId));
+  }
+  broker.stop();
+  bot.tracker.save();
+
+  const tradeList = [...trades.values()].filter(Boolean);
+  fs.writeFileSync(path.join(outDir, 'trades.json'), JSON.stringify(tradeList, null, 2));
+
+  const closed = tradeList.filter(t => t.state === 'CLOSED');
+  const wins = closed.filter(t => parseFloat(t.realizedPL) > 0).length;
+  const pl = closed.reduce((sum, t) => sum + parseFloat(t.realizedPL), 0);
+  console.log('');
+  console.log(`✅ Replay finished: ${closed.length} closed trade(s), ${tradeList.length - closed.length} open`);
+  console.log(`   Win rate ${closed.length ? (wins / closed.length * 100).toFixed(1) : '0.0'}%, P&L $${pl.toFixed(2)}, balance $${broker.balance.toFixed(2)}`);
+  console.log(bot.tracker.formatReport(bot.tracker.getComparisonReport()));
+  for (const dimension of ['trend', 'volatility', 'session', 'htf']) {
+    console.log(bot.tracker.formatRegimeReport(bot.tracker.getRegimeReport(dimension)));
+  }
+  console.log(`📁 ${path.join(outDir, 'trades.json')}`);
+  console.log(`📁 ${path.join(outDir, 'tracker_data.json')}`);
+}
+
+main().then(() => process.exit(0)).catch(error => {
+  console.error(`Replay failed: ${error.message}`);
+  console.error(error.stack);
+  process.exit(1);
+});
@@ -15,12 +15,17 @@
  * - After primary breakout, wait for entry TF pullback to EMA20 or pullback target
  * - Enter on entry TF confirmation candle (bullish for longs, bearish for shorts)
  * - Better entry = tighter stop loss = higher win rate
+ * - MTF_LIMIT_ENTRY: skip the wait - return a limitEntry at the pullback level and let
+ *   the bot rest a LIMIT order there (no chasing, no slippage)
  *
  * Common configurations:
  * - H4 primary + H1 entry: Swing trading (6 signals/day max)
  * - H1 primary + M15 entry: Active trading (24 signals/day max)
  */
 import Config from './config.js';
+import Strategy from './strategy.js';
+import instruments from './instruments.js';
+import clock from './clock.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -29,17 +34,24 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // State file path - use /app/data in Docker, ./data locally
-const DATA_DIR = process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..', 'data');
-const STATE_FILE = path.join(DATA_DIR, 'breakout_adx_state.json');
+const DATA_DIR = process.env.DATA_DIR || (process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..', 'data'));
+const STATE_FILE = 'breakout_adx_state.json'; // the first instrument's - see Config.instrumentFile
 
 // Strategy parameters (now configurable via Config)
 const ADX_MIN = 35;            // Minimum ADX for trending market (raised from 25 - only trade strong trends)
 const FAKEOUT_COOLDOWN_MINUTES = 15; // After momentum filter rejects a breakout as fakeout, ignore same direction for this long
-
-class BreakoutADXStrategy {
-  constructor(logger, technicalAnalysis) {
-    this.logger = logger;
-    this.ta = technicalAnalysis;
+// Minimum entry improvement over the breakout price - rejects "fake pullbacks" where the M15
+// wick touched the target but the close is right back at the breakout level ($0.00 improvement).
+// Trade 758: M15 low hit target but close = breakout price, entered with no improvement, lost in 2 min
+const MIN_ENTRY_IMPROVEMENT_PIPS = 20; // $0.20 on gold
+
+class BreakoutADXStrategy extends Strategy {
+  static type = 'breakout_adx';
+  static label = 'Breakout + ADX';
+
+  constructor(logger, technicalAnalysis, instrument) {
+    super(logger, technicalAnalysis, instrument);
+    this.stateFile = path.join(DATA_DIR, Config.instrumentFile(STATE_FILE, this.instrument));
     this.name = Config.ENABLE_MTF
       ? `Breakout + ADX MTF (${Config.TIMEFRAME}→${Config.MTF_ENTRY_TIMEFRAME})`
       : `Breakout + ADX (${Config.BREAKOUT_LOOKBACK}-bar)`;
@@ -74,6 +86,20 @@ class BreakoutADXStrategy {
     this.loadState();
   }
 
+  /**
+   * Breakouts confirmed by the realtime check are tracked apart from candle-close ones
+   */
+  trackedNames() {
+    return [this.label, `${this.label} (Realtime MTF)`];
+  }
+
+  /**
+   * Primary timeframe, plus the entry timeframe when MTF entries are on
+   */
+  requiredTimeframes() {
+    return Config.ENABLE_MTF ? [Config.TIMEFRAME, Config.MTF_ENTRY_TIMEFRAME] : [Config.TIMEFRAME];
+  }
+
   /**
    * Save strategy state to file for persistence across restarts
    */
@@ -108,7 +134,7 @@ class BreakoutADXStrategy {
         savedAt: new Date().toISOString()
       };
 
-      fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+      fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2));
       this.logger.debug(`💾 Breakout+ADX strategy state saved`);
     } catch (error) {
       this.logger.error(`Failed to save Breakout+ADX strategy state: ${error.message}`);
@@ -120,12 +146,12 @@ class BreakoutADXStrategy {
    */
   loadState() {
     try {
-      if (!fs.existsSync(STATE_FILE)) {
+      if (!fs.existsSync(this.stateFile)) {
         this.logger.info('📂 No existing Breakout+ADX strategy state found, starting fresh');
         return;
       }
 
-      const rawData = fs.readFileSync(STATE_FILE, 'utf8');
+      const rawData = fs.readFileSync(this.stateFile, 'utf8');
       const state = JSON.parse(rawData);
 
       this.lastCandleTime = state.lastCandleTime;
@@ -221,8 +247,8 @@ class BreakoutADXStrategy {
     const isLong = this.pendingSignal === 'LONG';
     const breakoutPrice = this.pendingBreakoutPrice;
     const pullbackTarget = isLong
-      ? breakoutPrice - (Config.MTF_PULLBACK_PIPS * 0.01)
-      : breakoutPrice + (Config.MTF_PULLBACK_PIPS * 0.01);
+      ? breakoutPrice - Config.pipsToPrice(Config.MTF_PULLBACK_PIPS)
+      : breakoutPrice + Config.pipsToPrice(Config.MTF_PULLBACK_PIPS);
 
     // Calculate H1 EMA
     const h1Closes = h1Candles.map(c => c.close);
@@ -279,16 +305,14 @@ class BreakoutADXStrategy {
         return null;
       }
 
-      // Check minimum entry improvement - reject "fake pullbacks" where M15 wick
-      // touched the target but close is right back at breakout level ($0.00 improvement)
-      // Trade 758: M15 low hit target but close = breakout price, entered with no improvement, lost in 2 min
-      const MIN_ENTRY_IMPROVEMENT = 0.20; // $0.20 minimum improvement required
+      // Check minimum entry improvement (see MIN_ENTRY_IMPROVEMENT_PIPS)
       const improvement = isLong
         ? breakoutPrice - entryPrice
         : entryPrice - breakoutPrice;
+      const minImprovement = Config.pipsToPrice(MIN_ENTRY_IMPROVEMENT_PIPS, this.instrument);
 
-      if (improvement < MIN_ENTRY_IMPROVEMENT) {
-        this.logger.info(`❌ MTF Entry rejected - improvement $${improvement.toFixed(2)} < minimum $${MIN_ENTRY_IMPROVEMENT.toFixed(2)} (fake pullback - wick only, no real entry improvement)`);
+      if (improvement < minImprovement) {
+        this.logger.info(`❌ MTF Entry rejected - improvement $${improvement.toFixed(2)} < minimum $${minImprovement.toFixed(2)} (fake pullback - wick only, no real entry improvement)`);
         // Don't clear pending - next candle might give a real pullback
         return null;
       }
@@ -312,6 +336,47 @@ class BreakoutADXStrategy {
     return null;
   }
 
+  /**
+   * Build a resting LIMIT entry for a confirmed breakout (MTF_LIMIT_ENTRY)
+   * Price is the pullback level the watch-and-fire path waits for (pullback target, or the
+   * entry-TF EMA when it's closer), capped so the fill always improves on the breakout by
+   * MIN_ENTRY_IMPROVEMENT_PIPS. Expires after MTF_MAX_WAIT_CANDLES entry-timeframe candles.
+   *
+   * @param {string} direction - 'LONG' or 'SHORT'
+   * @param {number} breakoutPrice - Price at breakout confirmation
+   * @param {number|null} entryEMA - Entry timeframe EMA, if available
+   * @returns {{ signal, price, breakoutPrice, expiresAt: Date }}
+   */
+  buildLimitEntry(direction, breakoutPrice, entryEMA = null) {
+    const isLong = direction === 'LONG';
+    const pullback = Config.pipsToPrice(Config.MTF_PULLBACK_PIPS);
+    let price = isLong ? breakoutPrice - pullback : breakoutPrice + pullback;
+    if (entryEMA !== null) {
+      price = isLong ? Math.max(price, entryEMA) : Math.min(price, entryEMA);
+    }
+    const minImprovement = Config.pipsToPrice(MIN_ENTRY_IMPROVEMENT_PIPS, this.instrument);
+    price = isLong
+      ? Math.min(price, breakoutPrice - minImprovement)
+      : Math.max(price, breakoutPrice + minImprovement);
+
+    const maxWaitMs = Config.MTF_MAX_WAIT_CANDLES * Config.getGranularitySeconds(Config.MTF_ENTRY_TIMEFRAME) * 1000;
+    return {
+      signal: direction,
+      price: instruments.roundPrice(price, this.instrument),
+      breakoutPrice,
+      expiresAt: new Date(clock.now() + maxWaitMs)
+    };
+  }
+
+  /**
+   * True while breakouts in this direction are blocked after a momentum fakeout
+   * @param {string} direction - 'LONG' or 'SHORT'
+   */
+  isFakeoutCooldownActive(direction) {
+    if (this.fakeoutCooldownDirection !== direction || !this.fakeoutCooldownTime) return false;
+    return clock.now() - this.fakeoutCooldownTime < FAKEOUT_COOLDOWN_MINUTES * 60 * 1000;
+  }
+
   /**
    * Clear pending signal
    */
@@ -326,8 +391,11 @@ class BreakoutADXStrategy {
   /**
    * Evaluate if there's a valid trade setup (H4 timeframe)
    * Returns: { signal: 'LONG' | 'SHORT' | null, reason: string, confidence: number }
+   * @param {Object} feeds - Complete candles by granularity; MTF_ENTRY_TIMEFRAME for entries
    */
-  evaluateSetup(analysis, candles, h1Candles = null) {
+  evaluateSetup(analysis, candles, feeds = {}) {
+    const h1Candles = Config.ENABLE_MTF ? feeds[Config.MTF_ENTRY_TIMEFRAME] || null : null;
+
     // If realtime MTF is already managing a pullback entry, don't override it
     // The candle-close path was bypassing the realtime MTF's careful pullback wait
     // (e.g. Trade 752: realtime waited for pullback, candle-close entered at $0.00 improvement)
@@ -633,6 +701,29 @@ class BreakoutADXStrategy {
     this.previousLow = channel.low;
     this.lastCandleTime = currentCandleTime;
 
+    // MTF limit mode - no pending state to watch, the resting order is the wait
+    if (signal && Config.ENABLE_MTF && Config.MTF_LIMIT_ENTRY) {
+      const entryEMA = h1Candles && h1Candles.length >= Config.MTF_EMA_PERIOD
+        ? this.calculateEMA(h1Candles.map(c => c.close), Config.MTF_EMA_PERIOD)
+        : null;
+      const limitEntry = this.buildLimitEntry(signal, currentPrice, entryEMA);
+      limitEntry.confidence = 80;
+      limitEntry.reason = `${Config.TIMEFRAME} ${signal} breakout at $${currentPrice.toFixed(2)}, limit entry at $${limitEntry.price.toFixed(2)} (${reason})`;
+      this.saveState();
+
+      this.logger.info(`🔔 ${Config.TIMEFRAME} Breakout detected: ${signal} @ $${currentPrice.toFixed(2)}`);
+      this.logger.info(`   Limit entry at $${limitEntry.price.toFixed(2)}, expires ${limitEntry.expiresAt.toISOString()}`);
+
+      return {
+        signal: null,
+        reason: `${Config.TIMEFRAME} ${signal} breakout detected, limit entry at $${limitEntry.price.toFixed(2)}`,
+        confidence: 0,
+        limitEntry,
+        channelHigh: channel.high,
+        channelLow: channel.low
+      };
+    }
+
     // Handle MTF mode
     if (signal && Config.ENABLE_MTF) {
       // Store as pending signal, wait for H1 entry
@@ -698,6 +789,20 @@ class BreakoutADXStrategy {
     return false;
   }
 
+  /**
+   * Wider stop than the other strategies, to survive post-breakout volatility
+   */
+  initialStops(fill) {
+    return this.bracket(fill, Config.pipsToPrice(Config.BREAKOUT_STOP_LOSS_PIPS), Config.TAKE_PROFIT_RR);
+  }
+
+  /**
+   * Wider activation ($3.50) too - the trail waits for the move to establish
+   */
+  trailingActivationPips() {
+    return Config.BREAKOUT_TRAILING_ACTIVATION_PIPS;
+  }
+
   /**
    * Clear ALL pending breakout state (called when trade cooldown starts)
    * Prevents stale breakout tracking from surviving through cooldown periods
@@ -770,7 +875,7 @@ class BreakoutADXStrategy {
     const maxWaitMs = Config.MTF_MAX_WAIT_CANDLES * 15 * 60 * 1000; // Convert candles to ms (assuming M15)
 
     // Check timeout (2 hours default = 8 M15 candles)
-    const elapsed = Date.now() - this.realtimeMTFTime;
+    const elapsed = clock.now() - this.realtimeMTFTime;
     if (elapsed > maxWaitMs) {
       this.logger.info(`⏰ Realtime MTF timeout: No pullback entry after ${Math.round(elapsed / 60000)} minutes, canceling ${this.realtimeMTFPending}`);
       this.clearRealtimeMTF();
@@ -794,7 +899,8 @@ class BreakoutADXStrategy {
     // Max pullback depth - if pullback exceeds this, the breakout has failed/reversed
     // A healthy pullback is $0.50-$3.00. Anything over $5.00 means price reversed through
     // the breakout level and back into the channel - not a pullback, it's a failed breakout.
-    const MAX_PULLBACK_DEPTH = 5.00;
+    // In pips so it scales with the instrument: 500 = $5.00 on gold
+    const MAX_PULLBACK_DEPTH = Config.pipsToPrice(500, this.instrument);
     if (pullbackAmount > MAX_PULLBACK_DEPTH) {
       this.logger.info(`❌ Realtime MTF: Pullback too deep ($${pullbackAmount.toFixed(2)} > max $${MAX_PULLBACK_DEPTH.toFixed(2)}) - breakout failed, canceling ${this.realtimeMTFPending}`);
       this.clearRealtimeMTF();
@@ -894,7 +1000,7 @@ class BreakoutADXStrategy {
       };
     }
 
-    const now = Date.now();
+    const now = clock.now();
     const confirmationMs = Config.BREAKOUT_CONFIRMATION_SECONDS * 1000;
 
     // Check if price is breaking the channel
@@ -1061,7 +1167,7 @@ class BreakoutADXStrategy {
       // If momentum filter triggered (fakeout), start cooldown to prevent immediate retry
       if (!momentumValid) {
         this.fakeoutCooldownDirection = direction;
-        this.fakeoutCooldownTime = Date.now();
+        this.fakeoutCooldownTime = clock.now();
         this.logger.info(`⏳ Fakeout cooldown: ${direction} breakouts blocked for ${FAKEOUT_COOLDOWN_MINUTES} minutes`);
       }
 
@@ -1080,11 +1186,29 @@ class BreakoutADXStrategy {
     // Update lastSignal for trend continuation
     this.lastSignal = direction;
 
+    // MTF limit mode - hand the pullback level to the bot as a resting LIMIT order
+    if (Config.ENABLE_MTF && Config.MTF_LIMIT_ENTRY) {
+      const limitEntry = this.buildLimitEntry(direction, currentPrice);
+      limitEntry.confidence = 70;
+      limitEntry.reason = `Realtime MTF ${direction}: Breakout at $${currentPrice.toFixed(2)}, limit entry at $${limitEntry.price.toFixed(2)}`;
+
+      this.logger.info(`🔔 Realtime ${direction} breakout CONFIRMED at $${currentPrice.toFixed(2)}`);
+      this.logger.info(`   Limit entry at $${limitEntry.price.toFixed(2)}, expires ${limitEntry.expiresAt.toISOString()}`);
+
+      return {
+        signal: null,
+        limitEntry,
+        direction,
+        reason: `Realtime ${direction} breakout confirmed, limit entry at $${limitEntry.price.toFixed(2)}`,
+        confidence: 0
+      };
+    }
+
     // If MTF is enabled, store as pending signal and wait for pullback
     if (Config.ENABLE_MTF) {
       this.realtimeMTFPending = direction;
       this.realtimeMTFBreakoutPrice = currentPrice;
-      this.realtimeMTFTime = Date.now();
+      this.realtimeMTFTime = clock.now();
       this.realtimeMTFBestPullback = currentPrice; // Start tracking from current price
       this.saveState();
 
@@ -1184,10 +1308,15 @@ class BreakoutADXStrategy {
     }
 
     let mtfDesc = '';
-    if (Config.ENABLE_MTF) {
+    if (Config.ENABLE_MTF && Config.MTF_LIMIT_ENTRY) {
+      mtfDesc = `
+      MTF Entry: Resting LIMIT at ${Config.MTF_ENTRY_TIMEFRAME} pullback level (EMA${Config.MTF_EMA_PERIOD} / target)
+      Pullback Target: ${Config.MTF_PULLBACK_PIPS} pips ($${Config.pipsToPrice(Config.MTF_PULLBACK_PIPS).toFixed(2)})
+      Expiry: ${Config.MTF_MAX_WAIT_CANDLES} ${Config.MTF_ENTRY_TIMEFRAME} candles (GTD)`;
+    } else if (Config.ENABLE_MTF) {
       mtfDesc = `
       MTF Entry: Wait for ${Config.MTF_ENTRY_TIMEFRAME} pullback to EMA${Config.MTF_EMA_PERIOD}
-      Pullback Target: ${Config.MTF_PULLBACK_PIPS} pips ($${(Config.MTF_PULLBACK_PIPS * 0.01).toFixed(2)})
+      Pullback Target: ${Config.MTF_PULLBACK_PIPS} pips ($${Config.pipsToPrice(Config.MTF_PULLBACK_PIPS).toFixed(2)})
       Max Wait: ${Config.MTF_MAX_WAIT_CANDLES} ${Config.MTF_ENTRY_TIMEFRAME} candles`;
     }
 
@@ -1210,7 +1339,7 @@ class BreakoutADXStrategy {
       Direction: Price breaks ${Config.BREAKOUT_LOOKBACK}-bar high/low (Donchian Channel)
       Filter: ADX > ${ADX_MIN} (trending market)
       Confirmation: Bullish candle for longs, bearish for shorts${mtfDesc}${trendContDesc}${freshnessDesc}
-      Stop Loss: ${Config.BREAKOUT_STOP_LOSS_PIPS} pips ($${(Config.BREAKOUT_STOP_LOSS_PIPS * 0.01).toFixed(2)})
+      Stop Loss: ${Config.BREAKOUT_STOP_LOSS_PIPS} pips ($${Config.pipsToPrice(Config.BREAKOUT_STOP_LOSS_PIPS).toFixed(2)})
       ${tpDesc}
       Order Retry: ${Config.ENABLE_ORDER_RETRY ? 'Enabled' : 'Disabled'}
 
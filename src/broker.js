@@ -0,0 +1,137 @@
+/**
+ * Broker Interface
+ *
+ * Everything the bot needs from a broker. GoldTradingBot, RiskManager and GoldTelegramBot
+ * talk to this interface only - never to raw REST endpoints - so the execution venue can
+ * be swapped by config:
+ *   - OandaClient  - real v20 API (practice or live)
+ *   - PaperBroker  - in-process simulation, fills matched against Oanda's price feed
+ *   - ReplayMarket - stored candles played back in simulated time (prices/candles only,
+ *                    wrapped by PaperBroker for replays)
+ *
+ * Shapes follow the Oanda v20 model so implementations are interchangeable:
+ *   - getPrice/getCandles/getOpenTrades/getBalance return the normalised objects
+ *     OandaClient has always returned
+ *   - getTrade() returns a v20 Trade ({ id, state, price, initialUnits, realizedPL,
+ *     averageClosePrice, stopLossOrder, takeProfitOrder, trailingStopLossOrder,
+ *     closingTransactionIDs })
+ *   - getTransactionRange() returns v20 Transactions (ORDER_FILL with tradesClosed etc.)
+ *
+ * Brokers that generate their own fills (paper) also emit 'transaction' and 'tradeClosed'
+ * with the same payloads as TransactionStream, and set isSimulated = true.
+ *
+ * Outages: 'unavailable' when the broker stops answering and 'available' when it is back,
+ * both with getAvailability()'s shape - once per outage. Requests made meanwhile throw
+ * BrokerUnavailable (broker_errors.js).
+ */
+import { EventEmitter } from 'events';
+
+class Broker extends EventEmitter {
+  constructor(logger, name) {
+    super();
+    this.logger = logger;
+    this.name = name;
+    this.isSimulated = false;
+  }
+
+  notImplemented(method) {
+    throw new Error(`${this.name} broker does not implement ${method}()`);
+  }
+
+  /**
+   * @returns {{ available, state, since, retryAt, reason, consecutiveFailures }}
+   */
+  getAvailability() {
+    return { available: true, state: 'closed', since: null, retryAt: null, reason: null, consecutiveFailures: 0 };
+  }
+
+  // ─── Account ─────────────────────────────────────────────
+  async getAccountSummary() { this.notImplemented('getAccountSummary'); }
+
+  /** @returns {{ balance, nav, unrealizedPL, pl, marginUsed, marginAvailable, currency }} */
+  async getBalance() { this.notImplemented('getBalance'); }
+
+  // ─── Market data ─────────────────────────────────────────
+  /**
+   * @returns {{ instrument, bid, ask, mid, spread, quoteHomeConversion, time }}
+   *          quoteHomeConversion is { positiveUnits, negativeUnits } - quote → account currency
+   *          factors for long/short positions (null if the venue doesn't publish them)
+   */
+  async getPrice(instrument) { this.notImplemented('getPrice'); }
+
+  /**
+   * @param {{ from?: Date, to?: Date }} options - Anchor the `count` candles at a start or end time
+   * @returns {Array<{ time, open, high, low, close, volume, complete, bid, ask, spread }>}
+   *          open..close are mid; bid/ask are { open, high, low, close }; spread is at the close
+   */
+  async getCandles(instrument, granularity, count, options) { this.notImplemented('getCandles'); }
+
+  /** @returns {Array<Object>} v20 Instruments - loaded into the registry (instruments.js) */
+  async getInstruments() { this.notImplemented('getInstruments'); }
+
+  // ─── Orders & trades ─────────────────────────────────────
+  /**
+   * options: { trailingStopDistance, clientExtensions, tradeClientExtensions } - the tags
+   * (OrderTags.build) must come back on the trade via getOpenTrades
+   * @returns {{ success: true, orderId, tradeId, instrument, units, price, time, pl, reason }
+   *          | { success: false, reason, rejectReason }}
+   */
+  async placeMarketOrder(instrument, units, stopLoss, takeProfit, priceBound, options) { this.notImplemented('placeMarketOrder'); }
+
+  /**
+   * Rest a LIMIT entry order, SL/TP attached on fill, expiring at gtdTime
+   * @returns {{ success: true, filled: false, orderId }
+   *          | { success: true, filled: true, orderId, tradeId, instrument, units, price, time }
+   *          | { success: false, reason, rejectReason }}
+   */
+  async placeLimitOrder(instrument, units, price, stopLoss, takeProfit, gtdTime, options) { this.notImplemented('placeLimitOrder'); }
+
+  /** @returns {{ success, orderId, reason }} */
+  async cancelOrder(orderId) { this.notImplemented('cancelOrder'); }
+
+  /** @returns {Object|null} v20 Order ({ id, type, state, price, tradeOpenedID, cancellingTransactionID }) */
+  async getOrder(orderId) { this.notImplemented('getOrder'); }
+
+  /** @returns {{ success, tradeId, stopLoss, takeProfit }} */
+  async modifyTrade(tradeId, stopLoss, takeProfit, instrument) { this.notImplemented('modifyTrade'); }
+
+  /**
+   * Create or replace the broker-side trailing stop on a trade
+   * @param {number} distance - Trail distance in price units (e.g. 1.50 = $1.50)
+   * @param {string} instrument - The trade's instrument (price precision)
+   * @returns {{ success, tradeId, distance }}
+   */
+  async setTrailingStop(tradeId, distance, instrument) { this.notImplemented('setTrailingStop'); }
+
+  /**
+   * Close all or part of a trade
+   * @param {string|number} units - Units to close, or 'ALL'
+   * @returns {{ success, orderId, price, units, pl }}
+   */
+  async closeTrade(tradeId, units = 'ALL') { this.notImplemented('closeTrade'); }
+
+  async closePosition(instrument, units) { this.notImplemented('closePosition'); }
+
+  /**
+   * @returns {Array<{ tradeId, instrument, units, price, unrealizedPL, openTime, stopLoss, takeProfit,
+   *                   trailingStopDistance, trailingStopValue, clientExtensions }>}
+   */
+  async getOpenTrades() { this.notImplemented('getOpenTrades'); }
+
+  async getOpenPositions() { this.notImplemented('getOpenPositions'); }
+
+  /** @returns {Object|null} v20 Trade, or null if the broker doesn't know the ID */
+  async getTrade(tradeId) { this.notImplemented('getTrade'); }
+
+  // ─── Transactions ────────────────────────────────────────
+  /** @returns {Array<Object>} v20 Transactions with fromId <= id <= toId */
+  async getTransactionRange(fromId, toId) { this.notImplemented('getTransactionRange'); }
+
+  async testConnection() { this.notImplemented('testConnection'); }
+
+  /** Start/stop any background work (price polling etc.) - no-op by default */
+  start() {}
+  stop() {}
+}
+
+export default Broker;
@@ -0,0 +1,39 @@
+/**
+ * Broker Errors
+ *
+ * Structured failures from the request layer (OandaClient.makeRequest), so callers can
+ * branch on what went wrong instead of matching error text:
+ *   - BrokerError       - one request failed. status/code come from Oanda; retriable says
+ *                         whether trying again could help (network, 5xx, 429) or not (4xx)
+ *   - BrokerUnavailable - the circuit breaker is open: Oanda has kept failing, and requests
+ *                         are refused locally until a probe gets through (see CircuitBreaker)
+ */
+
+export class BrokerError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details - { status, code, retriable, retryAfterMs, cause, clientOrderId }
+   */
+  constructor(message, { status = null, code = null, retriable = false, retryAfterMs = null, cause = null, clientOrderId = null } = {}) {
+    super(message);
+    this.name = 'BrokerError';
+    this.status = status;       // HTTP status, null for network errors
+    this.code = code;           // Oanda errorCode (e.g. INSUFFICIENT_MARGIN) or the socket error code
+    this.retriable = retriable;
+    this.retryAfterMs = retryAfterMs;
+    this.cause = cause;
+    this.clientOrderId = clientOrderId; // set when an order may or may not have been accepted
+  }
+}
+
+export class BrokerUnavailable extends BrokerError {
+  /**
+   * @param {Object} availability - CircuitBreaker.getStatus()
+   */
+  constructor(availability) {
+    const retryAt = availability.retryAt ? new Date(availability.retryAt).toISOString() : 'unknown';
+    super(`Broker unavailable (${availability.reason}) - next attempt after ${retryAt}`, { retriable: true });
+    this.name = 'BrokerUnavailable';
+    this.availability = availability;
+  }
+}
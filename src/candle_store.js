@@ -0,0 +1,361 @@
+/**
+ * Candle Store
+ *
+ * On-disk candle repository keyed by instrument + granularity, shared by the live bot and
+ * the backtest engines so both see identical data.
+ *
+ * - Only COMPLETE candles are persisted; the forming candle is always fetched fresh
+ * - Each series records which time ranges have been fetched in full ("coverage"). Inside a
+ *   covered range a missing candle means the market was closed - weekends, the daily break -
+ *   so only holes BETWEEN covered ranges are gaps, and those get backfilled
+ * - getCandles() fetches just the tail since the last stored candle (plus any gap or older
+ *   history needed to serve `count`), instead of the whole window every scan
+ *
+ * Files: data/candles/{instrument}_{granularity}.json
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Config from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Candle files - use /app/data in Docker, ./data locally
+const DATA_DIR = process.env.DATA_DIR || (process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..', 'data'));
+const CANDLE_DIR = path.join(DATA_DIR, 'candles');
+
+// Oanda's per-request candle limit
+const MAX_CANDLES_PER_REQUEST = 5000;
+// Bumped when the stored candle shape changes - older files are refetched.
+// 2: bid/ask + spread per candle
+const FORMAT_VERSION = 2;
+
+class CandleStore {
+  /**
+   * @param {Object} logger
+   * @param {Broker|null} broker - Candle source; null for read-only use (backtests reading the store)
+   */
+  constructor(logger, broker = null, dir = CANDLE_DIR) {
+    this.logger = logger;
+    this.broker = broker;
+    this.dir = dir;
+    this.series = new Map();   // "XAU_USD_H1" → { candles, coverage }
+    this.inFlight = new Map(); // "XAU_USD_H1" → pending update, so overlapping callers share one fetch
+  }
+
+  // ─── Live ────────────────────────────────────────────────
+
+  /**
+   * Drop-in for broker.getCandles(): the last `count` candles, the forming one included
+   * @returns {Array<{ time, open, high, low, close, volume, complete }>}
+   */
+  async getCandles(instrument = Config.TRADING_SYMBOL, granularity = Config.TIMEFRAME, count = 200) {
+    const key = this.key(instrument, granularity);
+    let pending = this.inFlight.get(key);
+    if (!pending || pending.count < count) {
+      // A caller wanting more history than the running update queues behind it
+      const previous = pending ? pending.promise.catch(() => null) : Promise.resolve();
+      const promise = previous.then(() => this.update(instrument, granularity, count));
+      pending = { count, promise };
+      this.inFlight.set(key, pending);
+      const settle = () => this.inFlight.get(key) === pending && this.inFlight.delete(key);
+      promise.then(settle, settle);
+    }
+    const forming = await pending.promise;
+
+    const series = this.load(instrument, granularity);
+    const wanted = forming ? count - 1 : count;
+    const candles = series.candles.slice(-wanted).map(c => this.toCandle(c));
+    if (forming) candles.push(forming);
+    return candles;
+  }
+
+  /**
+   * Bring a series up to date and make sure it holds `count` recent candles
+   * @returns {Object|null} The forming (incomplete) candle, if the broker returned one
+   */
+  async update(instrument, granularity, count) {
+    const series = this.load(instrument, granularity);
+    let forming = null;
+
+    if (!series.coverage.length) {
+      // First use: one count-based request, like the bot always made (+1 for the forming candle)
+      const candles = await this.broker.getCandles(instrument, granularity, Math.min(MAX_CANDLES_PER_REQUEST, count + 1));
+      forming = this.merge(series, candles, null, null);
+      this.logger.info(`🕯️ Candle store: seeded ${instrument} ${granularity} with ${series.candles.length} candles`);
+    } else {
+      // Tail since the last covered candle
+      const last = series.coverage[series.coverage.length - 1];
+      forming = await this.fetchRange(instrument, granularity, new Date(last.to), null);
+    }
+
+    // Enough contiguous history for the window? Backfill gaps / older candles until there is
+    await this.ensureHistory(instrument, granularity, count);
+
+    this.save(instrument, granularity);
+    return forming;
+  }
+
+  /**
+   * Walk back from the newest covered range until `count` stored candles are covered
+   * without a hole, backfilling gaps and, past the oldest range, older history
+   */
+  async ensureHistory(instrument, granularity, count) {
+    const series = this.load(instrument, granularity);
+
+    for (let attempts = 0; attempts < 10; attempts++) {
+      const ranges = series.coverage;
+      const newest = ranges[ranges.length - 1];
+      const have = this.countIn(series, newest.from, newest.to);
+      if (have >= count) return;
+      const progress = `${series.candles.length}/${ranges.length}`;
+
+      if (ranges.length > 1) {
+        const previous = ranges[ranges.length - 2];
+        this.logger.info(`🕯️ Candle store: backfilling ${instrument} ${granularity} gap ${new Date(previous.to).toISOString()} → ${new Date(newest.from).toISOString()}`);
+        await this.fetchRange(instrument, granularity, new Date(previous.to), new Date(newest.from));
+      } else {
+        const missing = Math.min(MAX_CANDLES_PER_REQUEST, count - have + 1);
+        const candles = await this.broker.getCandles(instrument, granularity, missing, { to: new Date(newest.from) });
+        const complete = candles.filter(c => c.complete && c.time.getTime() < newest.from);
+        if (!complete.length) return; // nothing older exists
+        this.merge(series, complete, complete[0].time.getTime(), newest.from);
+      }
+
+      // No new candles and no ranges joined - don't loop on a broker that returns nothing
+      if (`${series.candles.length}/${series.coverage.length}` === progress) return;
+    }
+    this.logger.warn(`🕯️ Candle store: ${instrument} ${granularity} still short of ${count} contiguous candles`);
+  }
+
+  // ─── Backtests ───────────────────────────────────────────
+
+  /**
+   * Make sure [from, to) is fully covered - fetches only the holes
+   * @returns {{ fetched: number, candles: number }}
+   */
+  async sync(instrument, granularity, from, to = new Date()) {
+    const series = this.load(instrument, granularity);
+    const before = series.candles.length;
+    const holes = this.holes(series, from.getTime(), to.getTime());
+
+    for (const hole of holes) {
+      this.logger.info(`🕯️ Candle store: fetching ${instrument} ${granularity} ${new Date(hole.from).toISOString()} → ${new Date(hole.to).toISOString()}`);
+      await this.fetchRange(instrument, granularity, new Date(hole.from), new Date(hole.to));
+      this.save(instrument, granularity);
+    }
+
+    return { fetched: series.candles.length - before, candles: series.candles.length };
+  }
+
+  /**
+   * Stored complete candles, no network - what the backtest engines read
+   * @param {{ from?: Date, to?: Date }} range
+   */
+  getStored(instrument, granularity, { from = null, to = null } = {}) {
+    const series = this.load(instrument, granularity);
+    const fromMs = from ? from.getTime() : -Infinity;
+    const toMs = to ? to.getTime() : Infinity;
+    return series.candles
+      .filter(c => c.t >= fromMs && c.t < toMs)
+      .map(c => this.toCandle(c));
+  }
+
+  // ─── Fetching ────────────────────────────────────────────
+
+  /**
+   * Fetch [from, to) page by page (to = null → up to now) and mark it covered
+   * @returns {Object|null} The forming candle when fetching up to now
+   */
+  async fetchRange(instrument, granularity, from, to) {
+    const series = this.load(instrument, granularity);
+    const stepMs = Config.getGranularitySeconds(granularity) * 1000;
+    const toMs = to ? to.getTime() : Infinity;
+    let cursor = from;
+    let forming = null;
+
+    while (true) {
+      const candles = await this.broker.getCandles(instrument, granularity, MAX_CANDLES_PER_REQUEST, { from: cursor });
+      const inRange = candles.filter(c => c.time.getTime() < toMs);
+      const lastPage = inRange.length < candles.length || candles.length < MAX_CANDLES_PER_REQUEST;
+      // A candle starting within the last step may not have printed yet - never mark that
+      // stretch as covered, or it would pass for a market closure
+      const end = lastPage ? Math.min(toMs, Date.now() - stepMs) : null;
+
+      forming = this.merge(series, inRange, cursor.getTime(), end);
+      if (lastPage || forming || !inRange.length) break;
+
+      // Full page - carry on from just after its last candle
+      cursor = new Date(inRange[inRange.length - 1].time.getTime() + 1000);
+    }
+
+    return forming;
+  }
+
+  /**
+   * Merge fetched candles into a series and extend its coverage.
+   * The forming candle (if any) isn't stored; coverage stops where it starts.
+   * @param {number|null} fromMs - Start of the fetched range (null = first candle)
+   * @param {number|null} toMs - End of the fetched range (null/earlier = after the last complete candle)
+   * @returns {Object|null} The forming candle
+   */
+  merge(series, candles, fromMs, toMs) {
+    const stepMs = Config.getGranularitySeconds(series.granularity) * 1000;
+    const forming = candles.find(c => !c.complete) || null;
+    const complete = candles.filter(c => c.complete);
+
+    if (complete.length) {
+      const byTime = new Map(series.candles.map(c => [c.t, c]));
+      for (const candle of complete) {
+        byTime.set(candle.time.getTime(), this.toStored(candle));
+      }
+      series.candles = [...byTime.values()].sort((a, b) => a.t - b.t);
+    }
+
+    // Covered up to the forming candle, else the end of the range or of the last candle
+    const from = fromMs ?? complete[0]?.time.getTime();
+    const lastEnd = complete.length ? complete[complete.length - 1].time.getTime() + stepMs : -Infinity;
+    const to = forming ? forming.time.getTime() : Math.max(toMs ?? -Infinity, lastEnd);
+    if (from !== undefined && to > from) {
+      this.addCoverage(series, from, to);
+    }
+    series.dirty = true;
+    return forming;
+  }
+
+  // ─── Coverage ────────────────────────────────────────────
+
+  addCoverage(series, from, to) {
+    const ranges = [...series.coverage, { from, to }].sort((a, b) => a.from - b.from);
+    const merged = [];
+    for (const range of ranges) {
+      const last = merged[merged.length - 1];
+      if (last && range.from <= last.to) {
+        last.to = Math.max(last.to, range.to);
+      } else {
+        merged.push({ ...range });
+      }
+    }
+    series.coverage = merged;
+  }
+
+  /**
+   * Uncovered parts of [fromMs, toMs)
+   */
+  holes(series, fromMs, toMs) {
+    const holes = [];
+    let cursor = fromMs;
+    for (const range of series.coverage) {
+      if (range.to <= cursor) continue;
+      if (range.from >= toMs) break;
+      if (range.from > cursor) holes.push({ from: cursor, to: range.from });
+      cursor = Math.max(cursor, range.to);
+    }
+    if (cursor < toMs) holes.push({ from: cursor, to: toMs });
+    return holes;
+  }
+
+  /**
+   * Gaps in what has been fetched - holes between covered ranges, oldest first
+   */
+  findGaps(instrument, granularity) {
+    const { coverage } = this.load(instrument, granularity);
+    return coverage.slice(1).map((range, i) => ({ from: new Date(coverage[i].to), to: new Date(range.from) }));
+  }
+
+  countIn(series, fromMs, toMs) {
+    return series.candles.filter(c => c.t >= fromMs && c.t < toMs).length;
+  }
+
+  // ─── Persistence ─────────────────────────────────────────
+
+  key(instrument, granularity) {
+    return `${instrument}_${granularity}`;
+  }
+
+  filePath(instrument, granularity) {
+    return path.join(this.dir, `${this.key(instrument, granularity)}.json`);
+  }
+
+  load(instrument, granularity) {
+    const key = this.key(instrument, granularity);
+    if (this.series.has(key)) return this.series.get(key);
+
+    const series = { instrument, granularity, candles: [], coverage: [], dirty: false };
+    const file = this.filePath(instrument, granularity);
+    try {
+      const data = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+      if (data && data.version !== FORMAT_VERSION) {
+        this.logger.info(`📂 Candle store: ${instrument} ${granularity} is an older format - refetching`);
+      } else if (data) {
+        series.candles = data.candles.map(c => ({ ...c, t: Date.parse(c.time) }));
+        series.coverage = data.coverage.map(r => ({ from: Date.parse(r.from), to: Date.parse(r.to) }));
+        this.logger.debug(`📂 Candle store: loaded ${series.candles.length} ${instrument} ${granularity} candles`);
+      }
+    } catch (error) {
+      // A corrupt file only costs a refetch
+      this.logger.error(`Failed to load candle store ${file}: ${error.message} - starting empty`);
+      series.candles = [];
+      series.coverage = [];
+    }
+
+    this.series.set(key, series);
+    return series;
+  }
+
+  save(instrument, granularity) {
+    const series = this.load(instrument, granularity);
+    if (!series.dirty) return;
+    try {
+      if (!fs.existsSync(this.dir)) {
+        fs.mkdirSync(this.dir, { recursive: true });
+      }
+
+      const data = {
+        version: FORMAT_VERSION,
+        instrument,
+        granularity,
+        coverage: series.coverage.map(r => ({ from: new Date(r.from).toISOString(), to: new Date(r.to).toISOString() })),
+        candles: series.candles.map(({ t, ...candle }) => candle),
+        savedAt: new Date().toISOString()
+      };
+      fs.writeFileSync(this.filePath(instrument, granularity), JSON.stringify(data));
+      series.dirty = false;
+    } catch (error) {
+      this.logger.error(`Failed to save candle store ${instrument} ${granularity}: ${error.message}`);
+    }
+  }
+
+  toStored(candle) {
+    return {
+      time: candle.time.toISOString(),
+      t: candle.time.getTime(),
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume,
+      bid: candle.bid,
+      ask: candle.ask,
+      spread: candle.spread
+    };
+  }
+
+  toCandle(stored) {
+    return {
+      time: new Date(stored.t),
+      open: stored.open,
+      high: stored.high,
+      low: stored.low,
+      close: stored.close,
+      volume: stored.volume,
+      complete: true,
+      bid: stored.bid,
+      ask: stored.ask,
+      spread: stored.spread ?? null
+    };
+  }
+}
+
+export default CandleStore;
@@ -0,0 +1,91 @@
+/**
+ * Circuit Breaker
+ *
+ * Tracks whether the broker is reachable. After BREAKER_FAILURE_THRESHOLD consecutive
+ * requests fail with retriable errors (retries already exhausted), the breaker opens:
+ * requests are refused locally with BrokerUnavailable instead of each one sitting
+ * through its own timeouts and backoff. Once BREAKER_COOLDOWN_SECONDS have passed, a
+ * single probe request is let through (half-open). Success closes the breaker; failure
+ * re-opens it for another cooldown.
+ *
+ * A 4xx answer counts as success here - Oanda responded, the request was just wrong.
+ *
+ * Emits: 'open' and 'close' with getStatus() - one event per outage, not per request
+ */
+import { EventEmitter } from 'events';
+import { BrokerUnavailable } from './broker_errors.js';
+
+class CircuitBreaker extends EventEmitter {
+  constructor(failureThreshold, cooldownMs) {
+    super();
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+
+    this.state = 'closed'; // 'closed' | 'open' | 'half_open'
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.retryAt = null;
+    this.lastError = null;
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Gate a request: throws BrokerUnavailable while open, and lets exactly one probe
+   * through once the cooldown is over
+   */
+  check() {
+    if (this.state === 'open') {
+      if (Date.now() < this.retryAt) throw new BrokerUnavailable(this.getStatus());
+      this.state = 'half_open';
+    }
+    if (this.state === 'half_open') {
+      if (this.probeInFlight) throw new BrokerUnavailable(this.getStatus());
+      this.probeInFlight = true;
+    }
+  }
+
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    this.probeInFlight = false;
+    if (this.state === 'closed') return;
+
+    const status = { ...this.getStatus(), available: true, downForMs: Date.now() - this.openedAt };
+    this.state = 'closed';
+    this.openedAt = null;
+    this.retryAt = null;
+    this.emit('close', status);
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastError = error;
+    this.probeInFlight = false;
+
+    if (this.state === 'half_open') {
+      // Probe failed - still down, wait out another cooldown (no new 'open' event)
+      this.state = 'open';
+      this.retryAt = Date.now() + this.cooldownMs;
+    } else if (this.state === 'closed' && this.consecutiveFailures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      this.retryAt = this.openedAt + this.cooldownMs;
+      this.emit('open', this.getStatus());
+    }
+  }
+
+  /**
+   * @returns {{ available, state, since, retryAt, reason, consecutiveFailures }}
+   */
+  getStatus() {
+    return {
+      available: this.state === 'closed',
+      state: this.state,
+      since: this.openedAt,
+      retryAt: this.retryAt,
+      reason: this.lastError?.message || null,
+      consecutiveFailures: this.consecutiveFailures
+    };
+  }
+}
+
+export default CircuitBreaker;
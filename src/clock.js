@@ -0,0 +1,63 @@
+/**
+ * Clock
+ *
+ * The time trading decisions are made against. Live it is the wall clock; during a
+ * replay (scripts/replay.js) it is set to the timestamp of the recorded price being
+ * played, so cooldowns, trading hours, confirmation windows, order expiries and the
+ * times written to the tracker all follow the recording instead of the machine.
+ *
+ * Operational timestamps (watchdog, savedAt stamps, log throttles for humans) stay on
+ * real time - they describe the process, not the market.
+ */
+
+class Clock {
+  constructor() {
+    this.simulatedNow = null;
+  }
+
+  get isSimulated() {
+    return this.simulatedNow !== null;
+  }
+
+  /**
+   * @returns {number} epoch milliseconds
+   */
+  now() {
+    return this.simulatedNow ?? Date.now();
+  }
+
+  /**
+   * @returns {Date}
+   */
+  date() {
+    return new Date(this.now());
+  }
+
+  /**
+   * Switch to simulated time (replay, Scheduler.advanceTo) - time only moves when set()
+   * is called again
+   * @param {number|Date} time
+   */
+  set(time) {
+    const ms = time instanceof Date ? time.getTime() : time;
+    if (this.simulatedNow !== null && ms < this.simulatedNow) {
+      throw new Error(`Clock can't go backwards (${new Date(ms).toISOString()} < ${new Date(this.simulatedNow).toISOString()})`);
+    }
+    this.simulatedNow = ms;
+  }
+
+  /**
+   * Move simulated time forward - starts from the wall clock if not simulated yet
+   * @param {number} ms
+   */
+  advance(ms) {
+    this.set(this.now() + ms);
+  }
+}
+
+// Shared instance - everything that makes time-based decisions reads the same clock.
+// The class is exported for code that wants a clock of its own (a Scheduler under test).
+const clock = new Clock();
+
+export { Clock };
+export default clock;
@@ -5,6 +5,7 @@
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import instruments from './instruments.js';
 
 // Load environment variables
 dotenv.config();
@@ -12,6 +13,30 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Settings of the account or the process rather than of an instrument - they can't be
+// overridden per instrument (<INSTRUMENT>_<SETTING>, Config.getInstrumentOverrides)
+const SHARED_SETTINGS = new Set([
+  'INSTRUMENTS', 'TRADING_SYMBOL', 'TIMEFRAME', 'BOT_NAME', 'BROKER', 'TRADING_MODE', 'CONFIG_REGIME',
+  // The account-level risk budget
+  'INITIAL_BALANCE', 'MAX_PORTFOLIO_RISK', 'MAX_MARGIN_UTILISATION', 'TARGET_DAILY_PROFIT', 'MAX_DAILY_LOSS',
+  // Sessions, the weekly close, news blackouts and scan timing - the metals share them.
+  // What a trade does at the close (WEEKEND_ACTION, WEEKEND_STOP_R) is the instrument's own.
+  'TRADING_START_HOUR', 'TRADING_END_HOUR', 'TRADING_TIMEZONE', 'TRADING_SESSIONS', 'TRADING_HOLIDAYS',
+  'WEEKLY_OPEN', 'WEEKLY_CLOSE', 'NO_ENTRY_BEFORE_CLOSE_MINUTES', 'WEEKEND_ACTION_MINUTES', 'GAP_CHECK_DELAY_MINUTES', 'AVOID_MAJOR_NEWS', 'NEWS_CALENDAR_FILE', 'NEWS_CURRENCIES',
+  'NEWS_IMPACTS', 'NEWS_BLACKOUT_BEFORE_MINUTES', 'NEWS_BLACKOUT_AFTER_MINUTES', 'SCAN_INTERVAL_MINUTES',
+  'SCAN_JITTER_SECONDS', 'SCAN_ON_CANDLE_CLOSE', 'CANDLE_CLOSE_SCAN_DELAY_SECONDS', 'REALTIME_CHECK_INTERVAL_SECONDS',
+  // Plumbing
+  'ENABLE_TELEGRAM', 'ENABLE_PRICE_STREAM', 'ENABLE_TRANSACTION_STREAM', 'ENABLE_CANDLE_STORE', 'DATABASE_PATH',
+  'SIMULATE_SLIPPAGE', 'SIMULATE_SPREAD', 'SLIPPAGE_PIPS'
+]);
+const SHARED_PREFIXES = ['OANDA_', 'TELEGRAM_', 'LOG_', 'STREAM_', 'RETRY_', 'BREAKER_', 'PAPER_'];
+
+// Settings each strategy type has its own of, <TYPE>_<SETTING> (Config.getStrategySetting)
+const STRATEGY_SETTINGS = ['ALLOWED_REGIMES', 'TRAILING_STOP_MODE'];
+
+// instrument → parsed overrides (the environment doesn't change after startup)
+const instrumentOverrides = new Map();
+
 class Config {
   // Oanda API Configuration
   static OANDA_API_KEY = process.env.OANDA_API_KEY || '';
@@ -20,14 +45,21 @@ class Config {
   // Trading Mode
   static TRADING_MODE = process.env.TRADING_MODE || 'practice'; // practice or live
 
+  // Host overrides - point the bot at a local stand-in (scripts/mock_oanda_server.js)
+  // instead of Oanda. The stream host defaults to the API host since the mock serves both.
+  static OANDA_API_HOST = process.env.OANDA_API_HOST || '';
+  static OANDA_STREAM_HOST = process.env.OANDA_STREAM_HOST || '';
+
   // Get Oanda API hostname based on mode
   static getOandaHostname() {
+    if (this.OANDA_API_HOST) return this.OANDA_API_HOST;
     return this.TRADING_MODE === 'live'
       ? 'https://api-fxtrade.oanda.com'
       : 'https://api-fxpractice.oanda.com';
   }
 
   static getOandaStreamHostname() {
+    if (this.OANDA_STREAM_HOST || this.OANDA_API_HOST) return this.OANDA_STREAM_HOST || this.OANDA_API_HOST;
     return this.TRADING_MODE === 'live'
       ? 'https://stream-fxtrade.oanda.com'
       : 'https://stream-fxpractice.oanda.com';
@@ -36,14 +68,25 @@ class Config {
   // Risk Management
   static MAX_RISK_PER_TRADE = parseFloat(process.env.MAX_RISK_PER_TRADE || '0.015');
   static MAX_PORTFOLIO_RISK = parseFloat(process.env.MAX_PORTFOLIO_RISK || '0.05');
+  // Margin ceiling - max share of NAV tied up as margin once the new trade is on. A full
+  // MAX_POSITION_SIZE of gold needs ~£100k notional × 5% margin, more than a £10k account
+  // has, and Oanda's INSUFFICIENT_MARGIN reject only ever reached the logs. Orders that
+  // would cross the ceiling are shrunk to fit, or blocked if that leaves less than the minimum.
+  static MAX_MARGIN_UTILISATION = parseFloat(process.env.MAX_MARGIN_UTILISATION || '0.5');
   static INITIAL_BALANCE = parseFloat(process.env.INITIAL_BALANCE || '10000');
 
   // Daily Targets
   static TARGET_DAILY_PROFIT = parseFloat(process.env.TARGET_DAILY_PROFIT || '100');
   static MAX_DAILY_LOSS = parseFloat(process.env.MAX_DAILY_LOSS || '150');
 
-  // Trading Instrument
-  static TRADING_SYMBOL = process.env.TRADING_SYMBOL || 'XAU_USD';
+  // Trading Instruments - each scanned with its own strategies, state and cooldown
+  // (instrument_desk.js); open positions and the risk budget above are account-wide.
+  // Any instrument setting can be overridden per instrument as <INSTRUMENT>_<SETTING>
+  // (XAG_USD_STRATEGY_TYPE=ema_trend, XAG_USD_EMA_TREND_MIN_SL=20) - see withInstrument()
+  static INSTRUMENTS = [...new Set((process.env.INSTRUMENTS || process.env.TRADING_SYMBOL || 'XAU_USD')
+    .split(',').map(s => s.trim().toUpperCase()).filter(Boolean))];
+  // The instrument in scope: the first one, or the one withInstrument() is running for
+  static TRADING_SYMBOL = this.INSTRUMENTS[0];
 
   // Config regime tag — stamped onto every tracker trade so later analysis can
   // segment by exit/sizing regime instead of pooling incomparable trades.
@@ -69,7 +112,22 @@ class Config {
   static MIN_CONFIDENCE = parseFloat(process.env.MIN_CONFIDENCE || '70'); // Skip setups below 70% confidence
 
   // Strategy Selection
-  static STRATEGY_TYPE = process.env.STRATEGY_TYPE || 'breakout_adx'; // 'breakout_adx', 'ema_trend', or 'triple_confirmation'
+  static STRATEGY_TYPE = process.env.STRATEGY_TYPE || 'breakout_adx'; // 'breakout_adx', 'ema_trend', 'triple_confirmation', 'ma_crossover' or 'mean_reversion'
+  // Evaluated every scan next to the live strategy and tracked hypothetically, for the
+  // comparison report. Each name is a module src/<name>_strategy.js (strategy_registry.js)
+  static STRATEGIES = (process.env.STRATEGIES || 'breakout_adx,triple_confirmation,ema_trend,ma_crossover,mean_reversion')
+    .split(',').map(s => s.trim()).filter(Boolean);
+
+  // Market regime (regime_classifier.js) - every scan is labelled with trend strength,
+  // volatility, session and HTF bias. Stamped on tracker trades; a strategy only enters in
+  // the regimes its <TYPE>_ALLOWED_REGIMES lists (getAllowedRegimes - unset = any regime)
+  static REGIME_TREND_ADX = parseFloat(process.env.REGIME_TREND_ADX || '25');   // ADX at or above = strong (with slope)
+  static REGIME_RANGE_ADX = parseFloat(process.env.REGIME_RANGE_ADX || '20');   // ADX below = ranging
+  static REGIME_EMA_PERIOD = parseInt(process.env.REGIME_EMA_PERIOD || '50');
+  static REGIME_SLOPE_CANDLES = parseInt(process.env.REGIME_SLOPE_CANDLES || '10');
+  static REGIME_TREND_SLOPE_ATR = parseFloat(process.env.REGIME_TREND_SLOPE_ATR || '0.5'); // EMA move over REGIME_SLOPE_CANDLES, in ATRs, for strong
+  static REGIME_VOLATILITY_DAYS = parseInt(process.env.REGIME_VOLATILITY_DAYS || '20'); // ATR percentile lookback
+  static REGIME_HTF = process.env.REGIME_HTF || 'H4';
 
   // Direction Filter
   // SHORT trades have 11% win rate post-Feb-6 (1W/8L) vs LONG 36% (5W/9L)
@@ -104,6 +162,22 @@ class Config {
   static EMA_TREND_LEG_FILTER_THRESHOLD = parseFloat(process.env.EMA_TREND_LEG_FILTER_THRESHOLD || '2.0');  // legATR > this in trade direction → block
   static EMA_TREND_LEG_FILTER_ENFORCE = process.env.EMA_TREND_LEG_FILTER_ENFORCE !== 'false';  // true = reject chasing entries; false = log only
 
+  // Mean Reversion Strategy Settings (research_notes.md Q6 - a non-trend entry)
+  // Fades a close beyond the band with RSI stretched the same way, only while ADX says
+  // the market is ranging - the chop the trend strategies sit out. Targets the mid-band.
+  static MEAN_REVERSION_BANDS = (process.env.MEAN_REVERSION_BANDS || 'bollinger').toLowerCase();  // 'bollinger' or 'keltner'
+  static MEAN_REVERSION_PERIOD = parseInt(process.env.MEAN_REVERSION_PERIOD || '20');  // Mid-band SMA (Bollinger) / EMA (Keltner)
+  static MEAN_REVERSION_BB_STDDEV = parseFloat(process.env.MEAN_REVERSION_BB_STDDEV || '2');
+  static MEAN_REVERSION_KC_ATR_MULT = parseFloat(process.env.MEAN_REVERSION_KC_ATR_MULT || '2');
+  static MEAN_REVERSION_ADX_MAX = parseFloat(process.env.MEAN_REVERSION_ADX_MAX || '20');  // Only below this (matches REGIME_RANGE_ADX)
+  static MEAN_REVERSION_RSI_OS = parseFloat(process.env.MEAN_REVERSION_RSI_OS || '30');  // LONG needs RSI at or below
+  static MEAN_REVERSION_RSI_OB = parseFloat(process.env.MEAN_REVERSION_RSI_OB || '70');  // SHORT needs RSI at or above
+  static MEAN_REVERSION_ATR_PERIOD = parseInt(process.env.MEAN_REVERSION_ATR_PERIOD || '14');
+  static MEAN_REVERSION_ATR_SL_MULT = parseFloat(process.env.MEAN_REVERSION_ATR_SL_MULT || '1.5');
+  static MEAN_REVERSION_MIN_SL = parseFloat(process.env.MEAN_REVERSION_MIN_SL || '200');  // Min SL in pips ($2.00)
+  static MEAN_REVERSION_MAX_SL = parseFloat(process.env.MEAN_REVERSION_MAX_SL || '4000');  // Max SL in pips ($40.00)
+  static MEAN_REVERSION_MIN_RR = parseFloat(process.env.MEAN_REVERSION_MIN_RR || '0.5');  // Skip when the mid-band is closer than this × the stop
+
   // Multi-Timeframe (MTF) Settings
   // With H1 primary: uses M15 for entry timing (better entries, higher win rate)
   // With H4 primary: uses H1 for entry timing
@@ -112,6 +186,10 @@ class Config {
   static MTF_PULLBACK_PIPS = parseFloat(process.env.MTF_PULLBACK_PIPS || '50'); // Wait for $0.50 pullback (smaller for faster timeframe)
   static MTF_MAX_WAIT_CANDLES = parseInt(process.env.MTF_MAX_WAIT_CANDLES || '8'); // Max M15 candles to wait (2 hours)
   static MTF_EMA_PERIOD = parseInt(process.env.MTF_EMA_PERIOD || '20'); // EMA period on entry timeframe
+  // Limit entries: rest a LIMIT order at the pullback level the moment the breakout confirms,
+  // instead of watching for the pullback and firing a slippage-bounded market order after it.
+  // The order carries SL/TP on fill and expires (GTD) after MTF_MAX_WAIT_CANDLES entry candles.
+  static MTF_LIMIT_ENTRY = process.env.MTF_LIMIT_ENTRY === 'true'; // false by default
 
   // Bot Identification
   static BOT_NAME = process.env.BOT_NAME || 'Gold Bot'; // Used for logging and notifications
@@ -135,6 +213,12 @@ class Config {
   static ENABLE_TRAILING_STOP = process.env.ENABLE_TRAILING_STOP !== 'false';
   static TRAILING_STOP_DISTANCE_PIPS = parseFloat(process.env.TRAILING_STOP_DISTANCE_PIPS || '150'); // $1.50 pre-BE trail. Was $0.75 — backtest (Jun 1 2026) showed $0.75 choked winners (PF 1.19); $1.50 lifts PF to 1.57, same 18W/4L, no big-runner dependence. Shared with breakout strategy (not live).
   static TRAILING_ACTIVATION_PIPS = parseFloat(process.env.TRAILING_ACTIVATION_PIPS || '200'); // $2.00 profit before trailing activates
+  // Where the trail lives once it's active:
+  // 'client' - monitorPositions recomputes the stop every cycle and pushes it with modifyTrade
+  // 'server' - Oanda-native trailingStopLossOrder at the same distance; keeps trailing while
+  //            the bot is down or Oanda is unreachable from the VPS. Monitor only checks the distance.
+  // A strategy's <TYPE>_TRAILING_STOP_MODE (Strategy.trailingStopMode) overrides it.
+  static TRAILING_STOP_MODE = (process.env.TRAILING_STOP_MODE || 'client').toLowerCase();
 
   // Breakout-specific settings (wider to survive post-breakout volatility)
   // Breakouts at major levels (like $5000) have big whipsaws - need room to breathe
@@ -168,6 +252,17 @@ class Config {
   static REALTIME_CHECK_INTERVAL_SECONDS = parseInt(process.env.REALTIME_CHECK_INTERVAL_SECONDS || '30'); // Check every 30 seconds
   static BREAKOUT_CONFIRMATION_SECONDS = parseInt(process.env.BREAKOUT_CONFIRMATION_SECONDS || '120'); // Wait 120s to filter wicks (doubled from 60s - too many reversals after 60s confirmation)
 
+  // Streaming price feed - realtime breakout/MTF checks react to every tick instead of polling
+  // Polling at REALTIME_CHECK_INTERVAL_SECONDS stays as the fallback whenever the stream is down
+  static ENABLE_PRICE_STREAM = process.env.ENABLE_PRICE_STREAM !== 'false'; // true by default
+  static STREAM_HEARTBEAT_TIMEOUT_SECONDS = parseInt(process.env.STREAM_HEARTBEAT_TIMEOUT_SECONDS || '20'); // Oanda heartbeats every ~5s - reconnect after 20s of silence
+  static STREAM_RECONNECT_MAX_DELAY_SECONDS = parseInt(process.env.STREAM_RECONNECT_MAX_DELAY_SECONDS || '60'); // Backoff cap between reconnect attempts
+  static ENABLE_TRANSACTION_STREAM = process.env.ENABLE_TRANSACTION_STREAM !== 'false'; // Instant SL/TP fill detection (monitor poll still reconciles)
+
+  // Candle store - complete candles are kept on disk (data/candles) and only the missing tail
+  // is fetched each scan. The backtest engines read the same store.
+  static ENABLE_CANDLE_STORE = process.env.ENABLE_CANDLE_STORE !== 'false'; // true by default
+
   // Trade cooldown - prevents rapid-fire re-entries after stop-loss
   // After any trade closes (win or lose), wait this long before entering again
   // Prevents repeated losses on the same failed breakout level
@@ -186,6 +281,12 @@ class Config {
   // 200 pips = $2.00, matching the effective threshold of the old combined bound.
   static MAX_ENTRY_DRIFT_PIPS = parseFloat(process.env.MAX_ENTRY_DRIFT_PIPS || '200');
 
+  // Spread-aware stops - strategies measure stop distances on mid prices, but a long's stop
+  // triggers on the bid and a short's on the ask. Without this a stop is hit half a spread
+  // early - a lot more than half of $0.30 when the Asian session or news blows the spread out.
+  // Stops are pushed out by half the live spread so mid has to travel the full distance.
+  static SPREAD_AWARE_STOPS = process.env.SPREAD_AWARE_STOPS !== 'false'; // true by default
+
   // Position Sizing (Oanda uses units: 1 unit = $1 worth of gold)
   static MIN_POSITION_SIZE = parseInt(process.env.MIN_POSITION_SIZE || '100');
   static MAX_POSITION_SIZE = parseInt(process.env.MAX_POSITION_SIZE || '50000');
@@ -221,29 +322,94 @@ class Config {
   static TRADING_END_HOUR = parseInt(process.env.TRADING_END_HOUR || '24');
   static AVOID_MAJOR_NEWS = process.env.AVOID_MAJOR_NEWS === 'true';
 
+  // Session calendar (session_calendar.js) - when new entries are allowed. TRADING_SESSIONS
+  // replaces the hour pair above with windows per weekday in any timezone, so research's
+  // 07:00-21:00 UTC no longer shifts with UK DST: 'mon-fri 07:00-21:00 UTC'
+  static TRADING_TIMEZONE = process.env.TRADING_TIMEZONE || 'Europe/London';
+  static TRADING_SESSIONS = process.env.TRADING_SESSIONS || ''; // '' = TRADING_START_HOUR-TRADING_END_HOUR daily
+  // Dates (TRADING_TIMEZONE) with no entries, date@HH:MM for an early close
+  static TRADING_HOLIDAYS = (process.env.TRADING_HOLIDAYS || '').split(',').map(s => s.trim()).filter(Boolean);
+  // Gold's week on Oanda: Sunday 18:00 to Friday 17:00 New York time
+  static WEEKLY_OPEN = process.env.WEEKLY_OPEN || 'sun 18:00 America/New_York';
+  static WEEKLY_CLOSE = process.env.WEEKLY_CLOSE || 'fri 17:00 America/New_York';
+  // No new entries this close to the weekly (or an early) close - liquidity thins and a
+  // trade opened then has no time to work before the market shuts on it
+  static NO_ENTRY_BEFORE_CLOSE_MINUTES = parseInt(process.env.NO_ENTRY_BEFORE_CLOSE_MINUTES || '60');
+
+  // Weekend gap protection (gap_guard.js) - gold gaps at the Sunday open and a stop in the
+  // gap fills at the first price after it. WEEKEND_ACTION_MINUTES before WEEKLY_CLOSE open
+  // trades are held, tightened to WEEKEND_STOP_R (0 = breakeven) or flattened
+  static WEEKEND_ACTION = process.env.WEEKEND_ACTION || 'hold';
+  static WEEKEND_ACTION_MINUTES = parseInt(process.env.WEEKEND_ACTION_MINUTES || '30');
+  static WEEKEND_STOP_R = parseFloat(process.env.WEEKEND_STOP_R || '0');
+  static GAP_CHECK_DELAY_MINUTES = parseInt(process.env.GAP_CHECK_DELAY_MINUTES || '5'); // after WEEKLY_OPEN, once prices settle
+
+  // News blackout (news_calendar.js, AVOID_MAJOR_NEWS) - no new entries around the events
+  // in the calendar file. NFP/CPI/FOMC spike through both sides of a breakout in seconds,
+  // the same stop-outs TRADE_COOLDOWN_HOURS was tuned around
+  static NEWS_CALENDAR_FILE = process.env.NEWS_CALENDAR_FILE || ''; // '' = data/news_calendar.csv
+  static NEWS_CURRENCIES = (process.env.NEWS_CURRENCIES || 'USD').split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+  static NEWS_IMPACTS = (process.env.NEWS_IMPACTS || 'high').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  static NEWS_BLACKOUT_BEFORE_MINUTES = parseFloat(process.env.NEWS_BLACKOUT_BEFORE_MINUTES || '30');
+  static NEWS_BLACKOUT_AFTER_MINUTES = parseFloat(process.env.NEWS_BLACKOUT_AFTER_MINUTES || '30');
+  // Open trades when a blackout starts: 'none' (keep SL/TP), 'tighten' (stop to
+  // NEWS_TIGHTEN_PIPS from price) or 'flatten' (close at market)
+  static NEWS_PRE_EVENT_ACTION = process.env.NEWS_PRE_EVENT_ACTION || 'none';
+  static NEWS_TIGHTEN_PIPS = parseFloat(process.env.NEWS_TIGHTEN_PIPS || '150'); // $1.50 on gold
+
   // Analysis Settings
   static SCAN_INTERVAL_MINUTES = parseInt(process.env.SCAN_INTERVAL_MINUTES || '15');
+  // Random 0-N seconds added to each scheduled scan (0 = exactly on the interval). Keeps
+  // several bots on one account/IP from hitting Oanda in the same second.
+  static SCAN_JITTER_SECONDS = parseInt(process.env.SCAN_JITTER_SECONDS || '0');
+  // Scan a few seconds after every TIMEFRAME / MTF / HTF candle close instead of waiting up
+  // to SCAN_INTERVAL_MINUTES for the next interval scan. Entries then land at the same
+  // point relative to the close every time - live, after a restart and in replays. The
+  // interval scan stays as a fallback for closes these scans miss.
+  static SCAN_ON_CANDLE_CLOSE = process.env.SCAN_ON_CANDLE_CLOSE !== 'false'; // true by default
+  static CANDLE_CLOSE_SCAN_DELAY_SECONDS = parseInt(process.env.CANDLE_CLOSE_SCAN_DELAY_SECONDS || '5');
 
   // Database
   static DATABASE_PATH = process.env.DATABASE_PATH || join(__dirname, '../data/trades.db');
 
   // API Rate Limiting
+  // Split into per-endpoint-class token buckets (trading / pricing / account) in OandaClient
   static OANDA_MAX_REQUESTS_PER_SECOND = parseInt(process.env.OANDA_MAX_REQUESTS_PER_SECOND || '100');
+  // Only network errors, 5xx and 429 are retried - a 400/401/404 fails the same way every time.
+  // Backoff starts at RETRY_DELAY_MS and doubles per attempt (jittered, capped); a 429's
+  // Retry-After wins over the backoff.
   static RETRY_ATTEMPTS = parseInt(process.env.RETRY_ATTEMPTS || '3');
   static RETRY_DELAY_MS = parseInt(process.env.RETRY_DELAY_MS || '1000');
+  static RETRY_MAX_DELAY_MS = parseInt(process.env.RETRY_MAX_DELAY_MS || '30000');
+  // Circuit breaker: this many requests in a row failing (after their retries) means Oanda is
+  // down - requests then fail fast with BrokerUnavailable, probing once per cooldown
+  static BREAKER_FAILURE_THRESHOLD = parseInt(process.env.BREAKER_FAILURE_THRESHOLD || '3');
+  static BREAKER_COOLDOWN_SECONDS = parseInt(process.env.BREAKER_COOLDOWN_SECONDS || '60');
+
+  // Broker - 'oanda' trades the Oanda account (TRADING_MODE picks practice/live);
+  // 'paper' simulates fills in-process against Oanda prices (no orders reach Oanda at all)
+  static BROKER = (process.env.BROKER || 'oanda').toLowerCase();
+  static PAPER_PRICE_CHECK_SECONDS = parseInt(process.env.PAPER_PRICE_CHECK_SECONDS || '5'); // Poll price for paper SL/TP while trades are open
 
   // Paper Trading Simulation
+  // Applied by the paper broker (BROKER=paper)
   static SIMULATE_SLIPPAGE = process.env.SIMULATE_SLIPPAGE === 'true';
   static SLIPPAGE_PIPS = parseFloat(process.env.SLIPPAGE_PIPS || '0.5');
   static SIMULATE_SPREAD = process.env.SIMULATE_SPREAD === 'true';
 
   /**
    * Validate configuration
+   * @param {Object} options
+   * @param {boolean} options.nested - checking one instrument's overrides (withInstrument)
    * @returns {Object} { valid: boolean, errors: string[] }
    */
-  static validate() {
+  static validate({ nested = false } = {}) {
     const errors = [];
 
+    if (this.INSTRUMENTS.length === 0) {
+      errors.push('INSTRUMENTS must name at least one instrument');
+    }
+
     // Check API credentials
     if (!this.OANDA_API_KEY) {
       errors.push('OANDA_API_KEY is required');
@@ -253,6 +419,39 @@ class Config {
       errors.push('OANDA_ACCOUNT_ID is required');
     }
 
+    if (!['oanda', 'paper'].includes(this.BROKER)) {
+      errors.push(`BROKER must be 'oanda' or 'paper' (got '${this.BROKER}')`);
+    }
+
+    // The paper account books P&L in the quote currency into a USD balance
+    const notUsdQuoted = this.INSTRUMENTS.filter(instrument => !instrument.endsWith('_USD'));
+    if (this.BROKER === 'paper' && notUsdQuoted.length > 0) {
+      errors.push(`BROKER=paper only trades USD-quoted instruments (got ${notUsdQuoted.join(', ')})`);
+    }
+
+    // <TYPE>_TRAILING_STOP_MODE and its <INSTRUMENT>_ overrides aren't Config statics -
+    // checked once, from the environment
+    const trailingModes = { TRAILING_STOP_MODE: this.TRAILING_STOP_MODE };
+    if (!nested) {
+      for (const type of this.getStrategyTypes()) {
+        const name = `${type.toUpperCase()}_TRAILING_STOP_MODE`;
+        for (const key of [name, ...this.INSTRUMENTS.map(instrument => `${instrument}_${name}`)]) {
+          trailingModes[key] = process.env[key];
+        }
+      }
+      // Named after the strategy type now - an old .env would quietly fall back to TRAILING_STOP_MODE
+      for (const [old, renamed] of [['BREAKOUT', 'BREAKOUT_ADX'], ['TRIPLE', 'TRIPLE_CONFIRMATION']]) {
+        if (process.env[`${old}_TRAILING_STOP_MODE`]) {
+          errors.push(`${old}_TRAILING_STOP_MODE is now ${renamed}_TRAILING_STOP_MODE`);
+        }
+      }
+    }
+    for (const [key, mode] of Object.entries(trailingModes)) {
+      if (mode && !['client', 'server'].includes(mode.toLowerCase())) {
+        errors.push(`${key} must be 'client' or 'server' (got '${mode}')`);
+      }
+    }
+
     // Validate risk parameters
     if (this.MAX_RISK_PER_TRADE > 0.05) {
       errors.push('MAX_RISK_PER_TRADE should not exceed 5% (0.05)');
@@ -262,6 +461,50 @@ class Config {
       errors.push('MAX_PORTFOLIO_RISK should not exceed 25% (0.25)');
     }
 
+    if (!(this.MAX_MARGIN_UTILISATION > 0 && this.MAX_MARGIN_UTILISATION <= 1)) {
+      errors.push('MAX_MARGIN_UTILISATION must be between 0 and 1 (fraction of NAV)');
+    }
+
+    if (this.RETRY_ATTEMPTS < 1 || this.BREAKER_FAILURE_THRESHOLD < 1) {
+      errors.push('RETRY_ATTEMPTS and BREAKER_FAILURE_THRESHOLD must be at least 1');
+    }
+
+    if (this.SCAN_JITTER_SECONDS < 0 || this.SCAN_JITTER_SECONDS >= this.SCAN_INTERVAL_MINUTES * 60) {
+      errors.push('SCAN_JITTER_SECONDS must be between 0 and the scan interval');
+    }
+
+    if (this.CANDLE_CLOSE_SCAN_DELAY_SECONDS < 0 || this.CANDLE_CLOSE_SCAN_DELAY_SECONDS >= 60) {
+      errors.push('CANDLE_CLOSE_SCAN_DELAY_SECONDS must be between 0 and 59');
+    }
+
+    if (!['hold', 'tighten', 'flatten'].includes(this.WEEKEND_ACTION)) {
+      errors.push('WEEKEND_ACTION must be hold, tighten or flatten');
+    }
+
+    if (this.WEEKEND_ACTION_MINUTES <= 0) {
+      errors.push('WEEKEND_ACTION_MINUTES must be positive');
+    }
+
+    if (!['none', 'tighten', 'flatten'].includes(this.NEWS_PRE_EVENT_ACTION)) {
+      errors.push('NEWS_PRE_EVENT_ACTION must be none, tighten or flatten');
+    }
+
+    if (this.NEWS_BLACKOUT_BEFORE_MINUTES < 0 || this.NEWS_BLACKOUT_AFTER_MINUTES < 0) {
+      errors.push('NEWS_BLACKOUT_BEFORE_MINUTES and NEWS_BLACKOUT_AFTER_MINUTES must not be negative');
+    }
+
+    if (this.REGIME_RANGE_ADX > this.REGIME_TREND_ADX) {
+      errors.push('REGIME_RANGE_ADX must not exceed REGIME_TREND_ADX');
+    }
+
+    if (!['bollinger', 'keltner'].includes(this.MEAN_REVERSION_BANDS)) {
+      errors.push(`MEAN_REVERSION_BANDS must be 'bollinger' or 'keltner' (got '${this.MEAN_REVERSION_BANDS}')`);
+    }
+
+    if (this.MEAN_REVERSION_RSI_OS >= this.MEAN_REVERSION_RSI_OB) {
+      errors.push('MEAN_REVERSION_RSI_OS must be less than MEAN_REVERSION_RSI_OB');
+    }
+
     // Validate EMA periods
     if (this.EMA_FAST >= this.EMA_SLOW) {
       errors.push('EMA_FAST must be less than EMA_SLOW');
@@ -295,6 +538,21 @@ class Config {
       errors.push('MAX_POSITION_SIZE must be greater than MIN_POSITION_SIZE');
     }
 
+    // Each instrument's settings again with its overrides applied
+    if (!nested) {
+      for (const instrument of this.INSTRUMENTS) {
+        try {
+          if (Object.keys(this.getInstrumentOverrides(instrument)).length === 0) continue;
+          const scoped = this.withInstrument(instrument, () => this.validate({ nested: true }));
+          for (const error of scoped.errors) {
+            if (!errors.includes(error)) errors.push(`${instrument}: ${error}`);
+          }
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+    }
+
     return {
       valid: errors.length === 0,
       errors
@@ -312,14 +570,15 @@ class Config {
     console.log(`${this.BOT_NAME.toUpperCase()} CONFIGURATION`);
     console.log('='.repeat(60));
     console.log(`🤖 Bot Name: ${this.BOT_NAME}`);
-    console.log(`📊 Strategy: ${this.STRATEGY_TYPE}`);
+    console.log(`📊 Strategy: ${this.STRATEGY_TYPE}${this.getStrategyTypes().length > 1 ? ` (tracking ${this.getStrategyTypes().slice(1).join(', ')})` : ''}`);
     console.log(`${modeEmoji} Trading Mode: ${mode}`);
+    console.log(`🏦 Broker: ${this.BROKER === 'paper' ? `🧪 PAPER (spread ${this.SIMULATE_SPREAD ? 'on' : 'off'}, slippage ${this.SIMULATE_SLIPPAGE ? `~${this.SLIPPAGE_PIPS} pips` : 'off'})` : 'Oanda'}`);
     console.log(`💰 Initial Balance: $${this.INITIAL_BALANCE.toLocaleString()}`);
     console.log(`🎯 Target Daily Profit: $${this.TARGET_DAILY_PROFIT.toLocaleString()}`);
     console.log(`🛑 Max Daily Loss: $${this.MAX_DAILY_LOSS.toLocaleString()}`);
-    console.log(`\n📊 Trading Instrument: ${this.TRADING_SYMBOL}`);
+    console.log(`\n📊 Trading Instrument${this.INSTRUMENTS.length > 1 ? 's' : ''}: ${this.INSTRUMENTS.join(', ')}`);
     console.log(`⏰ Timeframe: ${this.TIMEFRAME}`);
-    console.log(`🔄 Scan Interval: ${this.SCAN_INTERVAL_MINUTES} minutes`);
+    console.log(`🔄 Scan Interval: ${this.SCAN_INTERVAL_MINUTES} minutes${this.SCAN_JITTER_SECONDS > 0 ? ` (+0-${this.SCAN_JITTER_SECONDS}s jitter)` : ''}${this.SCAN_ON_CANDLE_CLOSE ? ` (fallback - scans ${this.CANDLE_CLOSE_SCAN_DELAY_SECONDS}s after each candle close)` : ''}`);
     console.log(`\n📈 Strategy: Triple Confirmation Trend Follower`);
     console.log(`  - EMA Fast/Slow: ${this.EMA_FAST}/${this.EMA_SLOW}`);
     console.log(`  - RSI Period: ${this.RSI_PERIOD}`);
@@ -331,29 +590,164 @@ class Config {
     console.log(`\n⚖️ Risk Management:`);
     console.log(`  - Max Risk Per Trade: ${(this.MAX_RISK_PER_TRADE * 100).toFixed(1)}%`);
     console.log(`  - Max Portfolio Risk: ${(this.MAX_PORTFOLIO_RISK * 100).toFixed(1)}%`);
+    console.log(`  - Max Margin Utilisation: ${(this.MAX_MARGIN_UTILISATION * 100).toFixed(0)}% of NAV`);
     console.log(`  - Stop Loss: ${this.STOP_LOSS_PIPS} pips`);
     console.log(`  - Take Profit Targets: ${this.TAKE_PROFIT_1_RR}R / ${this.TAKE_PROFIT_2_RR}R`);
-    console.log(`  - Trailing Stop: ${this.ENABLE_TRAILING_STOP ? '✅ Enabled' : '❌ Disabled'} (${this.TRAILING_STOP_DISTANCE_PIPS} pips)`);
+    console.log(`  - Spread-Aware Stops: ${this.SPREAD_AWARE_STOPS ? '✅ Enabled (bid/ask trigger side)' : '❌ Disabled (mid)'}`);
+    console.log(`  - Trailing Stop: ${this.ENABLE_TRAILING_STOP ? '✅ Enabled' : '❌ Disabled'} (${this.TRAILING_STOP_DISTANCE_PIPS} pips, ${this.TRAILING_STOP_MODE}-side)`);
+    console.log(`🕐 Sessions: ${this.getTradingSessions()}${this.TRADING_HOLIDAYS.length ? `, ${this.TRADING_HOLIDAYS.length} holiday(s)` : ''}, week ${this.WEEKLY_OPEN} → ${this.WEEKLY_CLOSE}, no entries in the last ${this.NO_ENTRY_BEFORE_CLOSE_MINUTES} min`);
+    console.log(`🗓️ Weekly Close: ${this.WEEKEND_ACTION}${this.WEEKEND_ACTION === 'tighten' ? ` to ${this.WEEKEND_STOP_R}R` : ''} ${this.WEEKEND_ACTION_MINUTES} min before, gap check ${this.GAP_CHECK_DELAY_MINUTES} min after the reopen`);
+    console.log(`📰 News Blackout: ${this.AVOID_MAJOR_NEWS ? `✅ ${this.NEWS_IMPACTS.join('/')} ${this.NEWS_CURRENCIES.join('/')} -${this.NEWS_BLACKOUT_BEFORE_MINUTES}/+${this.NEWS_BLACKOUT_AFTER_MINUTES} min, open trades: ${this.NEWS_PRE_EVENT_ACTION}` : '❌ Disabled'}`);
     console.log(`\n📱 Telegram: ${this.ENABLE_TELEGRAM ? '✅ Enabled' : '❌ Disabled'}`);
     console.log(`📝 Logging: ${this.LOG_LEVEL.toUpperCase()}`);
     console.log(`🌐 Oanda API: ${this.getOandaHostname()}`);
+    console.log(`🔁 Requests: ${this.OANDA_MAX_REQUESTS_PER_SECOND}/s, ${this.RETRY_ATTEMPTS} attempts, breaker after ${this.BREAKER_FAILURE_THRESHOLD} failures (${this.BREAKER_COOLDOWN_SECONDS}s cooldown)`);
+    console.log(`📡 Transaction Stream: ${this.ENABLE_TRANSACTION_STREAM ? '✅ Enabled' : '❌ Disabled (60s monitor only)'}`);
+    console.log(`🕯️ Candle Store: ${this.ENABLE_CANDLE_STORE ? '✅ Enabled (incremental)' : '❌ Disabled (full refetch)'}`);
+    console.log(`📡 Price Stream: ${this.ENABLE_PRICE_STREAM ? `✅ Enabled (${this.getOandaStreamHostname()})` : '❌ Disabled (polling)'}`);
     console.log('='.repeat(60) + '\n');
   }
 
   /**
-   * Convert pips to price for XAU_USD
-   * Gold is typically quoted to 2 decimal places
-   * 1 pip = 0.01 for XAU_USD
+   * Length of a candle granularity in seconds (M15 → 900, H1 → 3600, D → 86400)
+   */
+  static getGranularitySeconds(granularity) {
+    const match = /^([SMHDW])(\d*)$/.exec(granularity || '');
+    if (!match) return 3600;
+    const unit = { S: 1, M: 60, H: 3600, D: 86400, W: 604800 }[match[1]];
+    return unit * parseInt(match[2] || '1');
+  }
+
+  /**
+   * Strategies to load, the live one first
+   */
+  static getStrategyTypes() {
+    return [...new Set([this.STRATEGY_TYPE, ...this.STRATEGIES])];
+  }
+
+  /**
+   * Session windows for SessionCalendar - TRADING_SESSIONS, or the legacy
+   * TRADING_START_HOUR-TRADING_END_HOUR (UK time, every day) when it is unset
+   */
+  static getTradingSessions() {
+    if (this.TRADING_SESSIONS) return this.TRADING_SESSIONS;
+    const hour = h => `${String(h).padStart(2, '0')}:00`;
+    if (this.TRADING_START_HOUR === this.TRADING_END_HOUR % 24) return 'daily 00:00-24:00 Europe/London';
+    return `daily ${hour(this.TRADING_START_HOUR)}-${hour(this.TRADING_END_HOUR)} Europe/London`;
+  }
+
+  /**
+   * A strategy's allowed-regimes setting, <TYPE>_ALLOWED_REGIMES
+   * (EMA_TREND_ALLOWED_REGIMES=session:london|overlap|ny) - parsed by RegimeClassifier
+   * @param {string} type - Strategy type ('ema_trend')
+   */
+  static getAllowedRegimes(type) {
+    return this.getStrategySetting(type, 'ALLOWED_REGIMES');
+  }
+
+  /**
+   * One of a strategy type's own settings, <TYPE>_<SETTING> (EMA_TREND_TRAILING_STOP_MODE),
+   * as the instrument in scope sees it - '' when unset
+   * @param {string} type - Strategy type ('ema_trend')
+   * @param {string} setting - One of STRATEGY_SETTINGS
+   */
+  static getStrategySetting(type, setting) {
+    const name = `${type.toUpperCase()}_${setting}`;
+    return process.env[`${this.TRADING_SYMBOL}_${name}`] ?? (process.env[name] || '');
+  }
+
+  /**
+   * An instrument's <INSTRUMENT>_<SETTING> overrides, parsed like the setting they replace
+   * (number, true/false, comma list or text). <INSTRUMENT>_<TYPE>_<SETTING> for the
+   * STRATEGY_SETTINGS is left to getStrategySetting.
+   * @returns {Object} setting → value
+   * @throws {Error} for a setting that doesn't exist or is account-wide (SHARED_SETTINGS)
+   */
+  static getInstrumentOverrides(instrument) {
+    if (instrumentOverrides.has(instrument)) return instrumentOverrides.get(instrument);
+
+    const prefix = `${instrument}_`;
+    const overrides = {};
+    for (const [name, value] of Object.entries(process.env)) {
+      if (!name.startsWith(prefix)) continue;
+      const key = name.slice(prefix.length);
+      if (STRATEGY_SETTINGS.some(setting => key.endsWith(`_${setting}`))) continue;
+      const current = this[key];
+      if (key !== key.toUpperCase() || current === undefined || typeof current === 'function') {
+        throw new Error(`${name}: ${key} is not a setting`);
+      }
+      if (SHARED_SETTINGS.has(key) || SHARED_PREFIXES.some(p => key.startsWith(p))) {
+        throw new Error(`${name}: ${key} is shared by every instrument and can't be overridden`);
+      }
+
+      if (typeof current === 'number') {
+        overrides[key] = parseFloat(value);
+        if (!Number.isFinite(overrides[key])) throw new Error(`${name} must be a number (got '${value}')`);
+      } else if (typeof current === 'boolean') {
+        overrides[key] = value === 'true';
+      } else if (Array.isArray(current)) {
+        overrides[key] = value.split(',').map(s => s.trim()).filter(Boolean);
+      } else {
+        overrides[key] = value;
+      }
+    }
+
+    instrumentOverrides.set(instrument, overrides);
+    return overrides;
+  }
+
+  /**
+   * Run fn with `instrument` in scope: TRADING_SYMBOL is the instrument and its overrides
+   * replace the shared settings until fn returns. Strategies read Config directly, so
+   * everything that calls into an instrument's strategies goes through here.
+   * Synchronous only - an await inside fn would run on with whatever is in scope then.
+   */
+  static withInstrument(instrument, fn) {
+    const scoped = { ...this.getInstrumentOverrides(instrument), TRADING_SYMBOL: instrument };
+    const saved = {};
+    for (const key of Object.keys(scoped)) saved[key] = this[key];
+
+    Object.assign(this, scoped);
+    try {
+      const result = fn();
+      if (result instanceof Promise) {
+        throw new Error('Config.withInstrument() runs synchronous code only');
+      }
+      return result;
+    } finally {
+      Object.assign(this, saved);
+    }
+  }
+
+  /**
+   * One setting as an instrument sees it - for async code that can't run inside withInstrument()
+   */
+  static getInstrumentSetting(instrument, key) {
+    return this.withInstrument(instrument, () => this[key]);
+  }
+
+  /**
+   * A data file of an instrument's own (strategy state, cooldown). The first instrument
+   * keeps the plain name, so a single-instrument install carries on with the files it has:
+   * breakout_adx_state.json for XAU_USD, xag_usd_breakout_adx_state.json for XAG_USD.
+   */
+  static instrumentFile(fileName, instrument = this.TRADING_SYMBOL) {
+    return instrument === this.INSTRUMENTS[0] ? fileName : `${instrument.toLowerCase()}_${fileName}`;
+  }
+
+  /**
+   * Convert pips to price using the instrument's pipLocation
+   * 1 pip = 0.01 for XAU_USD (pipLocation -2), 0.0001 for EUR_USD
    */
-  static pipsToPrice(pips) {
-    return pips * 0.01;
+  static pipsToPrice(pips, instrument = this.TRADING_SYMBOL) {
+    return instruments.pipsToPrice(pips, instrument);
   }
 
   /**
-   * Convert price to pips for XAU_USD
+   * Convert price to pips using the instrument's pipLocation
    */
-  static priceToPips(price) {
-    return price / 0.01;
+  static priceToPips(price, instrument = this.TRADING_SYMBOL) {
+    return instruments.priceToPips(price, instrument);
   }
 }
 
@@ -0,0 +1,82 @@
+/**
+ * Account Currency Conversion
+ *
+ * Instrument P&L accrues in the quote currency (USD for XAU_USD), but the account - balance,
+ * NAV, realizedPL and every risk limit - is in the home currency (GBP for us). Oanda
+ * publishes the quote→home factors with every price (quoteHomeConversionFactors):
+ * positiveUnits converts a positive amount (a gain), negativeUnits a negative one (a loss) -
+ * whichever side the position is on. RiskManager converts quote-currency price risk as a
+ * loss, so "1.5% of balance" really is 1.5% of the balance.
+ */
+
+// Factors move with the FX rate, not with the instrument - a minute old is plenty fresh
+const FACTOR_TTL_MS = 60 * 1000;
+
+const CURRENCY_SYMBOLS = { USD: '$', GBP: '£', EUR: '€', JPY: '¥' };
+
+class CurrencyConverter {
+  constructor(logger, broker) {
+    this.logger = logger;
+    this.broker = broker;
+
+    // instrument → { positiveUnits, negativeUnits, fetchedAt }
+    this.factors = new Map();
+  }
+
+  /**
+   * Refresh an instrument's conversion factors from the broker's pricing
+   * Keeps the last known factors if the fetch fails or the broker doesn't publish any.
+   */
+  async refresh(instrument) {
+    try {
+      const price = await this.broker.getPrice(instrument);
+      if (price.quoteHomeConversion) {
+        this.factors.set(instrument, { ...price.quoteHomeConversion, fetchedAt: Date.now() });
+      } else if (!this.factors.has(instrument)) {
+        this.logger.warn(`⚠️ No home conversion factors for ${instrument} - assuming quote = account currency`);
+        this.factors.set(instrument, { positiveUnits: 1, negativeUnits: 1, fetchedAt: Date.now() });
+      }
+    } catch (error) {
+      this.logger.warn(`Failed to refresh conversion factors for ${instrument}: ${error.message}`);
+    }
+    return this.factors.get(instrument) || null;
+  }
+
+  /**
+   * Quote → account currency factor for an amount of this sign (gain ≥ 0, loss < 0)
+   * @returns {Promise<number>}
+   */
+  async getFactor(instrument, amount) {
+    let factors = this.factors.get(instrument);
+    if (!factors || Date.now() - factors.fetchedAt > FACTOR_TTL_MS) {
+      factors = await this.refresh(instrument);
+    }
+    if (!factors) {
+      // Never seen a price - sizing as if 1:1 beats refusing to size at all, but say so
+      this.logger.warn(`⚠️ Conversion factor for ${instrument} unknown - using 1.0`);
+      return 1;
+    }
+    return amount >= 0 ? factors.positiveUnits : factors.negativeUnits;
+  }
+
+  /**
+   * Convert a quote-currency amount into account currency - pass losses (risk, slippage)
+   * as negative amounts, so they take the loss factor
+   */
+  async toAccount(amount, instrument) {
+    return amount * await this.getFactor(instrument, amount);
+  }
+
+  /**
+   * Format an account-currency amount, e.g. £12.34 (falls back to "12.34 CHF")
+   */
+  static format(amount, currency) {
+    const symbol = CURRENCY_SYMBOLS[currency];
+    const sign = amount < 0 ? '-' : '';
+    return symbol
+      ? `${sign}${symbol}${Math.abs(amount).toFixed(2)}`
+      : `${amount.toFixed(2)}${currency ? ` ${currency}` : ''}`;
+  }
+}
+
+export default CurrencyConverter;
@@ -24,6 +24,8 @@
  * Trailing: After breakeven, trail at ATR × 1.5
  */
 import Config from './config.js';
+import Strategy from './strategy.js';
+import instruments from './instruments.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -31,13 +33,16 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const DATA_DIR = process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..', 'data');
-const STATE_FILE = path.join(DATA_DIR, 'ema_trend_state.json');
+const DATA_DIR = process.env.DATA_DIR || (process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..', 'data'));
+const STATE_FILE = 'ema_trend_state.json'; // the first instrument's - see Config.instrumentFile
 
-class EmaTrendStrategy {
-  constructor(logger, technicalAnalysis) {
-    this.logger = logger;
-    this.ta = technicalAnalysis;
+class EmaTrendStrategy extends Strategy {
+  static type = 'ema_trend';
+  static label = 'EMA Trend';
+
+  constructor(logger, technicalAnalysis, instrument) {
+    super(logger, technicalAnalysis, instrument);
+    this.stateFile = path.join(DATA_DIR, Config.instrumentFile(STATE_FILE, this.instrument));
     this.name = `EMA Trend (${Config.EMA_TREND_FAST}/${Config.EMA_TREND_MEDIUM}/${Config.EMA_TREND_SLOW})`;
 
     // State persisted across restarts
@@ -48,10 +53,17 @@ class EmaTrendStrategy {
     this.loadState();
   }
 
+  /**
+   * Primary timeframe plus the higher timeframe used for trend alignment
+   */
+  requiredTimeframes() {
+    return [Config.TIMEFRAME, Config.EMA_TREND_HTF];
+  }
+
   loadState() {
     try {
-      if (fs.existsSync(STATE_FILE)) {
-        const data = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+      if (fs.existsSync(this.stateFile)) {
+        const data = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
         this.lastSignal = data.lastSignal || null;
         this.lastSignalCandleTime = data.lastSignalCandleTime || null;
         this.lastATR = data.lastATR || null;
@@ -67,7 +79,7 @@ class EmaTrendStrategy {
       if (!fs.existsSync(DATA_DIR)) {
         fs.mkdirSync(DATA_DIR, { recursive: true });
       }
-      fs.writeFileSync(STATE_FILE, JSON.stringify({
+      fs.writeFileSync(this.stateFile, JSON.stringify({
         lastSignal: this.lastSignal,
         lastSignalCandleTime: this.lastSignalCandleTime,
         lastATR: this.lastATR,
@@ -82,10 +94,12 @@ class EmaTrendStrategy {
    * Evaluate market for trade setup.
    * @param {Object} analysis - Result from TechnicalAnalysis.analyze() (uses standard 20/50 EMAs)
    * @param {Array} candles - Primary timeframe candles (H1)
-   * @param {Array} htfCandles - Higher timeframe candles (H4) for trend alignment, or null
+   * @param {Object} feeds - Complete candles by granularity; EMA_TREND_HTF (H4) for trend
+   *   alignment, skipped if missing
    * @returns {Object} { signal, reason, confidence } or { signal: null, reason, confidence: 0 }
    */
-  evaluateSetup(analysis, candles, htfCandles = null) {
+  evaluateSetup(analysis, candles, feeds = {}) {
+    const htfCandles = feeds[Config.EMA_TREND_HTF] || null;
     const completeCandles = candles.filter(c => c.complete);
     if (completeCandles.length < Config.EMA_TREND_SLOW + 10) {
       return { signal: null, reason: 'Insufficient candles for EMA Trend', confidence: 0 };
@@ -311,13 +325,13 @@ class EmaTrendStrategy {
       // Indicator snapshot at signal time — stamped into the tracker so later
       // analysis can segment outcomes by market state. Log-only, never read back.
       entrySnapshot: {
-        emaFast: parseFloat(fast.toFixed(2)),
-        emaMedium: parseFloat(medium.toFixed(2)),
-        emaSlow: parseFloat(slow.toFixed(2)),
-        atr: parseFloat(atr.toFixed(2)),
+        emaFast: instruments.roundPrice(fast, this.instrument),
+        emaMedium: instruments.roundPrice(medium, this.instrument),
+        emaSlow: instruments.roundPrice(slow, this.instrument),
+        atr: instruments.roundPrice(atr, this.instrument),
         adx: parseFloat(adx.toFixed(1)),
         rsi: parseFloat(rsi.toFixed(1)),
-        price: parseFloat(price.toFixed(2)),
+        price: instruments.roundPrice(price, this.instrument),
         pullbackPct: parseFloat((priceDistancePct * 100).toFixed(3)),
       },
     };
@@ -332,10 +346,7 @@ class EmaTrendStrategy {
     const isLong = signal === 'LONG';
 
     // ATR-based stop distance with min/max caps
-    let stopDistance = (this.lastATR || 5.0) * Config.EMA_TREND_ATR_SL_MULT;
-    const minSL = Config.pipsToPrice(Config.EMA_TREND_MIN_SL);
-    const maxSL = Config.pipsToPrice(Config.EMA_TREND_MAX_SL);
-    stopDistance = Math.max(minSL, Math.min(maxSL, stopDistance));
+    const stopDistance = this._atrDistance(Config.EMA_TREND_ATR_SL_MULT);
 
     const tpDistance = stopDistance * Config.EMA_TREND_TP_RR;
     const riskPips = Config.priceToPips(stopDistance);
@@ -355,6 +366,108 @@ class EmaTrendStrategy {
     };
   }
 
+  /**
+   * ATR stop and EMA_TREND_TP_RR target from the fill, plus the breakeven trigger and
+   * post-breakeven trail distance onTick reads back from the position
+   */
+  initialStops(fill) {
+    const stopDistance = this._atrDistance(Config.EMA_TREND_ATR_SL_MULT);
+    const stops = this.bracket(fill, stopDistance, Config.EMA_TREND_TP_RR);
+
+    // Cap the post-breakeven trail to the same bounds as the stop. Uncapped ATR×1.5
+    // on H1 (~$25) is wider than the whole 2R target, so the trail never re-engages
+    // and the trade strands at breakeven. The SL itself is capped at $2–$8; the trail
+    // must be too, or it's not a trail.
+    const rawTrail = (this.lastATR || 5.0) * Config.EMA_TREND_TRAIL_ATR_MULT;
+    const state = {
+      breakevenTriggered: false,
+      breakevenTriggerDistance: stopDistance * Config.EMA_TREND_TP_RR * Config.EMA_TREND_BE_TRIGGER_PCT,
+      atrTrailDistance: this._atrDistance(Config.EMA_TREND_TRAIL_ATR_MULT)
+    };
+
+    // Only announce the machinery that is actually armed. Under the bracket-exit
+    // regime BE_TRIGGER_PCT is 0 (so breakevenTriggerDistance is falsy and the BE
+    // check at monitor time never fires) and ENABLE_TRAILING_STOP is false — printing
+    // "Breakeven at $0.00 profit, then trail at $20.00" implied both were live.
+    const beArmed = state.breakevenTriggerDistance > 0;
+    const trailArmed = Config.ENABLE_TRAILING_STOP;
+    if (beArmed && trailArmed) {
+      this.logger.info(`📊 Breakeven at $${state.breakevenTriggerDistance.toFixed(2)} profit, then trail at $${state.atrTrailDistance.toFixed(2)} (raw ATR trail $${rawTrail.toFixed(2)} capped to SL bounds)`);
+    } else if (beArmed) {
+      this.logger.info(`📊 Breakeven at $${state.breakevenTriggerDistance.toFixed(2)} profit (trailing disabled)`);
+    } else if (trailArmed) {
+      this.logger.info(`📊 Trailing at $${state.atrTrailDistance.toFixed(2)} (raw ATR trail $${rawTrail.toFixed(2)} capped to SL bounds), breakeven disabled`);
+    } else {
+      this.logger.info(`📊 Bracket exit: resting TP or original stop only (breakeven and trailing both disabled)`);
+    }
+
+    return { ...stops, state };
+  }
+
+  onTick(position, price) {
+    return this.plan(position, price, [this.stagedTakeProfit, this.breakeven, this.trailingStop]);
+  }
+
+  /**
+   * Breakeven: once profit >= X% of TP, guarantee the stop is at least at entry — but
+   * NEVER move it backward. The pre-breakeven trail may have already locked profit
+   * beyond entry; resetting to entry would hand that profit back (this was the
+   * "scratch at $0" bug). Move to entry only if it tightens the stop.
+   */
+  breakeven(position, price) {
+    if (position.breakevenTriggered || !position.breakevenTriggerDistance) return [];
+    const isLong = position.signal === 'LONG';
+    const profitMove = isLong ? price - position.entryPrice : position.entryPrice - price;
+    if (profitMove < position.breakevenTriggerDistance) return [];
+
+    // Post-breakeven trailing is enabled whether or not the stop moves
+    const beImproves = isLong
+      ? position.entryPrice > position.currentStopLoss
+      : position.entryPrice < position.currentStopLoss;
+    if (beImproves) {
+      return [{
+        type: 'moveStop',
+        price: position.entryPrice,
+        update: { breakevenTriggered: true },
+        log: `🔒 BREAKEVEN: ${position.tradeId} SL moved to entry $${position.entryPrice.toFixed(2)} (profit $${profitMove.toFixed(2)} >= trigger $${position.breakevenTriggerDistance.toFixed(2)})`
+      }];
+    }
+
+    const locked = isLong
+      ? position.currentStopLoss - position.entryPrice
+      : position.entryPrice - position.currentStopLoss;
+    return [{
+      type: 'update',
+      update: { breakevenTriggered: true },
+      log: `🔒 BREAKEVEN reached for ${position.tradeId} — trail already locks $${locked.toFixed(2)}; stop left at $${position.currentStopLoss.toFixed(2)} (not loosened to entry)`
+    }];
+  }
+
+  /**
+   * Before breakeven: the shared activation-gated trail. After it: trail straight away at
+   * the ATR distance
+   */
+  trailingStop(position, price) {
+    if (!Config.ENABLE_TRAILING_STOP || !position.breakevenTriggered) return super.trailingStop(position, price);
+    return this.trail(position, price, position.atrTrailDistance || Config.pipsToPrice(Config.TRAILING_STOP_DISTANCE_PIPS));
+  }
+
+  /**
+   * Only trails after breakeven, and at a different distance - never from the entry order
+   */
+  entryTrailingStop() {
+    return null;
+  }
+
+  /**
+   * ATR × mult, clamped to the stop bounds (EMA_TREND_MIN_SL..EMA_TREND_MAX_SL)
+   */
+  _atrDistance(mult) {
+    const minSL = Config.pipsToPrice(Config.EMA_TREND_MIN_SL);
+    const maxSL = Config.pipsToPrice(Config.EMA_TREND_MAX_SL);
+    return Math.max(minSL, Math.min(maxSL, (this.lastATR || 5.0) * mult));
+  }
+
   /**
    * Leg-size filter: did the last N H1 candles travel > threshold × ATR in the trade
    * direction? If so the move is exhausted and the entry is chasing it. When
@@ -0,0 +1,215 @@
+/**
+ * Gap Guard
+ *
+ * Gold gaps at the Sunday open, and a stop in the gap fills at the first price after it -
+ * not at the stop. Around the weekly close (SessionCalendar's WEEKLY_CLOSE):
+ *   - WEEKEND_ACTION_MINUTES before it, each open trade gets WEEKEND_ACTION:
+ *       hold    - carry it with the stop it has
+ *       tighten - stop to WEEKEND_STOP_R (0 = breakeven, -0.5 = half the risk, 1 = lock 1R).
+ *                 A trade price hasn't cleared that level by is closed instead - the market
+ *                 is already through the stop it would carry
+ *       flatten - close at market, recorded as WEEKEND_EXIT
+ *   - the trades still open are snapshotted with the last price (weekend_gap.json, so a
+ *     restart over the weekend keeps it)
+ *   - GAP_CHECK_DELAY_MINUTES after the reopen, the gap check: stops filled through the
+ *     gap are finalized and their slippage against the intended stop reported, trades
+ *     still open are reported against the Friday price. Log and Telegram.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Config from './config.js';
+import instruments from './instruments.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || (process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..', 'data'));
+const GAP_FILE = path.join(DATA_DIR, 'weekend_gap.json');
+
+const MINUTE_MS = 60 * 1000;
+
+class GapGuard {
+  /**
+   * @param {Object} logger
+   * @param {GoldTradingBot} tradingBot - session calendar, broker, positions and Telegram
+   */
+  constructor(logger, tradingBot) {
+    this.logger = logger;
+    this.bot = tradingBot;
+    this.carried = null; // { weekClose, trades: [...] } - the trades held into the weekend
+    this.load();
+  }
+
+  /**
+   * Is `time` in the run-up to the weekly close, when WEEKEND_ACTION applies?
+   * @returns {number|null} the weekly close (epoch ms), null outside the run-up
+   */
+  preCloseWindow(time) {
+    const close = this.bot.sessionCalendar.nextWeeklyClose(time);
+    return close - time <= Config.WEEKEND_ACTION_MINUTES * MINUTE_MS ? close : null;
+  }
+
+  /**
+   * WEEKEND_ACTION for an open trade - run by PositionManager, once per trade per weekend
+   * @param {Object} position - The tracked position
+   * @param {number} price - Current mid price
+   * @param {number} time - Epoch ms
+   * @returns {Array<Object>} actions
+   */
+  preCloseActions(position, price, time) {
+    if (Config.WEEKEND_ACTION === 'hold') return [];
+    const close = this.preCloseWindow(time);
+    if (close === null) return [];
+    const key = new Date(close).toISOString();
+    if (position.weekendHandled === key) return [];
+
+    const update = { weekendHandled: key };
+    const exit = (why) => [{
+      type: 'exit',
+      reason: 'WEEKEND_EXIT',
+      update,
+      log: `🗓️ Weekly close ahead - ${why}closing ${position.tradeId} at market`
+    }];
+    if (Config.WEEKEND_ACTION === 'flatten') return exit('');
+
+    const isLong = position.signal === 'LONG';
+    const risk = Math.abs(position.entryPrice - position.stopLoss);
+    const stopLoss = position.entryPrice + (isLong ? 1 : -1) * Config.WEEKEND_STOP_R * risk;
+    const tighter = isLong ? stopLoss > position.currentStopLoss : stopLoss < position.currentStopLoss;
+    if (!tighter) return [{ type: 'update', update }];
+
+    const cleared = isLong ? price > stopLoss : price < stopLoss;
+    if (!cleared) return exit(`price $${price.toFixed(2)} is not clear of the ${Config.WEEKEND_STOP_R}R stop ($${stopLoss.toFixed(2)}) - `);
+    return [{
+      type: 'moveStop',
+      price: stopLoss,
+      update,
+      log: `🗓️ Weekly close ahead - stop on ${position.tradeId} tightened to ${Config.WEEKEND_STOP_R}R ($${stopLoss.toFixed(2)})`
+    }];
+  }
+
+  /**
+   * In the run-up to the close, snapshot the trades that will be carried (after
+   * WEEKEND_ACTION has run) - the latest cycle before the close wins
+   * @param {Array<Object>} openTrades - getOpenTrades() after this cycle's management
+   * @param {number} time - Epoch ms
+   */
+  async recordCarried(openTrades, time) {
+    const close = this.preCloseWindow(time);
+    if (close === null) return;
+
+    const trades = [];
+    for (const trade of openTrades) {
+      const tracked = this.bot.activePositions.get(trade.tradeId);
+      if (!tracked) continue;
+      const price = await this.bot.broker.getPrice(trade.instrument);
+      trades.push({
+        tradeId: trade.tradeId,
+        instrument: trade.instrument,
+        signal: tracked.signal,
+        units: trade.units,
+        entryPrice: tracked.entryPrice,
+        stopLoss: tracked.currentStopLoss,
+        closePrice: price.mid
+      });
+    }
+
+    this.carried = trades.length > 0 ? { weekClose: new Date(close).toISOString(), trades } : null;
+    this.save();
+  }
+
+  /**
+   * After the reopen: reconcile and report the trades carried over the weekend
+   * @param {number} time - Epoch ms
+   */
+  async checkReopen(time) {
+    if (!this.carried) return;
+    const reopen = this.bot.sessionCalendar.nextWeeklyOpen(Date.parse(this.carried.weekClose));
+    if (time < reopen + Config.GAP_CHECK_DELAY_MINUTES * MINUTE_MS) return;
+
+    const { trades } = this.carried;
+    this.logger.info(`🗓️ Weekend gap check - ${trades.length} trade(s) carried over the ${this.carried.weekClose} close`);
+    const lines = [];
+    for (const carried of trades) {
+      try {
+        lines.push(await this.checkTrade(carried));
+      } catch (error) {
+        this.logger.error(`Gap check of ${carried.tradeId} failed: ${error.message}`);
+        lines.push(`${carried.tradeId}: check failed (${error.message})`);
+      }
+    }
+
+    this.carried = null;
+    this.save();
+
+    if (this.bot.telegramBot) {
+      try {
+        await this.bot.telegramBot.sendNotification(`🗓️ *Weekend Gap Check*\n\n${lines.join('\n')}`);
+      } catch (telegramError) {
+        this.logger.warn(`Failed to send gap check notification: ${telegramError.message}`);
+      }
+    }
+  }
+
+  /**
+   * @returns {Promise<string>} the trade's line for the report
+   */
+  async checkTrade(carried) {
+    const { tradeId, instrument, signal, units, stopLoss, closePrice } = carried;
+    const direction = signal === 'LONG' ? 1 : -1;
+    const trade = await this.bot.broker.getTrade(tradeId);
+
+    if (trade.state !== 'CLOSED') {
+      const price = await this.bot.broker.getPrice(instrument);
+      const gap = (price.mid - closePrice) * direction; // + in the trade's favour
+      const line = `${tradeId} ${signal} held: $${closePrice.toFixed(2)} Friday → $${price.mid.toFixed(2)} now ` +
+        `(${gap >= 0 ? '+' : ''}${instruments.priceToPips(gap, instrument).toFixed(0)} pips), stop $${stopLoss.toFixed(2)}`;
+      this.logger.info(`🗓️ ${line}`);
+      return line;
+    }
+
+    // Closed over the gap - make sure it is finalized, then measure the fill against the stop
+    if (this.bot.activePositions.has(tradeId)) {
+      await this.bot.finalizeClosedTrade(tradeId);
+    }
+    const fill = parseFloat(trade.averageClosePrice);
+    const slippage = (stopLoss - fill) * direction; // + = filled worse than the stop
+    // Slippage is a loss - converted with the loss factor, reported as a positive amount
+    const slippageMoney = -(await this.bot.riskManager.converter.toAccount(-Math.max(0, slippage) * Math.abs(units), instrument));
+    const line = `${tradeId} ${signal} closed @ $${fill.toFixed(2)} vs stop $${stopLoss.toFixed(2)}: ` +
+      (slippage > 0
+        ? `slipped ${instruments.priceToPips(slippage, instrument).toFixed(0)} pips (${this.bot.riskManager.formatMoney(slippageMoney)})`
+        : 'no slippage');
+    this.logger.info(`🗓️ ${line}`);
+    return line;
+  }
+
+  save() {
+    try {
+      if (!this.carried) {
+        if (fs.existsSync(GAP_FILE)) fs.unlinkSync(GAP_FILE);
+        return;
+      }
+      if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+      }
+      fs.writeFileSync(GAP_FILE, JSON.stringify(this.carried, null, 2));
+    } catch (error) {
+      this.logger.error(`Failed to save weekend gap state: ${error.message}`);
+    }
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(GAP_FILE)) return;
+      this.carried = JSON.parse(fs.readFileSync(GAP_FILE, 'utf8'));
+      this.logger.info(`📂 Loaded ${this.carried.trades.length} trade(s) carried over the ${this.carried.weekClose} close - gap check after the reopen`);
+    } catch (error) {
+      this.logger.error(`Failed to load weekend gap state: ${error.message}`);
+      this.carried = null;
+    }
+  }
+}
+
+export default GapGuard;
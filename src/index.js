@@ -1,29 +1,45 @@
 /**
  * Gold Trading Bot - Main Entry Point
- * Automated XAU/USD trading using Triple Confirmation Strategy on Oanda
+ * Automated XAU/USD trading on Oanda - and the other metals in INSTRUMENTS, one InstrumentDesk each
  */
-import cron from 'node-cron';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import Config from './config.js';
 import logger from './logger.js';
 import OandaClient from './oanda_client.js';
+import PaperBroker from './paper_broker.js';
 import TechnicalAnalysis from './technical_analysis.js';
-import TripleConfirmationStrategy from './strategy.js';
-import BreakoutADXStrategy from './breakout_adx_strategy.js';
-import EmaTrendStrategy from './ema_trend_strategy.js';
+import Strategy from './strategy.js';
+import InstrumentDesk from './instrument_desk.js';
+import PositionManager from './position_manager.js';
+import RegimeClassifier from './regime_classifier.js';
+import NewsCalendar from './news_calendar.js';
+import SessionCalendar from './session_calendar.js';
+import GapGuard from './gap_guard.js';
 import RiskManager from './risk_manager.js';
 import GoldTelegramBot from './telegram_bot.js';
 import StrategyTracker from './strategy_tracker.js';
+import PricingStream from './pricing_stream.js';
+import TransactionStream from './transaction_stream.js';
+import CandleStore from './candle_store.js';
+import instruments from './instruments.js';
+import clock from './clock.js';
+import Scheduler from './scheduler.js';
+import OrderTags from './order_tags.js';
+import { BrokerError, BrokerUnavailable } from './broker_errors.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Position data file path - use /app/data in Docker, ./data locally
-const DATA_DIR = process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..', 'data');
+// Position data file path - use /app/data in Docker, ./data locally (DATA_DIR overrides both, e.g. for replays)
+const DATA_DIR = process.env.DATA_DIR || (process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..', 'data'));
 const POSITIONS_FILE = path.join(DATA_DIR, 'active_positions.json');
-const COOLDOWN_FILE = path.join(DATA_DIR, 'trade_cooldown.json');
+
+// Candle-close scans: Oanda only marks a candle complete once the first tick after its
+// close arrives, so a scan that finds it still forming asks again this often, this many times
+const CANDLE_CLOSE_RETRY_MS = 5000;
+const CANDLE_CLOSE_MAX_RETRIES = 6;
 
 /**
  * Render a strategy confidence as a percentage string.
@@ -41,170 +57,123 @@ function formatConfidence(value) {
 }
 
 class GoldTradingBot {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Broker} options.broker - Trade on this broker instead of the one BROKER selects
+   * @param {Object} options.candleSource - Read candles from here instead of Oanda/the store.
+   *   scripts/replay.js passes a PaperBroker over recorded candles for both.
+   */
+  constructor({ broker = null, candleSource = null } = {}) {
     this.isRunning = false;
     this.startTime = null;
     this.logger = logger;
 
     // Initialize components
-    this.client = new OandaClient(logger);
+    // Broker: the Oanda account itself, or an in-process paper account that only
+    // takes prices and candles from Oanda (BROKER=paper)
+    if (broker) {
+      this.broker = broker;
+    } else {
+      const oandaClient = new OandaClient(logger);
+      this.broker = Config.BROKER === 'paper' ? new PaperBroker(logger, oandaClient) : oandaClient;
+    }
+    // Candles: served from the on-disk store, which only asks the broker for what it lacks
+    this.candleSource = candleSource || (Config.ENABLE_CANDLE_STORE ? new CandleStore(logger, this.broker) : this.broker);
     this.ta = new TechnicalAnalysis(logger);
 
-    // Initialize strategies
-    this.tripleStrategy = new TripleConfirmationStrategy(logger, this.ta);
-    this.breakoutStrategy = new BreakoutADXStrategy(logger, this.ta);
-    this.emaTrendStrategy = new EmaTrendStrategy(logger, this.ta);
-
-    // Determine which strategy trades live (from config)
-    const strategyMap = {
-      'triple_confirmation': { strategy: this.tripleStrategy, name: 'Triple Confirmation' },
-      'breakout_adx': { strategy: this.breakoutStrategy, name: 'Breakout + ADX' },
-      'ema_trend': { strategy: this.emaTrendStrategy, name: 'EMA Trend' },
-    };
-    const selected = strategyMap[Config.STRATEGY_TYPE] || strategyMap['breakout_adx'];
-    const liveStrategyName = selected.name;
-    this.liveStrategy = selected.strategy;
+    // One desk per instrument (INSTRUMENTS, instrument_desk.js): its strategies, regime,
+    // cooldown and resting limit entry. Scanned in turn; positions and risk are account-wide.
+    this.desks = new Map(Config.INSTRUMENTS.map(instrument => [instrument, new InstrumentDesk(logger, this.ta, instrument)]));
+    // Open trades are managed by the strategy that opened them (initialStops / onTick /
+    // onCandle); one whose strategy is no longer configured gets the shared default rules
+    this.defaultTradeManagement = new Strategy(logger, this.ta);
+    this.positionManager = new PositionManager(logger, this);
+
+    // Market regime, labelled every scan (per desk) - gates each strategy's entries
+    // (allowedRegimes) and is stamped on tracker trades
+    this.regimeClassifier = new RegimeClassifier(logger, this.ta);
+
+    // When entries are allowed - session windows, the trading week, holidays (throws on a bad spec)
+    this.sessionCalendar = new SessionCalendar();
+    // Weekend gaps - WEEKEND_ACTION before the weekly close, the gap check after the reopen
+    this.gapGuard = new GapGuard(logger, this);
+
+    // Economic calendar - no new entries in a blackout around high-impact news (AVOID_MAJOR_NEWS)
+    this.newsCalendar = new NewsCalendar(logger);
+    this.newsCalendar.refresh();
 
     // Initialize strategy tracker
     this.tracker = new StrategyTracker();
-    this.tracker.registerStrategy('Breakout + ADX', liveStrategyName === 'Breakout + ADX');
-    this.tracker.registerStrategy('Breakout + ADX (Realtime MTF)', liveStrategyName === 'Breakout + ADX');
-    this.tracker.registerStrategy('Triple Confirmation', liveStrategyName === 'Triple Confirmation');
-    this.tracker.registerStrategy('EMA Trend', liveStrategyName === 'EMA Trend');
+    for (const desk of this.desks.values()) {
+      for (const strategy of desk.strategies.values()) {
+        for (const name of strategy.trackedNames()) {
+          this.tracker.registerStrategy(desk.trackerName(name), strategy === desk.liveStrategy);
+        }
+      }
 
-    logger.info(`🟢 LIVE Strategy: ${liveStrategyName}`);
-    const otherStrategies = Object.values(strategyMap).filter(s => s.name !== liveStrategyName).map(s => s.name);
-    logger.info(`📝 HYPOTHETICAL: ${otherStrategies.join(', ')}`);
+      logger.info(`🟢 ${desk.instrument} LIVE Strategy: ${desk.liveStrategy.label}`);
+      const otherStrategies = desk.getHypotheticalStrategies().map(s => s.label);
+      logger.info(`📝 ${desk.instrument} HYPOTHETICAL: ${otherStrategies.join(', ') || 'none'}`);
+    }
 
-    this.riskManager = new RiskManager(logger, this.client);
+    this.riskManager = new RiskManager(logger, this.broker);
 
     // Telegram bot (optional)
     this.telegramBot = null;
 
     // Track active positions
     this.activePositions = new Map();
+    // Client IDs of entry orders whose submit failed without telling us whether Oanda
+    // took them - resolved by syncPositionsWithOanda and every monitor cycle
+    this.unresolvedOrders = new Set();
 
     // Load persisted positions on startup
     this.loadPositions();
 
-    // Track last API error notification (to avoid spam)
-    this.lastApiErrorNotification = null;
-
     // Watchdog: track last successful activity to detect hangs
     this.lastActivityTime = Date.now();
 
-    // Trade cooldown: track when last trade closed to prevent rapid re-entries
-    this.lastTradeCloseTime = null;
-
-    // Load persisted cooldown on startup
-    this.loadCooldown();
-
-    logger.info(`🤖 ${Config.BOT_NAME} initialized`);
-  }
-
-  /**
-   * Check if trade cooldown is active (prevents rapid re-entries after losses)
-   * @returns {Object} { active: boolean, remainingMinutes: number }
-   */
-  checkTradeCooldown() {
-    if (!this.lastTradeCloseTime || Config.TRADE_COOLDOWN_HOURS <= 0) {
-      return { active: false, remainingMinutes: 0 };
-    }
+    // How long a desk may go without a completed scan before the interval scan covers for
+    // its candle-close scans (InstrumentDesk.lastScanAt) - set by scheduleJobs
+    this.scanFallbackAfterMs = null;
 
-    const cooldownMs = Config.TRADE_COOLDOWN_HOURS * 60 * 60 * 1000;
-    const elapsed = Date.now() - this.lastTradeCloseTime;
-    const remaining = cooldownMs - elapsed;
+    // Streaming price feed (breakout_adx realtime checks) - created in start()
+    this.pricingStream = null;
+    // Streaming account transactions (instant trade-close detection) - created in start()
+    this.transactionStream = null;
 
-    if (remaining <= 0) {
-      return { active: false, remainingMinutes: 0 };
-    }
+    // Recurring jobs (scans, monitoring, realtime poll, watchdog, daily reset) - registered in start()
+    this.scheduler = new Scheduler(logger);
 
-    return {
-      active: true,
-      remainingMinutes: Math.ceil(remaining / 60000)
-    };
+    logger.info(`🤖 ${Config.BOT_NAME} initialized`);
   }
 
   /**
-   * Check if we're within allowed trading hours
-   * Avoids Asian session (00:00-08:00 UK) when liquidity is low and wicks are wild
-   * @returns {{ allowed: boolean, currentHour: number, reason?: string }}
+   * Check the session calendar (session_calendar.js): session windows, the trading week,
+   * holidays and the no-entry buffer before a close
+   * @returns {{ allowed: boolean, currentHour: number, reason: string|null }} currentHour is
+   *   the UK hour, recorded on trades
    */
   checkTradingHours() {
-    // Get current hour in UK timezone
-    const now = new Date();
+    const now = clock.date();
     const ukTime = new Date(now.toLocaleString('en-US', { timeZone: 'Europe/London' }));
-    const currentHour = ukTime.getHours();
-
-    const startHour = Config.TRADING_START_HOUR;
-    const endHour = Config.TRADING_END_HOUR;
-
-    // Handle normal range (e.g., 08:00-22:00)
-    if (startHour < endHour) {
-      const allowed = currentHour >= startHour && currentHour < endHour;
-      return {
-        allowed,
-        currentHour,
-        reason: allowed ? null : `Outside trading hours (${startHour}:00-${endHour}:00 UK, currently ${currentHour}:00)`
-      };
-    }
-
-    // Handle overnight range (e.g., 22:00-08:00) - would mean startHour > endHour
-    const allowed = currentHour >= startHour || currentHour < endHour;
-    return {
-      allowed,
-      currentHour,
-      reason: allowed ? null : `Outside trading hours (${startHour}:00-${endHour}:00 UK, currently ${currentHour}:00)`
-    };
+    const session = this.sessionCalendar.check(now.getTime());
+    return { allowed: session.allowed, currentHour: ukTime.getHours(), reason: session.reason };
   }
 
   /**
-   * Save cooldown timer to file for persistence across restarts
+   * When the session calendar next allows entries, as text for logs and /status
    */
-  saveCooldown() {
-    try {
-      if (!fs.existsSync(DATA_DIR)) {
-        fs.mkdirSync(DATA_DIR, { recursive: true });
-      }
-
-      const data = {
-        lastTradeCloseTime: this.lastTradeCloseTime,
-        savedAt: Date.now()
-      };
-
-      fs.writeFileSync(COOLDOWN_FILE, JSON.stringify(data, null, 2));
-      logger.debug(`💾 Saved cooldown timer to file`);
-    } catch (error) {
-      logger.error(`Failed to save cooldown: ${error.message}`);
-    }
+  formatNextTradingOpen() {
+    return SessionCalendar.format(this.sessionCalendar.nextOpen(clock.now()));
   }
 
   /**
-   * Load cooldown timer from file
+   * Check for a news blackout (AVOID_MAJOR_NEWS) - entries wait until it has passed
+   * @returns {{ allowed: boolean, reason: string|null }}
    */
-  loadCooldown() {
-    try {
-      if (!fs.existsSync(COOLDOWN_FILE)) {
-        logger.info('📂 No persisted cooldown found');
-        return;
-      }
-
-      const rawData = fs.readFileSync(COOLDOWN_FILE, 'utf8');
-      const data = JSON.parse(rawData);
-
-      if (data.lastTradeCloseTime) {
-        this.lastTradeCloseTime = data.lastTradeCloseTime;
-        const cooldown = this.checkTradeCooldown();
-        if (cooldown.active) {
-          logger.info(`📂 Loaded cooldown: ${cooldown.remainingMinutes} minutes remaining`);
-        } else {
-          logger.info(`📂 Loaded cooldown expired - ready to trade`);
-          this.lastTradeCloseTime = null;
-        }
-      }
-    } catch (error) {
-      logger.error(`Failed to load cooldown: ${error.message}`);
-    }
+  checkNewsBlackout() {
+    return this.newsCalendar.check(clock.now());
   }
 
   /**
@@ -267,11 +236,12 @@ class GoldTradingBot {
 
   /**
    * Sync persisted positions with actual Oanda trades
-   * Removes positions that no longer exist on Oanda and sends closure notifications
+   * Removes positions that no longer exist on Oanda and sends closure notifications, and
+   * re-adopts open trades we have no record of from their order tags
    */
   async syncPositionsWithOanda() {
     try {
-      const openTrades = await this.client.getOpenTrades();
+      const openTrades = await this.broker.getOpenTrades();
       const oandaTradeIds = new Set(openTrades.map(t => t.tradeId));
 
       // Find positions that were closed while bot was down/restarting
@@ -288,38 +258,32 @@ class GoldTradingBot {
         logger.info(`🗑️ Position ${tradeId} was closed while bot was down`);
 
         try {
-          const response = await this.client.makeRequest('GET', `/v3/accounts/${this.client.accountId}/trades/${tradeId}`);
-          if (response.trade && response.trade.state === 'CLOSED') {
-            const trade = response.trade;
+          const trade = await this.broker.getTrade(tradeId);
+          if (trade && trade.state === 'CLOSED') {
             const entryPrice = parseFloat(trade.price);
             const exitPrice = parseFloat(trade.averageClosePrice || entryPrice);
             const pnl = parseFloat(trade.realizedPL || 0);
             const initialSL = trade.stopLossOrder ? parseFloat(trade.stopLossOrder.price) : (tracked?.stopLoss || 0);
-            const riskPerUnit = initialSL ? Math.abs(entryPrice - initialSL) : 0;
-            const units = Math.abs(parseFloat(trade.initialUnits));
-            const riskAmount = riskPerUnit * units;
+            const units = parseFloat(trade.initialUnits);
+            // realizedPL is account currency, so the risk it's divided by must be too
+            const riskAmount = tracked?.riskAmount
+              || (initialSL ? await this.riskManager.calculateTradeRisk(entryPrice, initialSL, units, trade.instrument) : 0);
             const rMultiple = riskAmount > 0 ? pnl / riskAmount : 0;
             // Derive close reason from which protective order actually FILLED (not just exists)
             const reason = trade.stopLossOrder?.state === 'FILLED' ? 'STOP_LOSS_ORDER'
+              : trade.trailingStopLossOrder?.state === 'FILLED' ? 'TRAILING_STOP_LOSS_ORDER'
               : trade.takeProfitOrder?.state === 'FILLED' ? 'TAKE_PROFIT_ORDER' : 'Unknown';
 
-            logger.info(`💰 Closed trade ${tradeId}: ${pnl >= 0 ? '+' : ''}£${pnl.toFixed(2)} (${reason})`);
+            logger.info(`💰 Closed trade ${tradeId}: ${pnl >= 0 ? '+' : ''}${this.riskManager.formatMoney(pnl)} (${reason})`);
 
             // Set cooldown timer to prevent rapid re-entries
-            this.lastTradeCloseTime = Date.now();
-            this.saveCooldown();
-            logger.info(`⏳ Trade cooldown started - next trade in ${Config.TRADE_COOLDOWN_HOURS} hours`);
-
-            // Clear all pending breakout state to prevent stale tracking surviving cooldown
-            if (this.breakoutStrategy) {
-              this.breakoutStrategy.clearAllPendingState();
-            }
+            this.startCooldown(trade.instrument);
 
             // Send Telegram notification if available
             if (this.telegramBot) {
               try {
                 await this.telegramBot.notifyTradeClosed(
-                  tracked?.symbol || 'XAU_USD',
+                  tracked?.symbol || trade.instrument,
                   entryPrice,
                   exitPrice,
                   pnl,
@@ -337,7 +301,7 @@ class GoldTradingBot {
 
             // Update strategy tracker (store the real broker realized P&L, not notional)
             const trackerCloseId = tracked?.trackerTradeId || `LIVE_${tradeId}`;
-            this.tracker.closeTrade(tracked?.strategyName || 'Unknown', trackerCloseId, exitPrice, reason, pnl);
+            this.tracker.closeTrade(InstrumentDesk.trackerName(tracked?.strategyName || 'Unknown', trade.instrument), trackerCloseId, exitPrice, reason, pnl);
           }
         } catch (error) {
           logger.warn(`Could not fetch close details for trade ${tradeId}: ${error.message}`);
@@ -346,6 +310,20 @@ class GoldTradingBot {
         this.activePositions.delete(tradeId);
       }
 
+      // Open trades missing from active_positions.json (crash between fill and save, or
+      // the file was lost): our own entries carry their strategy in clientExtensions
+      for (const trade of openTrades) {
+        if (this.activePositions.has(trade.tradeId)) continue;
+        const tags = OrderTags.parse(trade.clientExtensions);
+        if (!tags) {
+          logger.warn(`⚠️ Open trade ${trade.tradeId} has no strategy tags - leaving it unmanaged`);
+          continue;
+        }
+        await this.adoptTaggedTrade(trade, tags);
+      }
+
+      await this.resolveUnresolvedOrders(openTrades);
+
       // Save cleaned up positions
       this.savePositions();
     } catch (error) {
@@ -353,6 +331,132 @@ class GoldTradingBot {
     }
   }
 
+  /**
+   * Settle the entry orders flagged by flagUnresolvedOrder: look each one up by client ID.
+   * A fill opened a tagged trade, adopted above (or right here if it opened since); an
+   * order that never arrived or was cancelled is dropped; one still resting or not yet
+   * answered for stays flagged for the next sync.
+   * @param {Array<Object>} openTrades - getOpenTrades() of this sync
+   */
+  async resolveUnresolvedOrders(openTrades) {
+    for (const clientOrderId of this.unresolvedOrders) {
+      let order;
+      try {
+        order = await this.broker.getOrder(`@${clientOrderId}`);
+      } catch (error) {
+        if (error.status === 404) {
+          logger.info(`❓ Order ${clientOrderId} never reached Oanda - nothing to adopt`);
+          this.unresolvedOrders.delete(clientOrderId);
+        } else {
+          logger.warn(`❓ Order ${clientOrderId} still unresolved (${error.message}) - retrying next sync`);
+        }
+        continue;
+      }
+
+      if (!order || order.state === 'CANCELLED') {
+        logger.info(`❓ Order ${clientOrderId} was not filled${order ? ` (${order.cancellingTransactionID ? 'cancelled' : order.state})` : ''} - nothing to adopt`);
+        this.unresolvedOrders.delete(clientOrderId);
+      } else if (order.state === 'FILLED') {
+        const tradeId = order.tradeOpenedID ? String(order.tradeOpenedID) : null;
+        const trade = openTrades.find(t => t.tradeId === tradeId);
+        const tags = trade && OrderTags.parse(trade.clientExtensions);
+        if (trade && tags && !this.activePositions.has(tradeId)) {
+          await this.adoptTaggedTrade(trade, tags);
+        }
+        logger.warn(`❓ Order ${clientOrderId} did fill: trade ${tradeId || 'unknown'} ${this.activePositions.has(tradeId) ? 'is managed' : 'is no longer open'}`);
+        this.unresolvedOrders.delete(clientOrderId);
+      }
+      // PENDING: a limit entry still resting - its fill opens a tagged trade we adopt then
+    }
+  }
+
+  /**
+   * An entry whose submit failed without Oanda saying whether it took the order
+   * (OandaClient.findSubmittedOrder): flag its client ID for the next position check, so a
+   * fill we never heard about is adopted instead of running unmanaged
+   */
+  flagUnresolvedOrder(error) {
+    if (!error.clientOrderId) return;
+    this.unresolvedOrders.add(error.clientOrderId);
+    logger.warn(`❓ Order ${error.clientOrderId} may have been accepted - checking it at the next position check`);
+  }
+
+  /**
+   * True for broker failures that are about reachability (network, 5xx, 429, breaker
+   * open) rather than a bad request or a bug
+   */
+  isBrokerOutage(error) {
+    return error instanceof BrokerError && error.retriable;
+  }
+
+  /**
+   * Circuit breaker tripped: every request now fails fast until a probe gets through
+   */
+  async onBrokerUnavailable(status) {
+    if (!this.telegramBot) return;
+    try {
+      await this.telegramBot.notifyError(
+        `⚠️ Oanda unavailable: ${status.reason}\n\n` +
+        `Scans and position monitoring are paused - retrying every ${Config.BREAKER_COOLDOWN_SECONDS}s. ` +
+        `Open trades keep their broker-side SL/TP.`
+      );
+    } catch (telegramError) {
+      logger.warn(`Failed to send Telegram notification: ${telegramError.message}`);
+    }
+  }
+
+  async onBrokerAvailable(status) {
+    if (!this.telegramBot) return;
+    try {
+      await this.telegramBot.sendNotification(`✅ Oanda reachable again after ${Math.round(status.downForMs / 60000)} min - bot resumed`);
+    } catch (telegramError) {
+      logger.warn(`Failed to send Telegram notification: ${telegramError.message}`);
+    }
+  }
+
+  /**
+   * Rebuild position tracking for an open trade from the broker's view of it.
+   * Only what the broker knows survives: the planned entry levels, TP1 state and EMA
+   * breakeven/trail distances are gone, so the trade is managed by its resting SL/TP
+   * (and server trailing stop, if it has one) from here.
+   * @param {Object} trade - getOpenTrades() entry
+   * @param {Object} tags - OrderTags.parse() of its clientExtensions
+   */
+  async adoptTaggedTrade(trade, tags) {
+    const signal = trade.units > 0 ? 'LONG' : 'SHORT';
+    const riskAmount = trade.stopLoss
+      ? await this.riskManager.calculateTradeRisk(trade.price, trade.stopLoss, trade.units, trade.instrument)
+      : 0;
+
+    this.activePositions.set(trade.tradeId, {
+      tradeId: trade.tradeId,
+      symbol: trade.instrument,
+      signal,
+      strategyName: tags.strategyName,
+      entryPrice: trade.price,
+      units: trade.units,
+      stopLoss: trade.stopLoss,
+      takeProfit1: trade.takeProfit,
+      takeProfit2: trade.takeProfit,
+      riskAmount,
+      reason: 'Recovered from order tags',
+      openTime: trade.openTime,
+      tp1Hit: false,
+      bestPrice: trade.price,
+      currentStopLoss: trade.stopLoss,
+      trailingMode: trade.trailingStopDistance
+        ? 'server'
+        : Config.withInstrument(trade.instrument, () => this.getStrategyFor(tags.strategyName, trade.instrument).trailingStopMode()),
+      serverTrailingDistance: trade.trailingStopDistance,
+      trackerTradeId: tags.trackerTradeId,
+    });
+
+    logger.warn(
+      `♻️ Re-adopted trade ${trade.tradeId} from its order tags: ${tags.strategyName} ${signal} ` +
+      `${Math.abs(trade.units)} @ $${trade.price.toFixed(2)} (tracker ${tags.trackerTradeId}, regime ${tags.regime || 'unknown'})`
+    );
+  }
+
   /**
    * Start the trading bot
    */
@@ -378,12 +482,15 @@ class GoldTradingBot {
 
       // Test Oanda connection
       logger.info('Testing Oanda API connection...');
-      const connected = await this.client.testConnection();
+      const connected = await this.broker.testConnection();
       if (!connected) {
         logger.error('Failed to connect to Oanda API');
         process.exit(1);
       }
 
+      // Instrument specs (pip size, precision, size limits) before anything is sized or sent
+      await instruments.refresh(this.broker, logger);
+
       // Initialize risk manager with current balance
       await this.riskManager.syncBalance();
 
@@ -403,6 +510,27 @@ class GoldTradingBot {
       // Sync persisted positions with actual Oanda trades
       // Done after Telegram starts so closure notifications can be sent
       await this.syncPositionsWithOanda();
+      for (const desk of this.desks.values()) {
+        await this.checkPendingEntry(desk);
+      }
+
+      // Transaction stream: SL/TP/trailing fills are finalized the moment Oanda reports them,
+      // with the exact fill price and P&L. monitorPositions still reconciles every 60s
+      // in case the stream was down when a fill happened.
+      // A paper broker generates its own fills, so it is the transaction source itself.
+      if (this.broker.isSimulated) {
+        this.subscribeToTransactions(this.broker);
+        this.broker.start();
+      } else if (Config.ENABLE_TRANSACTION_STREAM) {
+        this.transactionStream = new TransactionStream(logger);
+        this.subscribeToTransactions(this.transactionStream);
+        this.transactionStream.start();
+      }
+
+      // Outages: one notification when the circuit breaker trips and one when Oanda is
+      // back, instead of one per failed scan
+      this.broker.on('unavailable', (status) => this.onBrokerUnavailable(status));
+      this.broker.on('available', (status) => this.onBrokerAvailable(status));
 
       // Display strategy information
       logger.info('');
@@ -410,15 +538,18 @@ class GoldTradingBot {
       logger.info('📊 DUAL STRATEGY COMPARISON MODE');
       logger.info('═'.repeat(70));
       logger.info('');
-      logger.info('🟢 LIVE STRATEGY (Trading Real Money):');
-      logger.info('   ' + this.liveStrategy.name);
-      logger.info(this.liveStrategy.getDescription().split('\n').map(l => '   ' + l).join('\n'));
-      logger.info('');
-      logger.info('📝 HYPOTHETICAL STRATEGY (Tracking Only):');
-      const hypotheticalStrategy = this.liveStrategy === this.tripleStrategy ? this.breakoutStrategy : this.tripleStrategy;
-      logger.info('   ' + hypotheticalStrategy.name);
-      logger.info(hypotheticalStrategy.getDescription().split('\n').map(l => '   ' + l).join('\n'));
-      logger.info('');
+      for (const desk of this.desks.values()) {
+        logger.info(`🟢 ${desk.instrument} LIVE STRATEGY (Trading Real Money):`);
+        logger.info('   ' + desk.liveStrategy.name);
+        logger.info(desk.run(() => desk.liveStrategy.getDescription()).split('\n').map(l => '   ' + l).join('\n'));
+        logger.info('');
+        logger.info(`📝 ${desk.instrument} HYPOTHETICAL STRATEGIES (Tracking Only):`);
+        for (const hypotheticalStrategy of desk.getHypotheticalStrategies()) {
+          logger.info('   ' + hypotheticalStrategy.name);
+          logger.info(desk.run(() => hypotheticalStrategy.getDescription()).split('\n').map(l => '   ' + l).join('\n'));
+          logger.info('');
+        }
+      }
       logger.info('═'.repeat(70));
       logger.info('');
 
@@ -426,157 +557,47 @@ class GoldTradingBot {
       this.isRunning = true;
       this.startTime = Date.now();
 
-      // Schedule market scans using recursive setTimeout (most reliable)
-      const scanIntervalMs = Config.SCAN_INTERVAL_MINUTES * 60 * 1000;
-      logger.info(`⏰ Scheduling market scans every ${Config.SCAN_INTERVAL_MINUTES} minutes using recursive setTimeout`);
-      logger.info(`📍 Scans will fire every ${scanIntervalMs}ms (${scanIntervalMs / 1000} seconds)`);
-
-      const scheduleNextScan = () => {
-        setTimeout(async () => {
-          try {
-            // Heartbeat log to verify scan is executing
-            const now = new Date().toISOString().replace('T', ' ').substring(0, 19);
-            logger.info(`⏰ [${now}] Scan timeout fired - isRunning: ${this.isRunning}`);
+      // Scans, position monitoring and the daily reset
+      this.scheduleJobs();
 
-            if (this.isRunning) {
-              try {
-                await this.scanMarket();
-                this.lastActivityTime = Date.now();
-              } catch (error) {
-                logger.error(`Market scan failed: ${error.message}`);
-                logger.error(`Stack: ${error.stack}`);
-                logger.warn(`Will retry in ${Config.SCAN_INTERVAL_MINUTES} minutes`);
-
-                // Notify user if it's an API outage (with safe error handling)
-                if (error.message.includes('503') || error.message.includes('failed after')) {
-                  if (this.telegramBot) {
-                    try {
-                      await this.telegramBot.notifyError(`⚠️ API Issue: ${error.message}\n\nBot is still running and will retry automatically.`);
-                    } catch (telegramError) {
-                      logger.warn(`Failed to send Telegram notification: ${telegramError.message}`);
-                    }
-                  }
-                }
-              }
-            } else {
-              logger.warn(`⏸️ Bot is paused (isRunning: false) - skipping scan`);
-            }
-          } catch (scanError) {
-            // CRITICAL: Catch ANY error
-            logger.error(`🚨 CRITICAL: Scan timeout error: ${scanError.message}`);
-            logger.error(`Stack: ${scanError.stack}`);
-          } finally {
-            // ALWAYS schedule the next scan, even if this one failed
-            // Use setImmediate to ensure scheduling happens in a fresh event loop tick
-            setImmediate(() => scheduleNextScan());
+      // Real-time price monitoring for breakout detection, on the instruments trading it live
+      // Catches breakouts as they happen, not just at candle close
+      const breakoutDesks = this.getBreakoutDesks();
+      if (breakoutDesks.length > 0) {
+        // Streaming: react to every tick so wicks between polls aren't missed and the
+        // confirmation window is measured to the tick rather than to within 30s
+        if (Config.ENABLE_PRICE_STREAM) {
+          this.pricingStream = new PricingStream(logger, breakoutDesks.map(desk => desk.instrument));
+          this.pricingStream.on('tick', (tick) => this.onPriceTick(tick));
+          if (this.broker.isSimulated) {
+            // Paper stops/targets fire on every streamed tick, not just the poll
+            this.pricingStream.on('tick', (tick) => this.broker.onPrice(tick));
           }
-        }, scanIntervalMs);
-      };
-
-      scheduleNextScan();
-      logger.info(`✅ Recursive setTimeout initialized`);
-      logger.info(`🕐 First scan will fire at: ${new Date(Date.now() + scanIntervalMs).toISOString()}`);
-
-      // Run initial scan
-      logger.info('Running initial market scan...');
-      try {
-        await this.scanMarket();
-        this.lastActivityTime = Date.now();
-      } catch (error) {
-        logger.error(`Initial market scan failed: ${error.message}`);
-        logger.warn('Bot will continue and retry on next scheduled scan');
-      }
-
-      // Schedule daily reset (at midnight UTC)
-      cron.schedule('0 0 * * *', async () => {
-        try {
-          this.riskManager.resetDailyStats();
-          logger.info('📅 Daily statistics reset');
-        } catch (error) {
-          logger.error(`Daily reset failed: ${error.message}`);
+          this.pricingStream.on('disconnected', () => {
+            if (!this.isRunning) return;
+            logger.warn(`📡 Price stream down - falling back to ${Config.REALTIME_CHECK_INTERVAL_SECONDS}s polling until it reconnects`);
+          });
+          this.pricingStream.start();
         }
-      });
 
-      // Monitor existing positions every minute using recursive setTimeout
-      logger.info(`⏰ Scheduling position monitoring every 60 seconds using recursive setTimeout`);
-
-      const scheduleNextMonitor = () => {
-        setTimeout(async () => {
-          try {
-            // Heartbeat log every 5 minutes to avoid spam (60s * 5 = 300s intervals)
-            const now = Date.now();
-            if (!this.lastMonitorLog || now - this.lastMonitorLog >= 300000) {
-              logger.info(`⏰ Position monitoring active (checks every 60s)`);
-              this.lastMonitorLog = now;
-            }
+        // Polling fallback - only runs while the stream is disabled or unhealthy
+        logger.info(`⏰ Scheduling real-time breakout checks every ${Config.REALTIME_CHECK_INTERVAL_SECONDS} seconds${this.pricingStream ? ' (fallback when stream is down)' : ''}`);
 
-            if (this.isRunning) {
-              try {
-                await this.monitorPositions();
-                this.lastActivityTime = Date.now();
-              } catch (error) {
-                logger.error(`Position monitoring failed: ${error.message}`);
-                logger.error(`Stack: ${error.stack}`);
-                logger.warn('Will retry in 1 minute');
-
-                // Notify user if it's an API outage (but only once per hour to avoid spam)
-                if ((error.message.includes('503') || error.message.includes('failed after')) &&
-                    (!this.lastApiErrorNotification || Date.now() - this.lastApiErrorNotification > 3600000)) {
-                  if (this.telegramBot) {
-                    try {
-                      await this.telegramBot.notifyError(`⚠️ API Issue during position monitoring: ${error.message}\n\nBot is still running.`);
-                      this.lastApiErrorNotification = Date.now();
-                    } catch (telegramError) {
-                      logger.warn(`Failed to send Telegram notification: ${telegramError.message}`);
-                    }
-                  }
-                }
-              }
-            }
-          } catch (monitorError) {
-            // CRITICAL: Catch ANY error
-            logger.error(`🚨 CRITICAL: Position monitoring timeout error: ${monitorError.message}`);
-            logger.error(`Stack: ${monitorError.stack}`);
-          } finally {
-            // ALWAYS schedule the next monitor, even if this one failed
-            // Use setImmediate to ensure scheduling happens in a fresh event loop tick
-            setImmediate(() => scheduleNextMonitor());
+        this.scheduler.every('realtime-check', Config.REALTIME_CHECK_INTERVAL_SECONDS * 1000, async () => {
+          if (!this.isRunning || this.pricingStream?.isHealthy()) return;
+          for (const desk of breakoutDesks) {
+            await this.runRealtimeCheck(desk);
           }
-        }, 60000);
-      };
-
-      scheduleNextMonitor();
-      logger.info(`✅ Recursive setTimeout initialized for position monitoring`);
-
-      // Real-time price monitoring for breakout detection (every 30 seconds)
-      // Catches breakouts as they happen, not just at candle close
-      if (Config.STRATEGY_TYPE === 'breakout_adx') {
-        logger.info(`⏰ Scheduling real-time breakout checks every ${Config.REALTIME_CHECK_INTERVAL_SECONDS} seconds`);
-
-        const scheduleRealtimeCheck = () => {
-          setTimeout(async () => {
-            try {
-              if (this.isRunning) {
-                await this.checkRealtimeBreakout();
-                this.lastActivityTime = Date.now();
-              }
-            } catch (error) {
-              logger.error(`Realtime breakout check failed: ${error.message}`);
-            } finally {
-              setImmediate(() => scheduleRealtimeCheck());
-            }
-          }, Config.REALTIME_CHECK_INTERVAL_SECONDS * 1000);
-        };
-
-        scheduleRealtimeCheck();
-        logger.info(`✅ Real-time breakout monitoring initialized (${Config.BREAKOUT_CONFIRMATION_SECONDS}s confirmation delay)`);
+        });
+        logger.info(`✅ Real-time breakout monitoring initialized on ${breakoutDesks.map(desk => desk.instrument).join(', ')} (${Config.BREAKOUT_CONFIRMATION_SECONDS}s confirmation delay)`);
       }
 
-      // Watchdog timer - detects if the event loop is frozen/hung
-      // Replaces the need for hourly cron restart
+      // Watchdog - detects if the event loop is frozen/hung
+      // Replaces the need for hourly cron restart. Wall-clock time: it watches the process,
+      // not the market.
       const WATCHDOG_CHECK_INTERVAL = 5 * 60 * 1000;  // Check every 5 minutes
       const WATCHDOG_TIMEOUT = 20 * 60 * 1000;        // Alert if no activity for 20 minutes
-      setInterval(() => {
+      this.scheduler.every('watchdog', WATCHDOG_CHECK_INTERVAL, () => {
         const timeSinceActivity = Date.now() - this.lastActivityTime;
         if (timeSinceActivity > WATCHDOG_TIMEOUT) {
           logger.error(`🐕 WATCHDOG: No activity for ${Math.round(timeSinceActivity / 60000)} minutes - bot appears frozen!`);
@@ -584,8 +605,17 @@ class GoldTradingBot {
           logger.error(`🐕 WATCHDOG: Exiting process - Docker will restart`);
           process.exit(1);
         }
-      }, WATCHDOG_CHECK_INTERVAL);
-      logger.info(`🐕 Watchdog timer active (exits if no activity for ${WATCHDOG_TIMEOUT / 60000} minutes)`);
+      });
+      logger.info(`🐕 Watchdog active (exits if no activity for ${WATCHDOG_TIMEOUT / 60000} minutes)`);
+
+      this.scheduler.start();
+      for (const job of this.scheduler.getJobs()) {
+        logger.info(`⏰ Job ${job.name}: ${job.schedule} - next at ${job.nextRunAt.toISOString()}`);
+      }
+
+      // Run initial scan
+      logger.info('Running initial market scan...');
+      await this.scheduler.runNow('scan');
 
       logger.info('');
       logger.info('═'.repeat(70));
@@ -610,95 +640,356 @@ class GoldTradingBot {
   }
 
   /**
-   * Scan market for trade setups
+   * Register the trading jobs on the scheduler: market scans, position monitoring and the
+   * daily stats reset. start() adds the realtime poll and the watchdog; scripts/replay.js
+   * runs just these, on simulated time.
    */
-  async scanMarket() {
-    try {
-      logger.info('🔍 Scanning market for setups...');
+  scheduleJobs() {
+    const scanIntervalMs = Config.SCAN_INTERVAL_MINUTES * 60 * 1000;
+
+    if (Config.SCAN_ON_CANDLE_CLOSE) {
+      const granularities = this.getScanGranularities();
+      // Candles up to H1 start on multiples of their length; longer ones (H4, D) are aligned
+      // to 17:00 New York, which still puts every boundary on the hour
+      const periodMs = Math.min(...granularities.map(g => Config.getGranularitySeconds(g)), 3600) * 1000;
+      const delayMs = Config.CANDLE_CLOSE_SCAN_DELAY_SECONDS * 1000;
+      logger.info(`⏰ Scheduling market scans ${Config.CANDLE_CLOSE_SCAN_DELAY_SECONDS}s after each ${granularities.join('/')} candle close`);
+
+      this.scheduler.aligned('candle-close-scan', periodMs, async () => {
+        if (!this.isRunning) return;
+        const boundary = Math.floor(clock.now() / periodMs) * periodMs;
+        try {
+          const desks = await this.awaitCandleClose(boundary);
+          if (desks.length > 0) {
+            await this.runScan('Candle close', desks);
+          }
+        } catch (error) {
+          if (!this.isBrokerOutage(error)) {
+            logger.error(`Candle close scan failed: ${error.message}`);
+            logger.error(`Stack: ${error.stack}`);
+          }
+        }
+      }, { offsetMs: delayMs });
+
+      // Interval scans only cover for candle-close scans that didn't happen (a close that
+      // never finalised, an outage) - skipped while those are keeping up
+      logger.info(`⏰ Fallback market scans every ${Config.SCAN_INTERVAL_MINUTES} minutes without a candle close scan${Config.SCAN_JITTER_SECONDS > 0 ? ` (+0-${Config.SCAN_JITTER_SECONDS}s jitter)` : ''}`);
+      this.scanFallbackAfterMs = Math.max(scanIntervalMs, periodMs + delayMs);
+    } else {
+      logger.info(`⏰ Scheduling market scans every ${Config.SCAN_INTERVAL_MINUTES} minutes${Config.SCAN_JITTER_SECONDS > 0 ? ` (+0-${Config.SCAN_JITTER_SECONDS}s jitter)` : ''}`);
+    }
+
+    this.scheduler.every('scan', scanIntervalMs, async () => {
+      const desks = [...this.desks.values()].filter(desk =>
+        !this.scanFallbackAfterMs || !desk.lastScanAt || clock.now() - desk.lastScanAt >= this.scanFallbackAfterMs
+      );
+      if (desks.length === 0) return;
+      try {
+        await this.runScan('Scheduled', desks);
+      } catch (error) {
+        // Outages are reported once by onBrokerUnavailable, not per scan
+        if (!this.isBrokerOutage(error)) {
+          logger.error(`Market scan failed: ${error.message}`);
+          logger.error(`Stack: ${error.stack}`);
+        }
+        logger.warn(`Will retry in ${Config.SCAN_INTERVAL_MINUTES} minutes`);
+      }
+    }, { jitterMs: Config.SCAN_JITTER_SECONDS * 1000 });
+
+    // Monitor existing positions every minute. Never overlaps itself: a slow cycle makes
+    // the scheduler skip the next one instead of running two at once.
+    this.scheduler.every('monitor', 60000, async () => {
+      // Heartbeat log every 5 minutes to avoid spam (60s * 5 = 300s intervals)
+      const now = Date.now();
+      if (!this.lastMonitorLog || now - this.lastMonitorLog >= 300000) {
+        logger.info(`⏰ Position monitoring active (checks every 60s)`);
+        this.lastMonitorLog = now;
+      }
+
+      if (!this.isRunning) return;
+      try {
+        await this.monitorPositions();
+        this.lastActivityTime = Date.now();
+      } catch (error) {
+        if (!this.isBrokerOutage(error)) {
+          logger.error(`Position monitoring failed: ${error.message}`);
+          logger.error(`Stack: ${error.stack}`);
+        }
+        logger.warn('Will retry in 1 minute');
+      }
+    });
+
+    // Daily statistics reset at midnight UTC
+    this.scheduler.dailyAt('daily-reset', 0, 0, () => {
+      this.riskManager.resetDailyStats();
+      logger.info('📅 Daily statistics reset');
+    });
+  }
 
-      // Get historical candles (H4 - main timeframe)
-      const allCandles = await this.client.getCandles(
-        Config.TRADING_SYMBOL,
-        Config.TIMEFRAME,
-        200
+  /**
+   * One market scan, from whichever job triggered it
+   * @param {string} trigger - for the heartbeat log ('Scheduled', 'Candle close')
+   * @param {InstrumentDesk[]} [desks] - the instruments to scan, all by default
+   */
+  async runScan(trigger, desks = [...this.desks.values()]) {
+    // Heartbeat log to verify scan is executing
+    const now = clock.date().toISOString().replace('T', ' ').substring(0, 19);
+    logger.info(`⏰ [${now}] ${trigger} scan - isRunning: ${this.isRunning}`);
+
+    if (!this.isRunning) {
+      logger.warn(`⏸️ Bot is paused (isRunning: false) - skipping scan`);
+      return;
+    }
+    if (await this.scanMarket(desks) === false) return;
+    this.lastActivityTime = Date.now();
+  }
+
+  /**
+   * Timeframes whose candle closes trigger a scan: the primary and whatever else each
+   * instrument's live strategy reads (Breakout's MTF entry timeframe, EMA Trend's HTF)
+   * @param {InstrumentDesk} [desk] - one instrument's, or every desk's by default
+   */
+  getScanGranularities(desk) {
+    const granularities = new Set([Config.TIMEFRAME]);
+    for (const d of desk ? [desk] : this.desks.values()) {
+      d.run(() => d.liveStrategy.requiredTimeframes()).forEach(g => granularities.add(g));
+    }
+    return [...granularities];
+  }
+
+  /**
+   * Desks trading Breakout + ADX live - the realtime breakout check runs for these
+   * @returns {InstrumentDesk[]}
+   */
+  getBreakoutDesks() {
+    return [...this.desks.values()].filter(desk => desk.breakoutStrategy && desk.liveStrategy === desk.breakoutStrategy);
+  }
+
+  /**
+   * Latest complete candles of the desk's instrument for every timeframe one of its
+   * strategies or the regime classifier reads, by granularity - the primary TIMEFRAME
+   * with 200 candles, the rest with 100
+   */
+  async fetchCandleFeeds(desk) {
+    const granularities = desk.run(() => {
+      const needed = new Set([Config.TIMEFRAME, Config.REGIME_HTF]);
+      for (const strategy of desk.strategies.values()) {
+        strategy.requiredTimeframes().forEach(g => needed.add(g));
+      }
+      return needed;
+    });
+
+    const feeds = {};
+    for (const granularity of granularities) {
+      const allCandles = await this.candleSource.getCandles(
+        desk.instrument,
+        granularity,
+        granularity === Config.TIMEFRAME ? 200 : 100
       );
 
       // CRITICAL: Filter out incomplete candles for strategy calculations
       // Using incomplete candles causes SMAs to shift as price moves within the candle,
       // which can trigger false crossover signals
-      const candles = allCandles.filter(c => c.complete);
+      feeds[granularity] = allCandles.filter(c => c.complete);
+      logger.debug(`📊 ${desk.instrument} ${granularity} Candles: ${allCandles.length} total, ${feeds[granularity].length} complete`);
+    }
+    return feeds;
+  }
 
-      logger.debug(`📊 H4 Candles: ${allCandles.length} total, ${candles.length} complete`);
+  /**
+   * Wait until every candle that closed at `boundary` is marked complete, per instrument,
+   * asking again every CANDLE_CLOSE_RETRY_MS (wall clock only - see below). Instruments
+   * keep their own sessions, so each desk is only scanned once its own candles closed.
+   * @returns {Promise<InstrumentDesk[]>} the desks to scan - not those where nothing
+   *   closed at this boundary or a candle never finalised (the fallback scan picks those up)
+   */
+  async awaitCandleClose(boundary) {
+    const ready = [];
+    let waiting = [...this.desks.values()];
+    const at = new Date(boundary).toISOString();
+
+    for (let attempt = 0; ; attempt++) {
+      const stillPending = [];
+      for (const desk of waiting) {
+        const granularities = this.getScanGranularities(desk);
+        const statuses = await Promise.all(granularities.map(g => this.candleCloseStatus(desk, g, boundary)));
+        const closed = granularities.filter((g, i) => statuses[i] !== null);
+        const pending = granularities.filter((g, i) => statuses[i] === false);
+
+        if (closed.length === 0) continue;
+        if (pending.length === 0) {
+          logger.debug(`🕯️ ${desk.instrument} ${closed.join('/')} candle closed at ${at}`);
+          ready.push(desk);
+        } else {
+          stillPending.push({ desk, pending });
+        }
+      }
+      if (stillPending.length === 0) return ready;
 
-      if (candles.length < 100) {
-        logger.warn('Insufficient candle data');
-        return;
+      const described = stillPending.map(({ desk, pending }) => `${desk.instrument} ${pending.join('/')}`).join(', ');
+      if (attempt >= CANDLE_CLOSE_MAX_RETRIES) {
+        logger.warn(`🕯️ ${described} candle closing at ${at} still not complete after ${CANDLE_CLOSE_MAX_RETRIES} retries - leaving it to the fallback scan`);
+        return ready;
+      }
+      // Simulated time only moves between jobs (Scheduler.advanceTo) - asking again
+      // would see the same candles, after holding up the replay for real seconds
+      if (clock.isSimulated) {
+        logger.debug(`🕯️ ${described} candle not complete at ${at} - leaving it to the fallback scan`);
+        return ready;
       }
+      logger.debug(`🕯️ ${described} candle not complete yet - retrying in ${CANDLE_CLOSE_RETRY_MS / 1000}s`);
+      await new Promise(resolve => setTimeout(resolve, CANDLE_CLOSE_RETRY_MS));
+      waiting = stillPending.map(({ desk }) => desk);
+    }
+  }
 
-      // Fetch MTF candles for breakout entry timing (if enabled)
-      let h1Candles = null;
-      if (Config.ENABLE_MTF) {
-        const allH1Candles = await this.client.getCandles(
-          Config.TRADING_SYMBOL,
-          Config.MTF_ENTRY_TIMEFRAME,
-          100
-        );
-        h1Candles = allH1Candles.filter(c => c.complete);
-        logger.debug(`📊 MTF Candles: ${allH1Candles.length} total, ${h1Candles.length} complete`);
+  /**
+   * Has the desk's `granularity` candle ending at `boundary` been finalised?
+   * @returns {Promise<boolean|null>} its complete flag, or null if no candle of this
+   *   granularity ends at `boundary` (mid-candle, or the instrument's market was closed)
+   */
+  async candleCloseStatus(desk, granularity, boundary) {
+    const stepMs = Config.getGranularitySeconds(granularity) * 1000;
+    // Epoch-aligned - no need to ask Oanda whether an M15 candle ends at 10:05
+    if (stepMs <= 3600000 && boundary % stepMs !== 0) return null;
+
+    const candles = await this.candleSource.getCandles(desk.instrument, granularity, 3);
+    const closing = candles.find(c => c.time.getTime() + stepMs === boundary);
+    return closing ? closing.complete : null;
+  }
+
+  /**
+   * Label the market for this scan and keep it for entries made between scans. The
+   * volatility percentile needs more TIMEFRAME history than the strategies read, so it
+   * gets its own (store-served) candle request.
+   * @returns {Object} RegimeClassifier.classify() result
+   */
+  async classifyRegime(desk, feeds) {
+    const count = desk.run(() => this.regimeClassifier.candleCount());
+    const candles = await this.candleSource.getCandles(desk.instrument, Config.TIMEFRAME, count);
+    desk.regime = desk.run(() => this.regimeClassifier.classify(candles.filter(c => c.complete), feeds[Config.REGIME_HTF], clock.now()));
+
+    const { adx, emaSlopeATR, atrPercentile } = desk.regime;
+    logger.info(
+      `🧭 ${desk.instrument} Regime: ${desk.regime.label} (ADX ${adx ?? 'n/a'}, EMA slope ${emaSlopeATR ?? 'n/a'} ATR, ` +
+      `ATR percentile ${atrPercentile ?? 'n/a'})`
+    );
+    return desk.regime;
+  }
+
+  /**
+   * The desk's last scan regime with the session as of now - null before its first scan
+   */
+  currentRegime(desk) {
+    return desk.regime && this.regimeClassifier.withSession(desk.regime, clock.now());
+  }
+
+  /**
+   * A strategy's setup with its signal dropped if the strategy may not enter in this regime
+   */
+  gateByRegime(strategy, setup, regime) {
+    const signal = setup.signal || setup.limitEntry?.signal;
+    if (!signal) return setup;
+
+    const gate = this.regimeClassifier.check(regime, strategy.allowedRegimes());
+    if (gate.allowed) return setup;
+    return { ...setup, signal: null, limitEntry: null, reason: `${signal} blocked by regime - ${gate.reason} (${setup.reason})` };
+  }
+
+  /**
+   * Follow a transaction feed (TransactionStream, or a simulated broker's own fills):
+   * closes are finalized as they happen, resting limit entries adopted or dropped
+   * @param {EventEmitter} source - emits 'tradeClosed' and 'transaction'
+   */
+  subscribeToTransactions(source) {
+    source.on('tradeClosed', (fill) => {
+      this.finalizeClosedTrade(fill.tradeId, fill).catch(error => {
+        logger.error(`Failed to finalize streamed close of ${fill.tradeId}: ${error.message}`);
+      });
+    });
+    source.on('transaction', (transaction) => this.onTransaction(transaction));
+  }
+
+  /**
+   * Scan instruments for trade setups, in INSTRUMENTS order
+   * @param {InstrumentDesk[]} [desks] - every desk by default
+   * @returns {Promise<false|undefined>} false if the scan of any instrument failed
+   */
+  async scanMarket(desks = [...this.desks.values()]) {
+    let failed = false;
+    for (const desk of desks) {
+      // A failed scan doesn't count - the fallback scan stays due for that desk
+      if (await this.scanInstrument(desk) === false) {
+        failed = true;
+      } else {
+        desk.lastScanAt = clock.now();
       }
+    }
+    return failed ? false : undefined;
+  }
 
-      // Fetch HTF candles for EMA Trend strategy alignment
-      let htfCandles = null;
-      if (Config.STRATEGY_TYPE === 'ema_trend') {
-        const allHTFCandles = await this.client.getCandles(
-          Config.TRADING_SYMBOL,
-          Config.EMA_TREND_HTF,
-          100
-        );
-        htfCandles = allHTFCandles.filter(c => c.complete);
-        logger.debug(`📊 HTF (${Config.EMA_TREND_HTF}) Candles: ${allHTFCandles.length} total, ${htfCandles.length} complete`);
+  /**
+   * Scan one instrument for trade setups
+   * @param {InstrumentDesk} desk
+   * @returns {Promise<false|undefined>} false if the scan failed
+   */
+  async scanInstrument(desk) {
+    try {
+      logger.info(`🔍 Scanning ${desk.instrument} for setups...`);
+
+      // Candles for every timeframe the strategies read (primary first)
+      const feeds = await this.fetchCandleFeeds(desk);
+      const candles = feeds[Config.TIMEFRAME];
+
+      if (candles.length < 100) {
+        logger.warn(`Insufficient ${desk.instrument} candle data`);
+        return;
       }
 
       // Perform technical analysis (uses completed candles for accurate indicators)
-      const analysis = this.ta.analyze(candles);
-      this.ta.logAnalysis(analysis);
+      const analysis = desk.run(() => this.ta.analyze(candles));
+      desk.run(() => this.ta.logAnalysis(analysis));
+
+      // Market regime - each strategy only keeps signals in the regimes it allows
+      const regime = await this.classifyRegime(desk, feeds);
 
       // Evaluate all strategies
-      const tripleSetup = this.tripleStrategy.evaluateSetup(analysis);
-      const breakoutSetup = this.breakoutStrategy.evaluateSetup(analysis, candles, h1Candles);
-      const emaTrendSetup = this.emaTrendStrategy.evaluateSetup(analysis, candles, htfCandles);
-
-      const setupMap = {
-        'Breakout + ADX': breakoutSetup,
-        'Triple Confirmation': tripleSetup,
-        'EMA Trend': emaTrendSetup,
-      };
+      const setups = new Map(); // strategy → setup
+      for (const strategy of desk.strategies.values()) {
+        setups.set(strategy, this.gateByRegime(strategy, desk.run(() => strategy.evaluateSetup(analysis, candles, feeds)), regime));
+      }
 
       logger.info('');
       logger.info('─'.repeat(70));
-      logger.info('📊 STRATEGY EVALUATION RESULTS:');
+      logger.info(`📊 ${desk.instrument} STRATEGY EVALUATION RESULTS:`);
       logger.info('─'.repeat(70));
-      logger.info(`🟢 Breakout + ADX: ${breakoutSetup.signal || 'NO SIGNAL'} (${breakoutSetup.confidence}%) - ${breakoutSetup.reason}`);
-      logger.info(`📊 EMA Trend: ${emaTrendSetup.signal || 'NO SIGNAL'} (${(emaTrendSetup.confidence * 100).toFixed(0)}%) - ${emaTrendSetup.reason}`);
-      logger.info(`📝 Triple Confirmation: ${tripleSetup.signal || 'NO SIGNAL'} (${tripleSetup.confidence}%) - ${tripleSetup.reason}`);
+      for (const [strategy, setup] of setups) {
+        logger.info(`${strategy === desk.liveStrategy ? '🟢' : '📝'} ${strategy.label}: ${setup.signal || 'NO SIGNAL'} (${formatConfidence(setup.confidence)}) - ${setup.reason}`);
+      }
       logger.info('─'.repeat(70));
       logger.info('');
 
-      // Determine which setup to use for live trading
-      const liveStrategyName = Config.STRATEGY_TYPE === 'ema_trend' ? 'EMA Trend'
-        : Config.STRATEGY_TYPE === 'triple_confirmation' ? 'Triple Confirmation'
-        : 'Breakout + ADX';
-      const liveSetup = setupMap[liveStrategyName];
-      const hypotheticalStrategyName = Object.keys(setupMap).find(k => k !== liveStrategyName) || 'Triple Confirmation';
-      const hypotheticalSetup = setupMap[hypotheticalStrategyName];
+      const liveStrategyName = desk.liveStrategy.label;
+      const liveSetup = setups.get(desk.liveStrategy);
+      const hypotheticalSignals = desk.getHypotheticalStrategies()
+        .map(strategy => ({ strategy, setup: setups.get(strategy) }))
+        .filter(({ setup }) => setup.signal);
+      await this.recordHypotheticalSignals(desk, hypotheticalSignals, analysis, regime);
+
+      // MTF limit mode: a confirmed breakout comes back as a price to rest a LIMIT order at
+      if (liveSetup.limitEntry) {
+        logger.info(`🟢 LIVE (${liveStrategyName}): ${liveSetup.reason}`);
+        await this.placeLimitEntry(desk, liveSetup.limitEntry, analysis, liveStrategyName);
+        return;
+      }
 
       // Check if live strategy has a signal
       if (!liveSetup.signal) {
         logger.info(`🟢 LIVE (${liveStrategyName}): No setup - ${liveSetup.reason}`);
 
-        // Check hypothetical strategy
-        if (hypotheticalSetup.signal) {
-          logger.info(`📝 HYPOTHETICAL (${hypotheticalStrategyName}): Would have signaled ${hypotheticalSetup.signal} at ${hypotheticalSetup.confidence}% confidence`);
+        // Check hypothetical strategies
+        for (const { strategy, setup } of hypotheticalSignals) {
+          logger.info(`📝 HYPOTHETICAL (${strategy.label}): Would have signaled ${setup.signal} at ${formatConfidence(setup.confidence)} confidence`);
         }
 
         return;
@@ -706,7 +997,7 @@ class GoldTradingBot {
 
       // We have a LIVE signal!
       logger.info('');
-      logger.info('🎯 LIVE TRADE SETUP DETECTED!');
+      logger.info(`🎯 LIVE ${desk.instrument} TRADE SETUP DETECTED!`);
       logger.info(`🟢 Strategy: ${liveStrategyName}`);
       logger.info(`Signal: ${liveSetup.signal}`);
       logger.info(`Confidence: ${formatConfidence(liveSetup.confidence)}`);
@@ -717,13 +1008,15 @@ class GoldTradingBot {
       // Use both Oanda's openTrades and our local activePositions cache to close a race window:
       // if a trade closed on Oanda (e.g. trailing SL fired) between monitor cycles, Oanda already
       // shows no open trade, but the monitor hasn't yet processed the closure or set cooldown.
-      const existingTrades = await this.client.getOpenTrades();
-      const hasOandaPosition = existingTrades.some(t => t.instrument === Config.TRADING_SYMBOL);
+      // With the transaction stream up, closes are finalized on the fill and this rarely fires;
+      // it stays as the safety net for when the stream is down.
+      const existingTrades = await this.broker.getOpenTrades();
+      const hasOandaPosition = existingTrades.some(t => t.instrument === desk.instrument);
       const hasLocalPosition = Array.from(this.activePositions.values())
-        .some(p => p.symbol === Config.TRADING_SYMBOL);
+        .some(p => p.symbol === desk.instrument);
 
       if (hasOandaPosition) {
-        logger.info('❌ Already have open position in XAU_USD - skipping');
+        logger.info(`❌ Already have open position in ${desk.instrument} - skipping`);
         return;
       }
 
@@ -731,37 +1024,51 @@ class GoldTradingBot {
         // Local state has a trade Oanda doesn't — it just closed. Start cooldown now and skip;
         // the next monitor cycle will reconcile and emit the closure notification.
         logger.info('⚠️ Local position open but Oanda shows none — trade just closed. Starting cooldown and skipping entry.');
-        this.lastTradeCloseTime = Date.now();
-        this.saveCooldown();
+        desk.startCooldown();
+        return;
+      }
+
+      if (desk.pendingEntry) {
+        logger.info(`📌 Limit entry ${desk.pendingEntry.orderId} (${desk.pendingEntry.signal} @ $${desk.pendingEntry.price.toFixed(2)}) still resting - skipping market entry`);
         return;
       }
 
       // Check trade cooldown (prevents rapid re-entries after losses)
-      const cooldown = this.checkTradeCooldown();
+      const cooldown = desk.checkTradeCooldown();
       if (cooldown.active) {
-        logger.info(`⏳ Trade cooldown active - ${cooldown.remainingMinutes} minutes remaining`);
-        logger.info(`   Last trade closed at ${new Date(this.lastTradeCloseTime).toISOString()}`);
-        logger.info(`   Next trade allowed after ${new Date(this.lastTradeCloseTime + Config.TRADE_COOLDOWN_HOURS * 3600000).toISOString()}`);
+        logger.info(`⏳ ${desk.instrument} trade cooldown active - ${cooldown.remainingMinutes} minutes remaining`);
+        logger.info(`   Last trade closed at ${new Date(desk.lastTradeCloseTime).toISOString()}`);
+        logger.info(`   Next trade allowed after ${new Date(desk.lastTradeCloseTime + desk.setting('TRADE_COOLDOWN_HOURS') * 3600000).toISOString()}`);
         return;
       }
 
-      // Check trading hours (avoid Asian session with low liquidity and wild wicks)
+      // Check the session calendar (trading windows, weekend, holidays, the Friday close)
       const tradingHours = this.checkTradingHours();
       if (!tradingHours.allowed) {
         logger.info(`🌙 ${tradingHours.reason}`);
-        logger.info(`   Skipping trade entry - will resume at ${Config.TRADING_START_HOUR}:00 UK time`);
+        logger.info(`   Skipping trade entry - trading next opens ${this.formatNextTradingOpen()}`);
+        return;
+      }
+
+      const news = this.checkNewsBlackout();
+      if (!news.allowed) {
+        logger.info(`📰 ${news.reason} - skipping trade entry`);
         return;
       }
 
       // Calculate entry levels for LIVE strategy
       // Use MTF entry price if available (better entry from H1 pullback)
       const mtfEntryPrice = liveSetup.isMTFEntry ? liveSetup.entryPrice : null;
-      const levels = this.liveStrategy.calculateEntryLevels(analysis, liveSetup.signal, mtfEntryPrice);
+      const levels = desk.run(() => desk.liveStrategy.calculateEntryLevels(analysis, liveSetup.signal, mtfEntryPrice));
+      const spread = await this.getLiveSpread(desk, analysis);
+      desk.run(() => this.riskManager.applySpreadToStop(levels, liveSetup.signal, spread));
 
       // Calculate position size
-      const positionSize = this.riskManager.calculatePositionSize(
+      const positionSize = await this.riskManager.calculatePositionSize(
         levels.entryPrice,
-        levels.stopLoss
+        levels.stopLoss,
+        desk.setting('MAX_RISK_PER_TRADE'),
+        desk.instrument
       );
 
       if (positionSize === 0) {
@@ -770,65 +1077,55 @@ class GoldTradingBot {
       }
 
       // Adjust units for direction (negative for short)
-      const units = liveSetup.signal === 'LONG' ? positionSize : -positionSize;
+      let units = liveSetup.signal === 'LONG' ? positionSize : -positionSize;
 
-      // Check risk management
+      // Check risk management - one budget across every instrument
       const canTrade = await this.riskManager.canOpenTrade(
         levels.entryPrice,
         levels.stopLoss,
-        Math.abs(units)
+        Math.abs(units),
+        desk.instrument
       );
 
       if (!canTrade.allowed) {
         logger.risk(`Trade blocked: ${canTrade.reason}`);
         return;
       }
+      units = Math.sign(units) * canTrade.units; // Margin check may have shrunk it
 
       // Execute LIVE trade
-      await this.executeTrade(liveSetup.signal, units, levels, liveSetup.reason, liveStrategyName, liveSetup.confidence, liveSetup);
-
-      // Record hypothetical trade if other strategy also signaled
-      if (hypotheticalSetup.signal) {
-        logger.info(`📝 HYPOTHETICAL (${hypotheticalStrategyName}): Would also enter ${hypotheticalSetup.signal} at ${hypotheticalSetup.confidence}% confidence`);
-
-        // Calculate hypothetical entry levels
-        const hypotheticalLevels = this.liveStrategy === this.breakoutStrategy
-          ? this.tripleStrategy.calculateEntryLevels(analysis, hypotheticalSetup.signal)
-          : this.breakoutStrategy.calculateEntryLevels(analysis, hypotheticalSetup.signal);
-
-        // Track hypothetical trade
-        this.tracker.recordSignal(
-          hypotheticalStrategyName,
-          hypotheticalSetup.signal,
-          hypotheticalLevels.entryPrice,
-          hypotheticalLevels.stopLoss,
-          hypotheticalLevels.takeProfit1,
-          hypotheticalLevels.takeProfit2,
-          Math.abs(units),
-          hypotheticalSetup.reason,
-          hypotheticalSetup.confidence
-        );
-      }
+      await this.executeTrade(desk, liveSetup.signal, units, levels, liveSetup.reason, liveStrategyName, liveSetup.confidence, liveSetup);
 
     } catch (error) {
-      logger.error(`Error scanning market: ${error.message}`);
-      if (this.telegramBot) {
+      if (error instanceof BrokerUnavailable) {
+        logger.warn(`⏸️ ${desk.instrument} market scan skipped: ${error.message}`);
+        return false;
+      }
+      logger.error(`Error scanning ${desk.instrument}: ${error.message}`);
+      // A transient API failure either clears by the next scan or trips the breaker,
+      // which notifies once - don't message about every one
+      if (this.telegramBot && !this.isBrokerOutage(error)) {
         try {
-          await this.telegramBot.notifyError(`Market scan error: ${error.message}`);
+          await this.telegramBot.notifyError(`${desk.instrument} market scan error: ${error.message}`);
         } catch (telegramError) {
           logger.warn(`Failed to send Telegram notification: ${telegramError.message}`);
         }
       }
+      return false;
     }
   }
 
   /**
    * Execute a trade
+   * @param {InstrumentDesk} desk - The instrument to trade
    */
-  async executeTrade(signal, units, levels, reason, strategyName, confidence, setup = null) {
+  async executeTrade(desk, signal, units, levels, reason, strategyName, confidence, setup = null) {
+    const { instrument } = desk;
+    const trailingOnly = desk.setting('TRAILING_ONLY');
+    const stagedTP = desk.setting('ENABLE_STAGED_TP');
     try {
       logger.info('');
-      logger.info('🎬 EXECUTING LIVE TRADE...');
+      logger.info(`🎬 EXECUTING LIVE ${instrument} TRADE...`);
       logger.info(`🟢 Strategy: ${strategyName}`);
       logger.info(`Side: ${signal}`);
       logger.info(`Confidence: ${formatConfidence(confidence)}`);
@@ -836,9 +1133,9 @@ class GoldTradingBot {
       logger.info(`Entry: $${levels.entryPrice.toFixed(2)}`);
       logger.info(`Stop Loss: $${levels.stopLoss.toFixed(2)}`);
 
-      if (Config.TRAILING_ONLY) {
-        logger.info(`Take Profit: NONE (trailing stop only @ ${Config.TRAILING_STOP_DISTANCE_PIPS} pips)`);
-      } else if (Config.ENABLE_STAGED_TP) {
+      if (trailingOnly) {
+        logger.info(`Take Profit: NONE (trailing stop only @ ${desk.setting('TRAILING_STOP_DISTANCE_PIPS')} pips)`);
+      } else if (stagedTP) {
         logger.info(`Take Profit 1: $${levels.takeProfit1.toFixed(2)} (60%)`);
         logger.info(`Take Profit 2: $${levels.takeProfit2.toFixed(2)} (40%)`);
       } else {
@@ -857,7 +1154,7 @@ class GoldTradingBot {
       // - STAGED_TP: No TP on order, managed manually
       // - Otherwise: Single TP on order
       let takeProfit = null;
-      if (!Config.TRAILING_ONLY && !Config.ENABLE_STAGED_TP) {
+      if (!trailingOnly && !stagedTP) {
         takeProfit = levels.takeProfit1;
       }
 
@@ -870,12 +1167,12 @@ class GoldTradingBot {
       //   2. SLIPPAGE — how far off the LIVE market may the fill land? Anchored to the
       //      current price, which is what MAX_SLIPPAGE_PIPS always claimed to mean.
       const isLongOrder = signal === 'LONG';
-      const slippageAmount = Config.pipsToPrice(Config.MAX_SLIPPAGE_PIPS);
-      const maxDrift = Config.pipsToPrice(Config.MAX_ENTRY_DRIFT_PIPS);
+      const slippageAmount = Config.pipsToPrice(desk.setting('MAX_SLIPPAGE_PIPS'), instrument);
+      const maxDrift = Config.pipsToPrice(desk.setting('MAX_ENTRY_DRIFT_PIPS'), instrument);
 
       let boundAnchor = levels.entryPrice; // fallback to old behaviour if pricing is unavailable
       try {
-        const live = await this.client.getPrice(Config.TRADING_SYMBOL);
+        const live = await this.broker.getPrice(instrument);
         // Bound the side we actually fill on: LONG pays the ask, SHORT hits the bid.
         boundAnchor = isLongOrder ? live.ask : live.bid;
 
@@ -911,23 +1208,31 @@ class GoldTradingBot {
         `(max slippage $${slippageAmount.toFixed(2)} from $${boundAnchor.toFixed(2)})`
       );
 
-      let order = await this.client.placeMarketOrder(
-        Config.TRADING_SYMBOL,
+      // Tracker ID taken up front so the order can carry it (see OrderTags)
+      const trackerTradeId = this.tracker.newTradeId(desk.trackerName(strategyName));
+      const orderOptions = {
+        ...this.getEntryOrderOptions(desk, strategyName),
+        ...OrderTags.build(strategyName, trackerTradeId)
+      };
+
+      let order = await this.broker.placeMarketOrder(
+        instrument,
         units,
         levels.stopLoss,
         takeProfit,
-        priceBound
+        priceBound,
+        orderOptions
       );
 
       // Order retry logic - handle common failures
-      if (!order.success && Config.ENABLE_ORDER_RETRY) {
+      if (!order.success && desk.setting('ENABLE_ORDER_RETRY')) {
         const retriableErrors = ['STOP_LOSS_ON_FILL_LOSS', 'STOP_LOSS_ON_FILL_GTD_TIMESTAMP_IN_PAST'];
 
         if (retriableErrors.some(err => order.reason?.includes(err) || order.rejectReason?.includes(err))) {
           logger.warn(`⚠️ Order failed with ${order.reason} - retrying with wider SL...`);
 
           // Widen the stop loss
-          const widenAmount = Config.pipsToPrice(Config.ORDER_RETRY_WIDEN_SL_PIPS);
+          const widenAmount = Config.pipsToPrice(desk.setting('ORDER_RETRY_WIDEN_SL_PIPS'), instrument);
           const isLong = signal === 'LONG';
           const newStopLoss = isLong
             ? levels.stopLoss - widenAmount
@@ -936,38 +1241,45 @@ class GoldTradingBot {
           logger.info(`🔧 Widening SL from $${levels.stopLoss.toFixed(2)} to $${newStopLoss.toFixed(2)} (+$${widenAmount.toFixed(2)})`);
 
           // Retry with wider stop loss
-          order = await this.client.placeMarketOrder(
-            Config.TRADING_SYMBOL,
+          order = await this.broker.placeMarketOrder(
+            instrument,
             units,
             newStopLoss,
             takeProfit,
-            priceBound
+            priceBound,
+            { ...orderOptions, ...OrderTags.build(strategyName, trackerTradeId, 2) }
           );
 
           if (order.success) {
             logger.info(`✅ Retry successful with wider SL!`);
             levels.stopLoss = newStopLoss; // Update levels for tracking
           } else {
-            // Second retry: try without SL, add it after fill
+            // Second retry: try without SL, add it after fill. No trailing stop either -
+            // monitorPositions attaches it once the trail is due.
             logger.warn(`⚠️ Retry with wider SL failed - trying without SL...`);
+            delete orderOptions.trailingStopDistance;
 
-            order = await this.client.placeMarketOrder(
-              Config.TRADING_SYMBOL,
+            order = await this.broker.placeMarketOrder(
+              instrument,
               units,
               null,  // No stop loss
               null,  // No take profit
-              priceBound  // Still protect against slippage
+              priceBound,  // Still protect against slippage
+              OrderTags.build(strategyName, trackerTradeId, 3)
             );
 
             if (order.success) {
               logger.info(`✅ Order filled without SL - adding SL now...`);
               try {
-                // Calculate SL based on actual fill price
-                const fillBasedSL = isLong
-                  ? order.price - Config.pipsToPrice(Config.BREAKOUT_STOP_LOSS_PIPS + Config.ORDER_RETRY_WIDEN_SL_PIPS)
-                  : order.price + Config.pipsToPrice(Config.BREAKOUT_STOP_LOSS_PIPS + Config.ORDER_RETRY_WIDEN_SL_PIPS);
-
-                await this.client.modifyTrade(order.tradeId, fillBasedSL, null);
+                // The strategy's own stop from the actual fill price (the signal's stop if no
+                // configured strategy owns the name), widened as above
+                const strategy = desk.getStrategyFor(strategyName);
+                const strategySL = strategy
+                  ? desk.run(() => strategy.initialStops({ signal, price: order.price, spread: levels.spread || 0 })).stopLoss
+                  : levels.stopLoss;
+                const fillBasedSL = isLong ? strategySL - widenAmount : strategySL + widenAmount;
+
+                await this.broker.modifyTrade(order.tradeId, fillBasedSL, null, order.instrument);
                 levels.stopLoss = fillBasedSL;
                 logger.info(`✅ SL added at $${fillBasedSL.toFixed(2)}`);
               } catch (slError) {
@@ -994,47 +1306,93 @@ class GoldTradingBot {
         return;
       }
 
-      // Recalculate SL based on actual fill price (not theoretical entry price)
-      // The calculated SL may be wrong if fill price differs from analysis price
-      const isLong = signal === 'LONG';
-      const isEmaTrend = strategyName?.includes('EMA Trend');
-      const isBreakoutTrade = strategyName?.includes('Breakout');
-      let stopDistance;
-      if (isEmaTrend) {
-        // EMA Trend uses ATR-based stops — recalculate from the strategy's stored ATR
-        const atrSL = (this.emaTrendStrategy.lastATR || 5.0) * Config.EMA_TREND_ATR_SL_MULT;
-        stopDistance = Math.max(Config.pipsToPrice(Config.EMA_TREND_MIN_SL), Math.min(Config.pipsToPrice(Config.EMA_TREND_MAX_SL), atrSL));
-      } else {
-        const stopPips = isBreakoutTrade ? Config.BREAKOUT_STOP_LOSS_PIPS : Config.STOP_LOSS_PIPS;
-        stopDistance = Config.pipsToPrice(stopPips);
-      }
-      const correctStopLoss = isLong
-        ? order.price - stopDistance
-        : order.price + stopDistance;
+      await this.recordOpenedTrade(desk, order, signal, levels, reason, strategyName, confidence, setup, orderOptions.trailingStopDistance || null, trackerTradeId);
 
-      if (Math.abs(correctStopLoss - levels.stopLoss) > 0.01) {
-        logger.info(`🔧 Adjusting SL from $${levels.stopLoss.toFixed(2)} to $${correctStopLoss.toFixed(2)} (based on fill price $${order.price.toFixed(2)})`);
+    } catch (error) {
+      logger.error(`Failed to execute ${instrument} trade: ${error.message}`);
+      this.flagUnresolvedOrder(error);
+      if (this.telegramBot) {
         try {
-          await this.client.modifyTrade(order.tradeId, correctStopLoss, null);
-          levels.stopLoss = correctStopLoss;
-        } catch (slError) {
-          logger.warn(`Failed to adjust SL: ${slError.message} - keeping original SL`);
+          await this.telegramBot.notifyError(`${instrument} trade execution failed: ${error.message}`);
+        } catch (telegramError) {
+          logger.warn(`Failed to send Telegram notification: ${telegramError.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Current bid/ask spread for stop placement - live quote, else the last candle's
+   */
+  async getLiveSpread(desk, analysis = null) {
+    try {
+      const price = await this.broker.getPrice(desk.instrument);
+      return price.spread;
+    } catch (error) {
+      logger.warn(`Live spread unavailable (${error.message}) - using last candle's`);
+      return analysis?.indicators?.spread ?? null;
+    }
+  }
+
+  /**
+   * Order options for a new entry. Server-side trailing: when the strategy's trail is live
+   * from entry (Strategy.entryTrailingStop), Oanda attaches it on fill. Otherwise the
+   * position manager places it once the strategy's trail engages.
+   */
+  getEntryOrderOptions(desk, strategyName) {
+    const orderOptions = {};
+    const strategy = this.getStrategyFor(strategyName, desk.instrument);
+    const trailingStopDistance = desk.run(() => strategy.entryTrailingStop());
+    if (desk.run(() => strategy.trailingStopMode()) === 'server' && trailingStopDistance) {
+      orderOptions.trailingStopDistance = trailingStopDistance;
+      logger.info(`📈 Server-side trailing stop on fill: $${instruments.formatPrice(orderOptions.trailingStopDistance, desk.instrument)}`);
+    }
+    return orderOptions;
+  }
+
+  /**
+   * Start tracking a filled entry: re-anchor SL/TP to the actual fill, then record the
+   * position, strategy tracker entry and Telegram notification. Shared by market entries
+   * and resting limit entries that fill later.
+   * @param {Object} order - { tradeId, orderId, price, units } of the fill
+   * @param {string|null} trackerTradeId - ID the order was tagged with (null = generate one)
+   */
+  async recordOpenedTrade(desk, order, signal, levels, reason, strategyName, confidence, setup = null, serverTrailingDistance = null, trackerTradeId = null) {
+    const { instrument } = desk;
+    // Position state changed - every entry path comes through here, so the realtime
+    // check's cached "no position" can't outlive the fill
+    desk.realtimeContext = null;
+    const trailingOnly = desk.setting('TRAILING_ONLY');
+    const stagedTP = desk.setting('ENABLE_STAGED_TP');
+    try {
+      const strategy = this.getStrategyFor(strategyName, instrument);
+      const trailingMode = desk.run(() => strategy.trailingStopMode());
+      const fmt = (price) => instruments.formatPrice(price, instrument);
+
+      // Recalculate SL based on actual fill price (not theoretical entry price)
+      // The calculated SL may be wrong if fill price differs from analysis price
+      const stops = desk.run(() => strategy.initialStops({ signal, price: order.price, spread: levels.spread || 0 }));
+      const correctStopLoss = stops.stopLoss;
+
+      if (Math.abs(correctStopLoss - levels.stopLoss) > Config.pipsToPrice(1, instrument)) {
+        logger.info(`🔧 Adjusting SL from $${fmt(levels.stopLoss)} to $${fmt(correctStopLoss)} (based on fill price $${fmt(order.price)})`);
+        try {
+          await this.broker.modifyTrade(order.tradeId, correctStopLoss, null, order.instrument);
+          levels.stopLoss = correctStopLoss;
+        } catch (slError) {
+          logger.warn(`Failed to adjust SL: ${slError.message} - keeping original SL`);
         }
       }
 
       // Recalculate TP based on actual fill price (same reason as SL above)
       // Without this, slippage makes TP closer than intended — e.g. 0.75:1 instead of 1:1
-      if (!Config.TRAILING_ONLY && !Config.ENABLE_STAGED_TP) {
-        const tpRR = isEmaTrend ? Config.EMA_TREND_TP_RR : Config.TAKE_PROFIT_RR;
-        const tpDistance = stopDistance * tpRR;
-        const correctTP = isLong
-          ? order.price + tpDistance
-          : order.price - tpDistance;
-
-        if (Math.abs(correctTP - levels.takeProfit1) > 0.01) {
-          logger.info(`🔧 Adjusting TP from $${levels.takeProfit1.toFixed(2)} to $${correctTP.toFixed(2)} (based on fill price $${order.price.toFixed(2)})`);
+      if (!trailingOnly && !stagedTP) {
+        const correctTP = stops.takeProfit;
+
+        if (Math.abs(correctTP - levels.takeProfit1) > Config.pipsToPrice(1, instrument)) {
+          logger.info(`🔧 Adjusting TP from $${fmt(levels.takeProfit1)} to $${fmt(correctTP)} (based on fill price $${fmt(order.price)})`);
           try {
-            await this.client.modifyTrade(order.tradeId, null, correctTP);
+            await this.broker.modifyTrade(order.tradeId, null, correctTP, order.instrument);
             levels.takeProfit1 = correctTP;
             levels.takeProfit2 = correctTP;
           } catch (tpError) {
@@ -1043,28 +1401,33 @@ class GoldTradingBot {
         }
       }
 
-      if (Config.TRAILING_ONLY) {
-        logger.info(`📊 NO fixed TP - Trailing stop at ${Config.TRAILING_STOP_DISTANCE_PIPS} pips ($${(Config.TRAILING_STOP_DISTANCE_PIPS * 0.01).toFixed(2)}) will manage exit`);
+      if (trailingOnly) {
+        const trailPips = desk.setting('TRAILING_STOP_DISTANCE_PIPS');
+        logger.info(`📊 NO fixed TP - Trailing stop at ${trailPips} pips ($${fmt(Config.pipsToPrice(trailPips, instrument))}) will manage exit`);
         logger.info(`🎯 Let winners run! Trail follows price, locks in profit as it moves.`);
-      } else if (Config.ENABLE_STAGED_TP) {
-        logger.info(`📊 TP1 target: $${levels.takeProfit1.toFixed(2)} (will close 60%)`);
-        logger.info(`📊 TP2 target: $${levels.takeProfit2.toFixed(2)} (will close 40%)`);
+      } else if (stagedTP) {
+        logger.info(`📊 TP1 target: $${fmt(levels.takeProfit1)} (will close 60%)`);
+        logger.info(`📊 TP2 target: $${fmt(levels.takeProfit2)} (will close 40%)`);
       } else {
-        logger.info(`📊 TP set at $${levels.takeProfit1.toFixed(2)} (Oanda will close automatically)`);
+        logger.info(`📊 TP set at $${fmt(levels.takeProfit1)} (Oanda will close automatically)`);
       }
 
+      // Initial risk in account currency - the denominator for this trade's R
+      const riskAmount = await this.riskManager.calculateTradeRisk(order.price, levels.stopLoss, order.units, instrument);
+
       logger.info('');
-      logger.info('✅ TRADE OPENED SUCCESSFULLY!');
+      logger.info(`✅ ${instrument} TRADE OPENED SUCCESSFULLY!`);
       logger.info(`Order ID: ${order.orderId}`);
       logger.info(`Trade ID: ${order.tradeId}`);
-      logger.info(`Fill Price: $${order.price.toFixed(2)}`);
+      logger.info(`Fill Price: $${fmt(order.price)}`);
+      logger.info(`Risk: ${this.riskManager.formatMoney(riskAmount)}`);
       logger.info('');
 
       // Track position
       // Build position tracking object
       const positionData = {
         tradeId: order.tradeId,
-        symbol: Config.TRADING_SYMBOL,
+        symbol: instrument,
         signal,
         strategyName,
         entryPrice: order.price,
@@ -1072,46 +1435,20 @@ class GoldTradingBot {
         stopLoss: levels.stopLoss,
         takeProfit1: levels.takeProfit1,
         takeProfit2: levels.takeProfit2,
+        riskAmount,
         reason,
-        openTime: new Date(),
+        openTime: clock.date(),
         tp1Hit: false,
         bestPrice: order.price,
         currentStopLoss: levels.stopLoss,
-        // EMA Trend breakeven fields
-        breakevenTriggered: false,
-        breakevenTriggerDistance: null,
-        atrTrailDistance: null,
+        // Trailing: 'client' = monitor pushes the stop, 'server' = Oanda trailingStopLossOrder
+        trailingMode,
+        serverTrailingDistance,
+        // Whatever the strategy's trade management reads back (EMA Trend: breakeven trigger,
+        // ATR trail distance)
+        ...stops.state,
       };
 
-      // EMA Trend: store breakeven and ATR trailing parameters
-      if (strategyName?.includes('EMA Trend')) {
-        const tpDist = Math.abs(levels.takeProfit1 - order.price);
-        positionData.breakevenTriggerDistance = tpDist * Config.EMA_TREND_BE_TRIGGER_PCT;
-        // Cap the post-breakeven trail to the same bounds as the stop. Uncapped ATR×1.5
-        // on H1 (~$25) is wider than the whole 2R target, so the trail never re-engages
-        // and the trade strands at breakeven. The SL itself is capped at $2–$8; the trail
-        // must be too, or it's not a trail.
-        const rawTrail = (this.emaTrendStrategy.lastATR || 5.0) * Config.EMA_TREND_TRAIL_ATR_MULT;
-        const minTrail = Config.pipsToPrice(Config.EMA_TREND_MIN_SL);
-        const maxTrail = Config.pipsToPrice(Config.EMA_TREND_MAX_SL);
-        positionData.atrTrailDistance = Math.max(minTrail, Math.min(maxTrail, rawTrail));
-        // Only announce the machinery that is actually armed. Under the bracket-exit
-        // regime BE_TRIGGER_PCT is 0 (so breakevenTriggerDistance is falsy and the BE
-        // check at monitor time never fires) and ENABLE_TRAILING_STOP is false — printing
-        // "Breakeven at $0.00 profit, then trail at $20.00" implied both were live.
-        const beArmed = positionData.breakevenTriggerDistance > 0;
-        const trailArmed = Config.ENABLE_TRAILING_STOP;
-        if (beArmed && trailArmed) {
-          logger.info(`📊 Breakeven at $${positionData.breakevenTriggerDistance.toFixed(2)} profit, then trail at $${positionData.atrTrailDistance.toFixed(2)} (raw ATR trail $${rawTrail.toFixed(2)} capped to SL bounds)`);
-        } else if (beArmed) {
-          logger.info(`📊 Breakeven at $${positionData.breakevenTriggerDistance.toFixed(2)} profit (trailing disabled)`);
-        } else if (trailArmed) {
-          logger.info(`📊 Trailing at $${positionData.atrTrailDistance.toFixed(2)} (raw ATR trail $${rawTrail.toFixed(2)} capped to SL bounds), breakeven disabled`);
-        } else {
-          logger.info(`📊 Bracket exit: resting TP or original stop only (breakeven and trailing both disabled)`);
-        }
-      }
-
       // Observational leg filter — stamp the trade so we can correlate with outcome later
       if (setup && setup.legATR !== undefined) {
         positionData.legATR = setup.legATR;
@@ -1126,11 +1463,15 @@ class GoldTradingBot {
       this.savePositions();
 
       // Record in strategy tracker and store tracker ID for closure matching.
-      // regime + entrySnapshot let later analysis segment trades by config era
-      // and market state without pooling incomparable regimes. Log-only.
+      // regime + marketRegime + entrySnapshot let later analysis segment trades by config
+      // era and market state without pooling incomparable regimes. Log-only.
       const trackerMetadata = {
+        ...(trackerTradeId ? { id: trackerTradeId } : {}),
         regime: Config.CONFIG_REGIME,
+        instrument,
+        marketRegime: this.currentRegime(desk),
         entryHourUK: this.checkTradingHours().currentHour,
+        trailingMode,
         ...(setup && setup.legATR !== undefined ? {
           legATR: setup.legATR,
           legSize: setup.legSize,
@@ -1140,7 +1481,7 @@ class GoldTradingBot {
         ...(setup && setup.entrySnapshot ? { entrySnapshot: setup.entrySnapshot } : {}),
       };
       const trackerTrade = this.tracker.recordSignal(
-        strategyName,
+        desk.trackerName(strategyName),
         signal,
         order.price,
         levels.stopLoss,
@@ -1160,7 +1501,7 @@ class GoldTradingBot {
       if (this.telegramBot) {
         try {
           await this.telegramBot.notifyTradeOpened(
-            Config.TRADING_SYMBOL,
+            instrument,
             signal,
             order.price,
             Math.abs(order.units),
@@ -1168,7 +1509,8 @@ class GoldTradingBot {
             levels.takeProfit1,
             reason,
             strategyName,
-            confidence
+            confidence,
+            riskAmount
           );
         } catch (telegramError) {
           logger.warn(`Failed to send trade notification: ${telegramError.message}`);
@@ -1176,10 +1518,10 @@ class GoldTradingBot {
       }
 
     } catch (error) {
-      logger.error(`Failed to execute trade: ${error.message}`);
+      logger.error(`Failed to record opened trade ${order.tradeId}: ${error.message}`);
       if (this.telegramBot) {
         try {
-          await this.telegramBot.notifyError(`Trade execution failed: ${error.message}`);
+          await this.telegramBot.notifyError(`Trade ${order.tradeId} opened but tracking failed: ${error.message}`);
         } catch (telegramError) {
           logger.warn(`Failed to send Telegram notification: ${telegramError.message}`);
         }
@@ -1188,216 +1530,319 @@ class GoldTradingBot {
   }
 
   /**
-   * Monitor existing positions
+   * Rest a LIMIT entry at the MTF pullback level (MTF_LIMIT_ENTRY). Same gates and sizing
+   * as a market entry; SL/TP ride on the order and attach at fill. A fill is adopted by
+   * onTransaction() or, if the stream missed it, checkPendingEntry() on the next monitor.
+   * @param {InstrumentDesk} desk - The instrument to enter
+   * @param {Object} limitEntry - { signal, price, breakoutPrice, expiresAt, reason, confidence }
    */
-  async monitorPositions() {
+  async placeLimitEntry(desk, limitEntry, analysis, strategyName) {
+    const { instrument } = desk;
     try {
-      const openTrades = await this.client.getOpenTrades();
+      // One resting entry per instrument - an opposite breakout replaces it
+      if (desk.pendingEntry) {
+        if (desk.pendingEntry.signal === limitEntry.signal) {
+          logger.info(`📌 Limit entry ${desk.pendingEntry.orderId} already resting for ${limitEntry.signal} - keeping it`);
+          return;
+        }
+        await this.cancelPendingEntry(desk, `opposite ${limitEntry.signal} breakout`);
+        if (desk.pendingEntry) return;
+      }
 
-      for (const trade of openTrades) {
-        const tracked = this.activePositions.get(trade.tradeId);
-        if (!tracked) {
-          logger.warn(`⚠️ Trade ${trade.tradeId} not in activePositions (keys: [${Array.from(this.activePositions.keys()).join(', ')}])`);
-          continue;
+      const existingTrades = await this.broker.getOpenTrades();
+      const hasPosition = existingTrades.some(t => t.instrument === instrument) ||
+        Array.from(this.activePositions.values()).some(p => p.symbol === instrument);
+      if (hasPosition) {
+        logger.info(`❌ Already have open position in ${instrument} - not placing limit entry`);
+        return;
+      }
+
+      const cooldown = desk.checkTradeCooldown();
+      if (cooldown.active) {
+        logger.info(`⏳ Trade cooldown active - ${cooldown.remainingMinutes} minutes remaining, not placing limit entry`);
+        return;
+      }
+
+      const tradingHours = this.checkTradingHours();
+      if (!tradingHours.allowed) {
+        logger.info(`🌙 ${tradingHours.reason} - not placing limit entry`);
+        return;
+      }
+
+      const news = this.checkNewsBlackout();
+      if (!news.allowed) {
+        logger.info(`📰 ${news.reason} - not placing limit entry`);
+        return;
+      }
+
+      if (!analysis) {
+        logger.warn('Limit entry skipped - insufficient candles for indicators');
+        return;
+      }
+
+      const { signal } = limitEntry;
+      const levels = desk.run(() => desk.breakoutStrategy.calculateEntryLevels(analysis, signal, limitEntry.price));
+      const spread = await this.getLiveSpread(desk, analysis);
+      desk.run(() => this.riskManager.applySpreadToStop(levels, signal, spread));
+
+      const positionSize = await this.riskManager.calculatePositionSize(levels.entryPrice, levels.stopLoss, desk.setting('MAX_RISK_PER_TRADE'), instrument);
+      if (positionSize === 0) {
+        logger.error('Position size calculation failed');
+        return;
+      }
+      let units = signal === 'LONG' ? positionSize : -positionSize;
+
+      const canTrade = await this.riskManager.canOpenTrade(levels.entryPrice, levels.stopLoss, Math.abs(units), instrument);
+      if (!canTrade.allowed) {
+        logger.risk(`Trade blocked: ${canTrade.reason}`);
+        return;
+      }
+      units = Math.sign(units) * canTrade.units;
+
+      // Same TP rules as executeTrade
+      let takeProfit = null;
+      if (!desk.setting('TRAILING_ONLY') && !desk.setting('ENABLE_STAGED_TP')) {
+        takeProfit = levels.takeProfit1;
+      }
+      const trackerTradeId = this.tracker.newTradeId(desk.trackerName(strategyName));
+      const orderOptions = {
+        ...this.getEntryOrderOptions(desk, strategyName),
+        ...OrderTags.build(strategyName, trackerTradeId)
+      };
+
+      logger.info('');
+      logger.info(`📌 PLACING ${instrument} LIMIT ENTRY...`);
+      logger.info(`🟢 Strategy: ${strategyName}`);
+      logger.info(`Side: ${signal}`);
+      logger.info(`Units: ${Math.abs(units)}`);
+      logger.info(`Limit: $${limitEntry.price.toFixed(2)} (breakout $${limitEntry.breakoutPrice.toFixed(2)})`);
+      logger.info(`Stop Loss: $${levels.stopLoss.toFixed(2)}`);
+      logger.info(`Take Profit: ${takeProfit !== null ? `$${takeProfit.toFixed(2)}` : 'NONE'}`);
+      logger.info(`Expires: ${limitEntry.expiresAt.toISOString()}`);
+      logger.info('');
+
+      const order = await this.broker.placeLimitOrder(
+        instrument,
+        units,
+        limitEntry.price,
+        levels.stopLoss,
+        takeProfit,
+        limitEntry.expiresAt,
+        orderOptions
+      );
+
+      if (!order.success) {
+        logger.error(`Limit order failed: ${order.reason}`);
+        if (order.rejectReason) {
+          logger.error(`Reject reason: ${order.rejectReason}`);
         }
+        return;
+      }
 
-        logger.info(`📍 Monitoring trade ${trade.tradeId}: ${trade.units} units @ $${trade.price.toFixed(2)}, P&L: $${trade.unrealizedPL.toFixed(2)}`);
+      // Price was already through the limit - filled on the spot
+      if (order.filled) {
+        logger.info(`✅ Limit entry filled immediately @ $${order.price.toFixed(2)}`);
+        await this.recordOpenedTrade(desk, order, signal, levels, limitEntry.reason, strategyName, limitEntry.confidence, null, orderOptions.trailingStopDistance || null, trackerTradeId);
+        return;
+      }
 
-        // Staged TP logic - only runs when ENABLE_STAGED_TP is true
-        // When single TP mode is used, Oanda handles TP automatically
-        if (Config.ENABLE_STAGED_TP && !tracked.tp1Hit) {
-          const currentPrice = await this.client.getPrice(trade.instrument);
-          const price = currentPrice.mid;
+      desk.pendingEntry = {
+        orderId: order.orderId,
+        signal,
+        price: limitEntry.price,
+        breakoutPrice: limitEntry.breakoutPrice,
+        units,
+        levels,
+        reason: limitEntry.reason,
+        strategyName,
+        confidence: limitEntry.confidence,
+        serverTrailingDistance: orderOptions.trailingStopDistance || null,
+        trackerTradeId,
+        placedAt: clock.date().toISOString(),
+        expiresAt: limitEntry.expiresAt.toISOString()
+      };
+      desk.savePendingEntry();
+      logger.info(`📌 Limit entry ${order.orderId} resting: ${signal} ${Math.abs(units)} ${instrument} @ $${limitEntry.price.toFixed(2)}`);
 
-          const isLong = trade.units > 0;
-          const tp1Hit = isLong
-            ? price >= tracked.takeProfit1
-            : price <= tracked.takeProfit1;
+      if (this.telegramBot) {
+        try {
+          await this.telegramBot.sendNotification(
+            `📌 *Limit Entry Placed*\n\n` +
+            `${signal} ${Math.abs(units)} ${instrument.replace(/_/g, '\\_')} @ $${limitEntry.price.toFixed(2)}\n` +
+            `SL: $${levels.stopLoss.toFixed(2)}${takeProfit !== null ? ` | TP: $${takeProfit.toFixed(2)}` : ''}\n` +
+            `Expires: ${limitEntry.expiresAt.toISOString()}\n` +
+            `Strategy: ${strategyName}`
+          );
+        } catch (telegramError) {
+          logger.warn(`Failed to send Telegram notification: ${telegramError.message}`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Failed to place ${instrument} limit entry: ${error.message}`);
+      this.flagUnresolvedOrder(error);
+    }
+  }
 
-          logger.info(`   TP1 Check: price=$${price.toFixed(2)}, TP1=$${tracked.takeProfit1?.toFixed(2)}, isLong=${isLong}, tp1Hit=${tp1Hit}`);
+  /**
+   * Cancel the desk's resting limit entry. If the cancel fails it most likely filled or
+   * expired first, so reconcile with the broker rather than guess.
+   */
+  async cancelPendingEntry(desk, reason) {
+    const entry = desk.pendingEntry;
+    if (!entry) return;
 
-          if (tp1Hit) {
-            logger.info(`🎯 TP1 reached for ${trade.tradeId} at $${price.toFixed(2)}`);
+    try {
+      await this.broker.cancelOrder(entry.orderId);
+      if (desk.pendingEntry === entry) {
+        desk.pendingEntry = null;
+        desk.savePendingEntry();
+      }
+      logger.info(`🗑️ ${desk.instrument} limit entry ${entry.orderId} cancelled - ${reason}`);
+    } catch (error) {
+      logger.warn(`⚠️ Could not cancel limit entry ${entry.orderId} (${error.message}) - checking its state`);
+      await this.checkPendingEntry(desk);
+    }
+  }
 
-            // Close 60% of position
-            const closeUnits = Math.floor(Math.abs(trade.units) * 0.6);
+  /**
+   * Reconcile the desk's resting limit entry with the broker: adopt it if it filled, drop
+   * it if it was cancelled or expired. Safety net for fills the transaction feed didn't deliver.
+   */
+  async checkPendingEntry(desk) {
+    const entry = desk.pendingEntry;
+    if (!entry) return;
 
-            // For Oanda, units must be a string - try integer format first
-            // Oanda shows units as "159.0" but accepts integer strings for close
-            const unitsToClose = String(closeUnits);
+    try {
+      const order = await this.broker.getOrder(entry.orderId);
+      if (desk.pendingEntry !== entry) return; // resolved by the transaction feed meanwhile
 
-            logger.info(`📊 Attempting to close ${unitsToClose} units (60% of ${Math.abs(trade.units)})`);
+      if (!order || order.state === 'CANCELLED') {
+        logger.info(`⌛ ${desk.instrument} limit entry ${entry.orderId} ${order ? 'cancelled/expired' : 'no longer exists'} - dropping it`);
+        desk.pendingEntry = null;
+        desk.savePendingEntry();
+        return;
+      }
 
-            try {
-              // Validate units before sending
-              if (closeUnits <= 0 || isNaN(closeUnits)) {
-                logger.error(`Invalid closeUnits calculated: ${closeUnits} from units: ${trade.units}`);
-                continue;
-              }
+      if (order.state === 'FILLED' && order.tradeOpenedID) {
+        const trade = await this.broker.getTrade(order.tradeOpenedID);
+        const price = parseFloat(trade?.price ?? order.price);
+        const units = parseFloat(trade?.initialUnits ?? entry.units);
+        await this.adoptPendingFill(desk, String(order.tradeOpenedID), price, units);
+      }
+    } catch (error) {
+      logger.warn(`Could not check limit entry ${entry.orderId}: ${error.message}`);
+    }
+  }
 
-              // Use Oanda's trade close endpoint for partial close
-              const response = await this.client.makeRequest('PUT',
-                `/v3/accounts/${this.client.accountId}/trades/${trade.tradeId}/close`,
-                { units: unitsToClose }
-              );
-
-              const partialClose = {
-                success: response.orderFillTransaction ? true : false,
-                pl: response.orderFillTransaction?.pl || 0
-              };
-
-              if (partialClose.success) {
-                const pnl = parseFloat(partialClose.pl || 0);
-                logger.info(`✅ Closed 60% (${closeUnits} units) - Banked: $${pnl.toFixed(2)}`);
-
-                // Move stop to breakeven on remaining 40%
-                await this.client.modifyTrade(trade.tradeId, tracked.entryPrice, null);
-                logger.info(`✅ Stop moved to breakeven ($${tracked.entryPrice.toFixed(2)})`);
-
-                // Set TP2 on remaining 40%
-                await this.client.modifyTrade(trade.tradeId, null, tracked.takeProfit2);
-                logger.info(`✅ TP2 set at $${tracked.takeProfit2.toFixed(2)} for remaining 40%`);
-
-                tracked.tp1Hit = true;
-
-                // Persist updated position state
-                this.savePositions();
-
-                if (this.telegramBot) {
-                  try {
-                    // Escape underscores in symbol for Markdown
-                    const symbolEscaped = trade.instrument.replace(/_/g, '\\_');
-
-                    await this.telegramBot.sendNotification(
-                      `🎯 *TP1 Hit - 60% Closed!*\n\n` +
-                      `${symbolEscaped}\n` +
-                      `Closed: ${closeUnits} units\n` +
-                      `Banked: $${pnl.toFixed(2)}\n\n` +
-                      `Remaining 40%:\n` +
-                      `Stop: Breakeven ($${tracked.entryPrice.toFixed(2)})\n` +
-                      `TP2: $${tracked.takeProfit2.toFixed(2)}`
-                    );
-                  } catch (telegramError) {
-                    logger.warn(`Failed to send TP1 notification: ${telegramError.message}`);
-                  }
-                }
-              }
-            } catch (error) {
-              logger.error(`Failed to close 60% at TP1: ${error.message}`);
-            }
-          }
+  /**
+   * Start tracking the trade a desk's resting limit entry opened
+   */
+  async adoptPendingFill(desk, tradeId, price, units) {
+    const entry = desk.pendingEntry;
+    if (!entry) return;
+
+    // Claim it synchronously - the transaction feed and checkPendingEntry() can both see the fill
+    desk.pendingEntry = null;
+    desk.savePendingEntry();
+    if (this.activePositions.has(tradeId)) return;
+
+    logger.info(`✅ Limit entry ${entry.orderId} filled: trade ${tradeId} ${entry.signal} ${Math.abs(units)} ${desk.instrument} @ $${price.toFixed(2)}`);
+    await this.recordOpenedTrade(
+      desk,
+      { tradeId, orderId: entry.orderId, instrument: desk.instrument, price, units },
+      entry.signal,
+      entry.levels,
+      entry.reason,
+      entry.strategyName,
+      entry.confidence,
+      null,
+      entry.serverTrailingDistance,
+      entry.trackerTradeId || null
+    );
+  }
+
+  /**
+   * Transaction feed handler (stream, or the paper broker's own fills): picks up the
+   * fill or cancel/expiry of a resting limit entry
+   */
+  onTransaction(transaction) {
+    const desk = [...this.desks.values()].find(d => d.pendingEntry && String(transaction.orderID) === String(d.pendingEntry.orderId));
+    if (!desk) return;
+    const entry = desk.pendingEntry;
+
+    if (transaction.type === 'ORDER_FILL' && transaction.tradeOpened) {
+      this.adoptPendingFill(
+        desk,
+        String(transaction.tradeOpened.tradeID),
+        parseFloat(transaction.price),
+        parseFloat(transaction.tradeOpened.units)
+      ).catch(error => {
+        logger.error(`Failed to adopt limit fill for order ${entry.orderId}: ${error.message}`);
+      });
+    } else if (transaction.type === 'ORDER_CANCEL') {
+      // Our own cancels are logged by cancelPendingEntry()
+      if (transaction.reason !== 'CLIENT_REQUEST') {
+        logger.info(`⌛ Limit entry ${entry.orderId} cancelled by broker (${transaction.reason})`);
+      }
+      desk.pendingEntry = null;
+      desk.savePendingEntry();
+    }
+  }
+
+  /**
+   * Monitor existing positions
+   */
+  async monitorPositions() {
+    try {
+      for (const desk of this.desks.values()) {
+        // Adopt a limit entry that filled without us hearing about it first, so its
+        // trade is tracked below
+        await this.checkPendingEntry(desk);
+
+        // A resting limit entry must not fill outside the sessions or into a news blackout either
+        if (desk.pendingEntry) {
+          const blocked = [this.checkTradingHours(), this.checkNewsBlackout()].find(check => !check.allowed);
+          if (blocked) await this.cancelPendingEntry(desk, blocked.reason);
         }
+      }
 
-        // EMA Trend breakeven: once profit >= X% of TP, guarantee the stop is at least
-        // at entry — but NEVER move it backward. The pre-breakeven trail may have already
-        // locked profit beyond entry; resetting to entry would hand that profit back
-        // (this was the "scratch at $0" bug). Move to entry only if it tightens the stop.
-        if (tracked.strategyName?.includes('EMA Trend') && !tracked.breakevenTriggered && tracked.breakevenTriggerDistance) {
-          const currentPrice = await this.client.getPrice(trade.instrument);
-          const price = currentPrice.mid;
-          const isLong = trade.units > 0;
-          const profitMove = isLong ? price - tracked.entryPrice : tracked.entryPrice - price;
-
-          if (profitMove >= tracked.breakevenTriggerDistance) {
-            // Enable post-breakeven trailing mode regardless of whether we move the stop.
-            tracked.breakevenTriggered = true;
-            const beImproves = isLong
-              ? tracked.entryPrice > tracked.currentStopLoss
-              : tracked.entryPrice < tracked.currentStopLoss;
-            if (beImproves) {
-              try {
-                await this.client.modifyTrade(trade.tradeId, tracked.entryPrice, null);
-                tracked.currentStopLoss = tracked.entryPrice;
-                logger.info(`🔒 BREAKEVEN: ${trade.tradeId} SL moved to entry $${tracked.entryPrice.toFixed(2)} (profit $${profitMove.toFixed(2)} >= trigger $${tracked.breakevenTriggerDistance.toFixed(2)})`);
-              } catch (error) {
-                logger.error(`Failed to move SL to breakeven: ${error.message}`);
-              }
-            } else {
-              const locked = isLong
-                ? tracked.currentStopLoss - tracked.entryPrice
-                : tracked.entryPrice - tracked.currentStopLoss;
-              logger.info(`🔒 BREAKEVEN reached for ${trade.tradeId} — trail already locks $${locked.toFixed(2)}; stop left at $${tracked.currentStopLoss.toFixed(2)} (not loosened to entry)`);
-            }
-            this.savePositions();
-          }
+      const openTrades = await this.broker.getOpenTrades();
+      // An entry we couldn't tell the fate of may have opened a trade - adopt it first
+      if (this.unresolvedOrders.size > 0) {
+        await this.resolveUnresolvedOrders(openTrades);
+      }
+      const managementCandles = new Map(); // per instrument, fetched once per cycle, only if a trade is open
+
+      for (const trade of openTrades) {
+        const tracked = this.activePositions.get(trade.tradeId);
+        if (!tracked) {
+          logger.warn(`⚠️ Trade ${trade.tradeId} not in activePositions (keys: [${Array.from(this.activePositions.keys()).join(', ')}])`);
+          continue;
         }
 
-        // Trailing stop logic - activates when price has moved enough in our favor:
-        // 1. After TP1 is hit (staged TP mode), OR
-        // 2. After price moves by TRAILING_ACTIVATION_PIPS in our favor
-        // 3. EMA Trend: After breakeven triggered, use ATR-based trail distance
-        // This prevents trailing from triggering too early and closing at breakeven
-        if (Config.ENABLE_TRAILING_STOP) {
-          const currentPrice = await this.client.getPrice(trade.instrument);
-          const price = currentPrice.mid;
-          const isLong = trade.units > 0;
-
-          // EMA Trend uses ATR-based trail after breakeven; others use fixed distance
-          const isEmaTrend = tracked.strategyName?.includes('EMA Trend');
-          const trailDistance = (isEmaTrend && tracked.breakevenTriggered && tracked.atrTrailDistance)
-            ? tracked.atrTrailDistance
-            : Config.pipsToPrice(Config.TRAILING_STOP_DISTANCE_PIPS);
-
-          // Calculate how much price has moved in our favor
-          const profitMove = isLong
-            ? price - tracked.entryPrice
-            : tracked.entryPrice - price;
-
-          // Activate trailing when:
-          // - TP1 already hit (staged TP mode), OR
-          // - EMA Trend: breakeven triggered (trail immediately after BE), OR
-          // - Price moved in our favor by activation threshold
-          // Breakout trades use wider activation ($3.50) to let the move establish
-          const isBreakoutTrade = tracked.strategyName?.includes('Breakout');
-          const emaTrendTrailReady = isEmaTrend && tracked.breakevenTriggered;
-          const activationPips = isBreakoutTrade ? Config.BREAKOUT_TRAILING_ACTIVATION_PIPS : Config.TRAILING_ACTIVATION_PIPS;
-          const activationDistance = Config.pipsToPrice(activationPips);
-          const shouldTrail = tracked.tp1Hit || emaTrendTrailReady || profitMove >= activationDistance;
-
-          if (shouldTrail) {
-            // Update best price if price moved favorably
-            const priceMovedFavorably = isLong
-              ? price > tracked.bestPrice
-              : price < tracked.bestPrice;
-
-            if (priceMovedFavorably) {
-              tracked.bestPrice = price;
-
-              // Calculate new trailing stop
-              const newStopLoss = isLong
-                ? price - trailDistance
-                : price + trailDistance;
-
-              // Only update if new stop is better than current stop
-              const stopImproved = isLong
-                ? newStopLoss > tracked.currentStopLoss
-                : newStopLoss < tracked.currentStopLoss;
-
-              if (stopImproved) {
-                try {
-                  await this.client.modifyTrade(trade.tradeId, newStopLoss, null);
-
-                  const profitLocked = isLong
-                    ? newStopLoss - tracked.entryPrice
-                    : tracked.entryPrice - newStopLoss;
-
-                  if (profitLocked > 0) {
-                    logger.info(`📈 Trailing stop: ${trade.tradeId} @ $${newStopLoss.toFixed(2)} (locks in $${profitLocked.toFixed(2)} profit per unit)`);
-                  } else {
-                    logger.info(`📈 Trailing stop: ${trade.tradeId} @ $${newStopLoss.toFixed(2)} (trailing $${trailDistance.toFixed(2)} behind $${price.toFixed(2)})`);
-                  }
-
-                  tracked.currentStopLoss = newStopLoss;
-
-                  // Persist updated position state
-                  this.savePositions();
-                } catch (error) {
-                  logger.error(`Failed to update trailing stop: ${error.message}`);
-                }
-              }
-            }
-          }
+        logger.info(`📍 Monitoring trade ${trade.tradeId}: ${trade.units} units @ $${trade.price.toFixed(2)}, P&L: $${trade.unrealizedPL.toFixed(2)}`);
+
+        // The strategy that opened the trade manages it - once per closed candle, then at
+        // the current price - and the position manager carries out what it asks for
+        const strategy = this.getStrategyFor(tracked.strategyName, trade.instrument);
+        if (!managementCandles.has(trade.instrument)) {
+          const candles = await this.candleSource.getCandles(trade.instrument, Config.TIMEFRAME, 100);
+          managementCandles.set(trade.instrument, candles.filter(c => c.complete));
         }
+        if (await this.positionManager.onCandle(trade, tracked, strategy, managementCandles.get(trade.instrument))) continue;
+
+        const currentPrice = await this.broker.getPrice(trade.instrument);
+        // News ahead (NEWS_PRE_EVENT_ACTION): tighten or flatten before the strategy's own rules.
+        // NEWS_TIGHTEN_PIPS is in the trade's instrument's pips.
+        const newsActions = Config.withInstrument(trade.instrument,
+          () => this.newsCalendar.protectActions(tracked, currentPrice.mid, clock.now()));
+        if (await this.positionManager.execute(trade, tracked, newsActions)) continue;
+        // Weekly close ahead (WEEKEND_ACTION): hold, tighten or flatten, as the trade's
+        // instrument is set to
+        const weekendActions = Config.withInstrument(trade.instrument,
+          () => this.gapGuard.preCloseActions(tracked, currentPrice.mid, clock.now()));
+        if (await this.positionManager.execute(trade, tracked, weekendActions)) continue;
+        await this.positionManager.onTick(trade, tracked, strategy, currentPrice.mid);
       }
 
       // Check for closed positions
@@ -1406,206 +1851,381 @@ class GoldTradingBot {
       );
 
       for (const tradeId of closedTrades) {
-        const tracked = this.activePositions.get(tradeId);
-        this.activePositions.delete(tradeId);
+        await this.finalizeClosedTrade(tradeId);
+      }
 
-        // Persist removal
-        this.savePositions();
+      // Weekend gap: note what is carried over the close, report how it fared after the reopen
+      await this.gapGuard.recordCarried(openTrades.filter(t => this.activePositions.has(t.tradeId)), clock.now());
+      await this.gapGuard.checkReopen(clock.now());
+
+      // Hypothetical trades close when price reaches their stop or target - each
+      // desk's against its own instrument's price
+      for (const desk of this.desks.values()) {
+        const names = desk.trackedNames();
+        if (!names.some(name => this.tracker.hasHypotheticalPosition(name))) continue;
+        const price = await this.broker.getPrice(desk.instrument);
+        this.tracker.resolveHypothetical(price.mid, names);
+      }
+
+    } catch (error) {
+      if (error instanceof BrokerUnavailable) {
+        logger.warn(`⏸️ Position monitoring skipped: ${error.message}`);
+        return;
+      }
+      logger.error(`Error monitoring positions: ${error.message}`);
+    }
+  }
 
-        logger.info(`Trade ${tradeId} was closed`);
+  /**
+   * Track the other strategies' signals hypothetically, whether or not the live strategy
+   * trades - one open hypothetical trade per strategy at a time, priced by the strategy
+   * and sized as a live entry at those levels would be. resolveHypothetical() in
+   * monitorPositions closes them.
+   * @param {InstrumentDesk} desk - The instrument the signals are on
+   */
+  async recordHypotheticalSignals(desk, hypotheticalSignals, analysis, regime) {
+    for (const { strategy, setup } of hypotheticalSignals) {
+      const name = desk.trackerName(strategy.label);
+      if (this.tracker.hasHypotheticalPosition(name)) {
+        logger.info(`📝 HYPOTHETICAL (${name}): ${setup.signal} signal while its last hypothetical trade is still open - not recorded`);
+        continue;
+      }
 
-        // ALWAYS set cooldown — prevents rapid re-entries regardless of API success
-        this.lastTradeCloseTime = Date.now();
-        this.saveCooldown();
-        logger.info(`⏳ Trade cooldown started - next trade in ${Config.TRADE_COOLDOWN_HOURS} hours`);
+      // Each strategy prices its own entry
+      const levels = desk.run(() => strategy.calculateEntryLevels(analysis, setup.signal, setup.isMTFEntry ? setup.entryPrice : null));
+      const size = await this.riskManager.calculatePositionSize(levels.entryPrice, levels.stopLoss, desk.setting('MAX_RISK_PER_TRADE'), desk.instrument);
 
-        // Clear all pending breakout state to prevent stale tracking surviving cooldown
-        if (this.breakoutStrategy) {
-          this.breakoutStrategy.clearAllPendingState();
-        }
+      this.tracker.recordSignal(
+        name,
+        setup.signal,
+        levels.entryPrice,
+        levels.stopLoss,
+        levels.takeProfit1,
+        levels.takeProfit2,
+        size,
+        setup.reason,
+        setup.confidence,
+        { instrument: desk.instrument, marketRegime: regime }
+      );
+    }
+  }
 
-        // Try to fetch close details — first from /trades/{id}, then from recent transactions
-        let pnl = null;
-        let exitPrice = null;
-        let reason = 'Unknown';
-        const entryPrice = tracked.entryPrice;
+  /**
+   * The configured strategy a trade is recorded under on its instrument's desk
+   * (InstrumentDesk.getStrategyFor). Names no configured strategy owns, and instruments
+   * no longer in INSTRUMENTS, get the default trade management.
+   * @returns {Strategy}
+   */
+  getStrategyFor(strategyName, instrument = Config.TRADING_SYMBOL) {
+    return this.desks.get(instrument)?.getStrategyFor(strategyName) || this.defaultTradeManagement;
+  }
 
-        let closingTxIds = [];
-        try {
-          // Method 1: Direct trade lookup (P&L, exit price, and close reason from order state)
-          const response = await this.client.makeRequest('GET', `/v3/accounts/${this.client.accountId}/trades/${tradeId}`);
-          if (response.trade && response.trade.state === 'CLOSED') {
-            exitPrice = parseFloat(response.trade.averageClosePrice || entryPrice);
-            pnl = parseFloat(response.trade.realizedPL || 0);
-            // Reason is distance-independent: whichever protective order actually FILLED
-            reason = response.trade.stopLossOrder?.state === 'FILLED' ? 'STOP_LOSS_ORDER'
-              : response.trade.takeProfitOrder?.state === 'FILLED' ? 'TAKE_PROFIT_ORDER' : reason;
-            closingTxIds = (response.trade.closingTransactionIDs || []).map(Number);
-          }
-        } catch (error) {
-          logger.debug(`Trade lookup failed for ${tradeId}: ${error.message}`);
+  /**
+   * Start an instrument's trade cooldown - one of its trades just closed - and clear the
+   * breakout state that must not survive it
+   * @returns {InstrumentDesk|null} the instrument's desk, null if it is not traded
+   */
+  startCooldown(instrument) {
+    const desk = this.desks.get(instrument);
+    if (!desk) return null;
+
+    desk.startCooldown();
+    logger.info(`⏳ ${instrument} trade cooldown started - next trade in ${desk.setting('TRADE_COOLDOWN_HOURS')} hours`);
+
+    // Clear all pending breakout state to prevent stale tracking surviving cooldown
+    if (desk.breakoutStrategy) {
+      desk.run(() => desk.breakoutStrategy.clearAllPendingState());
+    }
+    return desk;
+  }
+
+  /**
+   * Finalize a trade that has closed on Oanda: drop it from activePositions, start the
+   * cooldown, record P&L and notify Telegram + tracker.
+   *
+   * Called from the transaction stream (with the exact fill) and from monitorPositions
+   * (without - details are looked up). Idempotent: whichever caller gets here first
+   * claims the position synchronously, the other finds nothing to do.
+   * @param {string} tradeId - Oanda trade ID
+   * @param {Object|null} fill - { exitPrice, realizedPL, reason, transactionId } from the stream
+   */
+  async finalizeClosedTrade(tradeId, fill = null) {
+    const tracked = this.activePositions.get(tradeId);
+    if (!tracked) return;
+    this.activePositions.delete(tradeId);
+
+    // Persist removal
+    this.savePositions();
+
+    logger.info(`Trade ${tradeId} was closed${fill ? ` (${fill.reason} fill @ $${fill.exitPrice.toFixed(2)}, tx ${fill.transactionId})` : ''}`);
+
+    // ALWAYS set cooldown — prevents rapid re-entries regardless of API success
+    const desk = this.startCooldown(tracked.symbol);
+    if (desk) {
+      // Position state changed - realtime checks must re-read it
+      desk.realtimeContext = null;
+      await this.cancelPendingEntry(desk, 'trade cooldown started');
+    }
+
+    // Close details: exact fill from the transaction stream when we have it, otherwise
+    // look them up — first from /trades/{id}, then from recent transactions
+    let pnl = fill ? fill.realizedPL : null;
+    let exitPrice = fill ? fill.exitPrice : null;
+    let reason = fill?.reason || 'Unknown';
+    const entryPrice = tracked.entryPrice;
+
+    let closingTxIds = [];
+    if (!fill) {
+      try {
+        // Method 1: Direct trade lookup (P&L, exit price, and close reason from order state)
+        const closedTrade = await this.broker.getTrade(tradeId);
+        if (closedTrade && closedTrade.state === 'CLOSED') {
+          exitPrice = parseFloat(closedTrade.averageClosePrice || entryPrice);
+          pnl = parseFloat(closedTrade.realizedPL || 0);
+          // Reason is distance-independent: whichever protective order actually FILLED
+          reason = closedTrade.stopLossOrder?.state === 'FILLED' ? 'STOP_LOSS_ORDER'
+            : closedTrade.trailingStopLossOrder?.state === 'FILLED' ? 'TRAILING_STOP_LOSS_ORDER'
+            : closedTrade.takeProfitOrder?.state === 'FILLED' ? 'TAKE_PROFIT_ORDER' : reason;
+          closingTxIds = (closedTrade.closingTransactionIDs || []).map(Number);
         }
+      } catch (error) {
+        logger.debug(`Trade lookup failed for ${tradeId}: ${error.message}`);
+      }
 
-        // Method 2: authoritative reason from the exact closing fill (also P&L fallback).
-        // Use the trade's own closingTransactionIDs — heavily-trailed trades close many IDs
-        // after they open, so a fixed window misses them.
-        try {
-          const ids = closingTxIds.length ? closingTxIds : [parseInt(tradeId), parseInt(tradeId) + 60];
-          const fromId = Math.min(...ids);
-          const toId = Math.max(...ids);
-          const txResponse = await this.client.makeRequest('GET',
-            `/v3/accounts/${this.client.accountId}/transactions/idrange?from=${fromId}&to=${toId}`);
-          if (txResponse.transactions) {
-            const closeFill = txResponse.transactions.find(tx =>
-              tx.type === 'ORDER_FILL' && tx.tradesClosed &&
-              tx.tradesClosed.some(tc => tc.tradeID === String(tradeId))
-            );
-            if (closeFill) {
-              reason = closeFill.reason || reason;
-              if (pnl === null) {
-                const closedTrade = closeFill.tradesClosed.find(tc => tc.tradeID === String(tradeId));
-                pnl = parseFloat(closedTrade.realizedPL || 0);
-                exitPrice = parseFloat(closedTrade.price || entryPrice);
-              }
+      // Method 2: authoritative reason from the exact closing fill (also P&L fallback).
+      // Use the trade's own closingTransactionIDs — heavily-trailed trades close many IDs
+      // after they open, so a fixed window misses them.
+      try {
+        const ids = closingTxIds.length ? closingTxIds : [parseInt(tradeId), parseInt(tradeId) + 60];
+        const fromId = Math.min(...ids);
+        const toId = Math.max(...ids);
+        const transactions = await this.broker.getTransactionRange(fromId, toId);
+        if (transactions.length) {
+          const closeFill = transactions.find(tx =>
+            tx.type === 'ORDER_FILL' && tx.tradesClosed &&
+            tx.tradesClosed.some(tc => tc.tradeID === String(tradeId))
+          );
+          if (closeFill) {
+            reason = closeFill.reason || reason;
+            if (pnl === null) {
+              const closedTrade = closeFill.tradesClosed.find(tc => tc.tradeID === String(tradeId));
+              pnl = parseFloat(closedTrade.realizedPL || 0);
+              exitPrice = parseFloat(closedTrade.price || entryPrice);
             }
           }
-        } catch (error) {
-          logger.debug(`Transaction lookup failed for ${tradeId}: ${error.message}`);
         }
+      } catch (error) {
+        logger.debug(`Transaction lookup failed for ${tradeId}: ${error.message}`);
+      }
+    }
 
-        // Log P&L (use what we have, even if incomplete)
-        if (pnl !== null) {
-          // R-multiple comes from PRICES, not from P&L. realizedPL is in account currency
-          // (GBP) while riskPerUnit × units is a USD price-notional — dividing one by the
-          // other silently understated R by the FX rate, so a clean 2.0R take-profit was
-          // reported as "+1.46R". Price-based R is currency-free and needs no conversion.
-          const riskPerUnit = tracked.stopLoss ? Math.abs(entryPrice - tracked.stopLoss) : 0;
-          const isLongTrade = tracked.signal
-            ? tracked.signal === 'LONG'
-            : (tracked.stopLoss || 0) < entryPrice;
-          let rMultiple = 0;
-          if (riskPerUnit > 0 && Number.isFinite(exitPrice)) {
-            const priceMove = isLongTrade ? exitPrice - entryPrice : entryPrice - exitPrice;
-            rMultiple = priceMove / riskPerUnit;
-          } else if (riskPerUnit > 0) {
-            // No exit price available — fall back to the P&L ratio (FX-approximate).
-            rMultiple = pnl / (riskPerUnit * Math.abs(tracked.units || 1));
-          }
-          const rSign = rMultiple >= 0 ? '+' : '';
-          logger.info(`💰 P&L: ${pnl >= 0 ? '+' : ''}$${pnl.toFixed(2)} (${rSign}${rMultiple.toFixed(2)}R)`);
-          logger.info(`Reason: ${reason}`);
-
-          // Update risk manager
-          this.riskManager.recordTrade(pnl);
-
-          // Notify via Telegram
-          if (this.telegramBot) {
-            try {
-              await this.telegramBot.notifyTradeClosed(
-                tracked.symbol,
-                entryPrice,
-                exitPrice || entryPrice,
-                pnl,
-                rMultiple,
-                reason,
-                tracked.strategyName
-              );
-            } catch (telegramError) {
-              logger.warn(`Failed to send trade closed notification: ${telegramError.message}`);
-            }
-          }
+    // Closed by the bot itself (strategy exit) - say why, not just "market close"
+    if (tracked.exitReason) reason = tracked.exitReason;
+
+    // Log P&L (use what we have, even if incomplete)
+    if (pnl !== null) {
+      // R-multiple comes from PRICES, not from P&L. The close fill's realizedPL only covers
+      // the units it closed (TP1 partials booked theirs earlier), so price-based R is the
+      // whole-trade figure. It is currency-free and needs no conversion.
+      const riskPerUnit = tracked.stopLoss ? Math.abs(entryPrice - tracked.stopLoss) : 0;
+      const isLongTrade = tracked.signal
+        ? tracked.signal === 'LONG'
+        : (tracked.stopLoss || 0) < entryPrice;
+      let rMultiple = 0;
+      if (riskPerUnit > 0 && Number.isFinite(exitPrice)) {
+        const priceMove = isLongTrade ? exitPrice - entryPrice : entryPrice - exitPrice;
+        rMultiple = priceMove / riskPerUnit;
+      } else if (riskPerUnit > 0) {
+        // No exit price available — fall back to the P&L ratio, both sides in account currency
+        const riskAmount = tracked.riskAmount
+          || await this.riskManager.calculateTradeRisk(entryPrice, tracked.stopLoss, tracked.units || 1, tracked.symbol);
+        rMultiple = pnl / riskAmount;
+      }
+      const rSign = rMultiple >= 0 ? '+' : '';
+      logger.info(`💰 P&L: ${pnl >= 0 ? '+' : ''}${this.riskManager.formatMoney(pnl)} (${rSign}${rMultiple.toFixed(2)}R)`);
+      logger.info(`Reason: ${reason}`);
 
-          // Update strategy tracker (store the real broker realized P&L, not notional)
-          const trackerCloseId = tracked.trackerTradeId || `LIVE_${tradeId}`;
-          this.tracker.closeTrade(tracked.strategyName, trackerCloseId, exitPrice || entryPrice, reason, pnl);
-        } else {
-          logger.warn(`⚠️ Could not fetch P&L for trade ${tradeId} - cooldown still set`);
-
-          // Still notify via Telegram with what we know
-          if (this.telegramBot) {
-            try {
-              await this.telegramBot.notifyTradeClosed(
-                tracked.symbol,
-                entryPrice,
-                entryPrice, // unknown exit
-                0, // unknown P&L
-                0,
-                'Unknown (API lookup failed)',
-                tracked.strategyName
-              );
-            } catch (telegramError) {
-              logger.warn(`Failed to send trade closed notification: ${telegramError.message}`);
-            }
-          }
+      // Update risk manager
+      this.riskManager.recordTrade(pnl);
+
+      // Notify via Telegram
+      if (this.telegramBot) {
+        try {
+          await this.telegramBot.notifyTradeClosed(
+            tracked.symbol,
+            entryPrice,
+            exitPrice || entryPrice,
+            pnl,
+            rMultiple,
+            reason,
+            tracked.strategyName
+          );
+        } catch (telegramError) {
+          logger.warn(`Failed to send trade closed notification: ${telegramError.message}`);
+        }
+      }
+
+      // Update strategy tracker (store the real broker realized P&L, not notional)
+      const trackerCloseId = tracked.trackerTradeId || `LIVE_${tradeId}`;
+      this.tracker.closeTrade(InstrumentDesk.trackerName(tracked.strategyName, tracked.symbol), trackerCloseId, exitPrice || entryPrice, reason, pnl);
+    } else {
+      logger.warn(`⚠️ Could not fetch P&L for trade ${tradeId} - cooldown still set`);
+
+      // Still notify via Telegram with what we know
+      if (this.telegramBot) {
+        try {
+          await this.telegramBot.notifyTradeClosed(
+            tracked.symbol,
+            entryPrice,
+            entryPrice, // unknown exit
+            0, // unknown P&L
+            0,
+            'Unknown (API lookup failed)',
+            tracked.strategyName
+          );
+        } catch (telegramError) {
+          logger.warn(`Failed to send trade closed notification: ${telegramError.message}`);
         }
       }
+    }
+  }
 
+  /**
+   * Handle a streamed price tick - runs its instrument's realtime breakout check against it
+   */
+  async onPriceTick(tick) {
+    if (!this.isRunning || !tick.tradeable) return;
+    const desk = this.desks.get(tick.instrument);
+    if (!desk?.breakoutStrategy) return;
+    await this.runRealtimeCheck(desk, tick);
+  }
+
+  /**
+   * One realtime breakout check on a desk. Overlapping checks are dropped: the next tick
+   * or poll carries a fresher price anyway.
+   * @param {InstrumentDesk} desk
+   * @param {Object|null} tick - Streamed price (null = poll getPrice)
+   */
+  async runRealtimeCheck(desk, tick = null) {
+    if (desk.realtimeCheckInProgress) return;
+
+    desk.realtimeCheckInProgress = true;
+    try {
+      await this.checkRealtimeBreakout(desk, tick);
+      this.lastActivityTime = Date.now();
     } catch (error) {
-      logger.error(`Error monitoring positions: ${error.message}`);
+      logger.error(`${desk.instrument} realtime breakout check failed: ${error.message}`);
+    } finally {
+      desk.realtimeCheckInProgress = false;
+    }
+  }
+
+  /**
+   * Open-position flag and H-timeframe indicators for a desk's realtime check.
+   * These only change at candle close / trade events, so with the stream delivering
+   * several ticks a second they're cached and refreshed at most every
+   * REALTIME_CHECK_INTERVAL_SECONDS instead of hitting the API per tick.
+   */
+  async getRealtimeContext(desk) {
+    const maxAgeMs = Config.REALTIME_CHECK_INTERVAL_SECONDS * 1000;
+    if (desk.realtimeContext && clock.now() - desk.realtimeContext.fetchedAt < maxAgeMs) {
+      return desk.realtimeContext;
     }
+
+    const existingTrades = await this.broker.getOpenTrades();
+    const hasPosition = existingTrades.some(t => t.instrument === desk.instrument);
+
+    // Fetch recent candles for indicator calculation (need ~50 for ADX/RSI)
+    const candles = await this.candleSource.getCandles(desk.instrument, Config.TIMEFRAME, 60);
+    const completeCandles = candles.filter(c => c.complete);
+    const analysis = completeCandles.length >= 50 ? desk.run(() => this.ta.analyze(completeCandles)) : null;
+
+    desk.realtimeContext = { hasPosition, analysis, fetchedAt: clock.now() };
+    return desk.realtimeContext;
   }
 
   /**
-   * Check for real-time breakouts (runs every 30 seconds)
+   * Check for real-time breakouts
+   * Called on every streamed tick, or every REALTIME_CHECK_INTERVAL_SECONDS when polling
    * Detects breakouts as they happen, not just at candle close
    * With MTF enabled, waits for pullback before entering
+   * @param {InstrumentDesk} desk - The instrument to check
+   * @param {Object|null} tick - Streamed price (null = poll getPrice)
    */
-  async checkRealtimeBreakout() {
+  async checkRealtimeBreakout(desk, tick = null) {
+    const { instrument } = desk;
+    const breakout = desk.breakoutStrategy;
     try {
-      logger.debug('🔍 Realtime check starting...');
+      if (!tick) {
+        logger.debug(`🔍 ${instrument} realtime check starting...`);
+      }
 
       // Only check if using breakout strategy
-      if (Config.STRATEGY_TYPE !== 'breakout_adx') {
+      if (desk.liveStrategy !== breakout) {
         logger.debug('🔍 Realtime check skipped - not breakout_adx strategy');
         return;
       }
 
       // Check if we already have a position
-      const existingTrades = await this.client.getOpenTrades();
-      const hasPosition = existingTrades.some(t => t.instrument === Config.TRADING_SYMBOL);
-      if (hasPosition) {
-        logger.debug('🔍 Realtime check skipped - already have position');
+      const context = await this.getRealtimeContext(desk);
+      if (context.hasPosition) {
+        logger.debug(`🔍 Realtime check skipped - already have ${instrument} position`);
         // Clear any pending MTF signal if we have a position
-        if (this.breakoutStrategy.hasRealtimeMTFPending()) {
-          this.breakoutStrategy.clearRealtimeMTF();
+        if (breakout.hasRealtimeMTFPending()) {
+          desk.run(() => breakout.clearRealtimeMTF());
         }
         return;
       }
 
       // Check trade cooldown (prevents rapid re-entries after losses)
-      const cooldown = this.checkTradeCooldown();
+      const cooldown = desk.checkTradeCooldown();
       if (cooldown.active) {
         logger.debug(`🔍 Realtime check skipped - cooldown active (${cooldown.remainingMinutes}m remaining)`);
         return;
       }
 
-      // Check trading hours (avoid Asian session with low liquidity and wild wicks)
+      // Check the session calendar (trading windows, weekend, holidays, the Friday close)
       const tradingHours = this.checkTradingHours();
       if (!tradingHours.allowed) {
         logger.debug(`🔍 Realtime check skipped - ${tradingHours.reason}`);
         return;
       }
 
+      const news = this.checkNewsBlackout();
+      if (!news.allowed) {
+        logger.debug(`🔍 Realtime check skipped - ${news.reason}`);
+        return;
+      }
+
+      // Same regime gate as the scans, on the last scan's regime
+      const regimeGate = this.regimeClassifier.check(this.currentRegime(desk), desk.run(() => breakout.allowedRegimes()));
+      if (!regimeGate.allowed) {
+        logger.debug(`🔍 Realtime check skipped - regime ${regimeGate.reason}`);
+        return;
+      }
+
       // Check if there's a pending candle-based MTF signal (don't interfere)
-      if (this.breakoutStrategy.pendingSignal) {
+      if (breakout.pendingSignal) {
         logger.debug('🔍 Realtime check skipped - pending candle-based MTF signal');
         return;
       }
 
-      // Fetch current price
-      const priceData = await this.client.getPrice(Config.TRADING_SYMBOL);
+      // Current price - streamed tick, or fetch when polling
+      const priceData = tick || await this.broker.getPrice(instrument);
       const currentPrice = priceData.mid;
-      logger.debug(`🔍 Realtime: Price=$${currentPrice.toFixed(2)}`);
+      if (!tick) {
+        logger.debug(`🔍 Realtime ${instrument}: Price=$${currentPrice.toFixed(2)}`);
+      }
 
       // Check if there's a pending realtime MTF signal waiting for pullback
-      if (this.breakoutStrategy.hasRealtimeMTFPending()) {
-        const mtfResult = this.breakoutStrategy.checkRealtimeMTFEntry(currentPrice);
+      if (breakout.hasRealtimeMTFPending()) {
+        const mtfResult = desk.run(() => breakout.checkRealtimeMTFEntry(currentPrice));
 
         if (mtfResult.pending) {
           // Log pending status periodically (not every check to reduce noise)
-          if (!this.lastRealtimeMTFLog || Date.now() - this.lastRealtimeMTFLog >= 30000) {
-            logger.info(`⏳ Realtime MTF: ${mtfResult.reason}`);
-            this.lastRealtimeMTFLog = Date.now();
+          if (!desk.lastRealtimeMTFLog || Date.now() - desk.lastRealtimeMTFLog >= 30000) {
+            logger.info(`⏳ Realtime MTF ${instrument}: ${mtfResult.reason}`);
+            desk.lastRealtimeMTFLog = Date.now();
           }
           return;
         }
@@ -1613,23 +2233,27 @@ class GoldTradingBot {
         if (mtfResult.signal) {
           // MTF pullback entry found!
           logger.info('');
-          logger.info('🎯 REALTIME MTF PULLBACK ENTRY!');
+          logger.info(`🎯 REALTIME MTF PULLBACK ENTRY - ${instrument}!`);
           logger.info(`Signal: ${mtfResult.signal}`);
           logger.info(`Entry: $${mtfResult.entryPrice.toFixed(2)}`);
           logger.info(`Confidence: ${formatConfidence(mtfResult.confidence)}`);
           logger.info(`Reason: ${mtfResult.reason}`);
           logger.info('');
 
-          // Fetch candles for indicator calculation
-          const candles = await this.client.getCandles(Config.TRADING_SYMBOL, Config.TIMEFRAME, 60);
-          const completeCandles = candles.filter(c => c.complete);
-          const analysis = this.ta.analyze(completeCandles);
+          if (!context.analysis) {
+            logger.warn('Realtime MTF entry skipped - insufficient candles for indicators');
+            return;
+          }
 
           // Calculate entry levels
-          const levels = this.breakoutStrategy.calculateEntryLevels(analysis, mtfResult.signal, mtfResult.entryPrice);
+          const levels = desk.run(() => {
+            const entryLevels = breakout.calculateEntryLevels(context.analysis, mtfResult.signal, mtfResult.entryPrice);
+            this.riskManager.applySpreadToStop(entryLevels, mtfResult.signal, priceData.spread);
+            return entryLevels;
+          });
 
           // Calculate position size
-          const positionSize = this.riskManager.calculatePositionSize(levels.entryPrice, levels.stopLoss);
+          const positionSize = await this.riskManager.calculatePositionSize(levels.entryPrice, levels.stopLoss, desk.setting('MAX_RISK_PER_TRADE'), instrument);
 
           if (positionSize === 0) {
             logger.error('Position size calculation failed');
@@ -1637,18 +2261,20 @@ class GoldTradingBot {
           }
 
           // Adjust units for direction
-          const units = mtfResult.signal === 'LONG' ? positionSize : -positionSize;
+          let units = mtfResult.signal === 'LONG' ? positionSize : -positionSize;
 
           // Check risk management
-          const canTrade = await this.riskManager.canOpenTrade(levels.entryPrice, levels.stopLoss, Math.abs(units));
+          const canTrade = await this.riskManager.canOpenTrade(levels.entryPrice, levels.stopLoss, Math.abs(units), instrument);
 
           if (!canTrade.allowed) {
             logger.risk(`Trade blocked: ${canTrade.reason}`);
             return;
           }
+          units = Math.sign(units) * canTrade.units;
 
           // Execute trade
           await this.executeTrade(
+            desk,
             mtfResult.signal,
             units,
             levels,
@@ -1662,39 +2288,45 @@ class GoldTradingBot {
         // MTF signal was cleared (timeout or other reason) - continue to check for new breakouts
       }
 
-      // Fetch recent candles for indicator calculation (need ~50 for ADX/RSI)
-      const candles = await this.client.getCandles(Config.TRADING_SYMBOL, Config.TIMEFRAME, 60);
-      const completeCandles = candles.filter(c => c.complete);
-
-      if (completeCandles.length < 50) {
+      const analysis = context.analysis;
+      if (!analysis) {
         logger.debug('🔍 Realtime check skipped - insufficient candles');
         return;
       }
 
-      // Calculate indicators
-      const analysis = this.ta.analyze(completeCandles);
+      // Indicators (from the cached context)
       const adx = analysis.indicators.adx;
       const rsi = analysis.indicators.rsi;
-      logger.debug(`🔍 Realtime: ADX=${adx?.toFixed(1)}, RSI=${rsi?.toFixed(1)}, Channel=$${this.breakoutStrategy.previousLow?.toFixed(2)}-$${this.breakoutStrategy.previousHigh?.toFixed(2)}`);
+      logger.debug(`🔍 Realtime ${instrument}: ADX=${adx?.toFixed(1)}, RSI=${rsi?.toFixed(1)}, Channel=$${breakout.previousLow?.toFixed(2)}-$${breakout.previousHigh?.toFixed(2)}`);
 
       // Check for real-time breakout (pass EMA values for trend alignment filter)
       const emaFast = analysis.indicators.emaFast;
       const emaSlow = analysis.indicators.emaSlow;
-      const result = this.breakoutStrategy.checkRealtimeBreakout(currentPrice, adx, rsi, emaFast, emaSlow);
+      const result = desk.run(() => breakout.checkRealtimeBreakout(currentPrice, adx, rsi, emaFast, emaSlow));
       logger.debug(`🔍 Realtime result: signal=${result.signal}, pending=${result.pending}, pendingMTF=${result.pendingMTF}, reason=${result.reason?.substring(0, 50)}...`);
 
+      // A resting limit entry whose breakout has since been called a fakeout is void
+      if (desk.pendingEntry && desk.run(() => breakout.isFakeoutCooldownActive(desk.pendingEntry.signal))) {
+        await this.cancelPendingEntry(desk, `${desk.pendingEntry.signal} breakout rejected as fakeout`);
+      }
+
+      if (result.limitEntry) {
+        await this.placeLimitEntry(desk, result.limitEntry, analysis, 'Breakout + ADX (Realtime MTF)');
+        return;
+      }
+
       if (result.pending) {
         // Log pending status periodically (not every check to reduce noise)
-        if (!this.lastRealtimeLog || Date.now() - this.lastRealtimeLog >= 30000) {
-          logger.info(`⏳ Realtime: ${result.reason}`);
-          this.lastRealtimeLog = Date.now();
+        if (!desk.lastRealtimeLog || Date.now() - desk.lastRealtimeLog >= 30000) {
+          logger.info(`⏳ Realtime ${instrument}: ${result.reason}`);
+          desk.lastRealtimeLog = Date.now();
         }
         return;
       }
 
       if (result.pendingMTF) {
         // Breakout confirmed, now waiting for MTF pullback
-        logger.info(`⏳ Realtime: ${result.reason}`);
+        logger.info(`⏳ Realtime ${instrument}: ${result.reason}`);
         return;
       }
 
@@ -1705,7 +2337,7 @@ class GoldTradingBot {
 
       // We have a confirmed real-time breakout signal (MTF disabled)
       logger.info('');
-      logger.info('🎯 REAL-TIME BREAKOUT SIGNAL!');
+      logger.info(`🎯 REAL-TIME BREAKOUT SIGNAL - ${instrument}!`);
       logger.info(`Signal: ${result.signal}`);
       logger.info(`Entry: $${result.entryPrice.toFixed(2)}`);
       logger.info(`Confidence: ${formatConfidence(result.confidence)}`);
@@ -1713,10 +2345,14 @@ class GoldTradingBot {
       logger.info('');
 
       // Calculate entry levels
-      const levels = this.breakoutStrategy.calculateEntryLevels(analysis, result.signal, result.entryPrice);
+      const levels = desk.run(() => {
+        const entryLevels = breakout.calculateEntryLevels(analysis, result.signal, result.entryPrice);
+        this.riskManager.applySpreadToStop(entryLevels, result.signal, priceData.spread);
+        return entryLevels;
+      });
 
       // Calculate position size
-      const positionSize = this.riskManager.calculatePositionSize(levels.entryPrice, levels.stopLoss);
+      const positionSize = await this.riskManager.calculatePositionSize(levels.entryPrice, levels.stopLoss, desk.setting('MAX_RISK_PER_TRADE'), instrument);
 
       if (positionSize === 0) {
         logger.error('Position size calculation failed');
@@ -1724,18 +2360,20 @@ class GoldTradingBot {
       }
 
       // Adjust units for direction
-      const units = result.signal === 'LONG' ? positionSize : -positionSize;
+      let units = result.signal === 'LONG' ? positionSize : -positionSize;
 
       // Check risk management
-      const canTrade = await this.riskManager.canOpenTrade(levels.entryPrice, levels.stopLoss, Math.abs(units));
+      const canTrade = await this.riskManager.canOpenTrade(levels.entryPrice, levels.stopLoss, Math.abs(units), instrument);
 
       if (!canTrade.allowed) {
         logger.risk(`Trade blocked: ${canTrade.reason}`);
         return;
       }
+      units = Math.sign(units) * canTrade.units;
 
       // Execute trade
       await this.executeTrade(
+        desk,
         result.signal,
         units,
         levels,
@@ -1745,7 +2383,7 @@ class GoldTradingBot {
       );
 
     } catch (error) {
-      logger.error(`Error in realtime breakout check: ${error.message}`);
+      logger.error(`Error in ${instrument} realtime breakout check: ${error.message}`);
     }
   }
 
@@ -1759,6 +2397,17 @@ class GoldTradingBot {
     this.isRunning = false;
 
     try {
+      this.scheduler.stop();
+
+      // Close the streams so reconnect timers don't keep the process alive
+      if (this.pricingStream) {
+        this.pricingStream.stop();
+      }
+      if (this.transactionStream) {
+        this.transactionStream.stop();
+      }
+      this.broker.stop();
+
       // Stop Telegram bot
       if (this.telegramBot) {
         await this.telegramBot.stop();
@@ -1770,9 +2419,9 @@ class GoldTradingBot {
         logger.info('');
         logger.info('📊 FINAL SUMMARY');
         logger.info('─'.repeat(60));
-        logger.info(`Balance: $${summary.balance.toFixed(2)}`);
-        logger.info(`Total P&L: $${summary.totalPnL.toFixed(2)} (${summary.totalPnLPct >= 0 ? '+' : ''}${summary.totalPnLPct.toFixed(2)}%)`);
-        logger.info(`Daily P&L: $${summary.dailyPnL.toFixed(2)}`);
+        logger.info(`Balance: ${this.riskManager.formatMoney(summary.balance)}`);
+        logger.info(`Total P&L: ${this.riskManager.formatMoney(summary.totalPnL)} (${summary.totalPnLPct >= 0 ? '+' : ''}${summary.totalPnLPct.toFixed(2)}%)`);
+        logger.info(`Daily P&L: ${this.riskManager.formatMoney(summary.dailyPnL)}`);
         logger.info(`Total Trades: ${summary.totalTrades}`);
         logger.info(`Win Rate: ${summary.winRate.toFixed(1)}%`);
         logger.info(`Open Positions: ${summary.openPositions}`);
@@ -1789,26 +2438,29 @@ class GoldTradingBot {
   }
 }
 
-// Global error handlers to prevent crashes
-process.on('unhandledRejection', (reason, promise) => {
-  logger.error(`Unhandled Promise Rejection: ${reason}`);
-  logger.warn('Bot will continue running despite the error');
-  // Don't exit - keep the bot running
-});
-
-process.on('uncaughtException', (error) => {
-  logger.error(`Uncaught Exception: ${error.message}`);
-  logger.error(error.stack);
-  logger.warn('Bot will attempt to continue running');
-  // Don't exit immediately - give it a chance to recover
-});
-
-// Start the bot
-const bot = new GoldTradingBot();
-bot.start().catch(error => {
-  logger.error(`Fatal error during startup: ${error.message}`);
-  logger.error(error.stack);
-  process.exit(1);
-});
+// Run as the bot (node src/index.js) - importing the class (scripts/replay.js) starts nothing
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  // Global error handlers to prevent crashes
+  process.on('unhandledRejection', (reason, promise) => {
+    logger.error(`Unhandled Promise Rejection: ${reason}`);
+    logger.warn('Bot will continue running despite the error');
+    // Don't exit - keep the bot running
+  });
+
+  process.on('uncaughtException', (error) => {
+    logger.error(`Uncaught Exception: ${error.message}`);
+    logger.error(error.stack);
+    logger.warn('Bot will attempt to continue running');
+    // Don't exit immediately - give it a chance to recover
+  });
+
+  // Start the bot
+  const bot = new GoldTradingBot();
+  bot.start().catch(error => {
+    logger.error(`Fatal error during startup: ${error.message}`);
+    logger.error(error.stack);
+    process.exit(1);
+  });
+}
 
 export default GoldTradingBot;
@@ -0,0 +1,251 @@
+/**
+ * Instrument Desk
+ *
+ * What the bot keeps for each instrument it trades (INSTRUMENTS): the strategies, built
+ * with that instrument's settings, the last scan's regime, the trade cooldown, the resting
+ * limit entry and the realtime breakout context. GoldTradingBot scans the desks in turn;
+ * open positions, the risk budget, sessions and news blackouts stay account-wide.
+ *
+ * Strategies read Config directly, so calls into a desk's strategies go through run() -
+ * the instrument's <INSTRUMENT>_<SETTING> overrides are in scope while it runs.
+ *
+ * The first instrument keeps the plain file and tracker names (trade_cooldown.json,
+ * 'EMA Trend'); the others are prefixed (xag_usd_trade_cooldown.json, 'XAG_USD EMA Trend').
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Config from './config.js';
+import clock from './clock.js';
+import strategyRegistry from './strategy_registry.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Data file paths - use /app/data in Docker, ./data locally
+const DATA_DIR = process.env.DATA_DIR || (process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..', 'data'));
+const COOLDOWN_FILE = 'trade_cooldown.json';
+const PENDING_ENTRY_FILE = 'pending_entry.json';
+
+class InstrumentDesk {
+  /**
+   * @param {Object} logger
+   * @param {TechnicalAnalysis} technicalAnalysis
+   * @param {string} instrument - Oanda instrument ('XAG_USD')
+   */
+  constructor(logger, technicalAnalysis, instrument) {
+    this.logger = logger;
+    this.instrument = instrument;
+    this.cooldownFile = path.join(DATA_DIR, Config.instrumentFile(COOLDOWN_FILE, instrument));
+    this.pendingEntryFile = path.join(DATA_DIR, Config.instrumentFile(PENDING_ENTRY_FILE, instrument));
+
+    // Strategies from config (strategy_registry.js): STRATEGY_TYPE trades live, the rest
+    // in STRATEGIES are evaluated every scan and tracked hypothetically
+    this.strategies = strategyRegistry.create(logger, technicalAnalysis, instrument);
+    this.liveStrategy = this.strategies.get(this.setting('STRATEGY_TYPE'));
+    // The realtime breakout check and limit entries are Breakout + ADX's own machinery.
+    // Undefined when not configured.
+    this.breakoutStrategy = this.strategies.get('breakout_adx');
+
+    // Market regime, labelled every scan - gates each strategy's entries (allowedRegimes)
+    // and is stamped on tracker trades. Null until the first scan.
+    this.regime = null;
+    // When the last scan of this instrument completed (clock time) - interval scans cover
+    // for candle-close scans that stopped happening (GoldTradingBot.scheduleJobs)
+    this.lastScanAt = null;
+
+    // Trade cooldown: when this instrument's last trade closed, to prevent rapid re-entries
+    this.lastTradeCloseTime = null;
+    this.loadCooldown();
+
+    // Resting LIMIT entry (MTF_LIMIT_ENTRY) - at most one, and it outlives restarts
+    // because the order keeps resting at the broker until it fills or expires
+    this.pendingEntry = null;
+    this.loadPendingEntry();
+
+    // Position/indicator snapshot shared across ticks - refreshed at most every REALTIME_CHECK_INTERVAL_SECONDS
+    this.realtimeContext = null;
+    // Ticks can arrive faster than a check completes - drop overlapping ones
+    this.realtimeCheckInProgress = false;
+    // When the pending breakout / MTF pullback was last logged - throttles the realtime log
+    this.lastRealtimeLog = null;
+    this.lastRealtimeMTFLog = null;
+  }
+
+  /**
+   * Run fn with this instrument's settings in Config - synchronous code only
+   */
+  run(fn) {
+    return Config.withInstrument(this.instrument, fn);
+  }
+
+  /**
+   * One setting as this instrument sees it
+   */
+  setting(key) {
+    return Config.getInstrumentSetting(this.instrument, key);
+  }
+
+  /**
+   * Name a strategy's trades on this instrument are tracked under
+   */
+  trackerName(strategyName) {
+    return InstrumentDesk.trackerName(strategyName, this.instrument);
+  }
+
+  /**
+   * @param {string} strategyName - As recorded on the position ('EMA Trend')
+   * @param {string} instrument
+   */
+  static trackerName(strategyName, instrument) {
+    return instrument && instrument !== Config.INSTRUMENTS[0] ? `${instrument} ${strategyName}` : strategyName;
+  }
+
+  /**
+   * Every tracker name this desk's strategies record under
+   */
+  trackedNames() {
+    return [...this.strategies.values()].flatMap(s => s.trackedNames().map(name => this.trackerName(name)));
+  }
+
+  /**
+   * Every configured strategy except the live one
+   * @returns {Strategy[]}
+   */
+  getHypotheticalStrategies() {
+    return [...this.strategies.values()].filter(s => s !== this.liveStrategy);
+  }
+
+  /**
+   * The configured strategy a trade is recorded under - its strategy's label, or one of
+   * its tracked names ('Breakout + ADX (Realtime MTF)')
+   * @returns {Strategy|null} null if none of this desk's strategies owns the name
+   */
+  getStrategyFor(strategyName) {
+    const name = strategyName || '';
+    for (const strategy of this.strategies.values()) {
+      if (name === strategy.label || name.startsWith(`${strategy.label} (`)) return strategy;
+    }
+    return null;
+  }
+
+  /**
+   * Check if trade cooldown is active (prevents rapid re-entries after losses)
+   * @returns {Object} { active: boolean, remainingMinutes: number }
+   */
+  checkTradeCooldown() {
+    const cooldownHours = this.setting('TRADE_COOLDOWN_HOURS');
+    if (!this.lastTradeCloseTime || cooldownHours <= 0) {
+      return { active: false, remainingMinutes: 0 };
+    }
+
+    const cooldownMs = cooldownHours * 60 * 60 * 1000;
+    const elapsed = clock.now() - this.lastTradeCloseTime;
+    const remaining = cooldownMs - elapsed;
+
+    if (remaining <= 0) {
+      return { active: false, remainingMinutes: 0 };
+    }
+
+    return {
+      active: true,
+      remainingMinutes: Math.ceil(remaining / 60000)
+    };
+  }
+
+  /**
+   * Start the cooldown now - a trade on this instrument just closed
+   */
+  startCooldown() {
+    this.lastTradeCloseTime = clock.now();
+    this.saveCooldown();
+  }
+
+  /**
+   * Save cooldown timer to file for persistence across restarts
+   */
+  saveCooldown() {
+    try {
+      if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+      }
+
+      const data = {
+        lastTradeCloseTime: this.lastTradeCloseTime,
+        savedAt: Date.now()
+      };
+
+      fs.writeFileSync(this.cooldownFile, JSON.stringify(data, null, 2));
+      this.logger.debug(`💾 Saved ${this.instrument} cooldown timer to file`);
+    } catch (error) {
+      this.logger.error(`Failed to save ${this.instrument} cooldown: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load cooldown timer from file
+   */
+  loadCooldown() {
+    try {
+      if (!fs.existsSync(this.cooldownFile)) {
+        this.logger.info(`📂 No persisted ${this.instrument} cooldown found`);
+        return;
+      }
+
+      const rawData = fs.readFileSync(this.cooldownFile, 'utf8');
+      const data = JSON.parse(rawData);
+
+      if (data.lastTradeCloseTime) {
+        this.lastTradeCloseTime = data.lastTradeCloseTime;
+        const cooldown = this.checkTradeCooldown();
+        if (cooldown.active) {
+          this.logger.info(`📂 Loaded ${this.instrument} cooldown: ${cooldown.remainingMinutes} minutes remaining`);
+        } else {
+          this.logger.info(`📂 Loaded ${this.instrument} cooldown expired - ready to trade`);
+          this.lastTradeCloseTime = null;
+        }
+      }
+    } catch (error) {
+      this.logger.error(`Failed to load ${this.instrument} cooldown: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save the resting limit entry to file (or remove the file when there is none)
+   */
+  savePendingEntry() {
+    try {
+      if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+      }
+
+      if (!this.pendingEntry) {
+        if (fs.existsSync(this.pendingEntryFile)) fs.unlinkSync(this.pendingEntryFile);
+        return;
+      }
+
+      fs.writeFileSync(this.pendingEntryFile, JSON.stringify(this.pendingEntry, null, 2));
+      this.logger.debug(`💾 Saved pending ${this.instrument} limit entry ${this.pendingEntry.orderId} to file`);
+    } catch (error) {
+      this.logger.error(`Failed to save ${this.instrument} pending entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the resting limit entry from file - GoldTradingBot.checkPendingEntry() then
+   * reconciles it with the broker (it may have filled or expired while we were down)
+   */
+  loadPendingEntry() {
+    try {
+      if (!fs.existsSync(this.pendingEntryFile)) return;
+
+      this.pendingEntry = JSON.parse(fs.readFileSync(this.pendingEntryFile, 'utf8'));
+      this.logger.info(`📂 Loaded pending ${this.instrument} limit entry: order ${this.pendingEntry.orderId} ${this.pendingEntry.signal} @ $${this.pendingEntry.price.toFixed(2)} (expires ${this.pendingEntry.expiresAt})`);
+    } catch (error) {
+      this.logger.error(`Failed to load ${this.instrument} pending entry: ${error.message}`);
+      this.pendingEntry = null;
+    }
+  }
+}
+
+export default InstrumentDesk;
@@ -0,0 +1,170 @@
+/**
+ * Instrument Registry
+ *
+ * Per-instrument trading metadata from Oanda (/v3/accounts/{id}/instruments): pip size,
+ * price and unit precision, order size limits and margin rate. Every price or unit that
+ * goes to the broker is formatted here, so nothing assumes gold's 2dp / whole-unit shape.
+ *
+ * Sources, best first:
+ *   1. refresh(broker) - the account's own instrument list, fetched on startup
+ *   2. data/instruments.json - the last successful fetch (survives an API outage at boot)
+ *   3. BUNDLED_INSTRUMENTS below - snapshot of the instruments we trade or have traded
+ *
+ * Shared module instance (like logger.js): Config.pipsToPrice and the brokers all read the
+ * same registry. Deliberately imports nothing from src/ - config.js imports it.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Snapshot of Oanda's v20 instrument definitions (UK practice account)
+const BUNDLED_INSTRUMENTS = {
+  XAU_USD: { pipLocation: -2, displayPrecision: 3, tradeUnitsPrecision: 0, minimumTradeSize: 1, maximumOrderUnits: 100000, marginRate: 0.05, minimumTrailingStopDistance: 0.05 },
+  XAG_USD: { pipLocation: -4, displayPrecision: 5, tradeUnitsPrecision: 0, minimumTradeSize: 1, maximumOrderUnits: 1000000, marginRate: 0.1, minimumTrailingStopDistance: 0.0005 },
+  EUR_USD: { pipLocation: -4, displayPrecision: 5, tradeUnitsPrecision: 0, minimumTradeSize: 1, maximumOrderUnits: 100000000, marginRate: 0.0333, minimumTrailingStopDistance: 0.0005 },
+  GBP_USD: { pipLocation: -4, displayPrecision: 5, tradeUnitsPrecision: 0, minimumTradeSize: 1, maximumOrderUnits: 100000000, marginRate: 0.0333, minimumTrailingStopDistance: 0.0005 },
+  USD_JPY: { pipLocation: -2, displayPrecision: 3, tradeUnitsPrecision: 0, minimumTradeSize: 1, maximumOrderUnits: 100000000, marginRate: 0.0333, minimumTrailingStopDistance: 0.05 }
+};
+
+class InstrumentRegistry {
+  constructor() {
+    this.instruments = null; // name → spec, loaded on first use
+    this.source = null;      // 'account' | 'cache' | 'bundled'
+  }
+
+  // Resolved lazily: this module is imported before config.js has run dotenv
+  get cacheFile() {
+    const dataDir = process.env.DATA_DIR || (process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..', 'data'));
+    return path.join(dataDir, 'instruments.json');
+  }
+
+  /**
+   * Load the disk cache, falling back to the bundled snapshot
+   */
+  load() {
+    this.instruments = {};
+    for (const [name, spec] of Object.entries(BUNDLED_INSTRUMENTS)) {
+      this.instruments[name] = this.withDerived(name, spec);
+    }
+    this.source = 'bundled';
+
+    try {
+      if (fs.existsSync(this.cacheFile)) {
+        const cached = JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+        for (const [name, spec] of Object.entries(cached.instruments || {})) {
+          this.instruments[name] = this.withDerived(name, spec);
+        }
+        this.source = 'cache';
+      }
+    } catch {
+      // Corrupt cache - the bundled snapshot still covers what we trade
+    }
+  }
+
+  /**
+   * Fetch the account's instrument list from the broker and cache it to disk.
+   * Keeps the cached/bundled specs if the request fails.
+   * @returns {Promise<boolean>} true if the account's list was loaded
+   */
+  async refresh(broker, logger) {
+    if (!this.instruments) this.load();
+    try {
+      const list = await broker.getInstruments();
+      const fetched = {};
+      for (const raw of list) {
+        fetched[raw.name] = this.normalize(raw);
+      }
+      for (const [name, spec] of Object.entries(fetched)) {
+        this.instruments[name] = this.withDerived(name, spec);
+      }
+      this.source = 'account';
+
+      const dir = path.dirname(this.cacheFile);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.writeFileSync(this.cacheFile, JSON.stringify({ fetchedAt: new Date().toISOString(), instruments: fetched }, null, 2));
+      logger?.info(`📐 Instruments: loaded ${list.length} from the account`);
+      return true;
+    } catch (error) {
+      logger?.warn(`⚠️ Instrument list unavailable (${error.message}) - using ${this.source} specs`);
+      return false;
+    }
+  }
+
+  /**
+   * v20 Instrument (numbers as strings) → spec
+   */
+  normalize(raw) {
+    return {
+      pipLocation: raw.pipLocation,
+      displayPrecision: raw.displayPrecision,
+      tradeUnitsPrecision: raw.tradeUnitsPrecision,
+      minimumTradeSize: parseFloat(raw.minimumTradeSize),
+      maximumOrderUnits: parseFloat(raw.maximumOrderUnits),
+      marginRate: parseFloat(raw.marginRate),
+      minimumTrailingStopDistance: parseFloat(raw.minimumTrailingStopDistance || 0)
+    };
+  }
+
+  withDerived(name, spec) {
+    return { name, ...spec, pipSize: Math.pow(10, spec.pipLocation) };
+  }
+
+  /**
+   * @returns {{ name, pipLocation, pipSize, displayPrecision, tradeUnitsPrecision,
+   *             minimumTradeSize, maximumOrderUnits, marginRate, minimumTrailingStopDistance }}
+   */
+  get(instrument) {
+    if (!this.instruments) this.load();
+    const spec = this.instruments[instrument];
+    if (!spec) {
+      // Guessing a precision is exactly the silent rounding bug this registry exists to stop
+      throw new Error(`Unknown instrument ${instrument} - not in the account list or bundled specs`);
+    }
+    return spec;
+  }
+
+  pipsToPrice(pips, instrument) {
+    return pips * this.get(instrument).pipSize;
+  }
+
+  priceToPips(price, instrument) {
+    return price / this.get(instrument).pipSize;
+  }
+
+  /**
+   * Round a price to the precision Oanda accepts (PRICE_PRECISION_EXCEEDED otherwise)
+   */
+  roundPrice(price, instrument) {
+    const factor = Math.pow(10, this.get(instrument).displayPrecision);
+    return Math.round(price * factor) / factor;
+  }
+
+  /**
+   * Price (or price distance) as the string the v20 API expects
+   */
+  formatPrice(price, instrument) {
+    return this.roundPrice(price, instrument).toFixed(this.get(instrument).displayPrecision);
+  }
+
+  /**
+   * Truncate units toward zero at the instrument's unit precision - never round a
+   * position up past what was sized or what is open
+   */
+  roundUnits(units, instrument) {
+    const factor = Math.pow(10, this.get(instrument).tradeUnitsPrecision);
+    return Math.trunc(units * factor + (units >= 0 ? 1e-9 : -1e-9)) / factor;
+  }
+
+  formatUnits(units, instrument) {
+    return this.roundUnits(units, instrument).toFixed(this.get(instrument).tradeUnitsPrecision);
+  }
+}
+
+const instruments = new InstrumentRegistry();
+
+export default instruments;
@@ -18,6 +18,7 @@
  * - BREAKOUT OVERRIDE: If price breaks recent range by X%, bypass ADX filter
  */
 import Config from './config.js';
+import Strategy from './strategy.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -26,8 +27,8 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // State file path - use /app/data in Docker, ./data locally
-const DATA_DIR = process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..', 'data');
-const STATE_FILE = path.join(DATA_DIR, 'ma_strategy_state.json');
+const DATA_DIR = process.env.DATA_DIR || (process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..', 'data'));
+const STATE_FILE = 'ma_strategy_state.json'; // the first instrument's - see Config.instrumentFile
 
 // Strategy parameters
 const SMA_FAST = 10;   // Fast SMA period (was 5)
@@ -39,10 +40,13 @@ const ADX_MIN = 20;        // Minimum ADX for trending market
 const BREAKOUT_LOOKBACK = 20;      // Number of candles to calculate range
 const BREAKOUT_THRESHOLD = 0.005;  // 0.5% breakout beyond range to override ADX
 
-class MACrossoverStrategy {
-  constructor(logger, technicalAnalysis) {
-    this.logger = logger;
-    this.ta = technicalAnalysis;
+class MACrossoverStrategy extends Strategy {
+  static type = 'ma_crossover';
+  static label = 'MA Crossover';
+
+  constructor(logger, technicalAnalysis, instrument) {
+    super(logger, technicalAnalysis, instrument);
+    this.stateFile = path.join(DATA_DIR, Config.instrumentFile(STATE_FILE, this.instrument));
     this.name = `MA Crossover (${SMA_FAST}/${SMA_SLOW})`;
     this.previousSMAFast = null;
     this.previousSMASlow = null;
@@ -70,7 +74,7 @@ class MACrossoverStrategy {
         savedAt: new Date().toISOString()
       };
 
-      fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+      fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2));
       this.logger.debug(`💾 MA strategy state saved`);
     } catch (error) {
       this.logger.error(`Failed to save MA strategy state: ${error.message}`);
@@ -82,12 +86,12 @@ class MACrossoverStrategy {
    */
   loadState() {
     try {
-      if (!fs.existsSync(STATE_FILE)) {
+      if (!fs.existsSync(this.stateFile)) {
         this.logger.info('📂 No existing MA strategy state found, starting fresh');
         return;
       }
 
-      const rawData = fs.readFileSync(STATE_FILE, 'utf8');
+      const rawData = fs.readFileSync(this.stateFile, 'utf8');
       const state = JSON.parse(rawData);
 
       this.previousSMAFast = state.previousSMAFast || state.previousSMA5;
@@ -370,11 +374,10 @@ class MACrossoverStrategy {
   /**
    * Calculate entry levels (stop loss and take profit)
    */
-  calculateEntryLevels(analysis, signal, smaSlow) {
-    const currentPrice = analysis.indicators.price;
+  calculateEntryLevels(analysis, signal, refinedEntryPrice = null) {
     const isLong = signal === 'LONG';
 
-    const entryPrice = currentPrice;
+    const entryPrice = refinedEntryPrice || analysis.indicators.price;
 
     // Stop Loss
     const stopPips = Config.STOP_LOSS_PIPS;
@@ -0,0 +1,350 @@
+/**
+ * Mean Reversion Strategy
+ *
+ * research_notes.md Q6: every other strategy sits out low-ADX chop. This one trades it -
+ * it fades band extremes back to the mean.
+ *
+ * Entry Rules (last complete TIMEFRAME candle):
+ * - LONG:  close at or below the lower band
+ *          + RSI <= MEAN_REVERSION_RSI_OS (30)
+ *          + ADX < MEAN_REVERSION_ADX_MAX (20) - ranging, not a breakdown
+ *
+ * - SHORT: close at or above the upper band
+ *          + RSI >= MEAN_REVERSION_RSI_OB (70)
+ *          + ADX < MEAN_REVERSION_ADX_MAX
+ *          + Only if ALLOW_SHORT=true
+ *
+ * Bands: Bollinger (SMA 20 ± 2σ) or Keltner (EMA 20 ± 2 × ATR) - MEAN_REVERSION_BANDS
+ * Stops: ATR-based (ATR × 1.5, capped $2-$40)
+ * Take Profit: the mid-band, moved with it on every candle close. Setups whose mid-band
+ *              is closer than MEAN_REVERSION_MIN_RR × the stop are skipped
+ * No staged TP, breakeven or trail - the trade is a bracket to the mean
+ */
+import Config from './config.js';
+import Strategy from './strategy.js';
+import instruments from './instruments.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || (process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..', 'data'));
+const STATE_FILE = 'mean_reversion_state.json'; // the first instrument's - see Config.instrumentFile
+
+const ADX_PERIOD = 14;
+const TARGET_UPDATE_PIPS = 10; // mid-band moves smaller than this leave the target alone
+
+class MeanReversionStrategy extends Strategy {
+  static type = 'mean_reversion';
+  static label = 'Mean Reversion';
+
+  constructor(logger, technicalAnalysis, instrument) {
+    super(logger, technicalAnalysis, instrument);
+    this.stateFile = path.join(DATA_DIR, Config.instrumentFile(STATE_FILE, this.instrument));
+
+    // State persisted across restarts
+    this.lastSignal = null;
+    this.lastSignalCandleTime = null;
+    this.lastATR = null;
+    this.lastMidBand = null;
+
+    this.loadState();
+  }
+
+  loadState() {
+    try {
+      if (fs.existsSync(this.stateFile)) {
+        const data = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+        this.lastSignal = data.lastSignal || null;
+        this.lastSignalCandleTime = data.lastSignalCandleTime || null;
+        this.lastATR = data.lastATR || null;
+        this.lastMidBand = data.lastMidBand || null;
+        this.logger.info(`📂 Mean Reversion state loaded: lastSignal=${this.lastSignal}, ATR=${this.lastATR?.toFixed(2)}`);
+      }
+    } catch (error) {
+      this.logger.error(`Failed to load Mean Reversion state: ${error.message}`);
+    }
+  }
+
+  saveState() {
+    try {
+      if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+      }
+      fs.writeFileSync(this.stateFile, JSON.stringify({
+        lastSignal: this.lastSignal,
+        lastSignalCandleTime: this.lastSignalCandleTime,
+        lastATR: this.lastATR,
+        lastMidBand: this.lastMidBand,
+        savedAt: new Date().toISOString()
+      }, null, 2));
+    } catch (error) {
+      this.logger.error(`Failed to save Mean Reversion state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Evaluate market for trade setup.
+   * @param {Object} analysis - Result from TechnicalAnalysis.analyze()
+   * @param {Array} candles - Primary timeframe candles (H1)
+   * @returns {Object} { signal, reason, confidence } or { signal: null, reason, confidence: 0 }
+   */
+  evaluateSetup(analysis, candles, feeds = {}) {
+    const completeCandles = candles.filter(c => c.complete);
+    const needed = Math.max(Config.MEAN_REVERSION_PERIOD, Config.MEAN_REVERSION_ATR_PERIOD, ADX_PERIOD * 2, Config.RSI_PERIOD) + 1;
+    if (completeCandles.length < needed) {
+      return { signal: null, reason: 'Insufficient candles for Mean Reversion', confidence: 0 };
+    }
+
+    const lastIdx = completeCandles.length - 1;
+    const bands = this._bands(completeCandles)[lastIdx];
+    const atr = this.ta.calculateATR(completeCandles, Config.MEAN_REVERSION_ATR_PERIOD)[lastIdx];
+    const rsi = this.ta.calculateRSI(completeCandles, Config.RSI_PERIOD)[lastIdx];
+    const adx = this.ta.calculateADX(completeCandles, ADX_PERIOD)[lastIdx]?.adx ?? null;
+    const price = completeCandles[lastIdx].close;
+    const candleTime = new Date(completeCandles[lastIdx].time).toISOString();
+
+    if (!bands || atr === null || rsi === null || adx === null) {
+      return { signal: null, reason: 'Indicators not ready', confidence: 0 };
+    }
+
+    // Store ATR and mid-band for calculateEntryLevels / initialStops
+    this.lastATR = atr;
+    this.lastMidBand = bands.middle;
+
+    // Prevent duplicate signals on the same candle
+    if (this.lastSignalCandleTime === candleTime) {
+      return {
+        signal: null,
+        reason: `Already signaled on this candle (${this.lastSignal})`,
+        confidence: 0
+      };
+    }
+
+    const bandName = this._bandName();
+    const bandsText = `${bandName} $${bands.lower.toFixed(2)}/$${bands.middle.toFixed(2)}/$${bands.upper.toFixed(2)}`;
+
+    let signal = null;
+    if (price <= bands.lower) signal = 'LONG';
+    else if (price >= bands.upper) signal = 'SHORT';
+    if (!signal) {
+      return {
+        signal: null,
+        reason: `Price $${price.toFixed(2)} inside ${bandsText}, ADX ${adx.toFixed(1)}`,
+        confidence: 0
+      };
+    }
+
+    const isLong = signal === 'LONG';
+    const edge = isLong ? 'lower' : 'upper';
+
+    // --- FILTERS ---
+    if (adx >= Config.MEAN_REVERSION_ADX_MAX) {
+      return {
+        signal: null,
+        reason: `Close beyond the ${edge} band but ADX ${adx.toFixed(1)} >= ${Config.MEAN_REVERSION_ADX_MAX} (trending - don't fade)`,
+        confidence: 0
+      };
+    }
+
+    const rsiStretched = isLong ? rsi <= Config.MEAN_REVERSION_RSI_OS : rsi >= Config.MEAN_REVERSION_RSI_OB;
+    if (!rsiStretched) {
+      return {
+        signal: null,
+        reason: `Close beyond the ${edge} band but RSI ${rsi.toFixed(1)} not ${isLong ? `<= ${Config.MEAN_REVERSION_RSI_OS}` : `>= ${Config.MEAN_REVERSION_RSI_OB}`}`,
+        confidence: 0
+      };
+    }
+
+    if (!isLong && !Config.ALLOW_SHORT) {
+      return {
+        signal: null,
+        reason: `Upper band fade but SHORT disabled (ALLOW_SHORT=false)`,
+        confidence: 0
+      };
+    }
+
+    const stopDistance = this._atrDistance();
+    const targetDistance = Math.abs(bands.middle - price);
+    if (targetDistance < stopDistance * Config.MEAN_REVERSION_MIN_RR) {
+      return {
+        signal: null,
+        reason: `Mid-band $${bands.middle.toFixed(2)} only $${targetDistance.toFixed(2)} away (< ${Config.MEAN_REVERSION_MIN_RR}R of the $${stopDistance.toFixed(2)} stop)`,
+        confidence: 0
+      };
+    }
+
+    // Record signal state
+    this.lastSignal = signal;
+    this.lastSignalCandleTime = candleTime;
+    this.saveState();
+
+    const stretchATR = (isLong ? bands.lower - price : price - bands.upper) / atr;
+    this.logger.info(`📊 Mean Reversion: ${signal} setup detected!`);
+    this.logger.info(`   ${bandsText}, close $${price.toFixed(2)} (${stretchATR.toFixed(2)} ATR beyond the ${edge} band)`);
+    this.logger.info(`   RSI ${rsi.toFixed(1)}, ADX ${adx.toFixed(1)}, ATR(${Config.MEAN_REVERSION_ATR_PERIOD}) $${atr.toFixed(2)} → SL $${stopDistance.toFixed(2)}, target $${targetDistance.toFixed(2)} (${(targetDistance / stopDistance).toFixed(1)}R)`);
+
+    return {
+      signal,
+      reason: `Mean Reversion ${signal}: close $${price.toFixed(2)} beyond the ${edge} ${bandName} band, ` +
+              `RSI ${rsi.toFixed(1)}, ADX ${adx.toFixed(1)}, target mid-band $${bands.middle.toFixed(2)}`,
+      confidence: this._calculateConfidence(adx, rsi, stretchATR, isLong),
+      // Indicator snapshot at signal time — stamped into the tracker so later
+      // analysis can segment outcomes by market state. Log-only, never read back.
+      entrySnapshot: {
+        bands: bandName,
+        upper: instruments.roundPrice(bands.upper, this.instrument),
+        middle: instruments.roundPrice(bands.middle, this.instrument),
+        lower: instruments.roundPrice(bands.lower, this.instrument),
+        atr: instruments.roundPrice(atr, this.instrument),
+        adx: parseFloat(adx.toFixed(1)),
+        rsi: parseFloat(rsi.toFixed(1)),
+        price: instruments.roundPrice(price, this.instrument),
+        stretchATR: parseFloat(stretchATR.toFixed(2)),
+      },
+    };
+  }
+
+  /**
+   * ATR stop, target at the mid-band of the signal candle.
+   * Called by index.js after evaluateSetup returns a signal.
+   */
+  calculateEntryLevels(analysis, signal, mtfEntryPrice = null) {
+    const entryPrice = mtfEntryPrice || analysis.indicators.price;
+    const isLong = signal === 'LONG';
+
+    const stopDistance = this._atrDistance();
+    const stopLoss = isLong ? entryPrice - stopDistance : entryPrice + stopDistance;
+    const takeProfit1 = this._target(signal, entryPrice, stopDistance);
+    const takeProfit2 = takeProfit1; // Single TP
+    const riskPips = Config.priceToPips(stopDistance);
+
+    this.logger.info(`[Mean Reversion] Entry levels: SL=$${stopLoss.toFixed(2)} (${stopDistance.toFixed(2)}), TP=$${takeProfit1.toFixed(2)} (mid-band)`);
+
+    return {
+      entryPrice,
+      stopLoss,
+      takeProfit1,
+      takeProfit2,
+      riskPips: riskPips.toFixed(1)
+    };
+  }
+
+  /**
+   * ATR stop from the fill, target still the mid-band
+   */
+  initialStops(fill) {
+    const stopDistance = this._atrDistance();
+    const { stopLoss } = this.bracket(fill, stopDistance, 0);
+    return { stopLoss, takeProfit: this._target(fill.signal, fill.price, stopDistance) };
+  }
+
+  /**
+   * Bracket to the mean - none of the shared staged TP / trail
+   */
+  onTick(position, price) {
+    return [];
+  }
+
+  entryTrailingStop() {
+    return null;
+  }
+
+  /**
+   * The mean moves while the trade is open: re-aim the target at the mid-band of each
+   * candle close, as long as it is still on the profit side of entry. Once the band has
+   * drifted past the entry the trade is left to its current target and stop.
+   */
+  onCandle(position, candles) {
+    const bands = this._bands(candles)[candles.length - 1];
+    if (!bands) return [];
+
+    const direction = position.signal === 'LONG' ? 1 : -1;
+    const middle = instruments.roundPrice(bands.middle, this.instrument);
+    if ((middle - position.entryPrice) * direction <= 0) return [];
+    if (position.takeProfit1 && Math.abs(middle - position.takeProfit1) < Config.pipsToPrice(TARGET_UPDATE_PIPS)) return [];
+
+    return [{
+      type: 'setTakeProfit',
+      price: middle,
+      update: { takeProfit1: middle, takeProfit2: middle },
+      log: `🎯 Mean Reversion target for ${position.tradeId} follows the mid-band to $${middle.toFixed(2)}`
+    }];
+  }
+
+  /**
+   * MEAN_REVERSION_BANDS for each candle - { upper, middle, lower } or null while warming up
+   */
+  _bands(candles) {
+    if (Config.MEAN_REVERSION_BANDS === 'keltner') {
+      return this.ta.calculateKeltnerChannels(candles, Config.MEAN_REVERSION_PERIOD, Config.MEAN_REVERSION_KC_ATR_MULT, Config.MEAN_REVERSION_ATR_PERIOD);
+    }
+    return this.ta.calculateBollingerBands(candles, Config.MEAN_REVERSION_PERIOD, Config.MEAN_REVERSION_BB_STDDEV);
+  }
+
+  _bandName() {
+    return Config.MEAN_REVERSION_BANDS === 'keltner' ? 'Keltner' : 'Bollinger';
+  }
+
+  /**
+   * The mid-band when it is on the profit side of entryPrice, else MEAN_REVERSION_MIN_RR
+   * × the stop (a fill that overshot the mean)
+   */
+  _target(signal, entryPrice, stopDistance) {
+    const direction = signal === 'LONG' ? 1 : -1;
+    if (this.lastMidBand !== null && (this.lastMidBand - entryPrice) * direction > 0) {
+      return this.lastMidBand;
+    }
+    return entryPrice + direction * stopDistance * Config.MEAN_REVERSION_MIN_RR;
+  }
+
+  /**
+   * ATR × MEAN_REVERSION_ATR_SL_MULT, clamped to MEAN_REVERSION_MIN_SL..MEAN_REVERSION_MAX_SL
+   */
+  _atrDistance() {
+    const minSL = Config.pipsToPrice(Config.MEAN_REVERSION_MIN_SL);
+    const maxSL = Config.pipsToPrice(Config.MEAN_REVERSION_MAX_SL);
+    return Math.max(minSL, Math.min(maxSL, (this.lastATR || 5.0) * Config.MEAN_REVERSION_ATR_SL_MULT));
+  }
+
+  /**
+   * Calculate confidence score (0-1).
+   */
+  _calculateConfidence(adx, rsi, stretchATR, isLong) {
+    let confidence = 0.5; // Base
+
+    // Flatter market = the band is more likely to hold
+    if (adx < Config.MEAN_REVERSION_ADX_MAX - 5) confidence += 0.15;
+    else if (adx < Config.MEAN_REVERSION_ADX_MAX - 2) confidence += 0.05;
+
+    // RSI well past the threshold
+    const rsiExcess = isLong ? Config.MEAN_REVERSION_RSI_OS - rsi : rsi - Config.MEAN_REVERSION_RSI_OB;
+    if (rsiExcess >= 10) confidence += 0.15;
+    else if (rsiExcess >= 5) confidence += 0.1;
+
+    // A close far outside the band is a spike more than a drift
+    if (stretchATR > 0.5) confidence += 0.1;
+
+    return Math.max(0, Math.min(confidence, 1));
+  }
+
+  /**
+   * Strategy description for logging.
+   */
+  getDescription() {
+    const bands = Config.MEAN_REVERSION_BANDS === 'keltner'
+      ? `Keltner (EMA ${Config.MEAN_REVERSION_PERIOD} ± ${Config.MEAN_REVERSION_KC_ATR_MULT} × ATR)`
+      : `Bollinger (SMA ${Config.MEAN_REVERSION_PERIOD} ± ${Config.MEAN_REVERSION_BB_STDDEV}σ)`;
+    return [
+      `Mean Reversion Strategy - ${bands}`,
+      `Entry: close beyond the band, RSI <= ${Config.MEAN_REVERSION_RSI_OS} (LONG) / >= ${Config.MEAN_REVERSION_RSI_OB} (SHORT)`,
+      `ADX: < ${Config.MEAN_REVERSION_ADX_MAX} (ranging only)`,
+      `SL: ATR(${Config.MEAN_REVERSION_ATR_PERIOD}) × ${Config.MEAN_REVERSION_ATR_SL_MULT} (min $${Config.pipsToPrice(Config.MEAN_REVERSION_MIN_SL).toFixed(2)}, max $${Config.pipsToPrice(Config.MEAN_REVERSION_MAX_SL).toFixed(2)})`,
+      `TP: mid-band, following it each candle (skip if < ${Config.MEAN_REVERSION_MIN_RR}R away)`,
+    ].join('\n');
+  }
+}
+
+export default MeanReversionStrategy;
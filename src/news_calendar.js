@@ -0,0 +1,333 @@
+/**
+ * News Calendar
+ *
+ * Economic-calendar events from a local file, turned into blackout windows around the
+ * ones that move gold (AVOID_MAJOR_NEWS). NFP, CPI and FOMC whipsaw price through both
+ * sides of a breakout in seconds - the stop-outs TRADE_COOLDOWN_HOURS was tuned around.
+ *
+ * The file (NEWS_CALENDAR_FILE, default data/news_calendar.csv) is re-read whenever it
+ * changes, so a weekly export can be dropped in without a restart. Each event needs a
+ * time, currency, impact and title:
+ *   - .csv   header row naming the columns: time,currency,impact,title
+ *            (country/date/event are accepted too, as ForexFactory names them)
+ *   - .json  array of { time, currency, impact, title } - or ForexFactory's weekly export
+ *            ({ date, country, impact, title })
+ *   - .ics   VEVENTs: DTSTART, SUMMARY as the title, currency from X-CURRENCY or a leading
+ *            "USD" in the summary, impact from X-IMPACT or CATEGORIES
+ * Times without an offset are UTC. CSV/JSON events may carry before_minutes/after_minutes
+ * (beforeMinutes/afterMinutes) to widen their own window - FOMC's press conference runs
+ * on well past the statement.
+ *
+ * Events of a listed currency (NEWS_CURRENCIES) and impact (NEWS_IMPACTS) block new entries
+ * from NEWS_BLACKOUT_BEFORE_MINUTES before to NEWS_BLACKOUT_AFTER_MINUTES after; windows
+ * that overlap merge into one blackout. NEWS_PRE_EVENT_ACTION decides what happens to a
+ * trade still open when a blackout starts (protectActions).
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Config from './config.js';
+import TimeZones from './time_zones.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || (process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..', 'data'));
+const DEFAULT_CALENDAR_FILE = path.join(DATA_DIR, 'news_calendar.csv');
+
+const MINUTE_MS = 60 * 1000;
+
+class NewsCalendar {
+  /**
+   * @param {Object} logger
+   * @param {string} file - Calendar file (.csv, .json or .ics)
+   */
+  constructor(logger, file = Config.NEWS_CALENDAR_FILE || DEFAULT_CALENDAR_FILE) {
+    this.logger = logger;
+    this.file = file;
+    this.loadedMtime = null;
+    this.events = [];    // every parsed event, by time
+    this.blackouts = []; // merged windows of the relevant ones, by start
+  }
+
+  get enabled() {
+    return Config.AVOID_MAJOR_NEWS;
+  }
+
+  /**
+   * Read the file if it changed since the last load. A missing or unreadable file keeps
+   * what was loaded before (nothing, at startup) and is reported once.
+   */
+  refresh() {
+    if (!this.enabled) return;
+
+    let mtime;
+    try {
+      mtime = fs.statSync(this.file).mtimeMs;
+    } catch {
+      if (this.loadedMtime !== 'missing') {
+        this.logger.warn(`📰 No news calendar at ${this.file} - news blackouts inactive until one is added`);
+        this.loadedMtime = 'missing';
+      }
+      return;
+    }
+    if (mtime === this.loadedMtime) return;
+    this.loadedMtime = mtime;
+
+    try {
+      this.events = parseCalendar(fs.readFileSync(this.file, 'utf8'), path.extname(this.file).toLowerCase());
+      this.blackouts = this.buildBlackouts(this.events);
+      this.logger.info(`📰 Loaded news calendar: ${this.events.length} event(s), ${this.blackouts.length} blackout(s) (${Config.NEWS_IMPACTS.join('/')} ${Config.NEWS_CURRENCIES.join('/')})`);
+    } catch (error) {
+      this.logger.error(`Failed to load news calendar ${this.file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Blackout windows for the events that matter, overlapping ones merged
+   */
+  buildBlackouts(events) {
+    const windows = events
+      .filter(event => Config.NEWS_CURRENCIES.includes(event.currency) && Config.NEWS_IMPACTS.includes(event.impact))
+      .map(event => ({
+        start: event.time - (event.beforeMinutes ?? Config.NEWS_BLACKOUT_BEFORE_MINUTES) * MINUTE_MS,
+        end: event.time + (event.afterMinutes ?? Config.NEWS_BLACKOUT_AFTER_MINUTES) * MINUTE_MS,
+        events: [event]
+      }))
+      .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const window of windows) {
+      const last = merged[merged.length - 1];
+      if (last && window.start <= last.end) {
+        last.end = Math.max(last.end, window.end);
+        last.events.push(...window.events);
+      } else {
+        merged.push(window);
+      }
+    }
+    return merged.map(blackout => ({
+      ...blackout,
+      key: new Date(blackout.start).toISOString(),
+      title: blackout.events.map(event => `${event.currency} ${event.title}`).join(', ')
+    }));
+  }
+
+  /**
+   * The blackout in force at `time`, if any
+   * @returns {{ start, end, key, title, events }|null}
+   */
+  blackoutAt(time) {
+    this.refresh();
+    if (!this.enabled) return null;
+    return this.blackouts.find(blackout => blackout.start <= time && time < blackout.end) || null;
+  }
+
+  /**
+   * The blackout in force at `time`, or else the next one to start
+   */
+  nextBlackout(time) {
+    this.refresh();
+    if (!this.enabled) return null;
+    return this.blackouts.find(blackout => time < blackout.end) || null;
+  }
+
+  /**
+   * May a new entry be made at `time`?
+   * @returns {{ allowed: boolean, reason: string|null }}
+   */
+  check(time) {
+    const blackout = this.blackoutAt(time);
+    if (!blackout) return { allowed: true, reason: null };
+    return {
+      allowed: false,
+      reason: `News blackout until ${new Date(blackout.end).toISOString().substring(11, 16)} UTC (${blackout.title})`
+    };
+  }
+
+  /**
+   * What to do with an open trade once a blackout starts (NEWS_PRE_EVENT_ACTION) - run by
+   * PositionManager like a strategy's actions, once per trade per blackout
+   *   - tighten: stop to NEWS_TIGHTEN_PIPS from price, if that is tighter than it is
+   *   - flatten: close at market
+   * @param {Object} position - The tracked position
+   * @param {number} price - Current mid price
+   * @param {number} time - Epoch ms
+   * @returns {Array<Object>} actions
+   */
+  protectActions(position, price, time) {
+    if (Config.NEWS_PRE_EVENT_ACTION === 'none') return [];
+    const blackout = this.blackoutAt(time);
+    if (!blackout || position.newsBlackoutHandled === blackout.key) return [];
+
+    const update = { newsBlackoutHandled: blackout.key };
+    if (Config.NEWS_PRE_EVENT_ACTION === 'flatten') {
+      return [{
+        type: 'exit',
+        reason: 'NEWS_EXIT',
+        update,
+        log: `📰 ${blackout.title} ahead - closing ${position.tradeId} at market`
+      }];
+    }
+
+    const isLong = position.signal === 'LONG';
+    const distance = Config.pipsToPrice(Config.NEWS_TIGHTEN_PIPS);
+    const stopLoss = isLong ? price - distance : price + distance;
+    const tighter = isLong ? stopLoss > position.currentStopLoss : stopLoss < position.currentStopLoss;
+    if (!tighter) return [{ type: 'update', update }];
+    return [{
+      type: 'moveStop',
+      price: stopLoss,
+      update,
+      log: `📰 ${blackout.title} ahead - stop on ${position.tradeId} tightened to $${stopLoss.toFixed(2)}`
+    }];
+  }
+}
+
+// ─── Parsing ───────────────────────────────────────────────
+
+/**
+ * @param {string} text - File contents
+ * @param {string} extension - '.csv', '.json' or '.ics'
+ * @returns {Array<{ time: number, currency: string, impact: string, title: string, beforeMinutes?: number, afterMinutes?: number }>}
+ */
+function parseCalendar(text, extension) {
+  let records;
+  if (extension === '.json') records = JSON.parse(text);
+  else if (extension === '.ics') records = parseICS(text);
+  else if (extension === '.csv') records = parseCSV(text);
+  else throw new Error(`unsupported calendar format "${extension}" (use .csv, .json or .ics)`);
+
+  if (!Array.isArray(records)) throw new Error('expected a list of events');
+
+  const events = [];
+  for (const record of records) {
+    const event = toEvent(record);
+    if (event) events.push(event);
+  }
+  return events.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * A calendar record with its fields normalised, or null if it has no usable time
+ */
+function toEvent(record) {
+  const time = typeof record.time === 'number' ? record.time : parseTime(record.time ?? record.date ?? record.datetime);
+  if (!Number.isFinite(time)) return null;
+
+  const event = {
+    time,
+    currency: String(record.currency ?? record.country ?? '').trim().toUpperCase(),
+    impact: String(record.impact ?? '').trim().toLowerCase(),
+    title: String(record.title ?? record.event ?? record.name ?? '').trim()
+  };
+  const before = parseFloat(record.beforeMinutes ?? record.before_minutes);
+  const after = parseFloat(record.afterMinutes ?? record.after_minutes);
+  if (Number.isFinite(before)) event.beforeMinutes = before;
+  if (Number.isFinite(after)) event.afterMinutes = after;
+  return event;
+}
+
+/**
+ * ISO 8601 date-time - UTC unless it carries an offset
+ */
+function parseTime(value) {
+  if (!value) return NaN;
+  let text = String(value).trim().replace(' ', 'T');
+  if (/T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) text += 'Z';
+  return Date.parse(text);
+}
+
+function parseCSV(text) {
+  const rows = text.split(/\r?\n/).filter(line => line.trim()).map(splitCSVLine);
+  const header = (rows.shift() || []).map(name => name.trim().toLowerCase());
+  return rows.map(row => Object.fromEntries(header.map((name, i) => [name, row[i] ?? ''])));
+}
+
+/**
+ * One CSV line into fields - double-quoted fields may hold commas and "" for a quote
+ */
+function splitCSVLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+function parseICS(text) {
+  // Unfold continuation lines (RFC 5545: a line starting with a space or tab continues the last)
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const records = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') { current = {}; continue; }
+    if (line === 'END:VEVENT') {
+      if (current) records.push(icsRecord(current));
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const colon = line.indexOf(':');
+    if (colon < 0) continue;
+    const [name, ...params] = line.substring(0, colon).split(';');
+    current[name.toUpperCase()] = { value: unescapeICS(line.substring(colon + 1)), params };
+  }
+  return records;
+}
+
+function icsRecord(properties) {
+  const summary = properties.SUMMARY?.value || '';
+  const leadingCurrency = /^([A-Z]{3})\b[\s:-]*(.*)$/.exec(summary);
+  const impactText = properties['X-IMPACT']?.value || properties.CATEGORIES?.value || '';
+  const impact = /high/i.test(impactText) ? 'high' : /medium/i.test(impactText) ? 'medium' : /low/i.test(impactText) ? 'low' : impactText;
+
+  return {
+    time: icsTime(properties.DTSTART),
+    currency: properties['X-CURRENCY']?.value || (leadingCurrency ? leadingCurrency[1] : ''),
+    impact,
+    title: properties['X-CURRENCY'] || !leadingCurrency ? summary : leadingCurrency[2]
+  };
+}
+
+/**
+ * DTSTART as epoch ms: 20260403T123000Z (UTC), ;TZID=America/New_York:20260403T083000
+ * (that zone's local time) or floating (taken as UTC)
+ */
+function icsTime(property) {
+  if (!property) return NaN;
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?)?(Z)?$/.exec(property.value.trim());
+  if (!match) return NaN;
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0', utc] = match;
+  const asUTC = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+  const tzid = property.params.find(param => param.toUpperCase().startsWith('TZID='));
+  if (utc || !tzid) return asUTC;
+
+  const timeZone = tzid.substring(5).replace(/^"|"$/g, '');
+  // Local wall time → UTC (offsets are whole minutes, so the seconds carry over)
+  return TimeZones.toUtc(`${year}-${month}-${day}`, Number(hour) * 60 + Number(minute), timeZone) + Number(second) * 1000;
+}
+
+function unescapeICS(value) {
+  return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1');
+}
+
+export default NewsCalendar;
@@ -1,42 +1,128 @@
 /**
  * Oanda API Client Wrapper
  * Handles all communication with Oanda v20 REST API
+ * Broker implementation for practice/live accounts (see broker.js)
  */
 import axios from 'axios';
 import Config from './config.js';
+import Broker from './broker.js';
+import instruments from './instruments.js';
+import TokenBucket from './token_bucket.js';
+import CircuitBreaker from './circuit_breaker.js';
+import { BrokerError } from './broker_errors.js';
 
-class OandaClient {
+// Share of OANDA_MAX_REQUESTS_PER_SECOND per endpoint class. Separate buckets mean a burst
+// of price polls or a candle backfill can't queue an order or a stop change behind it; the
+// shares sum to 1 so the account-wide limit still holds.
+const ENDPOINT_CLASS_SHARES = { trading: 0.2, pricing: 0.5, account: 0.3 };
+
+// Socket-level failures worth another attempt (no HTTP response at all)
+const RETRIABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK'];
+
+class OandaClient extends Broker {
   constructor(logger) {
-    this.logger = logger;
+    super(logger, 'Oanda');
     this.apiKey = Config.OANDA_API_KEY;
     this.accountId = Config.OANDA_ACCOUNT_ID;
     this.hostname = Config.getOandaHostname();
 
-    // Rate limiting
-    this.requestQueue = [];
-    this.requestsThisSecond = 0;
-    this.lastRequestTime = Date.now();
+    // Rate limiting - one token bucket per endpoint class
+    this.buckets = {};
+    for (const [endpointClass, share] of Object.entries(ENDPOINT_CLASS_SHARES)) {
+      this.buckets[endpointClass] = new TokenBucket(Math.max(1, Config.OANDA_MAX_REQUESTS_PER_SECOND * share));
+    }
+
+    // Outage detection - surfaced as 'unavailable' / 'available' events (see Broker)
+    this.breaker = new CircuitBreaker(Config.BREAKER_FAILURE_THRESHOLD, Config.BREAKER_COOLDOWN_SECONDS * 1000);
+    this.breaker.on('open', (status) => {
+      this.logger.error(`🔌 Oanda unavailable after ${status.consecutiveFailures} failed requests (${status.reason}) - pausing requests for ${Config.BREAKER_COOLDOWN_SECONDS}s`);
+      this.emit('unavailable', status);
+    });
+    this.breaker.on('close', (status) => {
+      this.logger.info(`🔌 Oanda reachable again after ${Math.round(status.downForMs / 1000)}s`);
+      this.emit('available', status);
+    });
 
     this.logger.info(`Oanda client initialized: ${this.hostname}`);
   }
 
+  getAvailability() {
+    return this.breaker.getStatus();
+  }
+
   /**
-   * Make authenticated request to Oanda API with rate limiting
+   * Which rate-limit bucket a request draws from
    */
-  async makeRequest(method, endpoint, data = null) {
-    // Simple rate limiting
-    const now = Date.now();
-    if (now - this.lastRequestTime < 1000) {
-      this.requestsThisSecond++;
-      if (this.requestsThisSecond >= Config.OANDA_MAX_REQUESTS_PER_SECOND) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        this.requestsThisSecond = 0;
-      }
-    } else {
-      this.requestsThisSecond = 0;
-      this.lastRequestTime = now;
+  endpointClass(method, endpoint) {
+    if (method !== 'GET') return 'trading';
+    if (endpoint.includes('/pricing') || endpoint.includes('/candles')) return 'pricing';
+    return 'account';
+  }
+
+  /**
+   * Turn an axios error into a BrokerError: network errors, 5xx and 429 are retriable,
+   * any other 4xx is final (bad request, auth, unknown ID - retrying changes nothing)
+   */
+  classifyError(error) {
+    const response = error.response;
+    const errorMsg = response?.data?.errorMessage || error.message;
+
+    if (!response) {
+      return new BrokerError(`Network error: ${errorMsg}`, {
+        code: error.code || null,
+        retriable: RETRIABLE_NETWORK_CODES.includes(error.code) || !error.code,
+        cause: error
+      });
     }
 
+    const status = response.status;
+    return new BrokerError(`Oanda ${status}: ${errorMsg}`, {
+      status,
+      code: response.data?.errorCode || response.data?.orderRejectTransaction?.rejectReason || null,
+      retriable: status === 429 || status >= 500,
+      retryAfterMs: this.parseRetryAfter(response.headers?.['retry-after']),
+      cause: error
+    });
+  }
+
+  /**
+   * Retry-After is either delta-seconds or an HTTP date
+   */
+  parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Exponential backoff with jitter (half fixed, half random) so clients that failed
+   * together don't all retry on the same tick
+   */
+  backoffDelay(attempt, error) {
+    if (error.retryAfterMs !== null) {
+      return Math.min(error.retryAfterMs, Config.RETRY_MAX_DELAY_MS);
+    }
+    const ceiling = Math.min(Config.RETRY_DELAY_MS * Math.pow(2, attempt - 1), Config.RETRY_MAX_DELAY_MS);
+    return ceiling / 2 + Math.random() * ceiling / 2;
+  }
+
+  /**
+   * Make authenticated request to Oanda API: rate limited, retried on transient errors,
+   * and refused outright while the circuit breaker is open
+   * @param {Object} options - { attempts } override Config.RETRY_ATTEMPTS;
+   *   { beforeRetry } async hook run before each retry - a truthy result is returned
+   *   in place of retrying (see submitOrder);
+   *   { skipBreaker } send even while the breaker is open or its probe is in flight - for
+   *   the lookups a submit's own retry depends on. The outcome still counts.
+   * @throws {BrokerUnavailable} while the breaker is open
+   * @throws {BrokerError} when the request fails for good
+   */
+  async makeRequest(method, endpoint, data = null, options = {}) {
+    const attempts = options.attempts || Config.RETRY_ATTEMPTS;
+    if (!options.skipBreaker) this.breaker.check();
+
     const config = {
       method,
       url: `${this.hostname}${endpoint}`,
@@ -52,23 +138,96 @@ class OandaClient {
       config.data = data;
     }
 
+    const bucket = this.buckets[this.endpointClass(method, endpoint)];
     let lastError;
-    for (let attempt = 1; attempt <= Config.RETRY_ATTEMPTS; attempt++) {
+    for (let attempt = 1; attempt <= attempts; attempt++) {
       try {
+        await bucket.take();
         const response = await axios(config);
+        this.breaker.recordSuccess();
         return response.data;
       } catch (error) {
-        lastError = error;
-        const errorMsg = error.response?.data?.errorMessage || error.message;
-        this.logger.warn(`Request failed (attempt ${attempt}/${Config.RETRY_ATTEMPTS}): ${errorMsg}`);
+        lastError = this.classifyError(error);
+        this.logger.warn(`Request failed (attempt ${attempt}/${attempts}): ${lastError.message}`);
 
-        if (attempt < Config.RETRY_ATTEMPTS) {
-          await new Promise(resolve => setTimeout(resolve, Config.RETRY_DELAY_MS * attempt));
+        if (!lastError.retriable) {
+          // Oanda answered - it's up, the request was wrong
+          this.breaker.recordSuccess();
+          throw lastError;
+        }
+
+        if (attempt < attempts) {
+          await new Promise(resolve => setTimeout(resolve, this.backoffDelay(attempt, lastError)));
+          if (options.beforeRetry) {
+            let recovered;
+            try {
+              recovered = await options.beforeRetry();
+            } catch (hookError) {
+              this.breaker.recordFailure(lastError);
+              throw hookError;
+            }
+            if (recovered) return recovered;
+          }
         }
       }
     }
 
-    throw new Error(`Request failed after ${Config.RETRY_ATTEMPTS} attempts: ${lastError.message}`);
+    lastError.message = `Request failed after ${attempts} attempts: ${lastError.message}`;
+    this.breaker.recordFailure(lastError);
+    throw lastError;
+  }
+
+  /**
+   * POST an order at most once. A request that timed out (or lost its response to a
+   * proxy 5xx) may still have been accepted, and blindly re-sending it opens a second
+   * position. With a client order ID, each retry first asks Oanda for that ID and, if
+   * it exists, rebuilds the original response from its transactions instead.
+   */
+  async submitOrder(orderSpec) {
+    const clientOrderId = orderSpec.order.clientExtensions?.id;
+    const endpoint = `/v3/accounts/${this.accountId}/orders`;
+    if (!clientOrderId) {
+      return this.makeRequest('POST', endpoint, orderSpec);
+    }
+    return this.makeRequest('POST', endpoint, orderSpec, {
+      beforeRetry: () => this.findSubmittedOrder(clientOrderId)
+    });
+  }
+
+  /**
+   * Look up an order by client ID and rebuild the POST /orders response it produced.
+   * Runs mid-submit - possibly as part of the breaker's half-open probe - so it bypasses
+   * the breaker gate rather than being refused by its own submit.
+   * @returns {Promise<Object|null>} null if Oanda never received it (safe to re-send)
+   * @throws {BrokerError} with clientOrderId set when the order's state can't be told
+   */
+  async findSubmittedOrder(clientOrderId) {
+    let order;
+    try {
+      const data = await this.makeRequest(
+        'GET', `/v3/accounts/${this.accountId}/orders/@${clientOrderId}`, null, { attempts: 1, skipBreaker: true }
+      );
+      order = data.order;
+    } catch (error) {
+      if (error.status === 404) return null;
+      // Can't tell whether the order exists - re-sending could double the position
+      throw new BrokerError(`Order ${clientOrderId} state unknown after failed submit (${error.message}) - not re-sending`, { cause: error, clientOrderId });
+    }
+
+    this.logger.warn(`♻️ Order ${clientOrderId} was already accepted (order ${order.id}, ${order.state}) - not re-sending`);
+
+    const lastId = order.fillingTransactionID || order.cancellingTransactionID || order.id;
+    const range = await this.makeRequest(
+      'GET', `/v3/accounts/${this.accountId}/transactions/idrange?from=${order.id}&to=${lastId}`, null, { skipBreaker: true }
+    );
+    const transactions = range.transactions || [];
+    const byId = id => transactions.find(tx => String(tx.id) === String(id));
+    return {
+      orderCreateTransaction: byId(order.id),
+      ...(order.fillingTransactionID ? { orderFillTransaction: byId(order.fillingTransactionID) } : {}),
+      ...(order.cancellingTransactionID ? { orderCancelTransaction: byId(order.cancellingTransactionID) } : {}),
+      recovered: true
+    };
   }
 
   /**
@@ -112,6 +271,7 @@ class OandaClient {
     try {
       const data = await this.makeRequest('GET', `/v3/accounts/${this.accountId}/pricing?instruments=${instrument}`);
       const pricing = data.prices[0];
+      const factors = pricing.quoteHomeConversionFactors;
 
       return {
         instrument: pricing.instrument,
@@ -119,6 +279,11 @@ class OandaClient {
         ask: parseFloat(pricing.asks[0].price),
         mid: (parseFloat(pricing.bids[0].price) + parseFloat(pricing.asks[0].price)) / 2,
         spread: parseFloat(pricing.asks[0].price) - parseFloat(pricing.bids[0].price),
+        // Quote → account currency (USD → GBP for XAU_USD on a GBP account)
+        quoteHomeConversion: factors ? {
+          positiveUnits: parseFloat(factors.positiveUnits),
+          negativeUnits: parseFloat(factors.negativeUnits)
+        } : null,
         time: pricing.time
       };
     } catch (error) {
@@ -133,26 +298,57 @@ class OandaClient {
    * @param {string} granularity - Candle granularity (e.g., H4 for 4-hour)
    * @param {number} count - Number of candles to retrieve (max 5000)
    */
-  async getCandles(instrument = Config.TRADING_SYMBOL, granularity = Config.TIMEFRAME, count = 200) {
+  async getCandles(instrument = Config.TRADING_SYMBOL, granularity = Config.TIMEFRAME, count = 200, options = {}) {
     try {
-      const endpoint = `/v3/instruments/${instrument}/candles?count=${count}&granularity=${granularity}&price=M`;
+      // count with from → count candles starting there; count with to → count candles ending there
+      // MBA: mid drives the indicators as before; bid/ask give the per-bar spread
+      const params = new URLSearchParams({ count: String(count), granularity, price: 'MBA' });
+      if (options.from) params.set('from', options.from.toISOString());
+      if (options.to) params.set('to', options.to.toISOString());
+      const endpoint = `/v3/instruments/${instrument}/candles?${params}`;
       const data = await this.makeRequest('GET', endpoint);
 
-      return data.candles.map(candle => ({
-        time: new Date(candle.time),
-        open: parseFloat(candle.mid.o),
-        high: parseFloat(candle.mid.h),
-        low: parseFloat(candle.mid.l),
-        close: parseFloat(candle.mid.c),
-        volume: parseInt(candle.volume),
-        complete: candle.complete
-      }));
+      const ohlc = (side) => side && ({
+        open: parseFloat(side.o),
+        high: parseFloat(side.h),
+        low: parseFloat(side.l),
+        close: parseFloat(side.c)
+      });
+      return data.candles.map(candle => {
+        const bid = ohlc(candle.bid);
+        const ask = ohlc(candle.ask);
+        return {
+          time: new Date(candle.time),
+          ...ohlc(candle.mid),
+          volume: parseInt(candle.volume),
+          complete: candle.complete,
+          bid,
+          ask,
+          // Spread at the bar's close - what an order placed on that close would have paid
+          spread: bid && ask ? instruments.roundPrice(ask.close - bid.close, instrument) : null
+        };
+      });
     } catch (error) {
       this.logger.error(`Failed to get candles: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Get the account's tradeable instruments (v20 Instrument definitions)
+   * @returns {Array<Object>} { name, pipLocation, displayPrecision, tradeUnitsPrecision,
+   *          minimumTradeSize, maximumOrderUnits, marginRate, ... } - numbers as strings
+   */
+  async getInstruments() {
+    try {
+      const data = await this.makeRequest('GET', `/v3/accounts/${this.accountId}/instruments`);
+      return data.instruments;
+    } catch (error) {
+      this.logger.error(`Failed to get instruments: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Place a market order
    * @param {string} instrument - Trading instrument (e.g., 'XAU_USD')
@@ -160,14 +356,16 @@ class OandaClient {
    * @param {number|null} stopLoss - Stop loss price
    * @param {number|null} takeProfit - Take profit price
    * @param {number|null} priceBound - Worst acceptable fill price (rejects if slippage exceeds this)
+   * @param {Object} options - { trailingStopDistance } broker-side trail distance in price units,
+   *   { clientExtensions, tradeClientExtensions } order tags (see OrderTags)
    */
-  async placeMarketOrder(instrument, units, stopLoss, takeProfit = null, priceBound = null) {
+  async placeMarketOrder(instrument, units, stopLoss, takeProfit = null, priceBound = null, options = {}) {
     try {
       const orderSpec = {
         order: {
           type: 'MARKET',
           instrument,
-          units: units.toString(),
+          units: instruments.formatUnits(units, instrument),
           timeInForce: 'FOK', // Fill or Kill
           positionFill: 'DEFAULT'
         }
@@ -175,13 +373,13 @@ class OandaClient {
 
       // Add price bound for slippage protection
       if (priceBound !== null) {
-        orderSpec.order.priceBound = priceBound.toFixed(2);
+        orderSpec.order.priceBound = instruments.formatPrice(priceBound, instrument);
       }
 
       // Add stop loss
       if (stopLoss) {
         orderSpec.order.stopLossOnFill = {
-          price: stopLoss.toFixed(2),
+          price: instruments.formatPrice(stopLoss, instrument),
           timeInForce: 'GTC'
         };
       }
@@ -189,12 +387,25 @@ class OandaClient {
       // Add take profit (optional)
       if (takeProfit) {
         orderSpec.order.takeProfitOnFill = {
-          price: takeProfit.toFixed(2),
+          price: instruments.formatPrice(takeProfit, instrument),
           timeInForce: 'GTC'
         };
       }
 
-      const data = await this.makeRequest('POST', `/v3/accounts/${this.accountId}/orders`, orderSpec);
+      // Add broker-side trailing stop (optional) - runs alongside the fixed stop
+      if (options.trailingStopDistance) {
+        orderSpec.order.trailingStopLossOnFill = {
+          distance: instruments.formatPrice(options.trailingStopDistance, instrument),
+          timeInForce: 'GTC'
+        };
+      }
+
+      if (options.clientExtensions) {
+        orderSpec.order.clientExtensions = options.clientExtensions;
+        orderSpec.order.tradeClientExtensions = options.tradeClientExtensions;
+      }
+
+      const data = await this.submitOrder(orderSpec);
 
       if (data.orderFillTransaction) {
         const fill = data.orderFillTransaction;
@@ -203,7 +414,7 @@ class OandaClient {
           orderId: fill.id,
           tradeId: fill.tradeOpened?.tradeID || fill.tradeReduced?.tradeID,
           instrument: fill.instrument,
-          units: parseInt(fill.units),
+          units: parseFloat(fill.units),
           price: parseFloat(fill.price),
           time: fill.time,
           pl: parseFloat(fill.pl || 0),
@@ -227,15 +438,28 @@ class OandaClient {
 
   /**
    * Close a position
+   * units = 'ALL' closes both sides; a signed number closes that many long (+) or short (-) units
    */
   async closePosition(instrument, units = 'ALL') {
     try {
-      const longOrShort = units > 0 ? 'long' : 'short';
       const endpoint = `/v3/accounts/${this.accountId}/positions/${instrument}/close`;
 
-      const data = await this.makeRequest('PUT', endpoint, {
-        [`${longOrShort}Units`]: units === 'ALL' ? 'ALL' : Math.abs(units).toString()
-      });
+      // 'ALL' > 0 is false, so the old side pick always sent shortUnits and a long
+      // position was never closed. Only name a side when we were given a signed amount.
+      let body;
+      if (units === 'ALL') {
+        const positions = await this.getOpenPositions();
+        const position = positions.find(p => p.instrument === instrument);
+        if (!position) {
+          return { success: false, reason: 'No open position' };
+        }
+        body = position.units > 0 ? { longUnits: 'ALL' } : { shortUnits: 'ALL' };
+      } else {
+        const closeUnits = instruments.formatUnits(Math.abs(units), instrument);
+        body = units > 0 ? { longUnits: closeUnits } : { shortUnits: closeUnits };
+      }
+
+      const data = await this.makeRequest('PUT', endpoint, body);
 
       if (data.longOrderFillTransaction || data.shortOrderFillTransaction) {
         const fill = data.longOrderFillTransaction || data.shortOrderFillTransaction;
@@ -243,7 +467,7 @@ class OandaClient {
           success: true,
           orderId: fill.id,
           instrument: fill.instrument,
-          units: parseInt(fill.units),
+          units: parseFloat(fill.units),
           price: parseFloat(fill.price),
           pl: parseFloat(fill.pl || 0),
           time: fill.time
@@ -270,7 +494,7 @@ class OandaClient {
 
         return {
           instrument: pos.instrument,
-          units: parseInt(side.units),
+          units: parseFloat(side.units),
           averagePrice: parseFloat(side.averagePrice),
           unrealizedPL: parseFloat(side.unrealizedPL || 0),
           pl: parseFloat(pos.pl || 0)
@@ -292,12 +516,15 @@ class OandaClient {
       return data.trades.map(trade => ({
         tradeId: trade.id,
         instrument: trade.instrument,
-        units: parseInt(trade.currentUnits),
+        units: parseFloat(trade.currentUnits),
         price: parseFloat(trade.price),
         unrealizedPL: parseFloat(trade.unrealizedPL || 0),
         openTime: new Date(trade.openTime),
         stopLoss: trade.stopLossOrder ? parseFloat(trade.stopLossOrder.price) : null,
-        takeProfit: trade.takeProfitOrder ? parseFloat(trade.takeProfitOrder.price) : null
+        takeProfit: trade.takeProfitOrder ? parseFloat(trade.takeProfitOrder.price) : null,
+        trailingStopDistance: trade.trailingStopLossOrder ? parseFloat(trade.trailingStopLossOrder.distance) : null,
+        trailingStopValue: trade.trailingStopLossOrder?.trailingStopValue ? parseFloat(trade.trailingStopLossOrder.trailingStopValue) : null,
+        clientExtensions: trade.clientExtensions || null
       }));
     } catch (error) {
       this.logger.error(`Failed to get open trades: ${error.message}`);
@@ -305,23 +532,146 @@ class OandaClient {
     }
   }
 
+  /**
+   * Place a LIMIT entry order
+   * Rests at the given price until filled or gtdTime; a price already through the market
+   * fills immediately (Oanda treats it as marketable).
+   * @param {string} instrument - Trading instrument (e.g., 'XAU_USD')
+   * @param {number} units - Position size (positive=LONG, negative=SHORT)
+   * @param {number} price - Limit price
+   * @param {number|null} stopLoss - Stop loss price (attached on fill)
+   * @param {number|null} takeProfit - Take profit price (attached on fill)
+   * @param {Date|null} gtdTime - Expiry (null = GTC)
+   * @param {Object} options - { trailingStopDistance } broker-side trail distance in price units,
+   *   { clientExtensions, tradeClientExtensions } order tags (see OrderTags)
+   */
+  async placeLimitOrder(instrument, units, price, stopLoss, takeProfit = null, gtdTime = null, options = {}) {
+    try {
+      const orderSpec = {
+        order: {
+          type: 'LIMIT',
+          instrument,
+          units: instruments.formatUnits(units, instrument),
+          price: instruments.formatPrice(price, instrument),
+          timeInForce: gtdTime ? 'GTD' : 'GTC',
+          positionFill: 'DEFAULT',
+          triggerCondition: 'DEFAULT'
+        }
+      };
+
+      if (gtdTime) {
+        orderSpec.order.gtdTime = gtdTime.toISOString();
+      }
+
+      if (stopLoss) {
+        orderSpec.order.stopLossOnFill = {
+          price: instruments.formatPrice(stopLoss, instrument),
+          timeInForce: 'GTC'
+        };
+      }
+
+      if (takeProfit) {
+        orderSpec.order.takeProfitOnFill = {
+          price: instruments.formatPrice(takeProfit, instrument),
+          timeInForce: 'GTC'
+        };
+      }
+
+      if (options.trailingStopDistance) {
+        orderSpec.order.trailingStopLossOnFill = {
+          distance: instruments.formatPrice(options.trailingStopDistance, instrument),
+          timeInForce: 'GTC'
+        };
+      }
+
+      if (options.clientExtensions) {
+        orderSpec.order.clientExtensions = options.clientExtensions;
+        orderSpec.order.tradeClientExtensions = options.tradeClientExtensions;
+      }
+
+      const data = await this.submitOrder(orderSpec);
+
+      if (data.orderFillTransaction) {
+        const fill = data.orderFillTransaction;
+        return {
+          success: true,
+          filled: true,
+          orderId: data.orderCreateTransaction?.id || fill.orderID,
+          tradeId: fill.tradeOpened?.tradeID || fill.tradeReduced?.tradeID,
+          instrument: fill.instrument,
+          units: parseFloat(fill.units),
+          price: parseFloat(fill.price),
+          time: fill.time
+        };
+      } else if (data.orderCancelTransaction) {
+        const cancel = data.orderCancelTransaction;
+        return {
+          success: false,
+          reason: cancel.reason,
+          rejectReason: data.orderRejectTransaction?.rejectReason
+        };
+      } else if (data.orderCreateTransaction) {
+        return {
+          success: true,
+          filled: false,
+          orderId: data.orderCreateTransaction.id
+        };
+      }
+
+      throw new Error('Unexpected order response');
+    } catch (error) {
+      this.logger.error(`Failed to place limit order: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a pending order
+   * @param {string} orderId - Oanda order ID
+   */
+  async cancelOrder(orderId) {
+    try {
+      const data = await this.makeRequest('PUT', `/v3/accounts/${this.accountId}/orders/${orderId}/cancel`);
+
+      return {
+        success: true,
+        orderId,
+        reason: data.orderCancelTransaction?.reason
+      };
+    } catch (error) {
+      this.logger.error(`Failed to cancel order ${orderId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single order by ID (pending, filled or cancelled)
+   * @param {string} orderId - Oanda order ID
+   * @returns {Object|null} v20 Order
+   */
+  async getOrder(orderId) {
+    const data = await this.makeRequest('GET', `/v3/accounts/${this.accountId}/orders/${orderId}`);
+    return data.order || null;
+  }
+
   /**
    * Modify trade (update stop loss / take profit)
+   * @param {string} instrument - The trade's instrument (sets the price precision)
    */
-  async modifyTrade(tradeId, stopLoss = null, takeProfit = null) {
+  async modifyTrade(tradeId, stopLoss = null, takeProfit = null, instrument = Config.TRADING_SYMBOL) {
     try {
       const updates = {};
 
       if (stopLoss !== null) {
         updates.stopLoss = {
-          price: stopLoss.toFixed(2),
+          price: instruments.formatPrice(stopLoss, instrument),
           timeInForce: 'GTC'
         };
       }
 
       if (takeProfit !== null) {
         updates.takeProfit = {
-          price: takeProfit.toFixed(2),
+          price: instruments.formatPrice(takeProfit, instrument),
           timeInForce: 'GTC'
         };
       }
@@ -340,6 +690,78 @@ class OandaClient {
     }
   }
 
+  /**
+   * Create or replace the Oanda-native trailing stop on a trade.
+   * Oanda moves it server-side, so the trail keeps working while the bot is offline.
+   * @param {string} tradeId - Oanda trade ID
+   * @param {number} distance - Trail distance in price units (e.g. 1.50 = $1.50)
+   * @param {string} instrument - The trade's instrument (sets the distance precision)
+   */
+  async setTrailingStop(tradeId, distance, instrument = Config.TRADING_SYMBOL) {
+    try {
+      const data = await this.makeRequest('PUT', `/v3/accounts/${this.accountId}/trades/${tradeId}/orders`, {
+        trailingStopLoss: {
+          distance: instruments.formatPrice(distance, instrument),
+          timeInForce: 'GTC'
+        }
+      });
+
+      return {
+        success: true,
+        tradeId,
+        distance: parseFloat(data.trailingStopLossOrderTransaction?.distance || distance)
+      };
+    } catch (error) {
+      this.logger.error(`Failed to set trailing stop on trade ${tradeId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Close all or part of a single trade (partial close at TP1, manual close)
+   * @param {string} tradeId - Oanda trade ID
+   * @param {string|number} units - Units to close, or 'ALL'
+   */
+  async closeTrade(tradeId, units = 'ALL') {
+    try {
+      const data = await this.makeRequest('PUT', `/v3/accounts/${this.accountId}/trades/${tradeId}/close`, {
+        units: String(units)
+      });
+
+      const fill = data.orderFillTransaction;
+      if (!fill) {
+        return { success: false, reason: data.orderCancelTransaction?.reason || 'No fill transaction' };
+      }
+
+      return {
+        success: true,
+        orderId: fill.id,
+        price: parseFloat(fill.price),
+        units: parseFloat(fill.units),
+        pl: parseFloat(fill.pl || 0)
+      };
+    } catch (error) {
+      this.logger.error(`Failed to close trade ${tradeId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single trade (open or closed) as the raw v20 Trade object
+   */
+  async getTrade(tradeId) {
+    const data = await this.makeRequest('GET', `/v3/accounts/${this.accountId}/trades/${tradeId}`);
+    return data.trade || null;
+  }
+
+  /**
+   * Get raw v20 transactions by ID range (inclusive)
+   */
+  async getTransactionRange(fromId, toId) {
+    const data = await this.makeRequest('GET', `/v3/accounts/${this.accountId}/transactions/idrange?from=${fromId}&to=${toId}`);
+    return data.transactions || [];
+  }
+
   /**
    * Test connection to Oanda API
    */
@@ -0,0 +1,212 @@
+/**
+ * Oanda v20 Streaming Connection
+ *
+ * Base class for Oanda's chunked-HTTP streaming endpoints (pricing and transactions).
+ * Each line on the wire is one JSON message; Oanda interleaves HEARTBEAT messages
+ * every ~5 seconds so a silent socket can be told apart from a quiet market.
+ *
+ * Handles:
+ * - Line framing (a chunk can carry half a message or several at once)
+ * - Heartbeat watchdog (no message for STREAM_HEARTBEAT_TIMEOUT_SECONDS → reconnect)
+ * - Reconnect with exponential backoff, capped at STREAM_RECONNECT_MAX_DELAY_SECONDS
+ *
+ * Subclasses implement handleMessage(message) and emit their own events.
+ * Emits: 'connected', 'disconnected', 'heartbeat'
+ */
+import { EventEmitter } from 'events';
+import axios from 'axios';
+import Config from './config.js';
+
+class OandaStream extends EventEmitter {
+  constructor(logger, endpoint, label) {
+    super();
+    this.logger = logger;
+    this.endpoint = endpoint;
+    this.label = label;
+    this.hostname = Config.getOandaStreamHostname();
+
+    this.running = false;
+    this.connected = false;
+    this.abortController = null;
+    this.reconnectTimer = null;
+    this.watchdogTimer = null;
+    this.reconnectAttempts = 0;
+    // Bumped on every (dis)connect so events from a torn-down socket are ignored
+    this.connectionId = 0;
+
+    // Last time ANY message (price, transaction or heartbeat) arrived
+    this.lastMessageTime = null;
+    this.lastHeartbeatTime = null;
+  }
+
+  /**
+   * Open the stream. Returns immediately - connection happens in the background
+   * and is retried until stop() is called.
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.logger.info(`📡 Starting ${this.label} stream: ${this.hostname}${this.endpoint}`);
+    this.connect();
+  }
+
+  /**
+   * Close the stream and cancel any pending reconnect
+   */
+  stop() {
+    this.running = false;
+    this.connectionId++;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.watchdogTimer);
+    this.reconnectTimer = null;
+    this.watchdogTimer = null;
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+    if (this.connected) {
+      this.connected = false;
+      this.emit('disconnected');
+    }
+    this.logger.info(`📡 ${this.label} stream stopped`);
+  }
+
+  /**
+   * True when the stream is connected and has delivered a message recently enough
+   * that callers can rely on it instead of polling.
+   */
+  isHealthy() {
+    if (!this.connected || !this.lastMessageTime) return false;
+    return Date.now() - this.lastMessageTime < Config.STREAM_HEARTBEAT_TIMEOUT_SECONDS * 1000;
+  }
+
+  async connect() {
+    if (!this.running) return;
+
+    this.abortController = new AbortController();
+    const connectionId = ++this.connectionId;
+    const isCurrent = () => connectionId === this.connectionId;
+    let buffer = '';
+
+    try {
+      const response = await axios({
+        method: 'GET',
+        url: `${this.hostname}${this.endpoint}`,
+        headers: {
+          'Authorization': `Bearer ${Config.OANDA_API_KEY}`,
+          'Accept-Datetime-Format': 'RFC3339'
+        },
+        responseType: 'stream',
+        signal: this.abortController.signal,
+        timeout: 30000 // Connect timeout only - the body is read until we abort
+      });
+
+      const stream = response.data;
+      this.connected = true;
+      this.lastMessageTime = Date.now();
+      this.startWatchdog();
+      this.logger.info(`✅ ${this.label} stream connected`);
+      this.emit('connected');
+
+      stream.on('data', (chunk) => {
+        if (!isCurrent()) return;
+        buffer += chunk.toString('utf8');
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, newline).trim();
+          buffer = buffer.slice(newline + 1);
+          if (line) this.processLine(line);
+        }
+      });
+
+      stream.on('end', () => isCurrent() && this.handleDisconnect('stream ended by server'));
+      stream.on('error', (error) => isCurrent() && this.handleDisconnect(error.message));
+    } catch (error) {
+      if (axios.isCancel(error) || !this.running || !isCurrent()) return;
+      const status = error.response?.status;
+      this.handleDisconnect(status ? `HTTP ${status}` : error.message);
+    }
+  }
+
+  processLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      this.logger.warn(`${this.label} stream: unparseable message dropped (${line.substring(0, 80)})`);
+      return;
+    }
+
+    this.lastMessageTime = Date.now();
+    // Only a delivered message proves the connection works - a server that accepts
+    // then immediately drops us should keep backing off, not retry every second
+    this.reconnectAttempts = 0;
+
+    if (message.type === 'HEARTBEAT') {
+      this.lastHeartbeatTime = this.lastMessageTime;
+      this.emit('heartbeat', message);
+      return;
+    }
+
+    try {
+      this.handleMessage(message);
+    } catch (error) {
+      this.logger.error(`${this.label} stream handler error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Subclass hook - called for every non-heartbeat message
+   */
+  handleMessage(message) {
+    throw new Error('handleMessage() must be implemented by subclass');
+  }
+
+  /**
+   * Heartbeats arrive every ~5s. If nothing at all has arrived for the timeout the
+   * TCP connection is probably half-open (common across NAT/VPS restarts) - the
+   * socket never errors, it just goes quiet. Tear it down and reconnect.
+   */
+  startWatchdog() {
+    clearInterval(this.watchdogTimer);
+    const timeoutMs = Config.STREAM_HEARTBEAT_TIMEOUT_SECONDS * 1000;
+    this.watchdogTimer = setInterval(() => {
+      if (this.connected && Date.now() - this.lastMessageTime > timeoutMs) {
+        this.handleDisconnect(`no heartbeat for ${Config.STREAM_HEARTBEAT_TIMEOUT_SECONDS}s`);
+      }
+    }, Math.min(timeoutMs, 5000));
+  }
+
+  handleDisconnect(reason) {
+    this.connectionId++;
+    clearInterval(this.watchdogTimer);
+    this.watchdogTimer = null;
+
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+
+    const wasConnected = this.connected;
+    this.connected = false;
+    if (wasConnected) {
+      this.emit('disconnected');
+    }
+
+    if (!this.running || this.reconnectTimer) return;
+
+    // Exponential backoff: 1s, 2s, 4s ... capped
+    const maxDelayMs = Config.STREAM_RECONNECT_MAX_DELAY_SECONDS * 1000;
+    const delayMs = Math.min(1000 * Math.pow(2, this.reconnectAttempts), maxDelayMs);
+    this.reconnectAttempts++;
+
+    this.logger.warn(`📡 ${this.label} stream disconnected (${reason}) - reconnecting in ${(delayMs / 1000).toFixed(0)}s (attempt ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delayMs);
+  }
+}
+
+export default OandaStream;
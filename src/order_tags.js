@@ -0,0 +1,65 @@
+/**
+ * Order Tags
+ *
+ * Oanda clientExtensions we attach to every entry order, so the broker itself records
+ * which strategy a trade belongs to:
+ *   - order.clientExtensions.id - client order ID, deterministic per placement attempt.
+ *     OandaClient looks it up before retrying a POST /orders whose response was lost,
+ *     so a timeout after Oanda accepted the order can't open a second position.
+ *   - order.tradeClientExtensions - copied by Oanda onto the trade it opens:
+ *     tag = strategy name, comment = tracker trade ID + config regime.
+ *     syncPositionsWithOanda reads these back to re-adopt trades after a crash, even
+ *     if active_positions.json is gone.
+ */
+import Config from './config.js';
+
+// v20 limits clientExtensions id/tag/comment to 128 characters each
+const MAX_FIELD_LENGTH = 128;
+
+class OrderTags {
+  /**
+   * clientExtensions for one placement attempt of an entry
+   * @param {string} strategyName
+   * @param {string} trackerTradeId - StrategyTracker ID the trade will be recorded under
+   * @param {number} attempt - 1 for the first order, 2+ for executeTrade's SL fallbacks.
+   *   Each attempt is a distinct order, so each needs its own ID.
+   * @returns {{ clientExtensions, tradeClientExtensions }}
+   */
+  static build(strategyName, trackerTradeId, attempt = 1) {
+    // Oanda rejects IDs it can't put in a URL path (GET /orders/@{id}), so keep it plain
+    const slug = trackerTradeId.replace(/[^A-Za-z0-9_]+/g, '-');
+    const clientOrderId = `${slug}-${attempt}`.slice(-MAX_FIELD_LENGTH);
+    const tag = strategyName.slice(0, MAX_FIELD_LENGTH);
+    const comment = `tracker=${trackerTradeId};regime=${Config.CONFIG_REGIME.replace(/[;=]/g, '-')}`
+      .slice(0, MAX_FIELD_LENGTH);
+
+    return {
+      clientExtensions: { id: clientOrderId, tag, comment },
+      tradeClientExtensions: { id: `${clientOrderId}-trade`.slice(-MAX_FIELD_LENGTH), tag, comment }
+    };
+  }
+
+  /**
+   * Read a trade's clientExtensions back
+   * @returns {{ strategyName, trackerTradeId, regime } | null} null for trades we didn't tag
+   *   (opened by hand, or before tagging existed)
+   */
+  static parse(clientExtensions) {
+    if (!clientExtensions?.tag || !clientExtensions?.comment) return null;
+
+    const fields = {};
+    for (const part of clientExtensions.comment.split(';')) {
+      const [key, ...rest] = part.split('=');
+      if (key && rest.length) fields[key] = rest.join('=');
+    }
+    if (!fields.tracker) return null;
+
+    return {
+      strategyName: clientExtensions.tag,
+      trackerTradeId: fields.tracker,
+      regime: fields.regime || null
+    };
+  }
+}
+
+export default OrderTags;
@@ -0,0 +1,782 @@
+/**
+ * Paper Broker
+ * In-process simulated account for forward-testing a config without touching Oanda -
+ * not even a practice account. Market data (prices, candles) still comes from Oanda;
+ * orders, trades, stops and P&L live entirely in this process.
+ *
+ * Fills are matched against the live price feed:
+ * - SIMULATE_SPREAD: longs fill at the ask and exit at the bid (shorts the reverse);
+ *   off = everything fills at mid
+ * - SIMULATE_SLIPPAGE: every market fill and stop fill slips against us by a random
+ *   0-2x SLIPPAGE_PIPS (averaging SLIPPAGE_PIPS)
+ * - Stops fill at the worse of the stop level and the current price, so a price gap
+ *   through the stop costs what it would cost live. Take profits fill at their level.
+ * - Trailing stops ratchet their trigger behind the best exit price seen, like Oanda's,
+ *   and fill like a stop once crossed
+ * - Limit entries fill at their price (or better, if the market gaps through) and expire
+ *   at their GTD time
+ *
+ * Prices reach the broker three ways: every getPrice() call, onPrice() (wired to the
+ * pricing stream by index.js), and a PAPER_PRICE_CHECK_SECONDS poll while trades are open.
+ *
+ * Account state persists to data/paper_account.json so a forward test survives restarts.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Config from './config.js';
+import Broker from './broker.js';
+import instruments from './instruments.js';
+import clock from './clock.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Account file path - use /app/data in Docker, ./data locally
+const DATA_DIR = process.env.DATA_DIR || (process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..', 'data'));
+const ACCOUNT_FILE = path.join(DATA_DIR, 'paper_account.json');
+
+// Keep the transaction log bounded - closed-trade lookups only need recent history
+const MAX_TRANSACTIONS = 2000;
+
+class PaperBroker extends Broker {
+  /**
+   * @param {Object} logger
+   * @param {Broker} marketData - Broker used for prices and candles only (an OandaClient,
+   *   or a ReplayMarket playing back stored candles)
+   */
+  constructor(logger, marketData) {
+    super(logger, 'Paper');
+    this.isSimulated = true;
+    this.market = marketData;
+    // Prices still come from Oanda, so its outages are ours
+    for (const event of ['unavailable', 'available']) {
+      this.market.on(event, (status) => this.emit(event, status));
+    }
+
+    this.currency = 'USD'; // P&L is booked in the quote currency - USD-quoted instruments only
+    this.balance = Config.INITIAL_BALANCE;
+    this.realizedPL = 0;
+    this.trades = {};        // tradeId → internal trade record (open and recently closed)
+    this.orders = {};        // orderId → pending/filled/cancelled limit entry orders
+    this.transactions = [];
+    this.lastTransactionId = 0;
+
+    this.lastPrices = new Map();
+    this.priceTimer = null;
+
+    this.loadState();
+    this.logger.info(`📄 Paper broker initialized: balance $${this.balance.toFixed(2)}, ${this.openTradeList().length} open trade(s)`);
+    this.logger.info(`📄 Simulation: spread ${Config.SIMULATE_SPREAD ? 'ON' : 'OFF'}, slippage ${Config.SIMULATE_SLIPPAGE ? `ON (~${Config.SLIPPAGE_PIPS} pips)` : 'OFF'}`);
+  }
+
+  // ─── Persistence ─────────────────────────────────────────
+
+  saveState() {
+    try {
+      if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+      }
+
+      const state = {
+        balance: this.balance,
+        realizedPL: this.realizedPL,
+        trades: this.trades,
+        orders: this.orders,
+        transactions: this.transactions,
+        lastTransactionId: this.lastTransactionId,
+        savedAt: new Date().toISOString()
+      };
+
+      fs.writeFileSync(ACCOUNT_FILE, JSON.stringify(state, null, 2));
+    } catch (error) {
+      this.logger.error(`Failed to save paper account: ${error.message}`);
+    }
+  }
+
+  loadState() {
+    try {
+      if (!fs.existsSync(ACCOUNT_FILE)) {
+        this.logger.info(`📂 No paper account found, starting fresh with $${this.balance.toFixed(2)}`);
+        return;
+      }
+
+      const state = JSON.parse(fs.readFileSync(ACCOUNT_FILE, 'utf8'));
+      this.balance = state.balance ?? this.balance;
+      this.realizedPL = state.realizedPL || 0;
+      this.trades = state.trades || {};
+      this.orders = state.orders || {};
+      this.transactions = state.transactions || [];
+      this.lastTransactionId = state.lastTransactionId || 0;
+      this.logger.info(`📂 Loaded paper account (saved at ${state.savedAt})`);
+    } catch (error) {
+      this.logger.error(`Failed to load paper account: ${error.message}`);
+    }
+  }
+
+  // ─── Background price checks ─────────────────────────────
+
+  start() {
+    if (this.priceTimer) return;
+    this.priceTimer = setInterval(async () => {
+      const watched = [...new Set([...this.openTradeList(), ...this.pendingOrderList()].map(t => t.instrument))];
+      for (const instrument of watched) {
+        try {
+          await this.getPrice(instrument);
+        } catch (error) {
+          this.logger.warn(`Paper broker price check failed: ${error.message}`);
+        }
+      }
+    }, Config.PAPER_PRICE_CHECK_SECONDS * 1000);
+  }
+
+  stop() {
+    clearInterval(this.priceTimer);
+    this.priceTimer = null;
+    this.saveState();
+  }
+
+  /**
+   * Feed a price into the simulation (pricing stream ticks) - fires any stops/targets crossed
+   */
+  onPrice(price) {
+    this.lastPrices.set(price.instrument, price);
+    this.checkPendingOrders(price);
+    this.checkStops(price);
+  }
+
+  // ─── Simulation helpers ──────────────────────────────────
+
+  openTradeList() {
+    return Object.values(this.trades).filter(t => t.state === 'OPEN');
+  }
+
+  pendingOrderList() {
+    return Object.values(this.orders).filter(o => o.state === 'PENDING');
+  }
+
+  /**
+   * Price we'd get entering (isEntry) or exiting a position of the given direction
+   */
+  executablePrice(price, isLong, isEntry) {
+    if (!Config.SIMULATE_SPREAD) return price.mid;
+    const buying = isEntry ? isLong : !isLong;
+    return buying ? price.ask : price.bid;
+  }
+
+  /**
+   * Random adverse slippage in price terms (0 when SIMULATE_SLIPPAGE is off) - in the
+   * instrument's own pips
+   */
+  slippage(instrument) {
+    if (!Config.SIMULATE_SLIPPAGE) return 0;
+    return Config.pipsToPrice(Math.random() * 2 * Config.SLIPPAGE_PIPS, instrument);
+  }
+
+  /**
+   * Keep simulated fills on the instrument's quote grid (3 decimals for gold)
+   */
+  roundPrice(price, instrument) {
+    return instruments.roundPrice(price, instrument);
+  }
+
+  addTransaction(fields) {
+    this.lastTransactionId++;
+    const transaction = {
+      id: String(this.lastTransactionId),
+      time: clock.date().toISOString(),
+      ...fields
+    };
+    this.transactions.push(transaction);
+    if (this.transactions.length > MAX_TRANSACTIONS) {
+      this.transactions.splice(0, this.transactions.length - MAX_TRANSACTIONS);
+    }
+    this.emit('transaction', transaction);
+    return transaction;
+  }
+
+  unrealizedPL(trade) {
+    const price = this.lastPrices.get(trade.instrument);
+    if (!price) return 0;
+    const isLong = trade.currentUnits > 0;
+    return (this.executablePrice(price, isLong, false) - trade.price) * trade.currentUnits;
+  }
+
+  /**
+   * Close (part of) a trade at a price and book the P&L
+   */
+  fillClose(trade, units, exitPrice, reason) {
+    const direction = trade.currentUnits > 0 ? 1 : -1;
+    const closeUnits = Math.min(Math.abs(units), Math.abs(trade.currentUnits));
+    const pl = (exitPrice - trade.price) * closeUnits * direction;
+    const fullClose = closeUnits === Math.abs(trade.currentUnits);
+
+    const closed = {
+      tradeID: trade.id,
+      units: String(-direction * closeUnits),
+      price: instruments.formatPrice(exitPrice, trade.instrument),
+      realizedPL: pl.toFixed(4)
+    };
+
+    const fill = this.addTransaction({
+      type: 'ORDER_FILL',
+      instrument: trade.instrument,
+      units: String(-direction * closeUnits),
+      price: instruments.formatPrice(exitPrice, trade.instrument),
+      pl: pl.toFixed(4),
+      reason,
+      ...(fullClose ? { tradesClosed: [closed] } : { tradeReduced: closed })
+    });
+
+    this.balance += pl;
+    this.realizedPL += pl;
+    trade.realizedPL += pl;
+    trade.currentUnits -= direction * closeUnits;
+    trade.closingTransactionIDs.push(fill.id);
+
+    if (fullClose) {
+      trade.state = 'CLOSED';
+      trade.averageClosePrice = exitPrice;
+      trade.closeTime = fill.time;
+      if (trade.stopLossOrder) trade.stopLossOrder.state = reason === 'STOP_LOSS_ORDER' ? 'FILLED' : 'CANCELLED';
+      if (trade.takeProfitOrder) trade.takeProfitOrder.state = reason === 'TAKE_PROFIT_ORDER' ? 'FILLED' : 'CANCELLED';
+      if (trade.trailingStopLossOrder) trade.trailingStopLossOrder.state = reason === 'TRAILING_STOP_LOSS_ORDER' ? 'FILLED' : 'CANCELLED';
+      this.pruneClosedTrades();
+    }
+
+    this.saveState();
+    this.logger.info(`📄 Paper ${fullClose ? 'close' : 'partial close'}: trade ${trade.id} ${closeUnits} units @ $${exitPrice.toFixed(2)} (${reason}) P&L $${pl.toFixed(2)}`);
+
+    if (fullClose) {
+      this.emit('tradeClosed', {
+        tradeId: trade.id,
+        exitPrice,
+        realizedPL: pl,
+        units: -direction * closeUnits,
+        reason,
+        transactionId: fill.id,
+        time: fill.time
+      });
+    }
+
+    return { fill, pl, closeUnits };
+  }
+
+  /**
+   * Closed trades are kept for getTrade() lookups; drop the oldest beyond 200
+   */
+  pruneClosedTrades() {
+    const closed = Object.values(this.trades).filter(t => t.state === 'CLOSED');
+    if (closed.length <= 200) return;
+    closed
+      .sort((a, b) => parseInt(a.id) - parseInt(b.id))
+      .slice(0, closed.length - 200)
+      .forEach(t => delete this.trades[t.id]);
+  }
+
+  /**
+   * Fire any stop loss / trailing stop / take profit this price has crossed
+   */
+  checkStops(price) {
+    for (const trade of this.openTradeList()) {
+      if (trade.instrument !== price.instrument) continue;
+
+      const isLong = trade.currentUnits > 0;
+      const exitPrice = this.executablePrice(price, isLong, false);
+      const sl = trade.stopLossOrder?.state === 'PENDING' ? trade.stopLossOrder.price : null;
+      const tp = trade.takeProfitOrder?.state === 'PENDING' ? trade.takeProfitOrder.price : null;
+      const tsl = trade.trailingStopLossOrder?.state === 'PENDING' ? this.ratchetTrailingStop(trade, exitPrice) : null;
+
+      // Stop is a market order once triggered: worse of stop and market, then slippage
+      const stopFill = (level) => {
+        const worst = isLong ? Math.min(level, exitPrice) : Math.max(level, exitPrice);
+        return this.roundPrice(isLong ? worst - this.slippage(trade.instrument) : worst + this.slippage(trade.instrument), trade.instrument);
+      };
+
+      if (sl !== null && (isLong ? exitPrice <= sl : exitPrice >= sl)) {
+        this.fillClose(trade, trade.currentUnits, stopFill(sl), 'STOP_LOSS_ORDER');
+      } else if (tsl !== null && (isLong ? exitPrice <= tsl : exitPrice >= tsl)) {
+        this.fillClose(trade, trade.currentUnits, stopFill(tsl), 'TRAILING_STOP_LOSS_ORDER');
+      } else if (tp !== null && (isLong ? exitPrice >= tp : exitPrice <= tp)) {
+        this.fillClose(trade, trade.currentUnits, tp, 'TAKE_PROFIT_ORDER');
+      }
+    }
+  }
+
+  /**
+   * Book an entry fill: ORDER_FILL transaction, trade record and its dependent orders
+   */
+  openTrade(orderId, instrument, units, fillPrice, reason, onFill = {}) {
+    const fill = this.addTransaction({
+      type: 'ORDER_FILL',
+      orderID: orderId,
+      instrument,
+      units: String(units),
+      price: instruments.formatPrice(fillPrice, instrument),
+      pl: '0.0000',
+      reason,
+      tradeOpened: { tradeID: String(this.lastTransactionId + 1), units: String(units) }
+    });
+
+    const trade = {
+      id: fill.id,
+      instrument,
+      price: fillPrice,
+      openTime: fill.time,
+      initialUnits: units,
+      currentUnits: units,
+      state: 'OPEN',
+      realizedPL: 0,
+      stopLossOrder: null,
+      takeProfitOrder: null,
+      trailingStopLossOrder: null,
+      clientExtensions: onFill.tradeClientExtensions || null,
+      closingTransactionIDs: []
+    };
+    this.trades[trade.id] = trade;
+    this.setDependentOrder(trade, 'stopLossOrder', onFill.stopLoss || null);
+    this.setDependentOrder(trade, 'takeProfitOrder', onFill.takeProfit || null);
+    if (onFill.trailingStopDistance) this.setTrailingStopOrder(trade, onFill.trailingStopDistance);
+    return { fill, trade };
+  }
+
+  /**
+   * Fill or expire resting limit entries against this price
+   */
+  checkPendingOrders(price) {
+    const now = clock.now();
+    for (const order of this.pendingOrderList()) {
+      if (order.instrument !== price.instrument) continue;
+
+      if (order.gtdTime && now >= new Date(order.gtdTime).getTime()) {
+        this.cancelPendingOrder(order, 'TIME_IN_FORCE_EXPIRED');
+        continue;
+      }
+
+      const isLong = order.units > 0;
+      const entryPrice = this.executablePrice(price, isLong, true);
+      if (isLong ? entryPrice > order.price : entryPrice < order.price) continue;
+
+      // A limit never fills worse than its price; a gap through it fills at the market
+      const fillPrice = this.roundPrice(isLong ? Math.min(order.price, entryPrice) : Math.max(order.price, entryPrice), order.instrument);
+      const { fill, trade } = this.openTrade(order.id, order.instrument, order.units, fillPrice, 'LIMIT_ORDER', order);
+      order.state = 'FILLED';
+      order.tradeOpenedID = trade.id;
+      order.fillingTransactionID = fill.id;
+      this.saveState();
+      this.logger.info(`📄 Paper limit fill: order ${order.id} ${isLong ? 'BUY' : 'SELL'} ${Math.abs(order.units)} ${order.instrument} @ $${fillPrice.toFixed(2)} → trade ${trade.id}`);
+    }
+  }
+
+  cancelPendingOrder(order, reason) {
+    const cancel = this.addTransaction({ type: 'ORDER_CANCEL', orderID: order.id, reason });
+    order.state = 'CANCELLED';
+    order.cancellingTransactionID = cancel.id;
+    this.saveState();
+    this.logger.info(`📄 Paper order ${order.id} cancelled: ${reason}`);
+    return cancel;
+  }
+
+  /**
+   * Move a trailing stop's trigger up behind the exit price (never back) and return it
+   */
+  ratchetTrailingStop(trade, exitPrice) {
+    const order = trade.trailingStopLossOrder;
+    const isLong = trade.currentUnits > 0;
+    const candidate = this.roundPrice(isLong ? exitPrice - order.distance : exitPrice + order.distance, trade.instrument);
+    if (order.trailingStopValue === null || (isLong ? candidate > order.trailingStopValue : candidate < order.trailingStopValue)) {
+      order.trailingStopValue = candidate;
+    }
+    return order.trailingStopValue;
+  }
+
+  setTrailingStopOrder(trade, distance) {
+    const transaction = this.addTransaction({
+      type: 'TRAILING_STOP_LOSS_ORDER',
+      tradeID: trade.id,
+      distance: instruments.formatPrice(distance, trade.instrument),
+      timeInForce: 'GTC'
+    });
+    trade.trailingStopLossOrder = { id: transaction.id, distance, trailingStopValue: null, state: 'PENDING', timeInForce: 'GTC' };
+    const price = this.lastPrices.get(trade.instrument);
+    if (price) {
+      this.ratchetTrailingStop(trade, this.executablePrice(price, trade.currentUnits > 0, false));
+    }
+    return transaction;
+  }
+
+  setDependentOrder(trade, key, price) {
+    if (price === null || price === undefined) return null;
+    const type = key === 'stopLossOrder' ? 'STOP_LOSS_ORDER' : 'TAKE_PROFIT_ORDER';
+    const transaction = this.addTransaction({ type, tradeID: trade.id, price: instruments.formatPrice(price, trade.instrument), timeInForce: 'GTC' });
+    trade[key] = { id: transaction.id, price: this.roundPrice(price, trade.instrument), state: 'PENDING', timeInForce: 'GTC' };
+    return transaction;
+  }
+
+  toV20Trade(trade) {
+    const out = {
+      id: trade.id,
+      instrument: trade.instrument,
+      price: instruments.formatPrice(trade.price, trade.instrument),
+      openTime: trade.openTime,
+      initialUnits: String(trade.initialUnits),
+      currentUnits: String(trade.currentUnits),
+      state: trade.state,
+      realizedPL: trade.realizedPL.toFixed(4),
+      unrealizedPL: trade.state === 'OPEN' ? this.unrealizedPL(trade).toFixed(4) : '0.0000',
+      closingTransactionIDs: trade.closingTransactionIDs
+    };
+    if (trade.clientExtensions) out.clientExtensions = trade.clientExtensions;
+    const fmt = (price) => instruments.formatPrice(price, trade.instrument);
+    if (trade.stopLossOrder) out.stopLossOrder = { ...trade.stopLossOrder, price: fmt(trade.stopLossOrder.price) };
+    if (trade.takeProfitOrder) out.takeProfitOrder = { ...trade.takeProfitOrder, price: fmt(trade.takeProfitOrder.price) };
+    if (trade.trailingStopLossOrder) {
+      out.trailingStopLossOrder = {
+        ...trade.trailingStopLossOrder,
+        distance: fmt(trade.trailingStopLossOrder.distance),
+        trailingStopValue: trade.trailingStopLossOrder.trailingStopValue != null ? fmt(trade.trailingStopLossOrder.trailingStopValue) : undefined
+      };
+    }
+    if (trade.state === 'CLOSED') {
+      out.averageClosePrice = fmt(trade.averageClosePrice);
+      out.closeTime = trade.closeTime;
+    }
+    return out;
+  }
+
+  // ─── Broker interface ────────────────────────────────────
+
+  async getAccountSummary() {
+    const open = this.openTradeList();
+    const unrealizedPL = open.reduce((sum, t) => sum + this.unrealizedPL(t), 0);
+    // Each trade at its instrument's margin rate - the rate RiskManager.projectMargin uses
+    const marginUsed = open.reduce((sum, t) => sum + Math.abs(t.currentUnits) * t.price * instruments.get(t.instrument).marginRate, 0);
+    const nav = this.balance + unrealizedPL;
+    return {
+      id: 'PAPER',
+      alias: 'Paper Broker',
+      currency: this.currency,
+      balance: this.balance.toFixed(4),
+      NAV: nav.toFixed(4),
+      pl: this.realizedPL.toFixed(4),
+      unrealizedPL: unrealizedPL.toFixed(4),
+      marginUsed: marginUsed.toFixed(4),
+      marginAvailable: (nav - marginUsed).toFixed(4),
+      openTradeCount: open.length,
+      lastTransactionID: String(this.lastTransactionId)
+    };
+  }
+
+  async getBalance() {
+    const account = await this.getAccountSummary();
+    return {
+      balance: parseFloat(account.balance),
+      nav: parseFloat(account.NAV),
+      unrealizedPL: parseFloat(account.unrealizedPL),
+      pl: parseFloat(account.pl),
+      marginUsed: parseFloat(account.marginUsed),
+      marginAvailable: parseFloat(account.marginAvailable),
+      currency: account.currency
+    };
+  }
+
+  async getPrice(instrument = Config.TRADING_SYMBOL) {
+    const price = await this.market.getPrice(instrument);
+    this.onPrice(price);
+    // The real account's factors don't apply - paper P&L is booked in the quote currency
+    return { ...price, quoteHomeConversion: { positiveUnits: 1, negativeUnits: 1 } };
+  }
+
+  async getCandles(instrument, granularity, count, options = {}) {
+    return this.market.getCandles(instrument, granularity, count, options);
+  }
+
+  async getInstruments() {
+    return this.market.getInstruments();
+  }
+
+  getAvailability() {
+    return this.market.getAvailability();
+  }
+
+  async placeMarketOrder(instrument, units, stopLoss, takeProfit = null, priceBound = null, options = {}) {
+    const price = await this.getPrice(instrument);
+    const isLong = units > 0;
+
+    const order = this.addTransaction({
+      type: 'MARKET_ORDER',
+      instrument,
+      units: String(units),
+      timeInForce: 'FOK',
+      priceBound: priceBound !== null ? instruments.formatPrice(priceBound, instrument) : undefined,
+      clientExtensions: options.clientExtensions,
+      tradeClientExtensions: options.tradeClientExtensions,
+      reason: 'CLIENT_ORDER'
+    });
+
+    const cancel = (reason) => {
+      this.addTransaction({ type: 'ORDER_CANCEL', orderID: order.id, reason });
+      this.saveState();
+      this.logger.warn(`📄 Paper order ${order.id} cancelled: ${reason}`);
+      return { success: false, reason, rejectReason: undefined };
+    };
+
+    const slip = this.slippage(instrument);
+    const fillPrice = this.roundPrice(this.executablePrice(price, isLong, true) + (isLong ? slip : -slip), instrument);
+
+    // The same checks Oanda applies before filling
+    if (priceBound !== null && (isLong ? fillPrice > priceBound : fillPrice < priceBound)) {
+      return cancel('BOUNDS_VIOLATION');
+    }
+    if (stopLoss && (isLong ? stopLoss >= fillPrice : stopLoss <= fillPrice)) {
+      return cancel('STOP_LOSS_ON_FILL_LOSS');
+    }
+    if (takeProfit && (isLong ? takeProfit <= fillPrice : takeProfit >= fillPrice)) {
+      return cancel('TAKE_PROFIT_ON_FILL_LOSS');
+    }
+
+    const { fill, trade } = this.openTrade(order.id, instrument, units, fillPrice, 'MARKET_ORDER', {
+      stopLoss,
+      takeProfit,
+      trailingStopDistance: options.trailingStopDistance,
+      tradeClientExtensions: options.tradeClientExtensions
+    });
+    this.saveState();
+
+    this.logger.info(`📄 Paper fill: ${units > 0 ? 'BUY' : 'SELL'} ${Math.abs(units)} ${instrument} @ $${fillPrice.toFixed(2)} (market $${price.mid.toFixed(2)}, slippage $${slip.toFixed(2)})`);
+
+    return {
+      success: true,
+      orderId: fill.id,
+      tradeId: trade.id,
+      instrument,
+      units,
+      price: fillPrice,
+      time: fill.time,
+      pl: 0,
+      reason: 'MARKET_ORDER'
+    };
+  }
+
+  async placeLimitOrder(instrument, units, price, stopLoss, takeProfit = null, gtdTime = null, options = {}) {
+    const marketPrice = await this.market.getPrice(instrument);
+    this.lastPrices.set(marketPrice.instrument, marketPrice);
+    const isLong = units > 0;
+
+    const create = this.addTransaction({
+      type: 'LIMIT_ORDER',
+      instrument,
+      units: String(units),
+      price: instruments.formatPrice(price, instrument),
+      timeInForce: gtdTime ? 'GTD' : 'GTC',
+      gtdTime: gtdTime ? gtdTime.toISOString() : undefined,
+      clientExtensions: options.clientExtensions,
+      tradeClientExtensions: options.tradeClientExtensions,
+      reason: 'CLIENT_ORDER'
+    });
+
+    // Same on-fill checks as a market order, against the limit price
+    if (stopLoss && (isLong ? stopLoss >= price : stopLoss <= price)) {
+      this.addTransaction({ type: 'ORDER_CANCEL', orderID: create.id, reason: 'STOP_LOSS_ON_FILL_LOSS' });
+      this.saveState();
+      return { success: false, reason: 'STOP_LOSS_ON_FILL_LOSS', rejectReason: undefined };
+    }
+
+    const order = {
+      id: create.id,
+      type: 'LIMIT',
+      instrument,
+      units,
+      price,
+      gtdTime: gtdTime ? gtdTime.toISOString() : null,
+      state: 'PENDING',
+      createTime: create.time,
+      stopLoss: stopLoss || null,
+      takeProfit: takeProfit || null,
+      trailingStopDistance: options.trailingStopDistance || null,
+      clientExtensions: options.clientExtensions || null,
+      tradeClientExtensions: options.tradeClientExtensions || null
+    };
+    this.orders[order.id] = order;
+    this.logger.info(`📄 Paper limit order ${order.id}: ${isLong ? 'BUY' : 'SELL'} ${Math.abs(units)} ${instrument} @ $${price.toFixed(2)}${order.gtdTime ? ` until ${order.gtdTime}` : ''}`);
+
+    // Marketable limit - fills straight away
+    this.checkPendingOrders(marketPrice);
+    this.saveState();
+
+    if (order.state === 'FILLED') {
+      const trade = this.trades[order.tradeOpenedID];
+      return {
+        success: true,
+        filled: true,
+        orderId: order.id,
+        tradeId: trade.id,
+        instrument,
+        units,
+        price: trade.price,
+        time: trade.openTime
+      };
+    }
+    return { success: true, filled: false, orderId: order.id };
+  }
+
+  async cancelOrder(orderId) {
+    const order = this.orders[orderId];
+    if (!order || order.state !== 'PENDING') {
+      throw new Error(`Paper order ${orderId} is not pending (${order?.state || 'unknown'})`);
+    }
+    const cancel = this.cancelPendingOrder(order, 'CLIENT_REQUEST');
+    return { success: true, orderId, reason: cancel.reason };
+  }
+
+  async getOrder(orderId) {
+    const order = this.orders[orderId];
+    if (!order) return null;
+    return {
+      id: order.id,
+      type: order.type,
+      instrument: order.instrument,
+      units: String(order.units),
+      price: instruments.formatPrice(order.price, order.instrument),
+      timeInForce: order.gtdTime ? 'GTD' : 'GTC',
+      gtdTime: order.gtdTime || undefined,
+      state: order.state,
+      createTime: order.createTime,
+      tradeOpenedID: order.tradeOpenedID,
+      fillingTransactionID: order.fillingTransactionID,
+      cancellingTransactionID: order.cancellingTransactionID
+    };
+  }
+
+  async modifyTrade(tradeId, stopLoss = null, takeProfit = null) {
+    const trade = this.trades[tradeId];
+    if (!trade || trade.state !== 'OPEN') {
+      throw new Error(`Paper trade ${tradeId} does not exist or is closed`);
+    }
+
+    const isLong = trade.currentUnits > 0;
+    const price = this.lastPrices.get(trade.instrument);
+    if (stopLoss !== null && price) {
+      const exitPrice = this.executablePrice(price, isLong, false);
+      if (isLong ? stopLoss >= exitPrice : stopLoss <= exitPrice) {
+        throw new Error(`Stop loss $${stopLoss.toFixed(2)} is on the wrong side of the market ($${exitPrice.toFixed(2)})`);
+      }
+    }
+
+    if (stopLoss !== null) this.setDependentOrder(trade, 'stopLossOrder', stopLoss);
+    if (takeProfit !== null) this.setDependentOrder(trade, 'takeProfitOrder', takeProfit);
+    this.saveState();
+
+    return {
+      success: true,
+      tradeId,
+      stopLoss: trade.stopLossOrder ? instruments.formatPrice(trade.stopLossOrder.price, trade.instrument) : undefined,
+      takeProfit: trade.takeProfitOrder ? instruments.formatPrice(trade.takeProfitOrder.price, trade.instrument) : undefined
+    };
+  }
+
+  async setTrailingStop(tradeId, distance) {
+    const trade = this.trades[tradeId];
+    if (!trade || trade.state !== 'OPEN') {
+      throw new Error(`Paper trade ${tradeId} does not exist or is closed`);
+    }
+
+    this.setTrailingStopOrder(trade, distance);
+    this.saveState();
+    return { success: true, tradeId, distance };
+  }
+
+  async closeTrade(tradeId, units = 'ALL') {
+    const trade = this.trades[tradeId];
+    if (!trade || trade.state !== 'OPEN') {
+      return { success: false, reason: 'TRADE_DOESNT_EXIST' };
+    }
+
+    const price = await this.market.getPrice(trade.instrument);
+    this.lastPrices.set(price.instrument, price);
+    const isLong = trade.currentUnits > 0;
+    const slip = this.slippage(trade.instrument);
+    const exitPrice = this.roundPrice(this.executablePrice(price, isLong, false) + (isLong ? -slip : slip), trade.instrument);
+    const closeUnits = units === 'ALL' ? trade.currentUnits : parseFloat(units);
+
+    const { fill, pl } = this.fillClose(trade, closeUnits, exitPrice, 'MARKET_ORDER_TRADE_CLOSE');
+    return {
+      success: true,
+      orderId: fill.id,
+      price: exitPrice,
+      units: parseFloat(fill.units),
+      pl
+    };
+  }
+
+  async closePosition(instrument, units = 'ALL') {
+    const trades = this.openTradeList().filter(t => t.instrument === instrument &&
+      (units === 'ALL' || Math.sign(t.currentUnits) === Math.sign(units)));
+    if (!trades.length) {
+      return { success: false, reason: 'No open position' };
+    }
+
+    let pl = 0;
+    let last = null;
+    for (const trade of trades) {
+      last = await this.closeTrade(trade.id);
+      pl += last.pl;
+    }
+    return { success: true, orderId: last.orderId, instrument, units: last.units, price: last.price, pl, time: clock.date().toISOString() };
+  }
+
+  async getOpenTrades() {
+    return this.openTradeList().map(trade => ({
+      tradeId: trade.id,
+      instrument: trade.instrument,
+      units: trade.currentUnits,
+      price: trade.price,
+      unrealizedPL: this.unrealizedPL(trade),
+      openTime: new Date(trade.openTime),
+      stopLoss: trade.stopLossOrder?.state === 'PENDING' ? trade.stopLossOrder.price : null,
+      takeProfit: trade.takeProfitOrder?.state === 'PENDING' ? trade.takeProfitOrder.price : null,
+      trailingStopDistance: trade.trailingStopLossOrder?.state === 'PENDING' ? trade.trailingStopLossOrder.distance : null,
+      trailingStopValue: trade.trailingStopLossOrder?.state === 'PENDING' ? trade.trailingStopLossOrder.trailingStopValue : null,
+      clientExtensions: trade.clientExtensions || null
+    }));
+  }
+
+  async getOpenPositions() {
+    const byInstrument = new Map();
+    for (const trade of this.openTradeList()) {
+      const position = byInstrument.get(trade.instrument) || { instrument: trade.instrument, units: 0, cost: 0, unrealizedPL: 0, pl: 0 };
+      position.units += trade.currentUnits;
+      position.cost += trade.price * trade.currentUnits;
+      position.unrealizedPL += this.unrealizedPL(trade);
+      byInstrument.set(trade.instrument, position);
+    }
+    return [...byInstrument.values()].map(p => ({
+      instrument: p.instrument,
+      units: p.units,
+      averagePrice: p.units ? p.cost / p.units : 0,
+      unrealizedPL: p.unrealizedPL,
+      pl: this.realizedPL
+    }));
+  }
+
+  async getTrade(tradeId) {
+    const trade = this.trades[tradeId];
+    return trade ? this.toV20Trade(trade) : null;
+  }
+
+  async getTransactionRange(fromId, toId) {
+    return this.transactions.filter(tx => parseInt(tx.id) >= fromId && parseInt(tx.id) <= toId);
+  }
+
+  async testConnection() {
+    this.logger.info('Testing paper broker (market data from Oanda)...');
+    const price = await this.getPrice(Config.TRADING_SYMBOL);
+    const balance = await this.getBalance();
+    this.logger.info('✅ Paper broker ready');
+    this.logger.info(`Balance: ${balance.balance.toFixed(2)} ${balance.currency} (simulated)`);
+    this.logger.info(`${Config.TRADING_SYMBOL} Price: ${price.bid.toFixed(2)} / ${price.ask.toFixed(2)}`);
+    return true;
+  }
+}
+
+export default PaperBroker;
@@ -0,0 +1,230 @@
+/**
+ * Position Manager
+ *
+ * Carries out the trade management strategies ask for. A strategy decides (strategy.js:
+ * onTick / onCandle return plain action objects); this runs the actions against the
+ * broker, updates the tracked position and persists it. monitorPositions only hands each
+ * open trade to its strategy - a new exit style is a new hook override, not a new branch
+ * in the monitor loop. Hooks run with the trade's instrument in scope (Config.withInstrument).
+ *
+ * Actions run in order. One that fails ends the list - the rest were planned on top of it
+ * and the strategy plans again next cycle.
+ *   { type: 'moveStop', price }         - modify the stop loss (currentStopLoss follows)
+ *   { type: 'setTakeProfit', price }    - modify the take profit
+ *   { type: 'partialClose', fraction, reason } - close that share of the units ('TP1')
+ *   { type: 'trailServer', distance }   - keep an Oanda trailing stop at this distance
+ *   { type: 'exit', reason }            - close at market, recorded with this close reason
+ *   { type: 'update' }                  - position state only
+ * Any action may carry update (position fields set once it succeeds) and log (a line
+ * logged once it succeeds - closes log it before they are sent).
+ */
+import Config from './config.js';
+import instruments from './instruments.js';
+
+class PositionManager {
+  /**
+   * @param {Object} logger
+   * @param {GoldTradingBot} tradingBot - broker, position persistence, close finalization
+   *   and Telegram
+   */
+  constructor(logger, tradingBot) {
+    this.logger = logger;
+    this.bot = tradingBot;
+  }
+
+  /**
+   * Every monitor cycle
+   * @param {Object} trade - getOpenTrades() entry
+   * @param {Object} position - The tracked position
+   * @param {Strategy} strategy - The strategy that opened it
+   * @param {number} price - Current mid price
+   * @returns {Promise<boolean>} true if the trade was closed
+   */
+  async onTick(trade, position, strategy, price) {
+    return this.execute(trade, position, Config.withInstrument(trade.instrument, () => strategy.onTick(position, price)));
+  }
+
+  /**
+   * Once per complete TIMEFRAME candle - judged on closed candles, like entries, not every
+   * monitor cycle
+   * @param {Array} candles - Complete TIMEFRAME candles, oldest first
+   * @returns {Promise<boolean>} true if the trade was closed
+   */
+  async onCandle(trade, position, strategy, candles) {
+    const lastCandle = candles[candles.length - 1];
+    if (!lastCandle) return false;
+
+    const candleTime = lastCandle.time.toISOString();
+    if (position.lastManagedCandle === candleTime) return false;
+    position.lastManagedCandle = candleTime;
+
+    return this.execute(trade, position, Config.withInstrument(trade.instrument, () => strategy.onCandle(position, candles)));
+  }
+
+  /**
+   * Run actions in order, then persist the position
+   * @returns {Promise<boolean>} true if the trade was closed
+   */
+  async execute(trade, position, actions) {
+    if (!actions?.length) return false;
+
+    const partialCloses = [];
+    let takeProfit = null;
+    for (const action of actions) {
+      // Closes are announced before they are sent - their fill and P&L lines follow
+      const announceFirst = action.type === 'partialClose' || action.type === 'exit';
+      if (announceFirst && action.log) this.logger.info(action.log);
+
+      let done;
+      try {
+        done = await this.run(trade, position, action, partialCloses);
+      } catch (error) {
+        this.logger.error(`Failed to ${action.type} ${trade.tradeId}: ${error.message}`);
+        done = false;
+      }
+      if (!done) break;
+
+      Object.assign(position, action.update);
+      if (!announceFirst && action.log) this.logger.info(action.log);
+      if (action.type === 'exit') return true;
+      if (action.type === 'setTakeProfit') takeProfit = action.price;
+    }
+
+    this.bot.savePositions();
+    for (const partial of partialCloses) {
+      await this.notifyPartialClose(trade, position, partial, takeProfit);
+    }
+    return false;
+  }
+
+  /**
+   * @returns {Promise<boolean>} false if the action was not carried out
+   */
+  async run(trade, position, action, partialCloses) {
+    const broker = this.bot.broker;
+
+    switch (action.type) {
+      case 'moveStop':
+        await broker.modifyTrade(trade.tradeId, action.price, null, trade.instrument);
+        position.currentStopLoss = action.price;
+        return true;
+
+      case 'setTakeProfit':
+        await broker.modifyTrade(trade.tradeId, null, action.price, trade.instrument);
+        return true;
+
+      case 'partialClose': {
+        // Truncated to the instrument's unit precision, and sent as a string at it
+        // (Oanda shows gold units as "159.0" but only accepts "159" for a close)
+        const closeUnits = instruments.roundUnits(Math.abs(trade.units) * action.fraction, trade.instrument);
+        if (closeUnits <= 0 || isNaN(closeUnits)) {
+          this.logger.error(`Invalid closeUnits calculated: ${closeUnits} from units: ${trade.units}`);
+          return false;
+        }
+        const pct = Math.round(action.fraction * 100);
+        this.logger.info(`📊 Attempting to close ${instruments.formatUnits(closeUnits, trade.instrument)} units (${pct}% of ${Math.abs(trade.units)})`);
+
+        const close = await broker.closeTrade(trade.tradeId, instruments.formatUnits(closeUnits, trade.instrument));
+        if (!close.success) {
+          this.logger.error(`Partial close of ${trade.tradeId} was not filled: ${close.reason}`);
+          return false;
+        }
+        const pnl = parseFloat(close.pl || 0);
+        this.logger.info(`✅ Closed ${pct}% (${closeUnits} units) - Banked: ${this.bot.riskManager.formatMoney(pnl)}`);
+        partialCloses.push({ reason: action.reason, pct, units: closeUnits, pnl });
+        return true;
+      }
+
+      case 'trailServer':
+        return this.ensureServerTrailingStop(trade, position, action.distance);
+
+      case 'exit': {
+        // Recorded as the close reason rather than the fill's generic MARKET_ORDER_TRADE_CLOSE,
+        // whichever path finalizes the close
+        position.exitReason = action.reason;
+        try {
+          const close = await broker.closeTrade(trade.tradeId);
+          if (!close.success) {
+            delete position.exitReason;
+            this.logger.error(`Exit of ${trade.tradeId} was not filled: ${close.reason}`);
+            return false;
+          }
+          // The transaction stream may already have finalized it; if not, do it here
+          await this.bot.finalizeClosedTrade(trade.tradeId, {
+            exitPrice: close.price,
+            realizedPL: close.pl,
+            reason: action.reason,
+            transactionId: close.orderId
+          });
+          return true;
+        } catch (error) {
+          delete position.exitReason;
+          throw error;
+        }
+      }
+
+      case 'update':
+        return true;
+
+      default:
+        this.logger.error(`Unknown trade management action "${action.type}" for ${trade.tradeId}`);
+        return false;
+    }
+  }
+
+  /**
+   * Server-side trailing: make sure Oanda holds a trailing stop at the strategy's distance.
+   * Oanda ratchets the trigger itself, so this only (re)places the order when it is missing
+   * or the distance should change (EMA Trend widens to the ATR trail after breakeven), and
+   * mirrors the trigger into currentStopLoss so the breakeven check never loosens it.
+   * @returns {Promise<boolean>} false if the trailing stop could not be placed
+   */
+  async ensureServerTrailingStop(trade, position, trailDistance) {
+    const isLong = trade.units > 0;
+    const distance = instruments.roundPrice(trailDistance, trade.instrument);
+    const fmt = (price) => instruments.formatPrice(price, trade.instrument);
+
+    if (!trade.trailingStopDistance || Math.abs(trade.trailingStopDistance - distance) >= instruments.get(trade.instrument).pipSize) {
+      await this.bot.broker.setTrailingStop(trade.tradeId, distance, trade.instrument);
+      if (trade.trailingStopDistance) {
+        this.logger.info(`📈 Server trailing stop adjusted: ${trade.tradeId} $${fmt(trade.trailingStopDistance)} → $${fmt(distance)}`);
+      } else {
+        this.logger.info(`📈 Server trailing stop placed: ${trade.tradeId} trailing $${fmt(distance)} (broker trails it from here)`);
+      }
+      position.serverTrailingDistance = distance;
+      return true;
+    }
+
+    if (trade.trailingStopValue) {
+      const trailImproved = isLong
+        ? trade.trailingStopValue > position.currentStopLoss
+        : trade.trailingStopValue < position.currentStopLoss;
+      if (trailImproved) {
+        position.currentStopLoss = trade.trailingStopValue;
+        this.logger.info(`📈 Server trailing stop: ${trade.tradeId} @ $${fmt(trade.trailingStopValue)} (trailing $${fmt(distance)})`);
+      }
+    }
+    return true;
+  }
+
+  async notifyPartialClose(trade, position, partial, takeProfit) {
+    if (!this.bot.telegramBot) return;
+    try {
+      // Escape underscores in symbol for Markdown
+      const symbolEscaped = trade.instrument.replace(/_/g, '\\_');
+      await this.bot.telegramBot.sendNotification(
+        `🎯 *${partial.reason} Hit - ${partial.pct}% Closed!*\n\n` +
+        `${symbolEscaped}\n` +
+        `Closed: ${partial.units} units\n` +
+        `Banked: ${this.bot.riskManager.formatMoney(partial.pnl)}\n\n` +
+        `Remaining ${100 - partial.pct}%:\n` +
+        `Stop: $${position.currentStopLoss.toFixed(2)}` +
+        (takeProfit !== null ? `\nTP: $${takeProfit.toFixed(2)}` : '')
+      );
+    } catch (telegramError) {
+      this.logger.warn(`Failed to send ${partial.reason} notification: ${telegramError.message}`);
+    }
+  }
+}
+
+export default PositionManager;
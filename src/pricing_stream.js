@@ -0,0 +1,50 @@
+/**
+ * Oanda Pricing Stream
+ * Pushes every price change for the subscribed instruments instead of polling getPrice().
+ *
+ * Emits: 'tick' { instrument, bid, ask, mid, spread, time, tradeable }
+ * (same shape as OandaClient.getPrice(), so consumers can use either source)
+ */
+import Config from './config.js';
+import OandaStream from './oanda_stream.js';
+
+class PricingStream extends OandaStream {
+  constructor(logger, instruments = [Config.TRADING_SYMBOL]) {
+    super(
+      logger,
+      `/v3/accounts/${Config.OANDA_ACCOUNT_ID}/pricing/stream?instruments=${instruments.join(',')}`,
+      'Pricing'
+    );
+    this.instruments = instruments;
+    this.latestPrices = new Map();
+  }
+
+  handleMessage(message) {
+    if (message.type !== 'PRICE') return;
+    if (!message.bids?.length || !message.asks?.length) return;
+
+    const bid = parseFloat(message.bids[0].price);
+    const ask = parseFloat(message.asks[0].price);
+    const tick = {
+      instrument: message.instrument,
+      bid,
+      ask,
+      mid: (bid + ask) / 2,
+      spread: ask - bid,
+      time: message.time,
+      tradeable: message.tradeable !== false
+    };
+
+    this.latestPrices.set(tick.instrument, tick);
+    this.emit('tick', tick);
+  }
+
+  /**
+   * Most recent streamed price, or null if nothing has arrived yet
+   */
+  getLatestPrice(instrument = Config.TRADING_SYMBOL) {
+    return this.latestPrices.get(instrument) || null;
+  }
+}
+
+export default PricingStream;
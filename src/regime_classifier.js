@@ -0,0 +1,195 @@
+/**
+ * Regime Classifier
+ *
+ * Labels the market at each scan so entries can be gated on it and outcomes split by it.
+ * research_notes.md found the EMA Trend edge "REGIME-GATED": session, direction bias and
+ * volatility flipped PF 0.80 → 2.2. Four dimensions:
+ *   - trend       strong | weak | ranging - ADX plus the slope of EMA(REGIME_EMA_PERIOD)
+ *                 over the last REGIME_SLOPE_CANDLES candles, measured in ATRs
+ *   - volatility  low | normal | high - where the current ATR sits among the ATRs of the
+ *                 last REGIME_VOLATILITY_DAYS days (bottom third / middle / top third)
+ *   - session     asia | london | overlap | ny - London and New York open 08:00-17:00
+ *                 local time (DST included); asia is everything outside both
+ *   - htf         bullish | bearish | neutral - EMA 20/50 on REGIME_HTF candles, with
+ *                 price on the same side of the slow EMA
+ * A dimension without enough candles to judge is 'unknown', and unknown never blocks.
+ *
+ * Strategies gate entries with <TYPE>_ALLOWED_REGIMES, dimension:value|value pairs joined
+ * by commas - e.g. EMA_TREND_ALLOWED_REGIMES=session:london|overlap|ny,trend:strong.
+ * Unlisted dimensions are unrestricted.
+ */
+import Config from './config.js';
+import TimeZones from './time_zones.js';
+
+const DIMENSIONS = {
+  trend: ['strong', 'weak', 'ranging'],
+  volatility: ['low', 'normal', 'high'],
+  session: ['asia', 'london', 'overlap', 'ny'],
+  htf: ['bullish', 'bearish', 'neutral']
+};
+
+const ATR_PERIOD = 14;
+const ADX_PERIOD = 14;
+const HTF_EMA_FAST = 20;
+const HTF_EMA_SLOW = 50;
+const MIN_VOLATILITY_SAMPLES = 50; // ATR values needed before a percentile means anything
+const SESSION_OPEN_HOUR = 8;       // local time, London and New York alike
+const SESSION_CLOSE_HOUR = 17;
+
+class RegimeClassifier {
+  constructor(logger, technicalAnalysis) {
+    this.logger = logger;
+    this.ta = technicalAnalysis;
+  }
+
+  /**
+   * TIMEFRAME candles classify() needs for the volatility lookback
+   */
+  candleCount() {
+    const perDay = Math.max(1, Math.round(86400 / Config.getGranularitySeconds(Config.TIMEFRAME)));
+    return Config.REGIME_VOLATILITY_DAYS * perDay + ATR_PERIOD + 1;
+  }
+
+  /**
+   * @param {Array} candles - Complete TIMEFRAME candles, oldest first (candleCount() of them)
+   * @param {Array|null} htfCandles - Complete REGIME_HTF candles
+   * @param {number} time - Epoch ms the session is judged at (the clock)
+   * @returns {{ trend, volatility, session, htf, label, adx, emaSlopeATR, atrPercentile }}
+   */
+  classify(candles, htfCandles, time) {
+    const atrs = this.ta.calculateATR(candles, ATR_PERIOD).filter(v => v !== null);
+    const atr = atrs[atrs.length - 1] ?? null;
+
+    const trend = this.classifyTrend(candles, atr);
+    const volatility = this.classifyVolatility(atrs);
+    const regime = {
+      trend: trend.label,
+      volatility: volatility.label,
+      session: this.classifySession(time),
+      htf: this.classifyHTF(htfCandles),
+      adx: trend.adx,
+      emaSlopeATR: trend.slope,
+      atrPercentile: volatility.percentile
+    };
+    regime.label = RegimeClassifier.format(regime);
+    return regime;
+  }
+
+  /**
+   * The same regime with the session re-judged at `time` - for entries between scans
+   * (realtime breakouts, limit fills), where everything else is as of the last scan
+   */
+  withSession(regime, time) {
+    const session = this.classifySession(time);
+    if (session === regime.session) return regime;
+    const updated = { ...regime, session };
+    updated.label = RegimeClassifier.format(updated);
+    return updated;
+  }
+
+  classifyTrend(candles, atr) {
+    const adxValues = this.ta.calculateADX(candles, ADX_PERIOD);
+    const adx = adxValues[adxValues.length - 1]?.adx ?? null;
+    const ema = this.ta.calculateEMA(candles, Config.REGIME_EMA_PERIOD);
+    const last = ema[ema.length - 1];
+    const before = ema[ema.length - 1 - Config.REGIME_SLOPE_CANDLES];
+    if (adx === null || !atr || last == null || before == null) {
+      return { label: 'unknown', adx, slope: null };
+    }
+
+    const slope = (last - before) / atr;
+    let label = 'weak';
+    if (adx >= Config.REGIME_TREND_ADX && Math.abs(slope) >= Config.REGIME_TREND_SLOPE_ATR) label = 'strong';
+    else if (adx < Config.REGIME_RANGE_ADX) label = 'ranging';
+    return { label, adx: round(adx, 1), slope: round(slope, 2) };
+  }
+
+  /**
+   * @param {number[]} atrs - ATR of every candle in the lookback, oldest first
+   */
+  classifyVolatility(atrs) {
+    if (atrs.length < MIN_VOLATILITY_SAMPLES) return { label: 'unknown', percentile: null };
+
+    const current = atrs[atrs.length - 1];
+    const percentile = atrs.filter(v => v <= current).length / atrs.length * 100;
+    let label = 'normal';
+    if (percentile < 100 / 3) label = 'low';
+    else if (percentile > 200 / 3) label = 'high';
+    return { label, percentile: round(percentile, 0) };
+  }
+
+  classifySession(time) {
+    const london = isOpen(time, 'Europe/London');
+    const ny = isOpen(time, 'America/New_York');
+    if (london && ny) return 'overlap';
+    if (london) return 'london';
+    if (ny) return 'ny';
+    return 'asia';
+  }
+
+  classifyHTF(htfCandles) {
+    if (!htfCandles || htfCandles.length < HTF_EMA_SLOW + 1) return 'unknown';
+    const fast = this.ta.calculateEMA(htfCandles, HTF_EMA_FAST).at(-1);
+    const slow = this.ta.calculateEMA(htfCandles, HTF_EMA_SLOW).at(-1);
+    const close = htfCandles[htfCandles.length - 1].close;
+    if (fast > slow && close > slow) return 'bullish';
+    if (fast < slow && close < slow) return 'bearish';
+    return 'neutral';
+  }
+
+  /**
+   * May a strategy with this filter enter in this regime?
+   * @param {Object|null} regime - classify() result (null = not classified yet)
+   * @param {Object} filter - parseFilter() result
+   * @returns {{ allowed: boolean, reason: string|null }}
+   */
+  check(regime, filter) {
+    if (!regime) return { allowed: true, reason: null };
+    for (const [dimension, allowed] of Object.entries(filter)) {
+      const value = regime[dimension];
+      if (value === 'unknown' || allowed.includes(value)) continue;
+      return { allowed: false, reason: `${dimension} ${value} not in ${allowed.join('|')}` };
+    }
+    return { allowed: true, reason: null };
+  }
+
+  static format(regime) {
+    return Object.keys(DIMENSIONS).map(dimension => `${dimension}:${regime[dimension]}`).join(' ');
+  }
+
+  /**
+   * Parse an allowed-regimes setting ('session:london|overlap|ny,trend:strong')
+   * @returns {Object} dimension → allowed values ({} = no restriction)
+   * @throws on an unknown dimension or value, so a typo fails at startup
+   */
+  static parseFilter(text, source = 'allowed regimes') {
+    const filter = {};
+    for (const part of (text || '').split(',').map(p => p.trim()).filter(Boolean)) {
+      const [dimension, values = ''] = part.split(':').map(p => p.trim().toLowerCase());
+      if (!DIMENSIONS[dimension]) {
+        throw new Error(`${source}: unknown regime dimension "${dimension}" (use ${Object.keys(DIMENSIONS).join(', ')})`);
+      }
+      const allowed = values.split('|').map(v => v.trim()).filter(Boolean);
+      const invalid = allowed.filter(v => !DIMENSIONS[dimension].includes(v));
+      if (allowed.length === 0 || invalid.length > 0) {
+        throw new Error(`${source}: ${dimension} must be one or more of ${DIMENSIONS[dimension].join('|')} (got "${values}")`);
+      }
+      filter[dimension] = allowed;
+    }
+    return filter;
+  }
+}
+
+/**
+ * Is a 08:00-17:00 local-time session open at `time` in this zone?
+ */
+function isOpen(time, timeZone) {
+  const { weekday, minutes } = TimeZones.localParts(time, timeZone);
+  return weekday >= 1 && weekday <= 5 && minutes >= SESSION_OPEN_HOUR * 60 && minutes < SESSION_CLOSE_HOUR * 60;
+}
+
+function round(value, decimals) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+export default RegimeClassifier;
@@ -0,0 +1,194 @@
+/**
+ * Replay Market
+ *
+ * Market-data broker that plays the candle store back in simulated time, so the real
+ * GoldTradingBot can be run over history. It only serves prices and candles: PaperBroker
+ * wraps it for fills, exactly as it wraps OandaClient with BROKER=paper, and
+ * scripts/replay.js moves the clock.
+ *
+ * - Prices: the finest stored series (M5) is played as four quotes per bar - open, the
+ *   extreme nearer the open's direction first, the other extreme, then the close. Bid/ask
+ *   come from the bar's own bid/ask candles, so spread-aware stops see the recorded spread.
+ * - Candles: what Oanda would have answered at clock time - the candles that had closed,
+ *   then the forming one, built from the bars and quotes played so far. Nothing after the
+ *   clock is ever visible.
+ */
+import Config from './config.js';
+import Broker from './broker.js';
+import clock from './clock.js';
+
+class ReplayMarket extends Broker {
+  /**
+   * @param {Object} logger
+   * @param {CandleStore} store - Read-only store holding the recorded candles
+   * @param {string} baseGranularity - Series the quotes are played from
+   */
+  constructor(logger, store, baseGranularity = 'M5') {
+    super(logger, 'Replay');
+    this.store = store;
+    this.baseGranularity = baseGranularity;
+    this.series = new Map(); // "XAU_USD_H1" → { candles, times, stepMs }
+    this.quote = null;       // last quote played
+    this.partial = null;     // base bar being played: { t, open, high, low, close }
+  }
+
+  // ─── Playback ────────────────────────────────────────────
+
+  /**
+   * Stored series, loaded once and indexed by time
+   */
+  load(instrument, granularity) {
+    const key = `${instrument}_${granularity}`;
+    if (!this.series.has(key)) {
+      const candles = this.store.getStored(instrument, granularity);
+      this.series.set(key, {
+        candles,
+        times: candles.map(c => c.time.getTime()),
+        stepMs: Config.getGranularitySeconds(granularity) * 1000
+      });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Base bars starting in [from, to)
+   */
+  bars(instrument, from, to) {
+    return this.store.getStored(instrument, this.baseGranularity, { from, to });
+  }
+
+  /**
+   * The four quotes played for one base bar, spread over its duration
+   * @returns {Array<{ instrument, time, bid, ask, mid, spread }>}
+   */
+  quotes(instrument, bar) {
+    const stepMs = Config.getGranularitySeconds(this.baseGranularity) * 1000;
+    const start = bar.time.getTime();
+    // Up bars most likely dipped before they rallied, down bars the reverse
+    const path = bar.close >= bar.open ? ['open', 'low', 'high', 'close'] : ['open', 'high', 'low', 'close'];
+    // The close is quoted just before the bar ends, so the bar only counts as complete
+    // once the next one starts
+    const offsets = [0, stepMs / 3, stepMs * 2 / 3, stepMs - 1000];
+
+    return path.map((point, i) => {
+      const mid = bar[point];
+      const spread = bar.bid && bar.ask ? bar.ask[point] - bar.bid[point] : (bar.spread || 0);
+      return {
+        instrument,
+        time: new Date(start + offsets[i]),
+        bid: mid - spread / 2,
+        ask: mid + spread / 2,
+        mid,
+        spread,
+        tradeable: true
+      };
+    });
+  }
+
+  /**
+   * Make a quote current - scripts/replay.js calls this after moving the clock to quote.time
+   */
+  play(quote, bar) {
+    const barStart = bar.time.getTime();
+    if (!this.partial || this.partial.t !== barStart) {
+      this.partial = { t: barStart, open: quote.mid, high: quote.mid, low: quote.mid, close: quote.mid };
+    } else {
+      this.partial.high = Math.max(this.partial.high, quote.mid);
+      this.partial.low = Math.min(this.partial.low, quote.mid);
+      this.partial.close = quote.mid;
+    }
+    this.quote = quote;
+  }
+
+  /**
+   * Index of the last candle starting at or before `ms` (-1 if none)
+   */
+  indexAt(times, ms) {
+    let lo = 0;
+    let hi = times.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (times[mid] <= ms) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return found;
+  }
+
+  /**
+   * The candle of `series` that contains the clock, aggregated from what has been played
+   */
+  formingCandle(instrument, series, candle, now) {
+    const start = candle.time.getTime();
+    const base = this.load(instrument, this.baseGranularity);
+    const from = this.indexAt(base.times, start - 1) + 1;
+
+    let forming = null;
+    const add = (bar) => {
+      if (!forming) {
+        forming = { open: bar.open, high: bar.high, low: bar.low, close: bar.close };
+      } else {
+        forming.high = Math.max(forming.high, bar.high);
+        forming.low = Math.min(forming.low, bar.low);
+        forming.close = bar.close;
+      }
+    };
+    for (let i = from; i < base.candles.length && base.times[i] + base.stepMs <= now; i++) {
+      add(base.candles[i]);
+    }
+    if (this.partial && this.partial.t >= start && this.partial.t < start + series.stepMs) {
+      add(this.partial);
+    }
+    if (!forming) return null;
+
+    return {
+      time: candle.time,
+      ...forming,
+      volume: 0,
+      complete: false,
+      bid: null,
+      ask: null,
+      spread: this.quote ? this.quote.spread : null
+    };
+  }
+
+  // ─── Broker interface ────────────────────────────────────
+
+  async getPrice(instrument = Config.TRADING_SYMBOL) {
+    if (!this.quote || this.quote.instrument !== instrument) {
+      throw new Error(`Replay has no ${instrument} price at ${clock.date().toISOString()}`);
+    }
+    return { ...this.quote, quoteHomeConversion: { positiveUnits: 1, negativeUnits: 1 } };
+  }
+
+  async getCandles(instrument, granularity, count, options = {}) {
+    const series = this.load(instrument, granularity);
+    if (series.candles.length === 0) {
+      throw new Error(`Replay has no stored ${instrument} ${granularity} candles - fetch them into the candle store first`);
+    }
+
+    const now = clock.now();
+    const until = options.to ? Math.min(options.to.getTime(), now) : now;
+    const last = this.indexAt(series.times, until);
+    if (last < 0) return [];
+
+    // The candle containing the clock is still forming unless it has run its full length
+    const forming = series.times[last] + series.stepMs > now
+      ? this.formingCandle(instrument, series, series.candles[last], now)
+      : null;
+    const completeEnd = series.times[last] + series.stepMs > now ? last : last + 1;
+    const complete = series.candles.slice(Math.max(0, completeEnd - (forming ? count - 1 : count)), completeEnd);
+
+    return forming ? [...complete, forming] : complete;
+  }
+
+  async testConnection() {
+    return true;
+  }
+}
+
+export default ReplayMarket;
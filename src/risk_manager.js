@@ -3,6 +3,9 @@
  * Handles position sizing, portfolio heat, and risk limits
  */
 import Config from './config.js';
+import CurrencyConverter from './currency_converter.js';
+import instruments from './instruments.js';
+import clock from './clock.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -11,20 +14,23 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Stats file path - use /app/data in Docker, ./data locally
-const DATA_DIR = process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..', 'data');
+const DATA_DIR = process.env.DATA_DIR || (process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..', 'data'));
 const STATS_FILE = path.join(DATA_DIR, 'trading_stats.json');
 
 class RiskManager {
-  constructor(logger, oandaClient) {
+  constructor(logger, broker) {
     this.logger = logger;
-    this.client = oandaClient;
+    this.broker = broker;
+    this.converter = new CurrencyConverter(logger, broker);
+    this.accountCurrency = null; // Known after the first syncBalance() (or from the stats file)
+    this.lastBalance = null;     // Last broker getBalance() - margin figures for /status
 
     // Track daily P&L
     this.dailyPnL = 0;
     this.dailyTrades = 0;
     this.winningTrades = 0;
     this.losingTrades = 0;
-    this.lastResetDate = new Date().toDateString();
+    this.lastResetDate = clock.date().toDateString();
 
     // Track all-time stats
     this.totalPnL = 0;
@@ -58,6 +64,7 @@ class RiskManager {
         totalTrades: this.totalTrades,
         totalWins: this.totalWins,
         totalLosses: this.totalLosses,
+        accountCurrency: this.accountCurrency,
         savedAt: new Date().toISOString()
       };
 
@@ -80,9 +87,11 @@ class RiskManager {
 
       const rawData = fs.readFileSync(STATS_FILE, 'utf8');
       const stats = JSON.parse(rawData);
+      // The P&L below is in it - until syncBalance() confirms it
+      this.accountCurrency = stats.accountCurrency || null;
 
       // Check if stats are from today
-      const today = new Date().toDateString();
+      const today = clock.date().toDateString();
       if (stats.lastResetDate === today) {
         // Load daily stats only if same day
         this.dailyPnL = stats.dailyPnL || 0;
@@ -90,7 +99,7 @@ class RiskManager {
         this.winningTrades = stats.winningTrades || 0;
         this.losingTrades = stats.losingTrades || 0;
         this.lastResetDate = stats.lastResetDate;
-        this.logger.info(`📂 Loaded daily stats: P&L=$${this.dailyPnL.toFixed(2)}, Trades=${this.dailyTrades}`);
+        this.logger.info(`📂 Loaded daily stats: P&L=${this.formatMoney(this.dailyPnL)}, Trades=${this.dailyTrades}`);
       } else {
         this.logger.info(`📂 Stats from previous day (${stats.lastResetDate}), resetting daily stats`);
         this.lastResetDate = today;
@@ -102,7 +111,7 @@ class RiskManager {
       this.totalWins = stats.totalWins || 0;
       this.totalLosses = stats.totalLosses || 0;
 
-      this.logger.info(`📂 Loaded all-time stats: P&L=$${this.totalPnL.toFixed(2)}, Trades=${this.totalTrades}, Wins=${this.totalWins}, Losses=${this.totalLosses}`);
+      this.logger.info(`📂 Loaded all-time stats: P&L=${this.formatMoney(this.totalPnL)}, Trades=${this.totalTrades}, Wins=${this.totalWins}, Losses=${this.totalLosses}`);
     } catch (error) {
       this.logger.error(`Failed to load trading stats: ${error.message}`);
     }
@@ -112,7 +121,7 @@ class RiskManager {
    * Reset daily statistics (call at start of new day)
    */
   resetDailyStats() {
-    const today = new Date().toDateString();
+    const today = clock.date().toDateString();
     if (today !== this.lastResetDate) {
       this.logger.info('📅 Resetting daily statistics');
       this.dailyPnL = 0;
@@ -129,9 +138,11 @@ class RiskManager {
    */
   async syncBalance() {
     try {
-      const balance = await this.client.getBalance();
+      const balance = await this.broker.getBalance();
       this.currentBalance = balance.nav; // Use NAV (includes unrealized P&L)
-      this.logger.info(`Balance synced: $${this.currentBalance.toFixed(2)}`);
+      this.accountCurrency = balance.currency || this.accountCurrency;
+      this.lastBalance = balance;
+      this.logger.info(`Balance synced: ${this.formatMoney(this.currentBalance)}`);
       return this.currentBalance;
     } catch (error) {
       this.logger.error(`Failed to sync balance: ${error.message}`);
@@ -139,14 +150,32 @@ class RiskManager {
     }
   }
 
+  /**
+   * Format an amount in the account currency (£ for a GBP account)
+   */
+  formatMoney(amount) {
+    return CurrencyConverter.format(amount, this.accountCurrency);
+  }
+
+  /**
+   * Account-currency loss if price travels from entry to stop
+   * The price distance is in the quote currency (USD), the balance is not.
+   * @param {number} units - Position size (either sign)
+   * @returns {Promise<number>} the loss, as a positive amount
+   */
+  async calculateTradeRisk(entryPrice, stopLoss, units, instrument = Config.TRADING_SYMBOL) {
+    const quoteRisk = Math.abs(entryPrice - stopLoss) * Math.abs(units);
+    return -(await this.converter.toAccount(-quoteRisk, instrument));
+  }
+
   /**
    * Calculate position size based on risk percentage
    * @param {number} entryPrice - Entry price
    * @param {number} stopLoss - Stop loss price
    * @param {number} riskPercent - Risk as decimal (e.g., 0.015 for 1.5%)
-   * @returns {number} Position size in units
+   * @returns {Promise<number>} Position size in units
    */
-  calculatePositionSize(entryPrice, stopLoss, riskPercent = Config.MAX_RISK_PER_TRADE) {
+  async calculatePositionSize(entryPrice, stopLoss, riskPercent = Config.MAX_RISK_PER_TRADE, instrument = Config.TRADING_SYMBOL) {
     const riskAmount = this.currentBalance * riskPercent;
     const priceDistance = Math.abs(entryPrice - stopLoss);
 
@@ -155,31 +184,38 @@ class RiskManager {
       return 0;
     }
 
-    // Position Size = Risk Amount / Distance to Stop Loss
-    let positionSize = Math.floor(riskAmount / priceDistance);
+    // Risk Amount is in account currency; the distance is in quote currency per unit.
+    // Convert the distance first, or a GBP account over-risks by the GBP/USD rate.
+    // Hitting the stop is a loss, long or short - the loss factor.
+    const factor = await this.converter.getFactor(instrument, -1);
+    const riskPerUnit = priceDistance * factor;
+
+    // Position Size = Risk Amount / Account-Currency Loss Per Unit
+    const spec = instruments.get(instrument);
+    let positionSize = instruments.roundUnits(riskAmount / riskPerUnit, instrument);
 
-    // Apply min/max limits
-    positionSize = Math.max(positionSize, Config.MIN_POSITION_SIZE);
-    positionSize = Math.min(positionSize, Config.MAX_POSITION_SIZE);
+    // Apply min/max limits - ours (per instrument: units are ounces of gold or silver),
+    // then the broker's for this instrument
+    positionSize = Math.max(positionSize, Config.getInstrumentSetting(instrument, 'MIN_POSITION_SIZE'), spec.minimumTradeSize);
+    positionSize = Math.min(positionSize, Config.getInstrumentSetting(instrument, 'MAX_POSITION_SIZE'), spec.maximumOrderUnits);
 
-    this.logger.info(`Position sizing: Risk=$${riskAmount.toFixed(2)}, Distance=$${priceDistance.toFixed(2)}, Size=${positionSize} units`);
+    this.logger.info(`Position sizing: Risk=${this.formatMoney(riskAmount)}, Distance=$${priceDistance.toFixed(2)} (×${factor.toFixed(4)} → ${this.formatMoney(riskPerUnit)}/unit), Size=${positionSize} units`);
 
     return positionSize;
   }
 
   /**
-   * Calculate portfolio heat (total risk exposure)
+   * Calculate portfolio heat (total risk exposure as a fraction of account-currency NAV) -
+   * every open trade, whatever its instrument: one budget for the account
    */
   async calculatePortfolioHeat() {
     try {
-      const openTrades = await this.client.getOpenTrades();
+      const openTrades = await this.broker.getOpenTrades();
 
       let totalRisk = 0;
       for (const trade of openTrades) {
         if (trade.stopLoss) {
-          const priceDistance = Math.abs(trade.price - trade.stopLoss);
-          const riskAmount = priceDistance * Math.abs(trade.units);
-          totalRisk += riskAmount;
+          totalRisk += await this.calculateTradeRisk(trade.price, trade.stopLoss, trade.units, trade.instrument);
         }
       }
 
@@ -191,10 +227,37 @@ class RiskManager {
     }
   }
 
+  /**
+   * Project the account's margin with an extra `units` of the instrument on.
+   * Oanda margin = |units| × price × marginRate, converted to account currency.
+   * @returns {Promise<{ required, used, available, nav, utilisation, maxUnits }>}
+   *          maxUnits is the largest size that stays under MAX_MARGIN_UTILISATION
+   */
+  async projectMargin(price, units, instrument = Config.TRADING_SYMBOL) {
+    const balance = await this.broker.getBalance();
+    const { marginRate } = instruments.get(instrument);
+    const marginPerUnit = await this.converter.toAccount(price * marginRate, instrument);
+    const required = marginPerUnit * Math.abs(units);
+
+    // Room under our ceiling - and never more than the broker says is free
+    const room = Math.min(balance.nav * Config.MAX_MARGIN_UTILISATION - balance.marginUsed, balance.marginAvailable);
+
+    return {
+      required,
+      used: balance.marginUsed,
+      available: balance.marginAvailable,
+      nav: balance.nav,
+      utilisation: (balance.marginUsed + required) / balance.nav,
+      maxUnits: room > 0 ? instruments.roundUnits(room / marginPerUnit, instrument) : 0
+    };
+  }
+
   /**
    * Check if we can open a new trade
+   * @returns {{ allowed: true, units, resized } | { allowed: false, reason }}
+   *          units is the (unsigned) size to send - smaller than asked if margin forced it
    */
-  async canOpenTrade(entryPrice, stopLoss, positionSize) {
+  async canOpenTrade(entryPrice, stopLoss, positionSize, instrument = Config.TRADING_SYMBOL) {
     // Reset daily stats if new day
     this.resetDailyStats();
 
@@ -211,9 +274,38 @@ class RiskManager {
     //   return { allowed: false, reason: 'DAILY_TARGET_MET' };
     // }
 
+    // Check margin - shrink the order to fit under MAX_MARGIN_UTILISATION rather than
+    // send something Oanda will reject with INSUFFICIENT_MARGIN
+    const direction = stopLoss < entryPrice ? 1 : -1;
+    let units = Math.abs(positionSize);
+    let resized = false;
+    try {
+      const margin = await this.projectMargin(entryPrice, direction * units, instrument);
+      if (units > margin.maxUnits) {
+        const minUnits = Math.max(Config.getInstrumentSetting(instrument, 'MIN_POSITION_SIZE'), instruments.get(instrument).minimumTradeSize);
+        if (margin.maxUnits < minUnits) {
+          this.logger.risk('Insufficient margin', {
+            required: this.formatMoney(margin.required),
+            used: this.formatMoney(margin.used),
+            available: this.formatMoney(margin.available),
+            maxUnits: margin.maxUnits,
+            minUnits,
+            ceiling: `${(Config.MAX_MARGIN_UTILISATION * 100).toFixed(0)}% of NAV`
+          });
+          return { allowed: false, reason: 'INSUFFICIENT_MARGIN' };
+        }
+        this.logger.warn(`⚖️ Margin: ${units} units needs ${this.formatMoney(margin.required)} (${(margin.utilisation * 100).toFixed(0)}% of NAV) - resized to ${margin.maxUnits} units to stay under ${(Config.MAX_MARGIN_UTILISATION * 100).toFixed(0)}%`);
+        units = margin.maxUnits;
+        resized = true;
+      }
+    } catch (error) {
+      // Oanda still enforces margin on its side - don't block trading on a failed projection
+      this.logger.warn(`Margin projection failed: ${error.message} - sending ${units} units unchecked`);
+    }
+
     // Check portfolio heat
     const currentHeat = await this.calculatePortfolioHeat();
-    const newTradeRisk = Math.abs(entryPrice - stopLoss) * positionSize;
+    const newTradeRisk = await this.calculateTradeRisk(entryPrice, stopLoss, direction * units, instrument);
     const newHeat = (currentHeat * this.currentBalance + newTradeRisk) / this.currentBalance;
 
     if (newHeat > Config.MAX_PORTFOLIO_RISK) {
@@ -225,7 +317,7 @@ class RiskManager {
       return { allowed: false, reason: 'PORTFOLIO_HEAT_EXCEEDED' };
     }
 
-    return { allowed: true };
+    return { allowed: true, units, resized };
   }
 
   /**
@@ -262,11 +354,13 @@ class RiskManager {
   async getPortfolioSummary() {
     try {
       await this.syncBalance();
-      const openTrades = await this.client.getOpenTrades();
+      const openTrades = await this.broker.getOpenTrades();
       const portfolioHeat = await this.calculatePortfolioHeat();
 
       const unrealizedPL = openTrades.reduce((sum, trade) => sum + trade.unrealizedPL, 0);
       const winRate = this.totalTrades > 0 ? (this.totalWins / this.totalTrades) * 100 : 0;
+      const marginUsed = this.lastBalance?.marginUsed ?? 0;
+      const nav = this.lastBalance?.nav || this.currentBalance;
 
       return {
         balance: this.currentBalance,
@@ -282,7 +376,12 @@ class RiskManager {
         winningTrades: this.winningTrades,
         losingTrades: this.losingTrades,
         totalTrades: this.totalTrades,
-        winRate: winRate
+        winRate: winRate,
+        marginUsed,
+        marginAvailable: this.lastBalance?.marginAvailable ?? null,
+        marginUtilisation: nav > 0 ? marginUsed / nav : 0,
+        // Margin still usable before new orders get shrunk or blocked
+        marginHeadroom: Math.max(0, nav * Config.MAX_MARGIN_UTILISATION - marginUsed)
       };
     } catch (error) {
       this.logger.error(`Failed to get portfolio summary: ${error.message}`);
@@ -290,6 +389,25 @@ class RiskManager {
     }
   }
 
+  /**
+   * Move a mid-price stop to where it belongs on the side it triggers on (SPREAD_AWARE_STOPS).
+   * Longs stop out on the bid, shorts on the ask: pushing the stop out by half the spread
+   * means mid has to move the full strategy distance before it fires. levels.spread is kept
+   * so the stop can be re-anchored to the actual fill (which already paid half the spread).
+   * @param {Object} levels - From a strategy's calculateEntryLevels (mutated)
+   * @param {number|null} spread - Live bid/ask spread
+   */
+  applySpreadToStop(levels, signal, spread) {
+    levels.spread = 0;
+    if (!Config.SPREAD_AWARE_STOPS || !(spread > 0)) return levels;
+
+    const offset = spread / 2;
+    levels.stopLoss = signal === 'LONG' ? levels.stopLoss - offset : levels.stopLoss + offset;
+    levels.spread = spread;
+    this.logger.info(`📏 Spread $${spread.toFixed(2)} - stop moved $${offset.toFixed(2)} to $${levels.stopLoss.toFixed(2)} (${signal === 'LONG' ? 'bid' : 'ask'} trigger)`);
+    return levels;
+  }
+
   /**
    * Calculate take profit levels
    */
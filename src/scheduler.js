@@ -0,0 +1,266 @@
+/**
+ * Scheduler
+ *
+ * One service for every recurring job the bot runs (scans, position monitoring, the
+ * realtime poll, the watchdog, the daily reset), each registered by name. Previously each
+ * had its own recursive setTimeout, setInterval or cron.
+ *   - Overlap protection: a job whose previous run hasn't finished is skipped, never run
+ *     twice at once - a slow monitorPositions can't stack up behind itself
+ *   - Fixed rate: runs stay on their interval grid however long each one takes. Jitter is
+ *     added per run and never accumulates
+ *   - Introspection: getJobs() reports last/next run, duration, skips and the last error
+ *   - Time comes from a Clock (clock.js). On the wall clock jobs fire from timers. On a
+ *     simulated clock nothing fires by itself: advanceTo() runs every job due up to a time,
+ *     in order, moving the clock to each run - replays and tests fast-forward days in
+ *     milliseconds
+ */
+import defaultClock from './clock.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class Scheduler {
+  /**
+   * @param {Object} logger
+   * @param {Clock} clock - Time source (the shared clock unless a test brings its own)
+   */
+  constructor(logger, clock = defaultClock) {
+    this.logger = logger;
+    this.clock = clock;
+    this.jobs = new Map(); // name → job
+    this.started = false;
+  }
+
+  // ─── Registration ────────────────────────────────────────
+
+  /**
+   * Run fn every intervalMs
+   * @param {string} name
+   * @param {number} intervalMs
+   * @param {Function} fn - may be async; the next run of this job waits for it
+   * @param {{ jitterMs?: number, delayMs?: number }} options - random 0..jitterMs added to
+   *   each run; delayMs before the first run (default one interval)
+   */
+  every(name, intervalMs, fn, { jitterMs = 0, delayMs = intervalMs } = {}) {
+    return this.add({
+      name,
+      fn,
+      jitterMs,
+      schedule: `every ${formatDuration(intervalMs)}`,
+      first: this.clock.now() + delayMs,
+      next: (at) => at + intervalMs
+    });
+  }
+
+  /**
+   * Run fn offsetMs after every multiple of periodMs since the epoch - candle boundaries
+   * (M15 at :00/:15/:30/:45, H1 on the hour), whenever the process started
+   */
+  aligned(name, periodMs, fn, { offsetMs = 0, jitterMs = 0 } = {}) {
+    const now = this.clock.now();
+    let first = Math.floor(now / periodMs) * periodMs + offsetMs;
+    if (first <= now) first += periodMs;
+
+    return this.add({
+      name,
+      fn,
+      jitterMs,
+      schedule: `every ${formatDuration(periodMs)} boundary +${formatDuration(offsetMs)}`,
+      first,
+      next: (at) => at + periodMs
+    });
+  }
+
+  /**
+   * Run fn once a day at hour:minute UTC
+   */
+  dailyAt(name, hour, minute, fn, { jitterMs = 0 } = {}) {
+    const now = this.clock.now();
+    const today = new Date(now);
+    let first = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate(), hour, minute);
+    if (first <= now) first += DAY_MS;
+
+    return this.add({
+      name,
+      fn,
+      jitterMs,
+      schedule: `daily at ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')} UTC`,
+      first,
+      next: (at) => at + DAY_MS
+    });
+  }
+
+  add({ name, fn, jitterMs, schedule, first, next }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job ${name} is already scheduled`);
+    }
+
+    const job = {
+      name,
+      fn,
+      schedule,
+      next,
+      jitterMs,
+      dueAt: first,        // on the interval grid
+      nextRunAt: null,     // dueAt + this run's jitter
+      running: false,
+      runs: 0,
+      skipped: 0,
+      lastRunAt: null,
+      lastDurationMs: null,
+      lastError: null,
+      timer: null
+    };
+    job.nextRunAt = job.dueAt + this.jitter(job);
+    this.jobs.set(name, job);
+    this.arm(job);
+    return job;
+  }
+
+  remove(name) {
+    const job = this.jobs.get(name);
+    if (!job) return;
+    clearTimeout(job.timer);
+    this.jobs.delete(name);
+  }
+
+  // ─── Running ─────────────────────────────────────────────
+
+  /**
+   * Start firing jobs from timers (wall clock only - simulated time is driven by advanceTo)
+   */
+  start() {
+    this.started = true;
+    for (const job of this.jobs.values()) {
+      this.arm(job);
+    }
+  }
+
+  stop() {
+    this.started = false;
+    for (const job of this.jobs.values()) {
+      clearTimeout(job.timer);
+      job.timer = null;
+    }
+  }
+
+  /**
+   * Run a job now, outside its schedule (initial scan on startup). Skipped like any
+   * other run if it is already running.
+   * @returns {Promise<boolean>} false if skipped
+   */
+  async runNow(name) {
+    const job = this.jobs.get(name);
+    if (!job) throw new Error(`No job named ${name}`);
+    return this.execute(job);
+  }
+
+  /**
+   * Simulated time: run every job due up to `time` in the order they fall due, with the
+   * clock set to each run's time, then leave the clock at `time`
+   * @param {number|Date} time
+   */
+  async advanceTo(time) {
+    const target = time instanceof Date ? time.getTime() : time;
+
+    for (;;) {
+      let due = null;
+      for (const job of this.jobs.values()) {
+        if (job.nextRunAt <= target && (!due || job.nextRunAt < due.nextRunAt)) due = job;
+      }
+      if (!due) break;
+
+      if (due.nextRunAt > this.clock.now()) this.clock.set(due.nextRunAt);
+      this.reschedule(due);
+      await this.execute(due);
+    }
+
+    if (target > this.clock.now()) this.clock.set(target);
+  }
+
+  arm(job) {
+    clearTimeout(job.timer);
+    job.timer = null;
+    if (!this.started || this.clock.isSimulated) return;
+
+    job.timer = setTimeout(() => {
+      job.timer = null;
+      // Fixed rate: the next run is booked before this one starts
+      this.reschedule(job);
+      this.execute(job);
+    }, Math.max(0, job.nextRunAt - this.clock.now()));
+  }
+
+  /**
+   * Book the next run after the one that is due now. Runs missed while the process was
+   * stalled (or a run overran) collapse into one rather than firing back to back.
+   */
+  reschedule(job) {
+    const now = this.clock.now();
+    do {
+      job.dueAt = job.next(job.dueAt);
+    } while (job.dueAt <= now);
+    job.nextRunAt = job.dueAt + this.jitter(job);
+    this.arm(job);
+  }
+
+  jitter(job) {
+    return job.jitterMs > 0 ? Math.floor(Math.random() * job.jitterMs) : 0;
+  }
+
+  async execute(job) {
+    if (job.running) {
+      job.skipped++;
+      this.logger.warn(`⏭️ ${job.name} still running since ${new Date(job.lastRunAt).toISOString()} - skipping this run`);
+      return false;
+    }
+
+    job.running = true;
+    const startedAt = this.clock.now();
+    job.lastRunAt = startedAt;
+    try {
+      await job.fn();
+      job.lastError = null;
+    } catch (error) {
+      // Safety net - jobs handle their own errors; one that escapes must not stop the schedule
+      job.lastError = error.message;
+      this.logger.error(`🚨 ${job.name} job failed: ${error.message}`);
+      this.logger.error(`Stack: ${error.stack}`);
+    } finally {
+      job.running = false;
+      job.runs++;
+      job.lastDurationMs = this.clock.now() - startedAt;
+    }
+    return true;
+  }
+
+  // ─── Introspection ───────────────────────────────────────
+
+  /**
+   * @returns {Array<{ name, schedule, running, runs, skipped, lastRunAt, lastDurationMs, nextRunAt, lastError }>}
+   */
+  getJobs() {
+    return [...this.jobs.values()].map(job => ({
+      name: job.name,
+      schedule: job.schedule,
+      running: job.running,
+      runs: job.runs,
+      skipped: job.skipped,
+      lastRunAt: job.lastRunAt !== null ? new Date(job.lastRunAt) : null,
+      lastDurationMs: job.lastDurationMs,
+      nextRunAt: new Date(job.nextRunAt),
+      lastError: job.lastError
+    }));
+  }
+
+  getJob(name) {
+    return this.getJobs().find(job => job.name === name) || null;
+  }
+}
+
+function formatDuration(ms) {
+  if (ms > 0 && ms % 3600000 === 0) return `${ms / 3600000}h`;
+  if (ms > 0 && ms % 60000 === 0) return `${ms / 60000}m`;
+  return `${ms / 1000}s`;
+}
+
+export default Scheduler;
@@ -0,0 +1,255 @@
+/**
+ * Session Calendar
+ *
+ * When new entries are allowed. checkTradingHours used to be one UK-time hour pair, so
+ * research_notes.md's best window (07:00-21:00 UTC) drifted an hour with every DST change
+ * and weekends, Christmas and US holidays didn't exist. Entries are allowed when all of:
+ *   - a session window is open. TRADING_SESSIONS lists windows per weekday, each in its
+ *     own timezone (TRADING_TIMEZONE unless it names one):
+ *       mon-thu 07:00-21:00 UTC; fri 07:00-19:00 UTC; sun 23:00-24:00 UTC
+ *     Days are names or ranges (sun-thu wraps), several ranges per day are comma
+ *     separated, and an end before its start runs past midnight. Unset, it is
+ *     TRADING_START_HOUR-TRADING_END_HOUR UK time every day, as before
+ *   - the market is open for the week: between WEEKLY_OPEN and WEEKLY_CLOSE
+ *     ('sun 18:00 America/New_York' / 'fri 17:00 America/New_York' for gold)
+ *   - the day is not a holiday. TRADING_HOLIDAYS lists dates in TRADING_TIMEZONE,
+ *     date@HH:MM for an early close: 2026-12-25,2026-11-27@13:45
+ *   - it is not within NO_ENTRY_BEFORE_CLOSE_MINUTES of the weekly close or an early close
+ * A spec that doesn't parse throws, so a typo fails at startup.
+ */
+import Config from './config.js';
+import TimeZones from './time_zones.js';
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const LOOKAHEAD_DAYS = 14; // nextOpen() gives up beyond this (a misconfigured calendar)
+
+class SessionCalendar {
+  /**
+   * @param {Object} options - defaults from Config
+   */
+  constructor({
+    sessions = Config.getTradingSessions(),
+    timeZone = Config.TRADING_TIMEZONE,
+    holidays = Config.TRADING_HOLIDAYS,
+    weeklyOpen = Config.WEEKLY_OPEN,
+    weeklyClose = Config.WEEKLY_CLOSE,
+    closeBufferMinutes = Config.NO_ENTRY_BEFORE_CLOSE_MINUTES
+  } = {}) {
+    TimeZones.check(timeZone, 'TRADING_TIMEZONE');
+    this.timeZone = timeZone;
+    this.spec = sessions;
+    this.windows = parseSessions(sessions, timeZone);
+    this.holidays = parseHolidays(holidays);
+    this.weeklyOpen = parseWeeklyTime(weeklyOpen, 'WEEKLY_OPEN');
+    this.weeklyClose = parseWeeklyTime(weeklyClose, 'WEEKLY_CLOSE');
+    this.closeBufferMs = closeBufferMinutes * MINUTE_MS;
+  }
+
+  /**
+   * May a new entry be made at `time`?
+   * @param {number} time - Epoch ms
+   * @returns {{ allowed: boolean, reason: string|null }}
+   */
+  check(time) {
+    const nextClose = nextWeekly(this.weeklyClose, time);
+    if (nextWeekly(this.weeklyOpen, time) < nextClose) {
+      return closed(`Market closed for the weekend (opens ${this.weeklyOpen.text})`);
+    }
+
+    const local = TimeZones.localParts(time, this.timeZone);
+    const holiday = this.holidays.get(local.date);
+    if (holiday && holiday.closeMinutes === null) {
+      return closed(`Holiday (${local.date})`);
+    }
+    if (holiday && local.minutes >= holiday.closeMinutes - this.closeBufferMs / MINUTE_MS) {
+      return closed(`Early close at ${formatMinutes(holiday.closeMinutes)} ${this.timeZone} (${local.date})`);
+    }
+
+    if (nextClose - time <= this.closeBufferMs) {
+      return closed(`Within ${this.closeBufferMs / MINUTE_MS} minutes of the weekly close (${this.weeklyClose.text})`);
+    }
+
+    if (!this.windows.some(window => inWindow(window, time))) {
+      return closed(`Outside trading sessions (${this.spec})`);
+    }
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * When entries are next allowed - `time` itself if they are now
+   * @returns {number|null} epoch ms, null if not within LOOKAHEAD_DAYS
+   */
+  nextOpen(time) {
+    if (this.check(time).allowed) return time;
+
+    // Entries can only start being allowed where something opens: a window, the week,
+    // or a new day after a holiday
+    const candidates = [];
+    let weeklyOpen = time;
+    for (let i = 0; i < LOOKAHEAD_DAYS / 7; i++) {
+      weeklyOpen = nextWeekly(this.weeklyOpen, weeklyOpen);
+      candidates.push(weeklyOpen);
+    }
+    const today = TimeZones.localParts(time, this.timeZone).date;
+    for (let d = 1; d <= LOOKAHEAD_DAYS; d++) {
+      candidates.push(TimeZones.toUtc(addDays(today, d), 0, this.timeZone));
+    }
+    for (const window of this.windows) {
+      const start = TimeZones.localParts(time, window.timeZone).date;
+      for (let d = 0; d <= LOOKAHEAD_DAYS; d++) {
+        const date = addDays(start, d);
+        if (window.days.includes(TimeZones.weekdayOf(date))) candidates.push(TimeZones.toUtc(date, window.start, window.timeZone));
+      }
+    }
+
+    return candidates
+      .filter(candidate => candidate > time)
+      .sort((a, b) => a - b)
+      .find(candidate => this.check(candidate).allowed) ?? null;
+  }
+
+  /**
+   * The next weekly close after `time` (epoch ms)
+   */
+  nextWeeklyClose(time) {
+    return nextWeekly(this.weeklyClose, time);
+  }
+
+  /**
+   * The next weekly open after `time` (epoch ms)
+   */
+  nextWeeklyOpen(time) {
+    return nextWeekly(this.weeklyOpen, time);
+  }
+
+  /**
+   * 'Mon 2026-04-06 07:00 UTC'
+   */
+  static format(time) {
+    if (time === null) return 'not within two weeks';
+    const iso = new Date(time).toISOString();
+    const day = DAY_NAMES[new Date(time).getUTCDay()];
+    return `${day[0].toUpperCase()}${day.slice(1)} ${iso.substring(0, 10)} ${iso.substring(11, 16)} UTC`;
+  }
+}
+
+function closed(reason) {
+  return { allowed: false, reason };
+}
+
+function inWindow(window, time) {
+  const local = TimeZones.localParts(time, window.timeZone);
+  return window.days.includes(local.weekday) && local.minutes >= window.start && local.minutes < window.end;
+}
+
+// ─── Parsing ───────────────────────────────────────────────
+
+/**
+ * 'mon-fri 07:00-12:00,13:00-21:00 UTC; sun 23:00-24:00' → windows of one day each
+ * ({ days, start, end, timeZone }, minutes from local midnight)
+ */
+function parseSessions(spec, defaultTimeZone) {
+  const windows = [];
+  for (const entry of spec.split(';').map(e => e.trim()).filter(Boolean)) {
+    const [dayText, rangeText, timeZone = defaultTimeZone, extra] = entry.split(/\s+/);
+    if (!rangeText || extra) {
+      throw new Error(`TRADING_SESSIONS: "${entry}" should be <days> <HH:MM-HH:MM>[,...] [timezone]`);
+    }
+    TimeZones.check(timeZone, `TRADING_SESSIONS "${entry}"`);
+    const days = parseDays(dayText, entry);
+
+    for (const range of rangeText.split(',')) {
+      const match = /^(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/.exec(range);
+      if (!match) throw new Error(`TRADING_SESSIONS: bad time range "${range}" in "${entry}" (use HH:MM-HH:MM)`);
+      const start = parseMinutes(match[1], entry);
+      const end = parseMinutes(match[2], entry);
+      if (start === end) throw new Error(`TRADING_SESSIONS: empty time range "${range}" in "${entry}"`);
+
+      if (start < end) {
+        windows.push({ days, start, end, timeZone });
+      } else {
+        // Past midnight: the rest of the day, then the start of the next
+        windows.push({ days, start, end: 24 * 60, timeZone });
+        if (end > 0) windows.push({ days: days.map(day => (day + 1) % 7), start: 0, end, timeZone });
+      }
+    }
+  }
+  if (windows.length === 0) throw new Error('TRADING_SESSIONS has no windows');
+  return windows;
+}
+
+/**
+ * 'mon-fri' / 'sun-thu' / 'sat,sun' / 'daily' → weekday numbers (0 = Sunday)
+ */
+function parseDays(text, entry) {
+  if (text.toLowerCase() === 'daily') return [0, 1, 2, 3, 4, 5, 6];
+  const days = new Set();
+  for (const part of text.toLowerCase().split(',')) {
+    const [from, to = from] = part.split('-').map(day => DAY_NAMES.indexOf(day.substring(0, 3)));
+    if (from < 0 || to < 0) throw new Error(`TRADING_SESSIONS: unknown day "${part}" in "${entry}" (use mon, tue, ... or daily)`);
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  }
+  return [...days];
+}
+
+function parseMinutes(text, source) {
+  const [hours, minutes] = text.split(':').map(Number);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) {
+    throw new Error(`${source}: bad time "${text}"`);
+  }
+  return hours * 60 + minutes;
+}
+
+/**
+ * ['2026-12-25', '2026-11-27@13:45'] → date → { closeMinutes } (null = closed all day)
+ */
+function parseHolidays(list) {
+  const holidays = new Map();
+  for (const entry of list) {
+    const match = /^(\d{4}-\d{2}-\d{2})(?:@(\d{1,2}:\d{2}))?$/.exec(entry);
+    if (!match) throw new Error(`TRADING_HOLIDAYS: bad entry "${entry}" (use YYYY-MM-DD or YYYY-MM-DD@HH:MM)`);
+    holidays.set(match[1], { closeMinutes: match[2] ? parseMinutes(match[2], 'TRADING_HOLIDAYS') : null });
+  }
+  return holidays;
+}
+
+/**
+ * 'fri 17:00 America/New_York' → { weekday, minutes, timeZone, text }
+ */
+function parseWeeklyTime(text, name) {
+  const [dayText = '', time = '', timeZone = 'UTC'] = text.trim().split(/\s+/);
+  const weekday = DAY_NAMES.indexOf(dayText.toLowerCase().substring(0, 3));
+  if (weekday < 0 || !/^\d{1,2}:\d{2}$/.test(time)) {
+    throw new Error(`${name}: "${text}" should be <day> <HH:MM> [timezone]`);
+  }
+  TimeZones.check(timeZone, name);
+  return { weekday, minutes: parseMinutes(time, name), timeZone, text };
+}
+
+/**
+ * The first occurrence of a weekly time after `time`
+ */
+function nextWeekly(weekly, time) {
+  const today = TimeZones.localParts(time, weekly.timeZone).date;
+  for (let d = 0; ; d++) {
+    const date = addDays(today, d);
+    if (TimeZones.weekdayOf(date) !== weekly.weekday) continue;
+    const at = TimeZones.toUtc(date, weekly.minutes, weekly.timeZone);
+    if (at > time) return at;
+  }
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().substring(0, 10);
+}
+
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+export default SessionCalendar;
@@ -1,293 +1,284 @@
 /**
- * Triple Confirmation Trend Follower Strategy
+ * Strategy Interface
  *
- * Entry Rules:
- * 1. Trend Filter: 20 EMA vs 50 EMA alignment + price position
- * 2. Momentum: RSI in valid range (40-70 for longs, 30-60 for shorts)
- * 3. Entry Trigger: Candlestick pattern near support/resistance
+ * Everything the bot needs from a trading strategy. GoldTradingBot never names a
+ * strategy: StrategyRegistry (strategy_registry.js) loads the ones configured in
+ * STRATEGY_TYPE / STRATEGIES, one evaluates live and the rest are tracked hypothetically.
  *
- * As per CLAUDE.md - proven strategy for gold markets
+ * A strategy is a module src/<type>_strategy.js whose default export extends this class:
+ *   - static type        - the STRATEGY_TYPE / STRATEGIES value (matches the file name)
+ *   - static label       - name in logs, the tracker and order tags ('EMA Trend')
+ *   - evaluateSetup(analysis, candles, feeds) → { signal: 'LONG'|'SHORT'|null, confidence,
+ *     reason, ... }. candles are the complete TIMEFRAME candles; feeds holds the complete
+ *     candles of every timeframe a registered strategy asked for, by granularity
+ *   - calculateEntryLevels(analysis, signal, entryPrice) → { entryPrice, stopLoss,
+ *     takeProfit1, takeProfit2, riskPips }. entryPrice is a refined entry (MTF pullback)
+ *     or null for the current price
+ *   - requiredTimeframes() - granularities evaluateSetup reads. The bot fetches them into
+ *     feeds and scans on their candle closes
+ *   - allowedRegimes() - market regimes it may enter in (regime_classifier.js), from
+ *     <TYPE>_ALLOWED_REGIMES. Signals outside them are dropped before anything trades
+ *   - trailingStopMode() - 'client' or 'server', from <TYPE>_TRAILING_STOP_MODE
+ *   - initialStops(fill) → { stopLoss, takeProfit, state } for a filled entry, re-anchored
+ *     to the fill price. state is extra fields the trade's later hooks read back
+ *   - onTick(position, price) → actions for an open trade, every monitor cycle at the
+ *     current mid price (staged TP, breakeven, trailing)
+ *   - onCandle(position, candles) → actions once per complete TIMEFRAME candle. Defaults
+ *     to an exit when shouldExit(position, close, candles) says so
+ *   - getDescription() - rules for the startup banner
+ *   - saveState() / loadState() - anything that must survive a restart (constructors load)
+ *
+ * Trade management hooks never touch the broker: they return actions ({ type: 'moveStop',
+ * price }, partialClose, setTakeProfit, trailServer, exit - see position_manager.js) and
+ * PositionManager carries them out and persists the position. The defaults here are the
+ * shared rules - fixed-pip stop, TAKE_PROFIT_RR target, staged TP and the activation-gated
+ * trail - so a strategy overrides only the part it does differently.
+ *
+ * Constructors take (logger, technicalAnalysis, instrument). Each instrument (INSTRUMENTS)
+ * gets its own instances, and every hook runs with that instrument's settings in Config
+ * (Config.withInstrument) - so hooks stay synchronous. State files are the instrument's
+ * own: name them with Config.instrumentFile().
  */
 import Config from './config.js';
+import RegimeClassifier from './regime_classifier.js';
+
+const TP1_CLOSE_FRACTION = 0.6; // staged TP: share of the position banked at TP1
+
+class Strategy {
+  static type = null;
+  static label = null;
 
-class TripleConfirmationStrategy {
-  constructor(logger, technicalAnalysis) {
+  constructor(logger, technicalAnalysis, instrument = Config.TRADING_SYMBOL) {
     this.logger = logger;
     this.ta = technicalAnalysis;
-    this.name = 'Triple Confirmation Trend Follower';
+    this.instrument = instrument;
+    this.name = this.constructor.label;
+    // Parsed up front so a misspelt filter fails at startup
+    this.regimeFilter = this.type
+      ? RegimeClassifier.parseFilter(Config.getAllowedRegimes(this.type), `${this.type.toUpperCase()}_ALLOWED_REGIMES`)
+      : {};
+  }
+
+  get type() {
+    return this.constructor.type;
+  }
+
+  get label() {
+    return this.constructor.label;
   }
 
   /**
-   * Evaluate if there's a valid trade setup
-   * Returns: { signal: 'LONG' | 'SHORT' | null, reason: string, confidence: number }
+   * Names this strategy records trades under in the tracker - more than one when it has
+   * several entry paths worth comparing
    */
-  evaluateSetup(analysis) {
-    this.logger.strategy('Evaluating trade setup...');
-
-    // Check Confirmation #1: Trend Filter
-    if (analysis.trend === 'NEUTRAL') {
-      return {
-        signal: null,
-        reason: 'No clear trend - EMAs tangled',
-        confidence: 0
-      };
-    }
+  trackedNames() {
+    return [this.label];
+  }
 
-    // FILTER: Check minimum EMA separation (avoid choppy markets)
-    const emaSeparation = Math.abs(analysis.indicators.emaFast - analysis.indicators.emaSlow);
-    const minSeparation = Config.pipsToPrice(Config.MIN_EMA_SEPARATION_PIPS);
-    if (emaSeparation < minSeparation) {
-      return {
-        signal: null,
-        reason: `EMAs too close ($${emaSeparation.toFixed(2)} < $${minSeparation.toFixed(2)}) - likely choppy market`,
-        confidence: 0
-      };
-    }
+  notImplemented(method) {
+    throw new Error(`${this.label} strategy does not implement ${method}()`);
+  }
 
-    // Check Confirmation #2: RSI (Momentum)
-    if (!analysis.rsiValid) {
-      const rsi = analysis.indicators.rsi.toFixed(2);
-      return {
-        signal: null,
-        reason: `RSI ${rsi} outside valid range for ${analysis.trend} trend`,
-        confidence: 0
-      };
-    }
+  // ─── Entries ─────────────────────────────────────────────
+  evaluateSetup(analysis, candles, feeds = {}) { this.notImplemented('evaluateSetup'); }
 
-    // Check Confirmation #3: Entry Trigger (Pattern + Level)
-    const setupType = this.identifyEntryTrigger(analysis);
-    if (!setupType) {
-      return {
-        signal: null,
-        reason: 'No entry trigger - waiting for pattern at key level',
-        confidence: 0
-      };
-    }
+  calculateEntryLevels(analysis, signal, entryPrice = null) { this.notImplemented('calculateEntryLevels'); }
 
-    // All confirmations met - calculate confidence score
-    const confidence = this.calculateConfidence(analysis);
+  requiredTimeframes() {
+    return [Config.TIMEFRAME];
+  }
 
-    // FILTER: Check minimum confidence (skip low-quality setups)
-    if (confidence < Config.MIN_CONFIDENCE) {
-      return {
-        signal: null,
-        reason: `Setup confidence too low (${confidence}% < ${Config.MIN_CONFIDENCE}%) - skipping marginal setup`,
-        confidence: 0
-      };
-    }
+  /**
+   * @returns {Object} dimension → allowed values, {} for any regime
+   */
+  allowedRegimes() {
+    return this.regimeFilter;
+  }
 
-    this.logger.strategy('✅ Triple Confirmation met!', {
-      trend: analysis.trend,
-      rsi: analysis.indicators.rsi.toFixed(2),
-      pattern: analysis.pattern,
-      setupType
-    });
+  // ─── Open trades ─────────────────────────────────────────
+  /**
+   * Where its trail lives once active: 'client' (the bot moves the stop) or 'server'
+   * (an Oanda trailing stop) - <TYPE>_TRAILING_STOP_MODE, else TRAILING_STOP_MODE
+   */
+  trailingStopMode() {
+    const own = this.type ? Config.getStrategySetting(this.type, 'TRAILING_STOP_MODE') : '';
+    return (own || Config.TRAILING_STOP_MODE).toLowerCase();
+  }
 
+  /**
+   * Stops for a filled entry, measured from the fill rather than the analysis price
+   * @param {{ signal: string, price: number, spread?: number }} fill - spread the fill paid,
+   *   0 unless stops are spread-aware
+   * @returns {{ stopLoss: number, takeProfit: number, state?: Object }}
+   */
+  initialStops(fill) {
+    return this.bracket(fill, Config.pipsToPrice(Config.STOP_LOSS_PIPS), Config.TAKE_PROFIT_RR);
+  }
+
+  /**
+   * Stop stopDistance from the fill - plus the spread, since the fill already paid half of
+   * it (see RiskManager.applySpreadToStop) - and a target rr × stopDistance the other way
+   */
+  bracket({ signal, price, spread = 0 }, stopDistance, rr) {
+    const direction = signal === 'LONG' ? 1 : -1;
     return {
-      signal: analysis.trend === 'BULLISH' ? 'LONG' : 'SHORT',
-      reason: setupType,
-      confidence,
-      analysis
+      stopLoss: price - direction * (stopDistance + spread),
+      takeProfit: price + direction * stopDistance * rr
     };
   }
 
   /**
-   * Identify entry trigger
-   * Returns: description of setup type or null
+   * Management of an open trade at the current price
+   * @param {Object} position - The tracked position (signal, entryPrice, currentStopLoss,
+   *   bestPrice, tp1Hit, trailingMode, plus initialStops' state)
+   * @param {number} price - Current mid price
+   * @returns {Array<Object>} actions, run in order
    */
-  identifyEntryTrigger(analysis) {
-    const { trend, pattern, atSupport, atResistance, indicators } = analysis;
-
-    // LONG setups
-    if (trend === 'BULLISH') {
-      // Pattern at support level
-      if (atSupport && (pattern === 'BULLISH_ENGULFING' || pattern === 'HAMMER')) {
-        return `${pattern} at support ($${analysis.nearestSupport.toFixed(2)})`;
-      }
-
-      // Pattern at EMA bounce
-      const nearEMA = Math.abs(indicators.price - indicators.emaFast) / indicators.price < 0.002;
-      if (nearEMA && (pattern === 'BULLISH_ENGULFING' || pattern === 'HAMMER')) {
-        return `${pattern} at EMA${Config.EMA_FAST} bounce`;
-      }
-
-      // Simple pullback to support without specific pattern
-      if (atSupport) {
-        return `Pullback to support ($${analysis.nearestSupport.toFixed(2)})`;
-      }
-
-      // Pullback to EMA
-      if (nearEMA) {
-        return `Pullback to EMA${Config.EMA_FAST}`;
-      }
-    }
-
-    // SHORT setups
-    if (trend === 'BEARISH') {
-      // Pattern at resistance level
-      if (atResistance && (pattern === 'BEARISH_ENGULFING' || pattern === 'SHOOTING_STAR')) {
-        return `${pattern} at resistance ($${analysis.nearestResistance.toFixed(2)})`;
-      }
-
-      // Pattern at EMA rejection
-      const nearEMA = Math.abs(indicators.price - indicators.emaFast) / indicators.price < 0.002;
-      if (nearEMA && (pattern === 'BEARISH_ENGULFING' || pattern === 'SHOOTING_STAR')) {
-        return `${pattern} at EMA${Config.EMA_FAST} rejection`;
-      }
-
-      // Simple bounce to resistance
-      if (atResistance) {
-        return `Bounce to resistance ($${analysis.nearestResistance.toFixed(2)})`;
-      }
-
-      // Bounce to EMA
-      if (nearEMA) {
-        return `Bounce to EMA${Config.EMA_FAST}`;
-      }
-    }
-
-    return null;
+  onTick(position, price) {
+    return this.plan(position, price, [this.stagedTakeProfit, this.trailingStop]);
   }
 
   /**
-   * Calculate confidence score (0-100)
-   * Higher score = stronger setup
+   * Management once per complete TIMEFRAME candle
+   * @param {Object} position - The tracked position
+   * @param {Array} candles - Complete TIMEFRAME candles, oldest first
+   * @returns {Array<Object>} actions, run in order
    */
-  calculateConfidence(analysis) {
-    let score = 0;
-
-    // Base score for having all three confirmations
-    score += 40;
-
-    // Bonus for candlestick pattern
-    if (analysis.pattern) {
-      if (analysis.pattern === 'BULLISH_ENGULFING' || analysis.pattern === 'BEARISH_ENGULFING') {
-        score += 20; // Engulfing patterns are strong
-      } else {
-        score += 15; // Hammer/Shooting star
-      }
-    }
-
-    // Bonus for being at key level
-    if (analysis.atSupport || analysis.atResistance) {
-      score += 15;
-    }
+  onCandle(position, candles) {
+    const candle = candles[candles.length - 1];
+    if (!this.shouldExit(position, candle.close, candles)) return [];
+    return [{
+      type: 'exit',
+      reason: 'STRATEGY_EXIT',
+      log: `🚪 ${this.label} exit signal for ${position.tradeId} on the ${candle.time.toISOString()} candle close ($${candle.close.toFixed(2)}) - closing at market`
+    }];
+  }
 
-    // Bonus for RSI being in middle of range (not at extremes)
-    const { rsi } = analysis.indicators;
-    if (analysis.trend === 'BULLISH' && rsi >= 50 && rsi <= 65) {
-      score += 10; // Sweet spot for bullish momentum
-    } else if (analysis.trend === 'BEARISH' && rsi >= 35 && rsi <= 50) {
-      score += 10; // Sweet spot for bearish momentum
-    }
+  /**
+   * Close this open trade now? Strategies that only exit on their stop/target say no.
+   * @param {Object} position - The tracked position (signal, entryPrice, stopLoss, ...)
+   * @param {number} price - Close of the last complete TIMEFRAME candle
+   * @param {Array} candles - Complete TIMEFRAME candles, oldest first
+   * @returns {boolean}
+   */
+  shouldExit(position, price, candles) {
+    return false;
+  }
 
-    // Bonus for strong trend (EMAs well separated)
-    const emaSpread = Math.abs(analysis.indicators.emaFast - analysis.indicators.emaSlow) / analysis.indicators.price;
-    if (emaSpread > 0.01) {
-      score += 10; // EMAs separated by >1%
-    } else if (emaSpread > 0.005) {
-      score += 5; // EMAs separated by >0.5%
+  /**
+   * Run tick rules in order, each seeing the position as the previous rules' actions
+   * leave it - a TP1 taken this tick already has its stop at entry when the trail looks
+   */
+  plan(position, price, rules) {
+    const actions = [];
+    let state = position;
+    for (const rule of rules) {
+      const planned = rule.call(this, state, price);
+      actions.push(...planned);
+      state = applyActions(state, planned);
     }
-
-    return Math.min(score, 100);
+    return actions;
   }
 
   /**
-   * Calculate entry price, stop loss, and take profits
+   * ENABLE_STAGED_TP: bank 60% at TP1, stop to breakeven, TP2 on the rest
    */
-  calculateEntryLevels(analysis, signal) {
-    const currentPrice = analysis.indicators.price;
-    const isLong = signal === 'LONG';
-
-    // Entry: Current market price
-    let entryPrice = currentPrice;
-
-    // Stop Loss: Based on strategy rules (20-40 pips)
-    let stopLoss;
-    const stopPips = Config.STOP_LOSS_PIPS;
-    const stopDistance = Config.pipsToPrice(stopPips);
-
-    if (isLong) {
-      // Long: Stop below entry (simple fixed distance)
-      stopLoss = entryPrice - stopDistance;
-
-      // Optional: Widen slightly if support is very close (within 10 pips)
-      if (analysis.nearestSupport && analysis.nearestSupport < currentPrice) {
-        const distanceToSupport = currentPrice - analysis.nearestSupport;
-        if (distanceToSupport < Config.pipsToPrice(10)) {
-          // Support is very close, place stop below it
-          stopLoss = analysis.nearestSupport - Config.pipsToPrice(5);
-        }
-      }
-    } else {
-      // Short: Stop above entry (simple fixed distance)
-      stopLoss = entryPrice + stopDistance;
-
-      // Optional: Widen slightly if resistance is very close (within 10 pips)
-      if (analysis.nearestResistance && analysis.nearestResistance > currentPrice) {
-        const distanceToResistance = analysis.nearestResistance - currentPrice;
-        if (distanceToResistance < Config.pipsToPrice(10)) {
-          // Resistance is very close, place stop above it
-          stopLoss = analysis.nearestResistance + Config.pipsToPrice(5);
-        }
-      }
+  stagedTakeProfit(position, price) {
+    if (!Config.ENABLE_STAGED_TP || position.tp1Hit) return [];
+    const isLong = position.signal === 'LONG';
+    if (isLong ? price < position.takeProfit1 : price > position.takeProfit1) return [];
+
+    const actions = [{
+      type: 'partialClose',
+      fraction: TP1_CLOSE_FRACTION,
+      reason: 'TP1',
+      update: { tp1Hit: true },
+      log: `🎯 TP1 reached for ${position.tradeId} at $${price.toFixed(2)}`
+    }];
+    // Breakeven on the rest - unless a trail already holds the stop beyond entry
+    const beImproves = isLong
+      ? position.entryPrice > position.currentStopLoss
+      : position.entryPrice < position.currentStopLoss;
+    if (beImproves) {
+      actions.push({ type: 'moveStop', price: position.entryPrice, log: `✅ Stop moved to breakeven ($${position.entryPrice.toFixed(2)})` });
     }
+    actions.push({ type: 'setTakeProfit', price: position.takeProfit2, log: `✅ TP2 set at $${position.takeProfit2.toFixed(2)} for the remainder` });
+    return actions;
+  }
 
-    // Calculate risk distance
-    const riskDistance = Math.abs(entryPrice - stopLoss);
-    const riskPips = Config.priceToPips(riskDistance);
-
-    // Take Profit targets
-    let takeProfit1, takeProfit2;
-
-    if (Config.ENABLE_STAGED_TP) {
-      // Staged TP: TP1 at 1.5R (close 60%), TP2 at 2.5R (close 40%)
-      const tp1Distance = riskDistance * Config.TAKE_PROFIT_1_RR;
-      const tp2Distance = riskDistance * Config.TAKE_PROFIT_2_RR;
-      takeProfit1 = isLong ? entryPrice + tp1Distance : entryPrice - tp1Distance;
-      takeProfit2 = isLong ? entryPrice + tp2Distance : entryPrice - tp2Distance;
-    } else {
-      // Single TP: Both set to same target
-      const tpDistance = riskDistance * Config.TAKE_PROFIT_RR;
-      takeProfit1 = isLong ? entryPrice + tpDistance : entryPrice - tpDistance;
-      takeProfit2 = takeProfit1;
-    }
+  /**
+   * Profit (in our favour) before the trail engages, in pips
+   */
+  trailingActivationPips() {
+    return Config.TRAILING_ACTIVATION_PIPS;
+  }
 
-    this.logger.strategy('Entry levels calculated', {
-      entryPrice: entryPrice.toFixed(2),
-      stopLoss: stopLoss.toFixed(2),
-      takeProfit1: takeProfit1.toFixed(2),
-      takeProfit2: takeProfit2.toFixed(2),
-      riskPips: riskPips.toFixed(1),
-      riskReward1: `1:${Config.TAKE_PROFIT_1_RR}`,
-      riskReward2: `1:${Config.TAKE_PROFIT_2_RR}`
-    });
+  /**
+   * Trailing stop attached to the entry order itself (server trailing mode) - only when
+   * the trail is live from the fill, i.e. there is no activation threshold to wait for
+   * @returns {number|null} distance in price
+   */
+  entryTrailingStop() {
+    if (!Config.ENABLE_TRAILING_STOP || this.trailingActivationPips() > 0) return null;
+    return Config.pipsToPrice(Config.TRAILING_STOP_DISTANCE_PIPS);
+  }
 
-    return {
-      entryPrice,
-      stopLoss,
-      takeProfit1,
-      takeProfit2,
-      riskDistance,
-      riskPips
-    };
+  /**
+   * Trail TRAILING_STOP_DISTANCE_PIPS behind price once TP1 is taken or profit reaches
+   * the activation threshold - not before, or the trail closes trades at breakeven
+   */
+  trailingStop(position, price) {
+    if (!Config.ENABLE_TRAILING_STOP) return [];
+    const profitMove = position.signal === 'LONG' ? price - position.entryPrice : position.entryPrice - price;
+    if (!position.tp1Hit && profitMove < Config.pipsToPrice(this.trailingActivationPips())) return [];
+    return this.trail(position, price, Config.pipsToPrice(Config.TRAILING_STOP_DISTANCE_PIPS));
   }
 
   /**
-   * Get strategy description
+   * Trail distance behind the best price so far. Server-mode positions hand the trail to
+   * Oanda; client-mode ones move the stop here, only ever tightening it.
    */
+  trail(position, price, distance) {
+    if (position.trailingMode === 'server') return [{ type: 'trailServer', distance }];
+
+    const isLong = position.signal === 'LONG';
+    if (isLong ? price <= position.bestPrice : price >= position.bestPrice) return [];
+
+    const stopLoss = isLong ? price - distance : price + distance;
+    const improved = isLong ? stopLoss > position.currentStopLoss : stopLoss < position.currentStopLoss;
+    if (!improved) return [{ type: 'update', update: { bestPrice: price } }];
+
+    const profitLocked = isLong ? stopLoss - position.entryPrice : position.entryPrice - stopLoss;
+    return [{
+      type: 'moveStop',
+      price: stopLoss,
+      update: { bestPrice: price },
+      log: profitLocked > 0
+        ? `📈 Trailing stop: ${position.tradeId} @ $${stopLoss.toFixed(2)} (locks in $${profitLocked.toFixed(2)} profit per unit)`
+        : `📈 Trailing stop: ${position.tradeId} @ $${stopLoss.toFixed(2)} (trailing $${distance.toFixed(2)} behind $${price.toFixed(2)})`
+    }];
+  }
+
+  // ─── Description / state ─────────────────────────────────
   getDescription() {
-    return `
-      ${this.name}
+    return this.name;
+  }
 
-      Confirmation #1: Trend Filter (EMA ${Config.EMA_FAST}/${Config.EMA_SLOW})
-      Confirmation #2: Momentum (RSI ${Config.RSI_PERIOD})
-      Confirmation #3: Entry Trigger (Pattern + Level)
+  saveState() {}
 
-      Risk/Reward: ${Config.TAKE_PROFIT_1_RR}R / ${Config.TAKE_PROFIT_2_RR}R
-      Stop Loss: ${Config.STOP_LOSS_PIPS} pips
-    `.trim();
+  loadState() {}
+}
+
+/**
+ * The position as it will be once actions have run (for planning only - nothing is sent)
+ */
+function applyActions(position, actions) {
+  const state = { ...position };
+  for (const action of actions) {
+    if (action.type === 'moveStop') state.currentStopLoss = action.price;
+    Object.assign(state, action.update);
   }
+  return state;
 }
 
-export default TripleConfirmationStrategy;
+export default Strategy;
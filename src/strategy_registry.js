@@ -0,0 +1,85 @@
+/**
+ * Strategy Registry
+ *
+ * Loads the strategies named in config - STRATEGY_TYPE (trades live) plus STRATEGIES
+ * (evaluated alongside it and tracked hypothetically), per instrument (INSTRUMENTS) -
+ * from src/<type>_strategy.js.
+ * Adding a strategy means dropping in that module (see strategy.js for the interface)
+ * and naming it in config; nothing in the bot changes.
+ *
+ * Modules are imported when this one is, so the bot can build its strategies
+ * synchronously and a misspelt name fails at startup rather than at the first scan.
+ */
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import Config from './config.js';
+import Strategy from './strategy.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+class StrategyRegistry {
+  constructor() {
+    this.classes = new Map(); // type → Strategy subclass
+  }
+
+  /**
+   * Import src/<type>_strategy.js for each type not registered yet
+   * @param {string[]} types
+   */
+  async load(types) {
+    for (const type of types) {
+      if (this.classes.has(type)) continue;
+      if (!/^[a-z0-9_]+$/.test(type)) {
+        throw new Error(`Invalid strategy name "${type}" - use the module name without _strategy.js`);
+      }
+
+      const file = path.join(__dirname, `${type}_strategy.js`);
+      let module;
+      try {
+        module = await import(pathToFileURL(file).href);
+      } catch (error) {
+        if (error.code === 'ERR_MODULE_NOT_FOUND' && error.message.includes(file)) {
+          throw new Error(`Unknown strategy "${type}" - no src/${type}_strategy.js`);
+        }
+        throw error;
+      }
+      this.register(module.default);
+    }
+  }
+
+  register(StrategyClass) {
+    if (!(StrategyClass?.prototype instanceof Strategy)) {
+      throw new Error(`${StrategyClass?.name || 'Strategy module'} must extend Strategy (src/strategy.js)`);
+    }
+    if (!StrategyClass.type || !StrategyClass.label) {
+      throw new Error(`${StrategyClass.name} must declare static type and label`);
+    }
+    this.classes.set(StrategyClass.type, StrategyClass);
+  }
+
+  /**
+   * One instance of every strategy configured for the instrument, the live one first -
+   * built with its settings (Config.withInstrument), so its overrides apply
+   * @returns {Map<string, Strategy>} type → strategy
+   */
+  create(logger, technicalAnalysis, instrument = Config.TRADING_SYMBOL) {
+    return Config.withInstrument(instrument, () => {
+      const strategies = new Map();
+      for (const type of Config.getStrategyTypes()) {
+        const StrategyClass = this.classes.get(type);
+        if (!StrategyClass) throw new Error(`Strategy ${type} is not loaded`);
+        strategies.set(type, new StrategyClass(logger, technicalAnalysis, instrument));
+      }
+      return strategies;
+    });
+  }
+}
+
+// Shared instance, loaded with the strategies configured for any instrument
+const registry = new StrategyRegistry();
+await registry.load([...new Set(Config.INSTRUMENTS.flatMap(instrument =>
+  Config.withInstrument(instrument, () => Config.getStrategyTypes())))]);
+
+export { StrategyRegistry };
+export default registry;
@@ -7,6 +7,7 @@
  * - Daily/Weekly/Monthly comparison reports
  */
 import logger from './logger.js';
+import clock from './clock.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -15,7 +16,7 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Data file path - use /app/data in Docker, ./data locally
-const DATA_DIR = process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..', 'data');
+const DATA_DIR = process.env.DATA_DIR || (process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..', 'data'));
 const DATA_FILE = path.join(DATA_DIR, 'tracker_data.json');
 
 class StrategyTracker {
@@ -131,8 +132,18 @@ class StrategyTracker {
     this.save();
   }
 
+  /**
+   * Tracker trade ID for a new entry. Live entries take theirs before the order is sent,
+   * so it can ride on the order's clientExtensions (see OrderTags), and pass it back in
+   * via recordSignal's metadata.id.
+   */
+  newTradeId(strategyName) {
+    return `${strategyName}_${clock.now()}`;
+  }
+
   /**
    * Record a trade signal (live or hypothetical)
+   * metadata is merged into the trade record; metadata.id overrides the generated ID.
    */
   recordSignal(strategyName, signal, entryPrice, stopLoss, takeProfit1, takeProfit2, size, reason, confidence, metadata = null) {
     const strategy = this.strategies.get(strategyName);
@@ -142,7 +153,7 @@ class StrategyTracker {
     }
 
     const trade = {
-      id: `${strategyName}_${Date.now()}`,
+      id: this.newTradeId(strategyName),
       strategyName,
       signal,
       entryPrice,
@@ -152,7 +163,7 @@ class StrategyTracker {
       size,
       reason,
       confidence,
-      entryTime: new Date(),
+      entryTime: clock.date(),
       exitTime: null,
       exitPrice: null,
       pnl: null,
@@ -202,7 +213,7 @@ class StrategyTracker {
     const pnl = hasRealPL ? realizedPL : pnlNotional;
 
     // Update trade
-    trade.exitTime = new Date();
+    trade.exitTime = clock.date();
     trade.exitPrice = exitPrice;
     trade.pnl = pnl;
     trade.pnlNotional = pnlNotional;
@@ -256,7 +267,7 @@ class StrategyTracker {
   getComparisonReport(period = 'all') {
     const report = {
       period,
-      timestamp: new Date(),
+      timestamp: clock.date(),
       strategies: []
     };
 
@@ -301,6 +312,64 @@ class StrategyTracker {
     return report;
   }
 
+  /**
+   * Closed trades split by one market-regime dimension (marketRegime metadata, see
+   * regime_classifier.js). Trades recorded without a regime count as 'unknown'.
+   * @param {string} dimension - 'trend', 'volatility', 'session' or 'htf'
+   */
+  getRegimeReport(dimension) {
+    const report = {
+      dimension,
+      timestamp: clock.date(),
+      strategies: []
+    };
+
+    for (const [name, data] of this.strategies) {
+      const buckets = new Map(); // regime value → { trades, wins, grossWin, grossLoss }
+      for (const trade of data.trades) {
+        const value = trade.marketRegime?.[dimension] || 'unknown';
+        const bucket = buckets.get(value) || { trades: 0, wins: 0, grossWin: 0, grossLoss: 0 };
+        bucket.trades++;
+        if (trade.pnl > 0) {
+          bucket.wins++;
+          bucket.grossWin += trade.pnl;
+        } else {
+          bucket.grossLoss += Math.abs(trade.pnl);
+        }
+        buckets.set(value, bucket);
+      }
+      if (buckets.size === 0) continue;
+
+      report.strategies.push({
+        name,
+        isLive: data.isLive,
+        regimes: [...buckets].map(([value, b]) => ({
+          value,
+          trades: b.trades,
+          winRate: parseFloat((b.wins / b.trades * 100).toFixed(1)),
+          totalPnL: b.grossWin - b.grossLoss,
+          // No losses, no ratio - null rather than Infinity, which JSON can't carry
+          profitFactor: b.grossLoss > 0 ? b.grossWin / b.grossLoss : null
+        })).sort((a, b) => b.trades - a.trades)
+      });
+    }
+
+    return report;
+  }
+
+  formatRegimeReport(report) {
+    let output = `\n🧭 BY ${report.dimension.toUpperCase()} REGIME\n`;
+    for (const strategy of report.strategies) {
+      output += `${strategy.isLive ? '🟢 LIVE' : '📝 HYPOTHETICAL'} ${strategy.name}\n`;
+      for (const r of strategy.regimes) {
+        const profitFactor = r.profitFactor !== null ? r.profitFactor.toFixed(2) : r.totalPnL > 0 ? '∞' : 'n/a';
+        output += `  ${r.value.padEnd(8)} ${String(r.trades).padStart(4)} trades  ${r.winRate.toFixed(1).padStart(5)}% win  ` +
+          `${r.totalPnL >= 0 ? '+' : '-'}$${Math.abs(r.totalPnL).toFixed(2)}  PF ${profitFactor}\n`;
+      }
+    }
+    return output;
+  }
+
   /**
    * Format comparison report for display
    */
@@ -339,6 +408,36 @@ class StrategyTracker {
     return Array.from(this.hypotheticalTrades.values());
   }
 
+  hasHypotheticalPosition(strategyName) {
+    return this.getHypotheticalPositions().some(t => t.strategyName === strategyName);
+  }
+
+  /**
+   * Close the hypothetical trades price has reached the stop or final target (takeProfit2)
+   * of. A bracket from the entry levels - no staged TP or trailing - judged at the prices
+   * it is called with, so a level touched between two calls goes unseen.
+   * @param {number} price - Current mid price
+   * @param {Array<string>|null} strategyNames - Only these strategies' trades - the ones
+   *   on the instrument `price` is for (null = all)
+   * @returns {Array<Object>} the trades closed
+   */
+  resolveHypothetical(price, strategyNames = null) {
+    const closed = [];
+    for (const trade of this.getHypotheticalPositions()) {
+      if (strategyNames && !strategyNames.includes(trade.strategyName)) continue;
+      const isLong = trade.signal === 'LONG';
+      const target = trade.takeProfit2 ?? trade.takeProfit1;
+      let exit = null;
+      if (isLong ? price <= trade.stopLoss : price >= trade.stopLoss) exit = { price: trade.stopLoss, reason: 'STOP_LOSS' };
+      else if (isLong ? price >= target : price <= target) exit = { price: target, reason: 'TAKE_PROFIT' };
+      if (!exit) continue;
+
+      const result = this.closeTrade(trade.strategyName, trade.id, exit.price, exit.reason);
+      if (result) closed.push(result);
+    }
+    return closed;
+  }
+
   /**
    * Export data for analysis
    */
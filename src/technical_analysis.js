@@ -1,9 +1,10 @@
 /**
  * Technical Analysis Engine
- * Calculates indicators (EMA, RSI, ADX) and identifies patterns
+ * Calculates indicators (EMA, RSI, ADX, ATR, bands) and identifies patterns
  */
-import { EMA, RSI, ADX, ATR } from 'technicalindicators';
+import { EMA, RSI, ADX, ATR, BollingerBands } from 'technicalindicators';
 import Config from './config.js';
+import clock from './clock.js';
 
 class TechnicalAnalysis {
   constructor(logger) {
@@ -83,6 +84,37 @@ class TechnicalAnalysis {
     return [...padding, ...atrValues];
   }
 
+  /**
+   * Calculate Bollinger Bands - SMA(period) ± stdDev standard deviations
+   * Returns array of { upper, middle, lower } padded with nulls to match candles length
+   */
+  calculateBollingerBands(candles, period = 20, stdDev = 2) {
+    const closes = candles.map(c => c.close);
+    const bandValues = BollingerBands.calculate({
+      period,
+      stdDev,
+      values: closes
+    }).map(({ upper, middle, lower }) => ({ upper, middle, lower }));
+
+    // Pad with nulls to match candles length
+    const padding = new Array(candles.length - bandValues.length).fill(null);
+    return [...padding, ...bandValues];
+  }
+
+  /**
+   * Calculate Keltner Channels - EMA(period) ± multiplier × ATR(atrPeriod)
+   * Returns array of { upper, middle, lower } padded with nulls to match candles length
+   */
+  calculateKeltnerChannels(candles, period = 20, multiplier = 2, atrPeriod = 14) {
+    const ema = this.calculateEMA(candles, period);
+    const atr = this.calculateATR(candles, atrPeriod);
+
+    return ema.map((middle, i) => {
+      if (middle === null || atr[i] === null) return null;
+      return { upper: middle + multiplier * atr[i], middle, lower: middle - multiplier * atr[i] };
+    });
+  }
+
   /**
    * Get latest indicator values
    */
@@ -106,10 +138,22 @@ class TechnicalAnalysis {
       adx: lastADX ? lastADX.adx : null, // ADX returns object with {adx, pdi, mdi}
       pdi: lastADX ? lastADX.pdi : null, // +DI (bullish directional indicator)
       mdi: lastADX ? lastADX.mdi : null, // -DI (bearish directional indicator)
+      spread: lastCandle.spread ?? null, // Bid/ask spread at the last close (null for mid-only candles)
+      avgSpread: this.calculateAverageSpread(candles),
       time: lastCandle.time
     };
   }
 
+  /**
+   * Average bid/ask spread over the last `period` candles - the baseline a blown-out
+   * spread (Asian session, news) stands out against. Null for mid-only candles.
+   */
+  calculateAverageSpread(candles, period = 20) {
+    const spreads = candles.slice(-period).map(c => c.spread).filter(s => typeof s === 'number');
+    if (!spreads.length) return null;
+    return spreads.reduce((sum, s) => sum + s, 0) / spreads.length;
+  }
+
   /**
    * Identify trend based on EMA alignment
    * Returns: 'BULLISH', 'BEARISH', or 'NEUTRAL'
@@ -319,7 +363,7 @@ class TechnicalAnalysis {
         atSupport,
         atResistance,
         rsiValid,
-        timestamp: new Date()
+        timestamp: clock.date()
       };
     } catch (error) {
       this.logger.error(`Analysis error: ${error.message}`);
@@ -347,6 +391,11 @@ class TechnicalAnalysis {
       `${adx.toFixed(1)} ❌ RANGING`;
     this.logger.info(`ADX: ${adxStatus}`);
 
+    const { spread, avgSpread } = analysis.indicators;
+    if (spread !== null && spread !== undefined) {
+      this.logger.info(`Spread: $${spread.toFixed(2)}${avgSpread ? ` (avg $${avgSpread.toFixed(2)})` : ''}`);
+    }
+
     this.logger.info(`Trend: ${analysis.trend}`);
     this.logger.info(`Pattern: ${analysis.pattern || 'None'}`);
     this.logger.info(`RSI Valid: ${analysis.rsiValid ? '✅' : '❌'}`);
@@ -5,6 +5,7 @@
  */
 import TelegramBot from 'node-telegram-bot-api';
 import Config from './config.js';
+import clock from './clock.js';
 
 class GoldTelegramBot {
   constructor(logger, tradingBot = null) {
@@ -90,7 +91,7 @@ class GoldTelegramBot {
       // Send startup notification
       await this.sendNotification(
         '🤖 *Gold Trading Bot Started*\n\n' +
-        'Bot is now running and monitoring XAU/USD.\n' +
+        `Bot is now running and monitoring ${this.formatInstruments()}.\n` +
         'Use /help to see available commands.'
       );
 
@@ -133,7 +134,7 @@ class GoldTelegramBot {
 
     const welcomeMessage =
       '🤖 *Gold Trading Bot Control Panel*\n\n' +
-      'Welcome! You can now control and monitor your XAU/USD trading bot.\n\n' +
+      `Welcome! You can now control and monitor your ${this.formatInstruments()} trading bot.\n\n` +
       '*Available Commands:*\n' +
       '/status - Bot status and summary\n' +
       '/positions - View open positions\n' +
@@ -169,8 +170,8 @@ class GoldTelegramBot {
 
       const statusEmoji = this.tradingBot.isRunning ? '✅' : '⏸️';
       const statusText = this.tradingBot.isRunning ? 'RUNNING' : 'STOPPED';
-      const modeEmoji = Config.TRADING_MODE === 'live' ? '🔴' : '📄';
-      const modeText = Config.TRADING_MODE === 'live' ? 'LIVE' : 'PRACTICE';
+      const modeEmoji = Config.BROKER === 'paper' ? '🧪' : Config.TRADING_MODE === 'live' ? '🔴' : '📄';
+      const modeText = Config.BROKER === 'paper' ? 'PAPER (simulated)' : Config.TRADING_MODE === 'live' ? 'LIVE' : 'PRACTICE';
 
       const runtime = Date.now() - this.tradingBot.startTime;
       const hours = Math.floor(runtime / 3600000);
@@ -181,6 +182,21 @@ class GoldTelegramBot {
         ? Math.abs(summary.dailyPnL / Config.MAX_DAILY_LOSS) * 100
         : 0;
 
+      const scheduler = this.tradingBot.scheduler;
+      const scanJob = scheduler.getJob('candle-close-scan') || scheduler.getJob('scan');
+      const nextScan = scanJob ? scanJob.nextRunAt.toISOString().substring(11, 16) + ' UTC' : 'not scheduled';
+      // One regime per instrument - each desk classifies its own market
+      const regimes = [...this.tradingBot.desks.values()].map(desk => {
+        const regime = this.tradingBot.currentRegime(desk);
+        const label = regime ? regime.label : 'not classified yet';
+        return this.tradingBot.desks.size > 1 ? `${desk.instrument.replace('_', '/')} ${label}` : label;
+      }).join(', ');
+      const news = this.formatNextBlackout();
+      const tradingHours = this.tradingBot.checkTradingHours();
+      const trading = tradingHours.allowed
+        ? 'open'
+        : `closed (${tradingHours.reason.replace(/[_*`[]/g, '\\$&')}) - opens ${this.tradingBot.formatNextTradingOpen()}`;
+
       const message =
         `${statusEmoji} *BOT STATUS: ${statusText}* ${modeEmoji} *${modeText}*\n\n` +
         `*Account Summary:*\n` +
@@ -189,8 +205,14 @@ class GoldTelegramBot {
         `📊 Daily P&L: $${summary.dailyPnL.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}\n\n` +
         `*Risk Metrics:*\n` +
         `🔥 Portfolio Heat: ${(summary.portfolioHeat * 100).toFixed(1)}%\n` +
+        `🏦 Margin Used: ${(summary.marginUtilisation * 100).toFixed(1)}% of NAV (max ${(Config.MAX_MARGIN_UTILISATION * 100).toFixed(0)}%)\n` +
+        `📐 Margin Headroom: ${this.formatMoney(summary.marginHeadroom)}\n` +
         `📍 Open Positions: ${summary.openPositions}\n` +
-        `⏱️ Runtime: ${hours}h ${minutes}m\n\n` +
+        `⏱️ Runtime: ${hours}h ${minutes}m\n` +
+        `🔍 Next Scan: ${nextScan}\n` +
+        `🕐 Trading: ${trading}\n` +
+        `🧭 Regime: ${regimes}\n` +
+        `📰 News: ${news}\n\n` +
         `*Performance:*\n` +
         `✅ Winning Trades: ${summary.winningTrades}\n` +
         `❌ Losing Trades: ${summary.losingTrades}\n` +
@@ -208,6 +230,29 @@ class GoldTelegramBot {
     }
   }
 
+  /**
+   * The news blackout in force or coming next, for /status
+   */
+  formatNextBlackout() {
+    if (!Config.AVOID_MAJOR_NEWS) return 'blackouts off';
+    const now = clock.now();
+    const blackout = this.tradingBot.newsCalendar.nextBlackout(now);
+    if (!blackout) return 'no upcoming blackout';
+
+    const title = blackout.title.replace(/[_*`[]/g, '\\$&');
+    const end = new Date(blackout.end).toISOString().substring(11, 16);
+    if (blackout.start <= now) return `🚫 blackout until ${end} UTC (${title})`;
+    const start = new Date(blackout.start).toISOString().substring(0, 16).replace('T', ' ');
+    return `next blackout ${start}-${end} UTC (${title})`;
+  }
+
+  /**
+   * The traded instruments as pairs ('XAU/USD, XAG/USD')
+   */
+  formatInstruments() {
+    return Config.INSTRUMENTS.map(instrument => instrument.replace('_', '/')).join(', ');
+  }
+
   /**
    * Handle /positions command
    */
@@ -220,7 +265,7 @@ class GoldTelegramBot {
         return;
       }
 
-      const trades = await this.tradingBot.client.getOpenTrades();
+      const trades = await this.tradingBot.broker.getOpenTrades();
 
       if (trades.length === 0) {
         await this.bot.sendMessage(msg.chat.id, '📭 No open positions');
@@ -297,7 +342,7 @@ class GoldTelegramBot {
         return;
       }
 
-      const balance = await this.tradingBot.client.getBalance();
+      const balance = await this.tradingBot.broker.getBalance();
       const summary = await this.tradingBot.riskManager.getPortfolioSummary();
 
       const message =
@@ -546,7 +591,7 @@ class GoldTelegramBot {
   async handleStopCallback(query, data) {
     if (data === 'stop_confirm' && this.tradingBot) {
       this.tradingBot.isRunning = false;
-      const trades = await this.tradingBot.client.getOpenTrades();
+      const trades = await this.tradingBot.broker.getOpenTrades();
 
       await this.bot.editMessageText(
         `✅ *Bot Stopped*\n\n` +
@@ -581,12 +626,12 @@ class GoldTelegramBot {
         parse_mode: 'Markdown'
       });
 
-      const trades = await this.tradingBot.client.getOpenTrades();
+      const trades = await this.tradingBot.broker.getOpenTrades();
       let closedCount = 0;
 
       for (const trade of trades) {
         try {
-          await this.tradingBot.client.closePosition(trade.instrument);
+          await this.tradingBot.broker.closeTrade(trade.tradeId);
           closedCount++;
         } catch (error) {
           this.logger.error(`Failed to close trade ${trade.tradeId}: ${error.message}`);
@@ -624,11 +669,18 @@ class GoldTelegramBot {
     }
   }
 
+  /**
+   * Format an account-currency amount (P&L, risk) - prices stay in $
+   */
+  formatMoney(amount) {
+    return this.tradingBot ? this.tradingBot.riskManager.formatMoney(amount) : `$${amount.toFixed(2)}`;
+  }
+
   /**
    * Trade opened notification
+   * @param {number} riskAmount - Initial risk in account currency (RiskManager.calculateTradeRisk)
    */
-  async notifyTradeOpened(symbol, side, entryPrice, size, stopLoss, takeProfit, strategy, strategyName, confidence) {
-    const riskAmount = Math.abs(entryPrice - stopLoss) * size;
+  async notifyTradeOpened(symbol, side, entryPrice, size, stopLoss, takeProfit, strategy, strategyName, confidence, riskAmount) {
     // Escape underscores for Markdown
     const symbolEscaped = symbol.replace(/_/g, '\\_');
     const strategyDisplay = strategyName || strategy;
@@ -646,7 +698,7 @@ class GoldTelegramBot {
       `Size: ${size} units\n` +
       `Stop Loss: $${stopLoss.toFixed(2)}\n` +
       `Take Profit: $${takeProfit ? takeProfit.toFixed(2) : 'Not set'}\n` +
-      `Risk: $${riskAmount.toFixed(2)}`;
+      `Risk: ${this.formatMoney(riskAmount)}`;
 
     await this.sendNotification(message);
   }
@@ -670,7 +722,7 @@ class GoldTelegramBot {
       `Reason: ${reason}\n` +
       `Entry: $${entryPrice.toFixed(2)}\n` +
       `Exit: $${exitPrice.toFixed(2)}\n` +
-      `P&L: ${pnlSign}$${Math.abs(pnl).toFixed(2)} (${rDisplay})`;
+      `P&L: ${pnlSign}${this.formatMoney(pnl)} (${rDisplay})`;
 
     await this.sendNotification(message);
   }
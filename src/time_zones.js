@@ -0,0 +1,82 @@
+/**
+ * Time Zones
+ *
+ * Wall-clock conversions for everything that reads the calendar in a market's own time:
+ * trading sessions and the weekly open/close (session_calendar.js), TZID event times in
+ * an .ics news feed (news_calendar.js) and the London/New York session label
+ * (regime_classifier.js). Built on Intl, so DST follows the tz database - no offsets in
+ * config.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const formatters = new Map(); // timeZone → Intl.DateTimeFormat (building one is slow)
+
+class TimeZones {
+  /**
+   * @throws if timeZone isn't one Intl knows, so a typo fails at startup
+   * @param {string} source - the setting it came from, for the error
+   */
+  static check(timeZone, source) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch {
+      throw new Error(`${source}: unknown timezone "${timeZone}"`);
+    }
+  }
+
+  /**
+   * Wall-clock date, weekday and minutes past midnight at `time` in timeZone
+   * @param {number|Date} time
+   * @returns {{ date: string, weekday: number, minutes: number }}
+   */
+  static localParts(time, timeZone) {
+    let formatter = formatters.get(timeZone);
+    if (!formatter) {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+      formatters.set(timeZone, formatter);
+    }
+    const parts = Object.fromEntries(formatter.formatToParts(new Date(time)).map(part => [part.type, part.value]));
+    const date = `${parts.year}-${parts.month}-${parts.day}`;
+    return { date, weekday: TimeZones.weekdayOf(date), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+  }
+
+  /**
+   * Epoch ms of a wall-clock time in timeZone - the offset is re-checked at the result, so
+   * times either side of a DST change land right
+   * @param {string} date - 'YYYY-MM-DD'
+   * @param {number} minutes - past midnight
+   */
+  static toUtc(date, minutes, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const asUTC = Date.UTC(year, month - 1, day, 0, minutes);
+    const guess = asUTC - TimeZones.offset(asUTC, timeZone);
+    return asUTC - TimeZones.offset(guess, timeZone);
+  }
+
+  /**
+   * timeZone's offset from UTC at `time`, in ms
+   */
+  static offset(time, timeZone) {
+    const local = TimeZones.localParts(time, timeZone);
+    const [year, month, day] = local.date.split('-').map(Number);
+    return Date.UTC(year, month - 1, day, 0, local.minutes) - Math.floor(time / MINUTE_MS) * MINUTE_MS;
+  }
+
+  /**
+   * Day of the week of a 'YYYY-MM-DD' date, 0 = Sunday
+   */
+  static weekdayOf(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+  }
+}
+
+export default TimeZones;
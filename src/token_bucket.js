@@ -0,0 +1,38 @@
+/**
+ * Token Bucket Rate Limiter
+ *
+ * Refills continuously at `ratePerSecond` up to `capacity` tokens; each request takes one
+ * and waits for the refill when the bucket is empty. Unlike counting requests per
+ * calendar second, a burst at the end of one second can't be followed by a full burst
+ * at the start of the next.
+ */
+
+class TokenBucket {
+  constructor(ratePerSecond, capacity = ratePerSecond) {
+    this.ratePerSecond = ratePerSecond;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) / 1000 * this.ratePerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Take a token, waiting until one is available
+   */
+  async take() {
+    this.refill();
+    while (this.tokens < 1) {
+      const waitMs = Math.ceil((1 - this.tokens) / this.ratePerSecond * 1000);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+      this.refill();
+    }
+    this.tokens -= 1;
+  }
+}
+
+export default TokenBucket;
@@ -0,0 +1,44 @@
+/**
+ * Oanda Transaction Stream
+ * Pushes account transactions as they happen, so trade closes (SL/TP/trailing fills)
+ * are seen within a second instead of on the next 60s monitor poll.
+ *
+ * Emits:
+ * - 'transaction' - every raw transaction
+ * - 'tradeClosed' { tradeId, exitPrice, realizedPL, units, reason, transactionId, time }
+ *   one per trade fully closed by an ORDER_FILL (reason is the fill reason, e.g.
+ *   STOP_LOSS_ORDER, TAKE_PROFIT_ORDER, TRAILING_STOP_LOSS_ORDER, MARKET_ORDER_TRADE_CLOSE)
+ */
+import Config from './config.js';
+import OandaStream from './oanda_stream.js';
+
+class TransactionStream extends OandaStream {
+  constructor(logger) {
+    super(logger, `/v3/accounts/${Config.OANDA_ACCOUNT_ID}/transactions/stream`, 'Transaction');
+    this.lastTransactionId = null;
+  }
+
+  handleMessage(transaction) {
+    if (transaction.id) {
+      this.lastTransactionId = transaction.id;
+    }
+
+    this.emit('transaction', transaction);
+
+    if (transaction.type !== 'ORDER_FILL' || !transaction.tradesClosed?.length) return;
+
+    for (const closed of transaction.tradesClosed) {
+      this.emit('tradeClosed', {
+        tradeId: String(closed.tradeID),
+        exitPrice: parseFloat(closed.price || transaction.price),
+        realizedPL: parseFloat(closed.realizedPL || 0),
+        units: parseFloat(closed.units),
+        reason: transaction.reason,
+        transactionId: transaction.id,
+        time: transaction.time
+      });
+    }
+  }
+}
+
+export default TransactionStream;